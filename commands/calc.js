@@ -0,0 +1,375 @@
+// commands/calc.js
+// Sandboxed arithmetic engine for $calc: tokenizer + recursive-descent parser + evaluator (no eval/Function).
+// Usage:
+//
+// const initCalc = require('./commands/calc');
+// const calc = initCalc();
+// calc.run(userId, 'x = 3');   // -> ['x = 3']
+// calc.run(userId, 'x * 2');   // -> ['x * 2 = 6']
+//
+// Supported: + - * / % ^ (right-assoc), unary minus/plus, parentheses, decimal/hex (0x)/binary (0b)/octal (0o)
+// literals, constants (pi, e, tau), functions (sqrt, sin, log, min, max, ...), per-user variables and `ans`.
+// The module also exports tokenize, parse, evaluate and formatError for direct use.
+
+const MAX_EXPR_LENGTH = 256;
+const MAX_DEPTH = 64;
+const MAX_VARS = 26;
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+  tau: Math.PI * 2
+};
+
+// name -> [minArgs, maxArgs, fn]
+const FUNCTIONS = {
+  sqrt: [1, 1, Math.sqrt],
+  cbrt: [1, 1, Math.cbrt],
+  abs: [1, 1, Math.abs],
+  sin: [1, 1, Math.sin],
+  cos: [1, 1, Math.cos],
+  tan: [1, 1, Math.tan],
+  asin: [1, 1, Math.asin],
+  acos: [1, 1, Math.acos],
+  atan: [1, 1, Math.atan],
+  atan2: [2, 2, Math.atan2],
+  exp: [1, 1, Math.exp],
+  ln: [1, 1, Math.log],
+  log: [1, 2, (x, base) => (base === undefined ? Math.log10(x) : Math.log(x) / Math.log(base))],
+  log2: [1, 1, Math.log2],
+  log10: [1, 1, Math.log10],
+  floor: [1, 1, Math.floor],
+  ceil: [1, 1, Math.ceil],
+  round: [1, 1, Math.round],
+  trunc: [1, 1, Math.trunc],
+  sign: [1, 1, Math.sign],
+  pow: [2, 2, Math.pow],
+  hypot: [1, 16, Math.hypot],
+  min: [1, 16, Math.min],
+  max: [1, 16, Math.max]
+};
+
+// own names only: `constructor` or `__proto__` must not find Object.prototype members
+const constant = (name) => (Object.hasOwn(CONSTANTS, name) ? CONSTANTS[name] : undefined);
+const builtin = (name) => (Object.hasOwn(FUNCTIONS, name) ? FUNCTIONS[name] : null);
+
+function calcError(message, column) {
+  const err = new Error(message);
+  err.column = column;
+  err.isCalcError = true;
+  return err;
+}
+
+// ---------------- Tokenizer ----------------
+// Token: { type: 'num'|'ident'|'op'|'eof', value, col } (col is 1-based)
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < src.length) {
+    const ch = src[i];
+    const col = i + 1;
+
+    if (/\s/.test(ch)) { i++; continue; }
+
+    // prefixed integer literals
+    const prefixed = /^0([xX][0-9a-fA-F]+|[bB][01]+|[oO][0-7]+)/.exec(src.slice(i));
+    if (prefixed) {
+      const radix = { x: 16, b: 2, o: 8 }[prefixed[1][0].toLowerCase()];
+      tokens.push({ type: 'num', value: parseInt(prefixed[1].slice(1), radix), col });
+      i += prefixed[0].length;
+      if (i < src.length && /[A-Za-z0-9_]/.test(src[i])) throw calcError(`invalid number literal`, col);
+      continue;
+    }
+
+    const decimal = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(src.slice(i));
+    if (decimal) {
+      tokens.push({ type: 'num', value: parseFloat(decimal[0]), col });
+      i += decimal[0].length;
+      if (i < src.length && /[A-Za-z_.]/.test(src[i])) throw calcError(`invalid number literal`, col);
+      continue;
+    }
+
+    const ident = /^[A-Za-z_][A-Za-z0-9_]*/.exec(src.slice(i));
+    if (ident) {
+      tokens.push({ type: 'ident', value: ident[0].toLowerCase(), col });
+      i += ident[0].length;
+      continue;
+    }
+
+    if ('+-*/%^(),='.includes(ch)) {
+      tokens.push({ type: 'op', value: ch, col });
+      i++;
+      continue;
+    }
+
+    throw calcError(`unexpected character '${ch}'`, col);
+  }
+
+  tokens.push({ type: 'eof', value: null, col: src.length + 1 });
+  return tokens;
+}
+
+// ---------------- Parser ----------------
+// AST nodes:
+//   { type: 'num', value } | { type: 'var', name, col } | { type: 'unary', op, arg }
+//   { type: 'binary', op, left, right, col } | { type: 'call', name, args, col }
+//   { type: 'assign', name, expr, col }
+function parse(src) {
+  const tokens = tokenize(src);
+  let pos = 0;
+  let depth = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const isOp = (t, v) => t.type === 'op' && t.value === v;
+
+  function describe(t) {
+    if (t.type === 'eof') return 'end of input';
+    if (t.type === 'num') return `number ${t.value}`;
+    if (t.type === 'ident') return `'${t.value}'`;
+    return `'${t.value}'`;
+  }
+
+  function expect(v) {
+    const t = peek();
+    if (!isOp(t, v)) throw calcError(`expected '${v}' but found ${describe(t)}`, t.col);
+    return next();
+  }
+
+  function enter(t) {
+    if (++depth > MAX_DEPTH) throw calcError('expression is nested too deeply', t.col);
+  }
+
+  function parseStatement() {
+    const t = peek();
+    if (t.type === 'ident' && isOp(tokens[pos + 1], '=')) {
+      next(); next();
+      if (constant(t.value) !== undefined || builtin(t.value) || t.value === 'ans') {
+        throw calcError(`cannot assign to reserved name '${t.value}'`, t.col);
+      }
+      return { type: 'assign', name: t.value, expr: parseExpression(), col: t.col };
+    }
+    return parseExpression();
+  }
+
+  function parseExpression() {
+    return parseAdditive();
+  }
+
+  function parseAdditive() {
+    let left = parseMultiplicative();
+    while (isOp(peek(), '+') || isOp(peek(), '-')) {
+      const op = next();
+      left = { type: 'binary', op: op.value, left, right: parseMultiplicative(), col: op.col };
+    }
+    return left;
+  }
+
+  function parseMultiplicative() {
+    let left = parseUnary();
+    while (isOp(peek(), '*') || isOp(peek(), '/') || isOp(peek(), '%')) {
+      const op = next();
+      left = { type: 'binary', op: op.value, left, right: parseUnary(), col: op.col };
+    }
+    return left;
+  }
+
+  // unary binds looser than ^ so that -2^2 = -4
+  function parseUnary() {
+    const t = peek();
+    if (isOp(t, '-') || isOp(t, '+')) {
+      next();
+      enter(t);
+      const arg = parseUnary();
+      depth--;
+      return { type: 'unary', op: t.value, arg };
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    const t = peek();
+    if (isOp(t, '^')) {
+      next();
+      enter(t);
+      const exponent = parseUnary();
+      depth--;
+      return { type: 'binary', op: '^', left: base, right: exponent, col: t.col };
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const t = next();
+
+    if (t.type === 'num') return { type: 'num', value: t.value };
+
+    if (t.type === 'ident') {
+      if (isOp(peek(), '(')) {
+        next();
+        enter(t);
+        const args = [];
+        if (!isOp(peek(), ')')) {
+          args.push(parseExpression());
+          while (isOp(peek(), ',')) {
+            next();
+            args.push(parseExpression());
+          }
+        }
+        expect(')');
+        depth--;
+        return { type: 'call', name: t.value, args, col: t.col };
+      }
+      return { type: 'var', name: t.value, col: t.col };
+    }
+
+    if (isOp(t, '(')) {
+      enter(t);
+      const inner = parseExpression();
+      expect(')');
+      depth--;
+      return inner;
+    }
+
+    throw calcError(`unexpected ${describe(t)}`, t.col);
+  }
+
+  const ast = parseStatement();
+  const trailing = peek();
+  if (trailing.type !== 'eof') throw calcError(`unexpected ${describe(trailing)}`, trailing.col);
+  return ast;
+}
+
+// ---------------- Evaluator ----------------
+// scope: Map<name, number> (user variables)
+function evaluate(node, scope = new Map()) {
+  switch (node.type) {
+    case 'num':
+      return node.value;
+
+    case 'var': {
+      if (scope.has(node.name)) return scope.get(node.name);
+      if (constant(node.name) !== undefined) return constant(node.name);
+      if (builtin(node.name)) throw calcError(`'${node.name}' is a function; call it like ${node.name}(x)`, node.col);
+      throw calcError(`unknown variable '${node.name}'`, node.col);
+    }
+
+    case 'unary': {
+      const v = evaluate(node.arg, scope);
+      return node.op === '-' ? -v : v;
+    }
+
+    case 'binary': {
+      const a = evaluate(node.left, scope);
+      const b = evaluate(node.right, scope);
+      switch (node.op) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/':
+          if (b === 0) throw calcError('division by zero', node.col);
+          return a / b;
+        case '%':
+          if (b === 0) throw calcError('modulo by zero', node.col);
+          return a % b;
+        case '^': return Math.pow(a, b);
+        default: throw calcError(`unknown operator '${node.op}'`, node.col);
+      }
+    }
+
+    case 'call': {
+      const def = builtin(node.name);
+      if (!def) throw calcError(`unknown function '${node.name}'`, node.col);
+      const [min, max, fn] = def;
+      if (node.args.length < min || node.args.length > max) {
+        const expected = min === max ? `${min}` : `${min}-${max}`;
+        throw calcError(`${node.name}() takes ${expected} argument${max === 1 ? '' : 's'}, got ${node.args.length}`, node.col);
+      }
+      return fn(...node.args.map(a => evaluate(a, scope)));
+    }
+
+    case 'assign':
+      return evaluate(node.expr, scope);
+
+    default:
+      throw calcError('invalid expression', 1);
+  }
+}
+
+function formatNumber(n) {
+  if (Number.isInteger(n) && Math.abs(n) < 1e21) return String(n);
+  return String(Number(n.toPrecision(12)));
+}
+
+// Render a syntax/evaluation error with a caret under the offending column
+function formatError(src, err) {
+  if (!err || !err.isCalcError) return [`calc: ${err && err.message ? err.message : String(err)}`];
+  const col = Math.max(1, Math.min(err.column || 1, src.length + 1));
+  return [src, ' '.repeat(col - 1) + '^', `calc: ${err.message} (column ${col})`];
+}
+
+function initCalc() {
+  // Map<userId, Map<name, number>>
+  const varsPerUser = new Map();
+
+  function ensure(userId) {
+    if (!varsPerUser.has(userId)) varsPerUser.set(userId, new Map());
+    return varsPerUser.get(userId);
+  }
+
+  // Returns output lines for the terminal renderer
+  function run(userId, input) {
+    const src = String(input || '').trim();
+    if (!src) return ['Usage: calc <expression> | calc <name> = <expression> | calc vars | calc clear'];
+    if (src.length > MAX_EXPR_LENGTH) return [`calc: expression too long (max ${MAX_EXPR_LENGTH} characters)`];
+
+    const scope = ensure(userId);
+    const lower = src.toLowerCase();
+
+    if (lower === 'vars') {
+      if (scope.size === 0) return ['calc: no variables defined'];
+      return Array.from(scope.entries()).map(([k, v]) => `${k} = ${formatNumber(v)}`);
+    }
+    if (lower === 'clear') {
+      scope.clear();
+      return ['calc: variables cleared'];
+    }
+
+    try {
+      const ast = parse(src);
+      const value = evaluate(ast, scope);
+      if (typeof value !== 'number' || Number.isNaN(value)) throw calcError('result is not a number', 1);
+      if (!Number.isFinite(value)) throw calcError('result is not finite', 1);
+
+      if (ast.type === 'assign') {
+        const defined = scope.size - (scope.has('ans') ? 1 : 0);
+        if (!scope.has(ast.name) && defined >= MAX_VARS) {
+          throw calcError(`too many variables (max ${MAX_VARS}); use 'calc clear'`, ast.col);
+        }
+        scope.set(ast.name, value);
+        scope.set('ans', value);
+        return [`${ast.name} = ${formatNumber(value)}`];
+      }
+
+      scope.set('ans', value);
+      return [`${src} = ${formatNumber(value)}`];
+    } catch (err) {
+      if (!err.isCalcError) console.error('[calc] internal error:', err);
+      return formatError(src, err);
+    }
+  }
+
+  return {
+    run,
+    variables: (userId) => new Map(ensure(userId)),
+    _vars: varsPerUser
+  };
+}
+
+module.exports = initCalc;
+module.exports.tokenize = tokenize;
+module.exports.parse = parse;
+module.exports.evaluate = evaluate;
+module.exports.formatError = formatError;
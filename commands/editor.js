@@ -0,0 +1,396 @@
+// commands/editor.js
+// $edit: a small nano-style editor for stored text files, driven by buttons and modals on the terminal embed.
+// Usage:
+//
+// const initEditor = require('./commands/editor');
+// const editor = initEditor(client, { getStorage: () => client.storage }); // registers the button/modal handler
+// register('edit', async ({ message, args }) => editor.open(message, args[0]));
+//
+// open() returns an interactive output ({ interactive: true, send(channel, promptLine) }) that
+// sendTerminalResponse posts; from then on the editor owns that message:
+//   - the view shows numbered lines around the cursor (long lines wrapped), the cursor line marked with >
+//   - buttons move the cursor and page, modals go to a line, edit or insert lines and search
+//   - Save writes through storage/api.js (quota and size limits apply; a file changed elsewhere since it was
+//     opened needs a second Save), Close discards unsaved changes after a second press
+// Sessions belong to the user who opened them, end after IDLE_MS without use, and a user has one at a time.
+
+const crypto = require('node:crypto');
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+
+const IDLE_MS = 10 * 60 * 1000;
+const MAX_EDIT_BYTES = 256 * 1024;
+const MAX_LINES = 10000;
+const VIEW_ROWS = 18; // screen rows, wrapped continuation rows included
+const WRAP = 72;
+// the prompt line and the title are cut to this width: with VIEW_ROWS rows of at most WRAP characters (plus line
+// numbers and ``` escapes) the description then stays well under Discord's 4096-character limit
+const HEAD_WIDTH = 90;
+const MAX_INPUT = 4000; // Discord's text input limit
+
+function clip(line, width = HEAD_WIDTH) {
+  return line.length > width ? line.slice(0, width - 1) + '…' : line;
+}
+
+function sha(buf) {
+  return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+function initEditor(client, { getStorage = () => null, color = 0x000000, footer = '' } = {}) {
+  // sessionId -> session; userId -> sessionId
+  const sessions = new Map();
+  const byUser = new Map();
+
+  function text(s) {
+    return (s.eol ? s.lines.join('\n') + '\n' : s.lines.join('\n'));
+  }
+
+  // screen rows from `top`: [{ line, wrap, text }]
+  function rowsFrom(s, top) {
+    const rows = [];
+    for (let i = top; i < s.lines.length && rows.length < VIEW_ROWS; i++) {
+      const line = s.lines[i].replace(/\t/g, '  ');
+      for (let off = 0; off === 0 || off < line.length; off += WRAP) {
+        if (rows.length >= VIEW_ROWS) break;
+        rows.push({ line: i, wrap: off > 0, text: line.slice(off, off + WRAP) });
+      }
+    }
+    return rows;
+  }
+
+  function rowCount(line) {
+    return Math.max(1, Math.ceil(line.replace(/\t/g, '  ').length / WRAP));
+  }
+
+  // keep the cursor on screen: scroll so it is the top line when it fell outside
+  function scroll(s) {
+    if (s.cur < s.top || !rowsFrom(s, s.top).some(r => r.line === s.cur)) s.top = s.cur;
+  }
+
+  function view(s) {
+    scroll(s);
+    const width = String(s.lines.length).length;
+    const body = rowsFrom(s, s.top).map((r) => {
+      const mark = r.line === s.cur && !r.wrap ? '>' : ' ';
+      const num = r.wrap ? ' '.repeat(width) : String(r.line + 1).padStart(width);
+      return `${mark}${num} │ ${r.wrap ? '↪ ' : ''}${r.text}`.replace(/```/g, '`\u200b``');
+    });
+    const flags = `${s.dirty ? '  [modified]' : ''}${s.isNew ? '  [new file]' : ''}`;
+    // a long path is cut, the [modified] / [new file] flags are always shown
+    const title = clip(`  ${s.display}`, HEAD_WIDTH - flags.length) + flags;
+    const embed = new EmbedBuilder()
+      .setColor(color)
+      .setDescription('```text\n' + clip(s.promptLine) + '\n\n' + title + '\n\n' + body.join('\n') + '\n```')
+      .setFooter({ text: `line ${s.cur + 1}/${s.lines.length}` + (s.status ? ` — ${s.status}` : '') + (footer ? ` • ${footer}` : '') });
+    return embed;
+  }
+
+  function button(s, action, label, style = ButtonStyle.Secondary, disabled = false) {
+    return new ButtonBuilder().setCustomId(`edit:${s.id}:btn:${action}`).setLabel(label).setStyle(style).setDisabled(disabled);
+  }
+
+  function controls(s) {
+    const last = s.lines.length - 1;
+    return [
+      new ActionRowBuilder().addComponents(
+        button(s, 'pgup', '⏫ Page', ButtonStyle.Secondary, s.top === 0 && s.cur === 0),
+        button(s, 'up', '▲', ButtonStyle.Secondary, s.cur === 0),
+        button(s, 'down', '▼', ButtonStyle.Secondary, s.cur === last),
+        button(s, 'pgdn', '⏬ Page', ButtonStyle.Secondary, s.cur === last),
+        button(s, 'goto', 'Go to…')
+      ),
+      new ActionRowBuilder().addComponents(
+        button(s, 'edit', 'Edit line…', ButtonStyle.Primary),
+        button(s, 'insert', 'Insert below…', ButtonStyle.Primary),
+        button(s, 'delete', 'Delete line', ButtonStyle.Danger, s.lines.length === 1 && s.lines[0] === ''),
+        button(s, 'search', 'Search…'),
+        button(s, 'next', 'Next match', ButtonStyle.Secondary, !s.search)
+      ),
+      new ActionRowBuilder().addComponents(
+        button(s, 'save', 'Save', ButtonStyle.Success),
+        button(s, 'close', s.closing ? 'Discard & close' : 'Close', s.closing ? ButtonStyle.Danger : ButtonStyle.Secondary)
+      )
+    ];
+  }
+
+  function modal(s, action, title, label, { value = '', long = false, required = true, max = MAX_INPUT } = {}) {
+    const input = new TextInputBuilder()
+      .setCustomId('value')
+      .setLabel(label)
+      .setStyle(long ? TextInputStyle.Paragraph : TextInputStyle.Short)
+      .setRequired(required)
+      .setMaxLength(max);
+    if (value) input.setValue(value);
+    return new ModalBuilder()
+      .setCustomId(`edit:${s.id}:modal:${action}`)
+      .setTitle(title)
+      .addComponents(new ActionRowBuilder().addComponents(input));
+  }
+
+  function touch(s) {
+    clearTimeout(s.timer);
+    s.timer = setTimeout(() => end(s, `session ended after ${Math.round(IDLE_MS / 60000)} min idle${s.dirty ? ' — unsaved changes discarded' : ''}`), IDLE_MS);
+    s.timer.unref?.();
+  }
+
+  // close a session and freeze its message
+  function end(s, why) {
+    clearTimeout(s.timer);
+    sessions.delete(s.id);
+    if (byUser.get(s.userId) === s.id) byUser.delete(s.userId);
+    s.status = why;
+    if (s.message) s.message.edit({ embeds: [view(s)], components: [] }).catch(() => {});
+  }
+
+  // Load a file (or start a new one) and return the interactive output that shows the editor.
+  async function open(message, file) {
+    const storage = getStorage();
+    if (!storage) return 'edit: storage subsystem unavailable';
+    if (!file) return 'Usage: $edit <file>';
+    const api = storage.api;
+    const userId = message.author.id;
+
+    let rel;
+    try {
+      rel = storage.vfs.resolve(userId, file);
+    } catch (e) {
+      return { stdout: `edit: ${e.message}`, status: 1 };
+    }
+    if (!rel) return { stdout: `edit: ${file}: Is a directory`, status: 1 };
+    const display = storage.vfs.display(rel);
+
+    let buffer = null;
+    try {
+      buffer = (await api.readFile(userId, display, { maxBytes: MAX_EDIT_BYTES })).buffer;
+    } catch (e) {
+      if (e.code !== 'ENOENT') return { stdout: `edit: ${e.message}`, status: 1 };
+    }
+    if (buffer && api.looksBinary(buffer.subarray(0, 8192))) return { stdout: `edit: ${file}: binary file`, status: 1 };
+
+    let content = buffer ? buffer.toString('utf8') : '';
+    const eol = !buffer || content.endsWith('\n') || content === '';
+    if (content.endsWith('\n')) content = content.slice(0, -1);
+    const lines = content.replace(/\r\n/g, '\n').split('\n');
+    if (lines.length > MAX_LINES) return { stdout: `edit: ${file}: too many lines to edit here (max ${MAX_LINES})`, status: 1 };
+
+    return {
+      interactive: true,
+      async send(channel, promptLine) {
+        const previous = sessions.get(byUser.get(userId));
+        if (previous) end(previous, 'closed: a newer $edit session was opened');
+
+        const s = {
+          id: crypto.randomBytes(6).toString('hex'),
+          userId,
+          display,
+          lines,
+          eol,
+          baseSha: buffer ? sha(buffer) : null,
+          isNew: !buffer,
+          cur: 0,
+          top: 0,
+          dirty: false,
+          search: null,
+          status: buffer ? `${lines.length} line${lines.length === 1 ? '' : 's'}` : 'new file',
+          closing: false,
+          force: false,
+          promptLine,
+          message: null,
+          timer: null
+        };
+        sessions.set(s.id, s);
+        byUser.set(userId, s.id);
+        touch(s);
+        s.message = await channel.send({ embeds: [view(s)], components: controls(s) });
+        return s.message;
+      }
+    };
+  }
+
+  // replace or insert lines from a modal's text; returns the status line
+  function applyLines(s, at, remove, value) {
+    const incoming = value.replace(/\r\n/g, '\n').split('\n');
+    if (s.lines.length - remove + incoming.length > MAX_LINES) return `too many lines (max ${MAX_LINES})`;
+    s.lines.splice(at, remove, ...incoming);
+    s.cur = at + incoming.length - 1;
+    s.dirty = true;
+    return null;
+  }
+
+  function find(s, from) {
+    const needle = s.search.toLowerCase();
+    for (let k = 0; k < s.lines.length; k++) {
+      const i = (from + k) % s.lines.length;
+      if (s.lines[i].toLowerCase().includes(needle)) return i;
+    }
+    return -1;
+  }
+
+  async function save(s) {
+    const storage = getStorage();
+    if (!storage) return 'storage subsystem unavailable';
+    const api = storage.api;
+    let current = null;
+    try {
+      current = (await api.readFile(s.userId, s.display, { maxBytes: api.maxFileBytes })).buffer;
+    } catch (e) {
+      if (e.code !== 'ENOENT') return `not saved: ${e.message}`;
+    }
+    const changed = current ? sha(current) !== s.baseSha : s.baseSha !== null;
+    if (changed && !s.force) {
+      s.force = true;
+      return current ? 'file changed since you opened it — Save again to overwrite' : 'file was deleted since you opened it — Save again to recreate';
+    }
+    const buf = Buffer.from(text(s));
+    try {
+      await api.saveFileFromBuffer(s.userId, s.display, buf);
+    } catch (e) {
+      return `not saved: ${e.message}`;
+    }
+    s.baseSha = sha(buf);
+    s.dirty = false;
+    s.isNew = false;
+    s.force = false;
+    return `saved ${s.lines.length} line${s.lines.length === 1 ? '' : 's'} (${api.human(buf.length)})`;
+  }
+
+  async function onButton(interaction, s, action) {
+    const last = s.lines.length - 1;
+    s.status = '';
+    if (action !== 'close') s.closing = false;
+    if (action !== 'save') s.force = false;
+
+    switch (action) {
+      case 'up': s.cur = Math.max(0, s.cur - 1); break;
+      case 'down': s.cur = Math.min(last, s.cur + 1); break;
+      case 'pgdn': {
+        const rows = rowsFrom(s, s.top);
+        const next = rows.length ? rows[rows.length - 1].line + 1 : s.top;
+        s.top = Math.min(next, last);
+        s.cur = s.top;
+        break;
+      }
+      case 'pgup': {
+        // back by one screen of rows
+        let top = s.top;
+        let used = 0;
+        while (top > 0 && used + rowCount(s.lines[top - 1]) <= VIEW_ROWS) used += rowCount(s.lines[--top]);
+        s.top = top === s.top ? Math.max(0, top - 1) : top;
+        s.cur = s.top;
+        break;
+      }
+      case 'goto':
+        return interaction.showModal(modal(s, 'goto', 'Go to line', `Line number (1-${s.lines.length})`, { max: 10 }));
+      case 'edit':
+        if (s.lines[s.cur].length > MAX_INPUT) {
+          return interaction.reply({ content: `Line ${s.cur + 1} is longer than ${MAX_INPUT} characters and cannot be edited here.`, ephemeral: true });
+        }
+        return interaction.showModal(modal(s, 'edit', `Edit line ${s.cur + 1}`, 'Text (new lines split it into several)', { value: s.lines[s.cur], long: true, required: false }));
+      case 'insert':
+        return interaction.showModal(modal(s, 'insert', `Insert below line ${s.cur + 1}`, 'Text (one or more lines)', { long: true, required: false }));
+      case 'search':
+        return interaction.showModal(modal(s, 'search', 'Search', 'Text to find (case-insensitive)', { value: s.search || '', max: 200 }));
+      case 'delete':
+        if (s.lines.length === 1) s.lines[0] = '';
+        else s.lines.splice(s.cur, 1);
+        s.cur = Math.min(s.cur, s.lines.length - 1);
+        s.dirty = true;
+        s.status = 'line deleted';
+        break;
+      case 'next': {
+        const i = find(s, s.cur + 1);
+        s.status = i === -1 ? `not found: ${s.search}` : `found "${s.search}"`;
+        if (i !== -1) s.cur = i;
+        break;
+      }
+      case 'save':
+        await interaction.deferUpdate();
+        s.status = await save(s);
+        return interaction.editReply({ embeds: [view(s)], components: controls(s) });
+      case 'close':
+        if (s.dirty && !s.closing) {
+          s.closing = true;
+          s.status = 'unsaved changes — press again to discard them';
+          break;
+        }
+        clearTimeout(s.timer);
+        sessions.delete(s.id);
+        byUser.delete(s.userId);
+        s.status = s.dirty ? 'closed — changes discarded' : 'closed';
+        return interaction.update({ embeds: [view(s)], components: [] });
+      default:
+        return interaction.reply({ content: 'Unknown editor action.', ephemeral: true });
+    }
+    return interaction.update({ embeds: [view(s)], components: controls(s) });
+  }
+
+  async function onModal(interaction, s, action) {
+    const value = interaction.fields.getTextInputValue('value') || '';
+    s.status = '';
+    s.closing = false;
+    s.force = false;
+
+    if (action === 'goto') {
+      const n = parseInt(value.trim(), 10);
+      if (!Number.isInteger(n) || n < 1 || n > s.lines.length) {
+        return interaction.reply({ content: `No line ${value.trim()} (the file has ${s.lines.length}).`, ephemeral: true });
+      }
+      s.cur = n - 1;
+      s.top = s.cur;
+    } else if (action === 'edit') {
+      s.status = applyLines(s, s.cur, 1, value) || `line ${s.cur + 1} changed`;
+    } else if (action === 'insert') {
+      const empty = s.lines.length === 1 && s.lines[0] === '';
+      s.status = applyLines(s, empty ? 0 : s.cur + 1, empty ? 1 : 0, value) || 'inserted';
+    } else if (action === 'search') {
+      s.search = value.trim() || null;
+      if (s.search) {
+        const i = find(s, s.cur);
+        s.status = i === -1 ? `not found: ${s.search}` : `found "${s.search}"`;
+        if (i !== -1) s.cur = i;
+      }
+    }
+    // modals opened from a message button update that message
+    return interaction.update({ embeds: [view(s)], components: controls(s) });
+  }
+
+  client.on('interactionCreate', async (interaction) => {
+    const isButton = interaction.isButton?.();
+    const isModal = interaction.isModalSubmit?.();
+    if (!isButton && !isModal) return;
+    const [prefix, id, kind, action] = String(interaction.customId || '').split(':');
+    if (prefix !== 'edit') return;
+    try {
+      const s = sessions.get(id);
+      if (!s) {
+        await interaction.reply({ content: 'This editor session has ended. Open the file again with $edit.', ephemeral: true });
+        return;
+      }
+      if (interaction.user.id !== s.userId) {
+        await interaction.reply({ content: 'This editor belongs to someone else. Use $edit to open your own files.', ephemeral: true });
+        return;
+      }
+      touch(s);
+      if (kind === 'btn' && isButton) await onButton(interaction, s, action);
+      else if (kind === 'modal' && isModal) await onModal(interaction, s, action);
+    } catch (err) {
+      console.error('[editor] interaction handler error:', err);
+      try { if (!interaction.replied && !interaction.deferred) await interaction.reply({ content: 'Editor error', ephemeral: true }); } catch (_) {}
+    }
+  });
+
+  return {
+    open,
+    sessions
+  };
+}
+
+module.exports = initEditor;
+module.exports.IDLE_MS = IDLE_MS;
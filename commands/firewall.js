@@ -3,7 +3,7 @@
 // Usage:
 //
 // const initFirewall = require('./commands/firewall');
-// const fw = initFirewall();
+// const fw = initFirewall({ store }); // store: optional persistence store (see persistence/index.js)
 // fw.protect(guildId, userId);
 // fw.unprotect(guildId, userId);
 // fw.isProtected(guildId, userId);
@@ -14,25 +14,42 @@
 
 const { SlashCommandBuilder } = require('discord.js');
 
-function initFirewall() {
+function initFirewall({ store = null } = {}) {
   // Map<guildId, Set<userId>>
   const map = new Map();
+  // persisted as guildId => [userId, ...]
+  const saved = store ? store.namespace('firewall') : null;
+
+  if (saved) {
+    for (const [guildId, userIds] of saved.entries()) {
+      if (Array.isArray(userIds) && userIds.length) map.set(guildId, new Set(userIds));
+    }
+  }
 
   function ensure(guildId) {
     if (!map.has(guildId)) map.set(guildId, new Set());
     return map.get(guildId);
   }
 
+  function persist(guildId) {
+    if (!saved) return;
+    const s = map.get(guildId);
+    if (s && s.size) saved.set(guildId, Array.from(s));
+    else saved.delete(guildId);
+  }
+
   function protect(guildId, userId) {
     if (!guildId || !userId) return;
     const s = ensure(guildId);
     s.add(userId);
+    persist(guildId);
   }
 
   function unprotect(guildId, userId) {
     if (!guildId || !userId) return;
     const s = ensure(guildId);
     s.delete(userId);
+    persist(guildId);
   }
 
   function isProtected(guildId, userId) {
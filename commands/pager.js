@@ -0,0 +1,237 @@
+// commands/pager.js
+// Paginated terminal output: text too long for one embed is split into pages on line boundaries, with
+// buttons to move between them; very long output is sent as a .txt attachment instead.
+// Usage:
+//
+// const initPager = require('./commands/pager');
+// const pager = initPager(client, { attachBytes: 64 * 1024 }); // registers the button/modal handler
+// const pages = initPager.paginate(lines, { maxChars: 3700 });
+// if (pages.length > 1) await pager.show(channel, promptLine, lines, { userId, maxChars: 3700 });
+// register('less', async ({ message, stdin }) => pager.less(message.author.id, stdin.split('\n')));
+//
+// show() posts the first page with First/Prev/Go to/Next/Last/Close buttons; only the user who ran the
+// command can turn pages, and the buttons go away after IDLE_MS without a click. Output over `attachBytes`
+// gets the first page in the embed and the whole text as output.txt.
+// less() returns an interactive output ({ interactive: true, send(channel, promptLine, { maxChars }) }) that
+// pages LESS_LINES lines at a time, however short the text.
+
+const crypto = require('node:crypto');
+const {
+  ActionRowBuilder,
+  AttachmentBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+
+const IDLE_MS = 10 * 60 * 1000;
+const ATTACH_BYTES = 64 * 1024;
+const MAX_SESSIONS = 200; // the oldest pager loses its buttons beyond this
+const LESS_LINES = 20;
+const MAX_LESS_BYTES = 1024 * 1024; // what `less <file>` reads
+
+// ``` broken up so output cannot close the code block
+const safe = (line) => line.replace(/```/g, '`\u200b``');
+
+// Split lines into pages of at most maxChars characters (and maxLines lines); a line longer than a page is cut
+// into page-sized pieces. Returns [[line, ...], ...] with at least one (possibly empty) page.
+function paginate(lines, { maxChars, maxLines = Infinity }) {
+  if (!(maxChars >= 1)) throw new RangeError(`paginate: maxChars must be at least 1 (got ${maxChars})`);
+  const pages = [];
+  let page = [];
+  let size = 0;
+  const flush = () => {
+    pages.push(page);
+    page = [];
+    size = 0;
+  };
+  for (const raw of lines) {
+    const line = safe(raw);
+    const pieces = [];
+    for (let off = 0; off === 0 || off < line.length; off += maxChars) pieces.push(line.slice(off, off + maxChars));
+    for (const piece of pieces) {
+      if (page.length && (size + piece.length + 1 > maxChars || page.length >= maxLines)) flush();
+      page.push(piece);
+      size += piece.length + 1;
+    }
+  }
+  if (page.length || !pages.length) flush();
+  return pages;
+}
+
+function initPager(client, { color = 0x000000, footer = '', attachBytes = ATTACH_BYTES } = {}) {
+  // sessionId -> session
+  const sessions = new Map();
+
+  function view(s) {
+    const footerText = [
+      s.pages.length > 1 ? `page ${s.page + 1}/${s.pages.length}` : '',
+      s.status,
+      footer
+    ].filter(Boolean).join(' • ');
+    const embed = new EmbedBuilder()
+      .setColor(color)
+      .setDescription('```text\n' + s.promptLine + '\n\n' + s.pages[s.page].join('\n') + '\n```');
+    if (footerText) embed.setFooter({ text: footerText });
+    return embed;
+  }
+
+  function button(s, action, label, disabled = false, style = ButtonStyle.Secondary) {
+    return new ButtonBuilder().setCustomId(`page:${s.id}:btn:${action}`).setLabel(label).setStyle(style).setDisabled(disabled);
+  }
+
+  function controls(s) {
+    const first = s.page === 0;
+    const last = s.page === s.pages.length - 1;
+    return [
+      new ActionRowBuilder().addComponents(
+        button(s, 'first', '⏮', first),
+        button(s, 'prev', '◀ Prev', first),
+        button(s, 'jump', 'Go to…', s.pages.length < 3),
+        button(s, 'next', 'Next ▶', last),
+        button(s, 'last', '⏭', last)
+      ),
+      new ActionRowBuilder().addComponents(
+        button(s, 'close', 'Close')
+      )
+    ];
+  }
+
+  function touch(s) {
+    clearTimeout(s.timer);
+    s.timer = setTimeout(() => end(s), IDLE_MS);
+    s.timer.unref?.();
+  }
+
+  // forget a session and take the buttons off its message
+  function end(s) {
+    clearTimeout(s.timer);
+    sessions.delete(s.id);
+    if (s.message) s.message.edit({ embeds: [view(s)], components: [] }).catch(() => {});
+  }
+
+  // Post `lines` under the prompt, paged when they do not fit in one embed. Returns the sent message.
+  async function show(channel, promptLine, lines, { userId, maxChars, maxLines } = {}) {
+    const text = lines.join('\n');
+    const bytes = Buffer.byteLength(text);
+    const pages = paginate(lines, { maxChars, maxLines });
+
+    if (bytes > attachBytes) {
+      const s = { promptLine, pages: pages.slice(0, 1), page: 0, status: `too long to page (${pages.length} pages) — full output attached as output.txt`, timer: null };
+      return channel.send({
+        embeds: [view(s)],
+        files: [new AttachmentBuilder(Buffer.from(text + '\n'), { name: 'output.txt' })]
+      });
+    }
+
+    const s = {
+      id: crypto.randomBytes(6).toString('hex'),
+      userId,
+      promptLine,
+      pages,
+      page: 0,
+      status: '',
+      message: null,
+      timer: null
+    };
+    if (pages.length === 1) return channel.send({ embeds: [view(s)] });
+
+    if (sessions.size >= MAX_SESSIONS) end(sessions.values().next().value);
+    sessions.set(s.id, s);
+    touch(s);
+    s.message = await channel.send({ embeds: [view(s)], components: controls(s) });
+    return s.message;
+  }
+
+  // `| less`: an interactive output that pages `lines` LESS_LINES at a time (one short page gets no buttons)
+  function less(userId, lines) {
+    return {
+      interactive: true,
+      send: (channel, promptLine, { maxChars } = {}) => show(channel, promptLine, lines, {
+        userId,
+        maxChars,
+        maxLines: LESS_LINES
+      })
+    };
+  }
+
+  async function onButton(interaction, s, action) {
+    const last = s.pages.length - 1;
+    switch (action) {
+      case 'first': s.page = 0; break;
+      case 'prev': s.page = Math.max(0, s.page - 1); break;
+      case 'next': s.page = Math.min(last, s.page + 1); break;
+      case 'last': s.page = last; break;
+      case 'jump': {
+        const input = new TextInputBuilder()
+          .setCustomId('value')
+          .setLabel(`Page number (1-${s.pages.length})`)
+          .setStyle(TextInputStyle.Short)
+          .setRequired(true)
+          .setMaxLength(10);
+        return interaction.showModal(new ModalBuilder()
+          .setCustomId(`page:${s.id}:modal:jump`)
+          .setTitle('Go to page')
+          .addComponents(new ActionRowBuilder().addComponents(input)));
+      }
+      case 'close':
+        clearTimeout(s.timer);
+        sessions.delete(s.id);
+        return interaction.update({ embeds: [view(s)], components: [] });
+      default:
+        return interaction.reply({ content: 'Unknown pager action.', ephemeral: true });
+    }
+    return interaction.update({ embeds: [view(s)], components: controls(s) });
+  }
+
+  async function onModal(interaction, s) {
+    const value = (interaction.fields.getTextInputValue('value') || '').trim();
+    const n = parseInt(value, 10);
+    if (!Number.isInteger(n) || n < 1 || n > s.pages.length) {
+      return interaction.reply({ content: `No page ${value} (there are ${s.pages.length}).`, ephemeral: true });
+    }
+    s.page = n - 1;
+    return interaction.update({ embeds: [view(s)], components: controls(s) });
+  }
+
+  client.on('interactionCreate', async (interaction) => {
+    const isButton = interaction.isButton?.();
+    const isModal = interaction.isModalSubmit?.();
+    if (!isButton && !isModal) return;
+    const [prefix, id, kind, action] = String(interaction.customId || '').split(':');
+    if (prefix !== 'page') return;
+    try {
+      const s = sessions.get(id);
+      if (!s) {
+        await interaction.reply({ content: 'These pages have expired. Run the command again.', ephemeral: true });
+        return;
+      }
+      if (interaction.user.id !== s.userId) {
+        await interaction.reply({ content: 'Only the person who ran this command can turn its pages.', ephemeral: true });
+        return;
+      }
+      touch(s);
+      if (kind === 'btn' && isButton) await onButton(interaction, s, action);
+      else if (kind === 'modal' && isModal) await onModal(interaction, s);
+    } catch (err) {
+      console.error('[pager] interaction handler error:', err);
+      try { if (!interaction.replied && !interaction.deferred) await interaction.reply({ content: 'Pager error', ephemeral: true }); } catch (_) {}
+    }
+  });
+
+  return {
+    show,
+    less,
+    sessions,
+    attachBytes
+  };
+}
+
+module.exports = initPager;
+module.exports.paginate = paginate;
+module.exports.IDLE_MS = IDLE_MS;
+module.exports.ATTACH_BYTES = ATTACH_BYTES;
+module.exports.MAX_LESS_BYTES = MAX_LESS_BYTES;
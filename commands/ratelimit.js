@@ -0,0 +1,369 @@
+// commands/ratelimit.js
+// Rate limiting for $ lines: token buckets per user and per guild, with per-command costs, escalating temporary
+// blocks for users who keep hitting the limit, and per-guild overrides that admins set with /ratelimit.
+// Usage:
+//
+// const initRateLimit = require('./commands/ratelimit');
+// const limiter = initRateLimit(client, { store }); // registers the /ratelimit interaction handler
+// const verdict = limiter.check({ userId, guildId, commands: [{ name: 'sudo', sub: 'hack' }, { name: 'ls' }] });
+// // -> { ok: true } or { ok: false, reason: 'limited' | 'blocked', retryMs, notify }
+// //    or { ok: false, reason: 'cost', cost, max, notify } for a line that costs more than a full bucket
+//
+// A line costs the sum of its commands' costs (COSTS, `name` or `name sub`; anything else costs 1). The user's
+// bucket and the guild's bucket must both cover it; a line that costs more than either bucket holds when full can
+// never run and is refused outright (no strike), so chaining commands cannot get around their costs. Running out of the user's bucket is a strike; `strikes`
+// strikes within `strikeWindowMs` block the user for the next step of BLOCK_STEPS, and the step goes back to the
+// first after `forgiveMs` without strikes. Running out of the guild's bucket is nobody's fault and never a strike.
+// `notify` is true at most once per block (and once per NOTICE_MS while limited), so the caller can answer with
+// a reaction instead of a message and a flood of lines gets no flood of answers.
+// Per-guild overrides (persisted in the state store, namespace 'ratelimit'): bucket sizes and rates, command
+// costs, and exempt users.
+//
+// The module also exports:
+//   .command -> SlashCommandBuilder for /ratelimit (status/set/cost/exempt/unblock/reset), Manage Server only
+//   .LIMITS, .COSTS, .BLOCK_STEPS -> defaults
+
+const { SlashCommandBuilder, PermissionsBitField } = require('discord.js');
+
+const LIMITS = {
+  userBurst: 8, // tokens a user can spend at once
+  userPerMinute: 20, // refill rate of a user's bucket
+  guildBurst: 60,
+  guildPerMinute: 240,
+  strikes: 3,
+  strikeWindowMs: 60 * 1000,
+  forgiveMs: 15 * 60 * 1000
+};
+
+const COSTS = {
+  'sudo hack': 5,
+  upload: 4,
+  run: 3,
+  download: 3,
+  zip: 3,
+  unzip: 3,
+  tar: 3,
+  edit: 2,
+  sudo: 1,
+  ping: 0.5,
+  help: 0.5,
+  history: 0.5,
+  jobs: 0,
+  kill: 0
+};
+
+const BLOCK_STEPS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 60 * 60 * 1000];
+const NOTICE_MS = 10 * 1000;
+const SWEEP_MS = 5 * 60 * 1000;
+const MAX_EXEMPT = 50;
+
+function bucket(size, perMinute, now) {
+  return { size, perMinute, tokens: size, updated: now };
+}
+
+function refill(b, now) {
+  b.tokens = Math.min(b.size, b.tokens + ((now - b.updated) / 60000) * b.perMinute);
+  b.updated = now;
+}
+
+// settings can change under a live bucket (/ratelimit set): resize it in place
+function fit(b, size, perMinute) {
+  b.size = size;
+  b.perMinute = perMinute;
+  b.tokens = Math.min(b.tokens, size);
+}
+
+// Merge cost tables into one without a prototype, so `$constructor` or `$__proto__` never finds an inherited
+// key. Anything that is not a finite, non-negative number is dropped: a NaN cost would leave a bucket that never
+// runs out.
+function costTable(...sources) {
+  const table = Object.create(null);
+  for (const src of sources) {
+    for (const [name, cost] of Object.entries(src || {})) {
+      if (typeof cost === 'number' && Number.isFinite(cost) && cost >= 0) table[name] = cost;
+    }
+  }
+  return table;
+}
+
+function formatMs(ms) {
+  const s = Math.ceil(ms / 1000);
+  if (s < 60) return `${s} s`;
+  const m = Math.ceil(s / 60);
+  return m < 60 ? `${m} min` : `${Math.round(m / 60)} h`;
+}
+
+function initRateLimit(client, { store = null, limits = {}, costs = {} } = {}) {
+  const defaults = Object.assign({}, LIMITS, limits);
+  const baseCosts = costTable(COSTS, costs);
+  // guildId -> { userBurst?, userPerMinute?, guildPerMinute?, costs: { name: cost }, exempt: [userId] }
+  const saved = store ? store.namespace('ratelimit') : null;
+  const overrides = new Map(saved ? saved.entries() : []);
+  // `${guildId}:${userId}` -> { bucket, strikes: [time], level, lastStrike, blockedUntil, noticedAt }
+  const users = new Map();
+  // guildId -> bucket
+  const guilds = new Map();
+
+  function settings(guildId) {
+    const o = (guildId && overrides.get(guildId)) || {};
+    return {
+      userBurst: o.userBurst || defaults.userBurst,
+      userPerMinute: o.userPerMinute || defaults.userPerMinute,
+      guildBurst: defaults.guildBurst,
+      guildPerMinute: o.guildPerMinute || defaults.guildPerMinute,
+      costs: costTable(baseCosts, o.costs),
+      exempt: new Set(o.exempt || [])
+    };
+  }
+
+  function save(guildId, o) {
+    overrides.set(guildId, o);
+    if (saved) saved.set(guildId, o);
+  }
+
+  function lineCost(commands, costs) {
+    let total = 0;
+    for (const { name, sub } of commands) {
+      const key = sub ? `${name} ${sub}` : null;
+      total += key && key in costs ? costs[key] : (name in costs ? costs[name] : 1);
+    }
+    return total;
+  }
+
+  function userState(key, s, now) {
+    let u = users.get(key);
+    if (!u) {
+      u = { bucket: bucket(s.userBurst, s.userPerMinute, now), strikes: [], level: 0, lastStrike: 0, blockedUntil: 0, noticedAt: 0 };
+      users.set(key, u);
+    }
+    fit(u.bucket, s.userBurst, s.userPerMinute);
+    return u;
+  }
+
+  function guildBucket(guildId, s, now) {
+    let b = guilds.get(guildId);
+    if (!b) {
+      b = bucket(s.guildBurst, s.guildPerMinute, now);
+      guilds.set(guildId, b);
+    }
+    fit(b, s.guildBurst, s.guildPerMinute);
+    return b;
+  }
+
+  // notify once per block, and at most once per NOTICE_MS while merely limited
+  function notice(u, now, blockStarted) {
+    if (!blockStarted && now - u.noticedAt < NOTICE_MS) return false;
+    u.noticedAt = now;
+    return true;
+  }
+
+  function strike(u, now) {
+    if (now - u.lastStrike > defaults.forgiveMs) u.level = 0;
+    u.lastStrike = now;
+    u.strikes = u.strikes.filter(t => now - t < defaults.strikeWindowMs).concat(now);
+    if (u.strikes.length < defaults.strikes) return false;
+    u.strikes = [];
+    u.blockedUntil = now + BLOCK_STEPS[Math.min(u.level, BLOCK_STEPS.length - 1)];
+    u.level++;
+    return true;
+  }
+
+  // Decide whether a line may run, and charge for it when it may.
+  function check({ userId, guildId = null, commands = [] }) {
+    const now = Date.now();
+    const s = settings(guildId);
+    if (s.exempt.has(userId)) return { ok: true };
+
+    const u = userState(`${guildId || 'dm'}:${userId}`, s, now);
+    if (u.blockedUntil > now) {
+      return { ok: false, reason: 'blocked', retryMs: u.blockedUntil - now, notify: false };
+    }
+
+    const cost = lineCost(commands, s.costs);
+    if (cost === 0) return { ok: true };
+    const max = guildId ? Math.min(s.userBurst, s.guildBurst) : s.userBurst;
+    if (cost > max) return { ok: false, reason: 'cost', cost, max, notify: notice(u, now, false) };
+    refill(u.bucket, now);
+    const g = guildId ? guildBucket(guildId, s, now) : null;
+    if (g) refill(g, now);
+
+    if (u.bucket.tokens < cost) {
+      const blocked = strike(u, now);
+      if (blocked) return { ok: false, reason: 'blocked', retryMs: u.blockedUntil - now, notify: notice(u, now, true) };
+      const retryMs = Math.ceil(((cost - u.bucket.tokens) / u.bucket.perMinute) * 60000);
+      return { ok: false, reason: 'limited', retryMs, notify: notice(u, now, false) };
+    }
+    if (g && g.tokens < cost) {
+      const retryMs = Math.ceil(((cost - g.tokens) / g.perMinute) * 60000);
+      return { ok: false, reason: 'limited', retryMs, notify: notice(u, now, false) };
+    }
+
+    u.bucket.tokens -= cost;
+    if (g) g.tokens -= cost;
+    return { ok: true };
+  }
+
+  function unblock(guildId, userId) {
+    const u = users.get(`${guildId || 'dm'}:${userId}`);
+    if (!u) return false;
+    const was = u.blockedUntil > Date.now();
+    users.delete(`${guildId || 'dm'}:${userId}`);
+    return was;
+  }
+
+  // forget users and guilds whose buckets are full again and who are neither blocked nor on a strike level
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, u] of users) {
+      refill(u.bucket, now);
+      if (u.bucket.tokens >= u.bucket.size && u.blockedUntil <= now && now - u.lastStrike > defaults.forgiveMs) users.delete(key);
+    }
+    for (const [id, b] of guilds) {
+      refill(b, now);
+      if (b.tokens >= b.size) guilds.delete(id);
+    }
+  }, SWEEP_MS);
+  sweeper.unref?.();
+
+  function describe(guildId) {
+    const s = settings(guildId);
+    const o = overrides.get(guildId) || {};
+    const changed = Object.entries(o.costs || {}).map(([name, cost]) => `\`${name}\` ${cost}`);
+    return [
+      `Per user: ${s.userBurst} tokens at once, ${s.userPerMinute} per minute${o.userBurst || o.userPerMinute ? ' (custom)' : ''}`,
+      `Whole server: ${s.guildBurst} tokens at once, ${s.guildPerMinute} per minute${o.guildPerMinute ? ' (custom)' : ''}`,
+      `Costs: \`sudo hack\` ${s.costs['sudo hack']}, \`upload\` ${s.costs.upload}, \`run\` ${s.costs.run}, \`ping\` ${s.costs.ping}, anything else 1; a line costs the sum of its commands, at most ${Math.min(s.userBurst, s.guildBurst)}`,
+      changed.length ? `Custom costs: ${changed.join(', ')}` : null,
+      `Repeat offenders: ${defaults.strikes} hits within ${formatMs(defaults.strikeWindowMs)} block them for ${BLOCK_STEPS.map(formatMs).join(', then ')}`,
+      s.exempt.size ? `Exempt: ${[...s.exempt].map(id => `<@${id}>`).join(', ')}` : null
+    ].filter(Boolean).join('\n');
+  }
+
+  // /ratelimit status|set|cost|exempt|unblock|reset
+  client.on('interactionCreate', async (interaction) => {
+    try {
+      if (!interaction.isChatInputCommand?.()) return;
+      if (interaction.commandName !== 'ratelimit') return;
+      if (!interaction.guildId) {
+        await interaction.reply({ content: 'This command must be used in a server.', ephemeral: true });
+        return;
+      }
+      const guildId = interaction.guildId;
+      const sub = interaction.options.getSubcommand();
+      if (sub === 'status') {
+        await interaction.reply({ content: describe(guildId), ephemeral: true, allowedMentions: { parse: [] } });
+        return;
+      }
+
+      const perms = interaction.memberPermissions || (interaction.member && interaction.member.permissions);
+      if (!perms || typeof perms.has !== 'function' || (!perms.has(PermissionsBitField.Flags.ManageGuild) && !perms.has(PermissionsBitField.Flags.Administrator))) {
+        await interaction.reply({ content: 'You need Manage Server or Administrator permission to change rate limits.', ephemeral: true });
+        return;
+      }
+
+      const o = Object.assign({ costs: {}, exempt: [] }, overrides.get(guildId) || {});
+      let reply;
+      if (sub === 'set') {
+        const userBurst = interaction.options.getInteger('user_burst');
+        const userPerMinute = interaction.options.getInteger('user_per_minute');
+        const guildPerMinute = interaction.options.getInteger('server_per_minute');
+        if (userBurst !== null) o.userBurst = userBurst;
+        if (userPerMinute !== null) o.userPerMinute = userPerMinute;
+        if (guildPerMinute !== null) o.guildPerMinute = guildPerMinute;
+        save(guildId, o);
+        reply = `✅ Rate limits updated.\n${describe(guildId)}`;
+      } else if (sub === 'cost') {
+        const name = interaction.options.getString('command').trim().replace(/^\$/, '').toLowerCase().replace(/\s+/g, ' ');
+        const cost = interaction.options.getNumber('cost');
+        if (cost === null) delete o.costs[name];
+        else o.costs = costTable(o.costs, { [name]: cost });
+        save(guildId, o);
+        reply = cost === null ? `✅ \`${name}\` is back to its default cost.` : `✅ \`${name}\` now costs ${cost}.`;
+      } else if (sub === 'exempt') {
+        const user = interaction.options.getUser('user');
+        const on = interaction.options.getBoolean('exempt') ?? true;
+        const list = o.exempt.filter(id => id !== user.id);
+        if (on) {
+          if (list.length >= MAX_EXEMPT) {
+            await interaction.reply({ content: `At most ${MAX_EXEMPT} users can be exempt.`, ephemeral: true });
+            return;
+          }
+          list.push(user.id);
+        }
+        o.exempt = list;
+        save(guildId, o);
+        reply = on ? `✅ <@${user.id}> is no longer rate limited here.` : `✅ <@${user.id}> is rate limited again.`;
+      } else if (sub === 'unblock') {
+        const user = interaction.options.getUser('user');
+        reply = unblock(guildId, user.id) ? `✅ <@${user.id}> is unblocked.` : `<@${user.id}> was not blocked; their limits are reset anyway.`;
+      } else if (sub === 'reset') {
+        overrides.delete(guildId);
+        if (saved) saved.delete(guildId);
+        reply = `✅ Rate limits are back to the defaults.\n${describe(guildId)}`;
+      } else {
+        reply = 'Unknown subcommand.';
+      }
+      await interaction.reply({ content: reply, ephemeral: true, allowedMentions: { parse: [] } });
+    } catch (err) {
+      console.error('[ratelimit] interaction handler error:', err);
+      try { if (!interaction.replied) await interaction.reply({ content: 'Error handling /ratelimit command', ephemeral: true }); } catch (_) {}
+    }
+  });
+
+  return {
+    check,
+    unblock,
+    settings,
+    describe,
+    formatMs,
+    limits: defaults
+  };
+}
+
+module.exports = initRateLimit;
+module.exports.LIMITS = LIMITS;
+module.exports.COSTS = COSTS;
+module.exports.BLOCK_STEPS = BLOCK_STEPS;
+
+// === Slash command builder (/ratelimit ...) ===
+module.exports.command = new SlashCommandBuilder()
+  .setName('ratelimit')
+  .setDescription('Show or change how fast $ commands may be used in this server')
+  .addSubcommand(sub =>
+    sub
+      .setName('status')
+      .setDescription('Show the limits in this server')
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('set')
+      .setDescription('Change the token buckets (Manage Server required)')
+      .addIntegerOption(opt => opt.setName('user_burst').setDescription('Tokens a user can spend at once').setMinValue(1).setMaxValue(100))
+      .addIntegerOption(opt => opt.setName('user_per_minute').setDescription('Tokens a user gets back per minute').setMinValue(1).setMaxValue(600))
+      .addIntegerOption(opt => opt.setName('server_per_minute').setDescription('Tokens the whole server gets back per minute').setMinValue(1).setMaxValue(6000))
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('cost')
+      .setDescription('Set what a command costs (Manage Server required)')
+      .addStringOption(opt => opt.setName('command').setDescription('Command name, e.g. ping or "sudo hack"').setRequired(true).setMaxLength(40))
+      .addNumberOption(opt => opt.setName('cost').setDescription('Tokens per use (0 = free); leave out to restore the default').setMinValue(0).setMaxValue(100))
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('exempt')
+      .setDescription('Exempt a user from rate limits here (Manage Server required)')
+      .addUserOption(opt => opt.setName('user').setDescription('User').setRequired(true))
+      .addBooleanOption(opt => opt.setName('exempt').setDescription('false to limit them again (default true)'))
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('unblock')
+      .setDescription('Lift a temporary block (Manage Server required)')
+      .addUserOption(opt => opt.setName('user').setDescription('User').setRequired(true))
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('reset')
+      .setDescription('Restore the default limits, costs and exemptions (Manage Server required)')
+  );
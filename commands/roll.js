@@ -0,0 +1,284 @@
+// commands/roll.js
+// Dice-notation parser and roller for $roll.
+// Usage:
+//
+// const initRoll = require('./commands/roll');
+// const dice = initRoll();                          // Math.random
+// const seeded = initRoll({ rng: initRoll.createRng(42) }); // deterministic (tests, replays)
+// dice.run('4d6kh3 + 2');                           // -> output lines with per-die breakdown
+// dice.roll('1d20+5+2d4');                          // -> { total, groups: [...] }
+//
+// Grammar (whitespace ignored, case-insensitive):
+//   expr   := term (('+' | '-') term)*
+//   term   := factor (('*' | '/') factor)*
+//   factor := '-' factor | '(' expr ')' | dice | integer
+//   dice   := [count] 'd' (sides | '%') modifier*
+//   modifier := 'kh' n | 'kl' n | 'k' n (= kh) | 'dh' n | 'dl' n | '!' (explode on max)
+// A bare integer on its own (e.g. `6`) is shorthand for `1d6`.
+
+const MAX_INPUT_LENGTH = 120;
+const MAX_DICE = 100;       // dice rolled across the whole expression (before explosions)
+const MAX_SIDES = 1000;
+const MAX_EXPLOSIONS = 100; // extra rolls from exploding dice across the whole expression
+const MAX_DEPTH = 32;
+
+function rollError(message, column) {
+  const err = new Error(message);
+  err.column = column;
+  err.isRollError = true;
+  return err;
+}
+
+// mulberry32: tiny seedable PRNG returning floats in [0, 1)
+function createRng(seed) {
+  let a = (Number(seed) >>> 0) || 0x9e3779b9;
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ---------------- Parser ----------------
+// AST nodes:
+//   { type: 'num', value } | { type: 'neg', arg } | { type: 'binary', op, left, right, col }
+//   { type: 'dice', count, sides, explode, keep: { mode: 'h'|'l', n } | null, drop: { mode, n } | null, text, col }
+function parse(input) {
+  const src = String(input || '').toLowerCase();
+  let i = 0;
+  let depth = 0;
+  let diceCount = 0;
+
+  function skipWs() {
+    while (i < src.length && /\s/.test(src[i])) i++;
+  }
+
+  function peek() {
+    skipWs();
+    return src[i];
+  }
+
+  function describe(ch) {
+    return ch === undefined ? 'end of input' : `'${ch}'`;
+  }
+
+  function readInt() {
+    skipWs();
+    const m = /^\d+/.exec(src.slice(i));
+    if (!m) return null;
+    i += m[0].length;
+    return parseInt(m[0], 10);
+  }
+
+  function parseExpr() {
+    let left = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      const col = i + 1;
+      const op = src[i++];
+      left = { type: 'binary', op, left, right: parseTerm(), col };
+    }
+    return left;
+  }
+
+  function parseTerm() {
+    let left = parseFactor();
+    while (peek() === '*' || peek() === '/') {
+      const col = i + 1;
+      const op = src[i++];
+      left = { type: 'binary', op, left, right: parseFactor(), col };
+    }
+    return left;
+  }
+
+  function parseFactor() {
+    const ch = peek();
+    const col = i + 1;
+
+    if (ch === '-' || ch === '(') {
+      if (++depth > MAX_DEPTH) throw rollError('expression is nested too deeply', col);
+      i++;
+      let node;
+      if (ch === '-') {
+        node = { type: 'neg', arg: parseFactor() };
+      } else {
+        node = parseExpr();
+        if (peek() !== ')') throw rollError(`expected ')' but found ${describe(peek())}`, i + 1);
+        i++;
+      }
+      depth--;
+      return node;
+    }
+
+    const n = readInt();
+    if (peek() === 'd') return parseDice(n === null ? 1 : n, col);
+    if (n !== null) return { type: 'num', value: n };
+
+    throw rollError(`unexpected ${describe(peek())}`, i + 1);
+  }
+
+  function parseDice(count, col) {
+    i++; // 'd'
+    let sides;
+    if (peek() === '%') {
+      i++;
+      sides = 100;
+    } else {
+      sides = readInt();
+      if (sides === null) throw rollError(`expected number of sides after 'd' but found ${describe(peek())}`, i + 1);
+    }
+
+    if (count < 1) throw rollError('dice count must be at least 1', col);
+    if (sides < 2) throw rollError('dice need at least 2 sides', col);
+    if (sides > MAX_SIDES) throw rollError(`dice can have at most ${MAX_SIDES} sides`, col);
+    diceCount += count;
+    if (diceCount > MAX_DICE) throw rollError(`too many dice (max ${MAX_DICE} per roll)`, col);
+
+    const node = { type: 'dice', count, sides, explode: false, keep: null, drop: null, col };
+
+    for (;;) {
+      const ch = peek();
+      const modCol = i + 1;
+      if (ch === '!') {
+        i++;
+        node.explode = true;
+        continue;
+      }
+      if (ch === 'k' || (ch === 'd' && /^d[hl]/.test(src.slice(i)))) {
+        const kind = ch;
+        i++;
+        let mode = 'h';
+        if (src[i] === 'h' || src[i] === 'l') mode = src[i++];
+        else if (kind === 'd') throw rollError(`expected 'h' or 'l' after 'd'`, i + 1);
+        const n = readInt();
+        if (n === null) throw rollError(`expected a number after '${kind}${mode}'`, i + 1);
+        if (n < 1 || n > count) throw rollError(`can only ${kind === 'k' ? 'keep' : 'drop'} between 1 and ${count} dice`, modCol);
+        if (node.keep || node.drop) throw rollError('only one keep/drop modifier is allowed per group', modCol);
+        if (kind === 'k') node.keep = { mode, n };
+        else node.drop = { mode, n };
+        continue;
+      }
+      break;
+    }
+
+    node.text = src.slice(col - 1, i).replace(/\s+/g, '');
+    return node;
+  }
+
+  skipWs();
+  if (i >= src.length) throw rollError('empty expression', 1);
+  const ast = parseExpr();
+  if (peek() !== undefined) throw rollError(`unexpected ${describe(peek())}`, i + 1);
+  return ast;
+}
+
+// ---------------- Evaluator ----------------
+// Returns { total, groups } where groups is one entry per dice node, in expression order:
+//   { text, dice: [{ rolls: [..], value, dropped }], subtotal }
+function evaluate(ast, rng = Math.random) {
+  const groups = [];
+  let explosions = 0;
+
+  const rollDie = (sides) => Math.floor(rng() * sides) + 1;
+
+  function rollGroup(node) {
+    const dice = [];
+    for (let d = 0; d < node.count; d++) {
+      const rolls = [rollDie(node.sides)];
+      while (node.explode && rolls[rolls.length - 1] === node.sides) {
+        if (++explosions > MAX_EXPLOSIONS) throw rollError(`too many exploding rolls (max ${MAX_EXPLOSIONS})`, node.col);
+        rolls.push(rollDie(node.sides));
+      }
+      dice.push({ rolls, value: rolls.reduce((a, b) => a + b, 0), dropped: false });
+    }
+
+    // keep/drop: rank by value, ties broken by position so results are stable
+    const ranked = dice.map((die, idx) => ({ die, idx })).sort((a, b) => (b.die.value - a.die.value) || (a.idx - b.idx));
+    let dropList = [];
+    if (node.keep) {
+      dropList = node.keep.mode === 'h' ? ranked.slice(node.keep.n) : ranked.slice(0, ranked.length - node.keep.n);
+    } else if (node.drop) {
+      dropList = node.drop.mode === 'h' ? ranked.slice(0, node.drop.n) : ranked.slice(ranked.length - node.drop.n);
+    }
+    for (const r of dropList) r.die.dropped = true;
+
+    const subtotal = dice.filter(d => !d.dropped).reduce((a, d) => a + d.value, 0);
+    groups.push({ text: node.text, sides: node.sides, dice, subtotal });
+    return subtotal;
+  }
+
+  function walk(node) {
+    switch (node.type) {
+      case 'num': return node.value;
+      case 'neg': return -walk(node.arg);
+      case 'dice': return rollGroup(node);
+      case 'binary': {
+        const a = walk(node.left);
+        const b = walk(node.right);
+        switch (node.op) {
+          case '+': return a + b;
+          case '-': return a - b;
+          case '*': return a * b;
+          case '/':
+            if (b === 0) throw rollError('division by zero', node.col);
+            return Math.trunc(a / b);
+        }
+      }
+    }
+    throw rollError('invalid expression', 1);
+  }
+
+  const total = walk(ast);
+  return { total, groups };
+}
+
+function formatDie(die, sides) {
+  const shown = die.rolls.map(r => (r === sides && die.rolls.length > 1 ? `${r}!` : String(r))).join('+');
+  return die.dropped ? `(${shown})` : shown;
+}
+
+function formatError(src, err) {
+  if (!err || !err.isRollError) return [`roll: ${err && err.message ? err.message : String(err)}`];
+  const col = Math.max(1, Math.min(err.column || 1, src.length + 1));
+  return [src, ' '.repeat(col - 1) + '^', `roll: ${err.message} (column ${col})`];
+}
+
+function initRoll({ rng = Math.random } = {}) {
+  function roll(input) {
+    let src = String(input || '').trim();
+    if (!src) src = '1d6';
+    if (/^\d+$/.test(src)) src = `1d${src}`;
+    if (src.length > MAX_INPUT_LENGTH) throw rollError(`expression too long (max ${MAX_INPUT_LENGTH} characters)`, MAX_INPUT_LENGTH);
+    const result = evaluate(parse(src), rng);
+    return Object.assign({ expression: src }, result);
+  }
+
+  // Returns output lines for the terminal renderer
+  function run(input) {
+    const src = String(input || '').trim();
+    try {
+      const { expression, total, groups } = roll(src);
+      const lines = [`Rolling ${expression}`];
+      let anyDropped = false;
+      for (const g of groups) {
+        if (g.dice.some(d => d.dropped)) anyDropped = true;
+        lines.push(`  ${g.text}: [${g.dice.map(d => formatDie(d, g.sides)).join(', ')}] = ${g.subtotal}`);
+      }
+      lines.push(`Total: ${total}`);
+      if (anyDropped) lines.push('(dropped dice shown in parentheses)');
+      return lines;
+    } catch (err) {
+      if (!err.isRollError) console.error('[roll] internal error:', err);
+      return formatError(src, err);
+    }
+  }
+
+  return { run, roll };
+}
+
+module.exports = initRoll;
+module.exports.createRng = createRng;
+module.exports.parse = parse;
+module.exports.evaluate = evaluate;
+module.exports.limits = { MAX_DICE, MAX_SIDES, MAX_EXPLOSIONS };
@@ -0,0 +1,120 @@
+// commands/sandbox-worker.js
+// Worker thread for $run (see commands/sandbox.js): runs one script in a fresh vm context and posts its output.
+// workerData: { code, filename, args, timeoutMs, maxOutputBytes }
+// Messages to the parent:
+//   { type: 'out', text }                       - one console line
+//   { type: 'done', ok, error?, truncated, ms } - finished (the worker exits right after)
+//
+// The context gets nothing from Node: no require, process, timers, fs or network, and no eval/new Function.
+// Its only host link is the `send` bridge, kept in a closure so scripts never hold a host-realm function (whose
+// .constructor would lead back to the worker's process).
+// Nothing the script controls is ever touched outside a vm timeout: errors are described inside the context,
+// because reading .stack or .message of a thrown object can run its getters, and a worker stuck in those
+// cannot be terminated.
+
+const vm = require('node:vm');
+const { parentPort, workerData } = require('node:worker_threads');
+
+const { code, filename, args, timeoutMs, maxOutputBytes } = workerData;
+const SETUP_TIMEOUT_MS = 250;
+
+let outBytes = 0;
+let truncated = false;
+
+function send(text) {
+  try {
+    if (truncated) return;
+    const s = String(text);
+    outBytes += Buffer.byteLength(s) + 1;
+    if (outBytes > maxOutputBytes) {
+      truncated = true;
+      return;
+    }
+    parentPort.postMessage({ type: 'out', text: s });
+  } catch (_) {}
+}
+
+const context = vm.createContext(Object.create(null), {
+  name: 'sandbox',
+  codeGeneration: { strings: false, wasm: false },
+  microtaskMode: 'afterEvaluate'
+});
+
+// Installs console/print/args and two locked globals the host calls through timed scripts:
+//   __run()     -> '' or a description of the uncaught error
+//   __failure() -> '' or a description of the first unhandled promise rejection
+// and returns a function that keeps an unhandled rejection's reason (without looking at it) for __failure().
+const SETUP = `(function (send, argsJson, fileName) {
+  const fmt = (v) => {
+    if (typeof v === 'string') return v;
+    try { return JSON.stringify(v) ?? String(v); } catch (_) { return String(v); }
+  };
+  const line = (...a) => { try { send(a.map(fmt).join(' ')); } catch (_) {} };
+  const at = new RegExp(fileName.replace(/[.*+?^\${}()|[\\]\\\\]/g, '\\\\$&') + ':\\\\d+(:\\\\d+)?');
+  const describe = (e) => {
+    try {
+      if (e instanceof Error) {
+        const loc = String(e.stack || '').match(at);
+        return String(e.name) + ': ' + String(e.message) + (loc ? ' (' + loc[0] + ')' : '');
+      }
+      return 'Uncaught ' + fmt(e);
+    } catch (_) {
+      return 'uncaught exception';
+    }
+  };
+  let rejected = null;
+  const lock = (name, value) => Object.defineProperty(globalThis, name, { value, writable: false, configurable: false });
+  lock('console', Object.freeze({ log: line, info: line, warn: line, error: line, debug: line }));
+  lock('print', line);
+  lock('args', Object.freeze(JSON.parse(argsJson)));
+  return (main) => {
+    lock('__run', () => {
+      try {
+        main();
+        return '';
+      } catch (e) {
+        return describe(e);
+      }
+    });
+    lock('__failure', () => (rejected ? 'Uncaught (in promise) ' + describe(rejected.reason) : ''));
+    return (reason) => { if (!rejected) rejected = { reason }; };
+  };
+})`;
+
+const started = process.hrtime.bigint();
+const ms = () => Number((process.hrtime.bigint() - started) / 1000000n);
+const done = (error) => parentPort.postMessage({ type: 'done', ok: !error, error: error || undefined, truncated, ms: ms() });
+
+let main;
+try {
+  // compiled as the body of a function in the sandbox's realm; syntax errors come from the host and are safe to read
+  main = vm.compileFunction(code, [], { filename, parsingContext: context });
+} catch (e) {
+  const loc = String(e.stack || '').split('\n')[0];
+  done(`${e.name}: ${e.message}${loc.startsWith(filename) ? ` (${loc})` : ''}`);
+  return;
+}
+
+try {
+  const install = new vm.Script(SETUP, { filename: 'sandbox-setup.js' }).runInContext(context, { timeout: SETUP_TIMEOUT_MS });
+  const noteRejection = install((text) => { send(text); }, JSON.stringify(args || []), filename)(main);
+  process.on('unhandledRejection', (reason) => noteRejection(reason));
+  // the timeout covers the script and, with microtaskMode 'afterEvaluate', every promise job it queues
+  const error = new vm.Script('__run()').runInContext(context, { timeout: timeoutMs });
+  // unhandled rejections are reported once the current task ends
+  setImmediate(() => {
+    try {
+      const failure = new vm.Script('__failure()').runInContext(context, { timeout: SETUP_TIMEOUT_MS });
+      done((typeof error === 'string' && error) || (typeof failure === 'string' && failure) || null);
+    } catch (e) {
+      failed(e);
+    }
+  });
+} catch (e) {
+  failed(e);
+}
+
+// only host errors get here (the script's own are caught inside the context)
+function failed(e) {
+  done(e && e.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' ? `CPU time limit exceeded (${timeoutMs} ms)` : 'sandbox failure');
+}
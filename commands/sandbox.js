@@ -0,0 +1,208 @@
+// commands/sandbox.js
+// $run: execute a user's stored JavaScript in a sandbox, streaming its console output to the terminal.
+// Disabled by default; server admins turn it on per guild with /sandbox enable (persisted in the state store).
+// Usage:
+//
+// const initSandbox = require('./commands/sandbox');
+// const sandbox = initSandbox(client, { store }); // registers the /sandbox interaction handler
+// sandbox.isEnabled(guildId);
+// for await (const line of sandbox.run(code, { userId, filename, args })) { ... }
+//
+// Each run gets its own worker thread (commands/sandbox-worker.js) with V8 heap limits, and the script runs in a
+// fresh vm context inside it: no require, process, timers, fs or network, no eval. The vm timeout bounds CPU time,
+// and the worker is terminated if it is still alive shortly after. Node's vm is not a security boundary on its
+// own, which is why the worker, the limits and the per-guild opt-in all stay in place.
+//
+// The module also exports:
+//   .command -> SlashCommandBuilder for /sandbox (enable/disable/status), Manage Server or Administrator only
+//   .LIMITS  -> default limits
+
+const path = require('node:path');
+const { Worker } = require('node:worker_threads');
+const { SlashCommandBuilder, PermissionsBitField } = require('discord.js');
+
+const LIMITS = {
+  timeoutMs: 2000, // CPU time for the script (vm timeout)
+  graceMs: 1000, // extra wall-clock time before the worker is terminated
+  memoryMb: 32, // V8 old-generation heap of the worker
+  maxOutputBytes: 16 * 1024,
+  maxSourceBytes: 64 * 1024,
+  maxConcurrent: 2 // runs across all users; one per user
+};
+
+const WORKER_FILE = path.join(__dirname, 'sandbox-worker.js');
+
+function initSandbox(client, { store = null, limits = {} } = {}) {
+  const opts = Object.assign({}, LIMITS, limits);
+  // guildId => true, persisted as-is
+  const saved = store ? store.namespace('sandbox') : null;
+  const enabled = new Set(saved ? saved.keys() : []);
+  // userIds with a run in progress
+  const running = new Set();
+
+  function isEnabled(guildId) {
+    return !!guildId && enabled.has(guildId);
+  }
+
+  function setEnabled(guildId, on) {
+    if (!guildId) return;
+    if (on) {
+      enabled.add(guildId);
+      if (saved) saved.set(guildId, true);
+    } else {
+      enabled.delete(guildId);
+      if (saved) saved.delete(guildId);
+    }
+  }
+
+  // Start a run; returns an async iterable of output lines ending with a status line. Once it is exhausted its
+  // `status` is the exit status (0 on success), which the shell uses for `&&` / `||`.
+  // Throws (code EBUSY) if the user already has a run going or the sandbox is at capacity.
+  // Aborting `signal` ($kill) stops the worker like the time limit does.
+  function run(code, { userId, filename = 'script.js', args = [], signal } = {}) {
+    if (running.has(userId)) throw busyError('you already have a script running');
+    if (running.size >= opts.maxConcurrent) throw busyError('the sandbox is busy, try again in a moment');
+    running.add(userId);
+
+    const queue = [];
+    let wake = null;
+    let finished = false;
+    const push = (item) => {
+      queue.push(item);
+      if (wake) { wake(); wake = null; }
+    };
+
+    const worker = new Worker(WORKER_FILE, {
+      workerData: { code, filename, args, timeoutMs: opts.timeoutMs, maxOutputBytes: opts.maxOutputBytes },
+      resourceLimits: { maxOldGenerationSizeMb: opts.memoryMb, maxYoungGenerationSizeMb: 8, codeRangeSizeMb: 8, stackSizeMb: 1 },
+      env: {},
+      argv: [],
+      execArgv: [],
+      stdout: true,
+      stderr: true
+    });
+    let status = null;
+    let exitCode = 1;
+    const finish = (line) => {
+      if (finished) return;
+      finished = true;
+      output.status = line === status ? exitCode : 1;
+      clearTimeout(killTimer);
+      running.delete(userId);
+      push({ end: line });
+      worker.terminate().catch(()=>{});
+    };
+    // backstop for anything the vm timeout cannot interrupt
+    const killTimer = setTimeout(() => finish(`[killed: time limit exceeded (${opts.timeoutMs} ms)]`), opts.timeoutMs + opts.graceMs);
+
+    worker.on('message', (msg) => {
+      if (finished || !msg) return;
+      if (msg.type === 'out') {
+        push({ line: String(msg.text) });
+      } else if (msg.type === 'done') {
+        const note = msg.truncated ? ` — output truncated at ${Math.round(opts.maxOutputBytes / 1024)} KB` : '';
+        exitCode = msg.ok ? 0 : 1;
+        status = msg.ok
+          ? `[exit 0, ${msg.ms} ms${note}]`
+          : `${msg.error}\n[exit 1, ${msg.ms} ms${note}]`;
+      }
+    });
+    worker.on('error', (e) => {
+      finish(e && e.code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? `[killed: memory limit exceeded (${opts.memoryMb} MB)]`
+        : `[sandbox error: ${e && e.message ? e.message : e}]`);
+    });
+    worker.on('exit', () => finish(status || '[exit: worker stopped]'));
+
+    const output = {
+      status: null,
+      async *[Symbol.asyncIterator]() {
+        while (true) {
+          if (!queue.length) await new Promise((r) => { wake = r; });
+          const item = queue.shift();
+          if (item.end !== undefined) {
+            yield* item.end.split('\n');
+            return;
+          }
+          yield* item.line.split('\n');
+        }
+      }
+    };
+    if (signal) {
+      if (signal.aborted) finish('[killed]');
+      else signal.addEventListener('abort', () => finish('[killed]'), { once: true });
+    }
+    return output;
+  }
+
+  // /sandbox enable|disable|status
+  client.on('interactionCreate', async (interaction) => {
+    try {
+      if (!interaction.isChatInputCommand?.()) return;
+      if (interaction.commandName !== 'sandbox') return;
+      if (!interaction.guildId) {
+        await interaction.reply({ content: 'This command must be used in a server.', ephemeral: true });
+        return;
+      }
+
+      const sub = interaction.options.getSubcommand();
+      if (sub === 'status') {
+        await interaction.reply({ content: isEnabled(interaction.guildId) ? '✅ `$run` is enabled in this server.' : '⛔ `$run` is disabled in this server.', ephemeral: true });
+        return;
+      }
+
+      const perms = interaction.memberPermissions || (interaction.member && interaction.member.permissions);
+      if (!perms || typeof perms.has !== 'function' || (!perms.has(PermissionsBitField.Flags.ManageGuild) && !perms.has(PermissionsBitField.Flags.Administrator))) {
+        await interaction.reply({ content: 'You need Manage Server or Administrator permission to change the sandbox.', ephemeral: true });
+        return;
+      }
+
+      setEnabled(interaction.guildId, sub === 'enable');
+      await interaction.reply({
+        content: sub === 'enable'
+          ? `✅ \`$run\` is now enabled in this server (limits: ${opts.timeoutMs} ms CPU, ${opts.memoryMb} MB memory, ${Math.round(opts.maxOutputBytes / 1024)} KB output).`
+          : '⛔ `$run` is now disabled in this server.',
+        ephemeral: true
+      });
+    } catch (err) {
+      console.error('[sandbox] interaction handler error:', err);
+      try { if (!interaction.replied) await interaction.reply({ content: 'Error handling /sandbox command', ephemeral: true }); } catch (_) {}
+    }
+  });
+
+  return {
+    isEnabled,
+    setEnabled,
+    run,
+    limits: opts
+  };
+}
+
+function busyError(message) {
+  const err = new Error(message);
+  err.code = 'EBUSY';
+  return err;
+}
+
+module.exports = initSandbox;
+module.exports.LIMITS = LIMITS;
+
+// === Slash command builder (/sandbox enable|disable|status) ===
+module.exports.command = new SlashCommandBuilder()
+  .setName('sandbox')
+  .setDescription('Allow or block $run (sandboxed JavaScript) in this server')
+  .addSubcommand(sub =>
+    sub
+      .setName('enable')
+      .setDescription('Enable $run in this server (Manage Server required)')
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('disable')
+      .setDescription('Disable $run in this server (Manage Server required)')
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('status')
+      .setDescription('Show whether $run is enabled here')
+  );
@@ -0,0 +1,307 @@
+// commands/textutils.js
+// Coreutils-style text commands for the shell: grep, wc, sort, uniq and sed (s/// only).
+// Usage:
+//
+// const initTextUtils = require('./commands/textutils');
+// const text = initTextUtils({ getStorage: () => client.storage });
+// await text.run('grep', { userId, args: ['-in', 'todo', 'notes.txt'], stdin: null });
+// // -> ['3:TODO: call back']  or  { stdout, status } (status 1: no match, 2: error)
+//
+// Each command reads the stored files named in its arguments, or the piped-in text when there are none.
+// Patterns are JavaScript regular expressions. They are matched inside a vm context with a time limit, so a
+// pattern that backtracks forever (e.g. (a+)+$) is stopped instead of blocking the bot.
+// The module also exports .commands (name -> help text), .parseSed and .LIMITS.
+
+const vm = require('node:vm');
+
+const LIMITS = {
+  maxInputBytes: 1024 * 1024, // per file read from storage
+  maxPatternLength: 500,
+  matchTimeoutMs: 200 // per command, all lines together
+};
+
+const commands = {
+  grep: 'print lines matching a regex (-i, -v, -n, -c)',
+  wc: 'count lines, words and bytes (-l, -w, -c)',
+  sort: 'sort lines (-n numeric, -r reverse, -u unique)',
+  uniq: 'collapse repeated adjacent lines (-c to count)',
+  sed: "replace text: sed 's/regex/replacement/[gi]' (several with -e)"
+};
+
+const USAGE = {
+  grep: 'Usage: $grep [-i] [-v] [-n] [-c] <regex> [file...]',
+  wc: 'Usage: $wc [-l] [-w] [-c] [file...]',
+  sort: 'Usage: $sort [-n] [-r] [-u] [file...]',
+  uniq: 'Usage: $uniq [-c] [file]',
+  sed: "Usage: $sed [-e] 's/regex/replacement/[gi]' [file...]"
+};
+
+// Runs in the match context; only our own code and the user's regex source ever execute there.
+const ENGINE = `
+globalThis.grep = ({ files, source, flags, invert }) => {
+  const re = new RegExp(source, flags);
+  return files.map((lines) => {
+    const hits = [];
+    for (let i = 0; i < lines.length; i++) {
+      if (re.test(lines[i]) !== invert) hits.push(i);
+    }
+    return hits;
+  });
+};
+globalThis.sed = ({ lines, rules }) => {
+  const compiled = rules.map(r => [new RegExp(r.source, r.flags), r.replacement]);
+  return lines.map(line => compiled.reduce((s, [re, rep]) => s.replace(re, rep), line));
+};
+`;
+
+function usageError(text) {
+  return { stdout: text, status: 2 };
+}
+
+// -abc flags before the operands ('--' ends them); `valued` flags take the next argument
+function parseArgs(args, valued = []) {
+  const flags = new Set();
+  const values = {};
+  const operands = [];
+  let i = 0;
+  for (; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--') { i++; break; }
+    if (!a.startsWith('-') || a === '-') break;
+    for (let j = 1; j < a.length; j++) {
+      const f = a[j];
+      if (valued.includes(f)) {
+        const v = j + 1 < a.length ? a.slice(j + 1) : args[++i];
+        if (v === undefined) throw new Error(`option requires an argument -- '${f}'`);
+        (values[f] = values[f] || []).push(v);
+        break;
+      }
+      flags.add(f);
+    }
+  }
+  operands.push(...args.slice(i));
+  return { flags, values, operands };
+}
+
+function unknownFlag(flags, allowed) {
+  return [...flags].find(f => !allowed.includes(f)) || null;
+}
+
+// 's/re/repl/flags' -> { source, flags, replacement } with sed's & and \1..\9 turned into JS $& and $1..$9
+function parseSed(script) {
+  const s = String(script);
+  if (s[0] !== 's' || s.length < 2) throw new Error(`unsupported command: ${s} (only s/regex/replacement/ is supported)`);
+  const delim = s[1];
+  if (/[\s\\a-zA-Z0-9]/.test(delim)) throw new Error(`invalid delimiter: ${delim}`);
+
+  const parts = [];
+  let cur = '';
+  let i = 2;
+  for (; i < s.length && parts.length < 2; i++) {
+    const c = s[i];
+    if (c === '\\' && s[i + 1] === delim) {
+      cur += delim;
+      i++;
+    } else if (c === '\\' && i + 1 < s.length) {
+      cur += c + s[i + 1];
+      i++;
+    } else if (c === delim) {
+      parts.push(cur);
+      cur = '';
+    } else {
+      cur += c;
+    }
+  }
+  if (parts.length < 2) throw new Error(`unterminated \`s' command: ${s}`);
+  const [source, rawReplacement] = parts;
+  const tail = s.slice(i);
+  if (!/^[gi]*$/.test(tail)) throw new Error(`unknown option to \`s': ${tail}`);
+
+  let replacement = '';
+  for (let j = 0; j < rawReplacement.length; j++) {
+    const c = rawReplacement[j];
+    if (c === '$') replacement += '$$';
+    else if (c === '&') replacement += '$&';
+    else if (c === '\\' && j + 1 < rawReplacement.length) {
+      const n = rawReplacement[++j];
+      if (/[1-9]/.test(n)) replacement += '$' + n;
+      else if (n === 'n') replacement += '\n';
+      else if (n === 't') replacement += '\t';
+      else if (n === '$') replacement += '$$';
+      else replacement += n;
+    } else {
+      replacement += c;
+    }
+  }
+  return { source, flags: [...new Set(tail)].join(''), replacement };
+}
+
+function initTextUtils({ getStorage = () => null, limits = {} } = {}) {
+  const opts = Object.assign({}, LIMITS, limits);
+  const context = vm.createContext(Object.create(null), {
+    name: 'textutils',
+    codeGeneration: { strings: false, wasm: false }
+  });
+  new vm.Script(ENGINE, { filename: 'textutils-engine.js' }).runInContext(context);
+
+  // run one engine function over the input with the time limit; throws a plain Error with a readable message
+  function match(fn, input) {
+    context.input = input;
+    try {
+      return vm.runInContext(`${fn}(input)`, context, { timeout: opts.matchTimeoutMs });
+    } catch (e) {
+      if (e && e.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw new Error(`pattern took too long (over ${opts.matchTimeoutMs} ms)`);
+      // errors from the context are not host Errors; copy out the message only
+      throw new Error(String(e && e.message ? e.message : e).replace(/^Invalid regular expression: /, 'invalid regex: '));
+    } finally {
+      context.input = undefined;
+    }
+  }
+
+  function checkPattern(source) {
+    if (source.length > opts.maxPatternLength) throw new Error(`pattern too long (max ${opts.maxPatternLength} characters)`);
+  }
+
+  // [{ name, text }] for the named files, or stdin as one unnamed input
+  async function readInputs(userId, files, stdin) {
+    if (!files.length) return stdin === null ? null : [{ name: null, text: stdin }];
+    const storage = getStorage();
+    if (!storage) throw new Error('storage subsystem unavailable');
+    const inputs = [];
+    for (const f of files) {
+      const file = await storage.api.readFile(userId, f, { maxBytes: opts.maxInputBytes });
+      if (storage.api.looksBinary(file.buffer.subarray(0, 8192))) throw new Error(`${f}: binary file`);
+      inputs.push({ name: f, text: file.buffer.toString('utf8') });
+    }
+    return inputs;
+  }
+
+  // a trailing newline ends the last line rather than starting an empty one
+  function splitLines(text) {
+    const lines = text.split('\n');
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  }
+
+  async function grep(userId, args, stdin) {
+    const { flags, operands } = parseArgs(args);
+    const bad = unknownFlag(flags, ['i', 'v', 'n', 'c', 'E']);
+    if (bad) return usageError(`grep: invalid option -- '${bad}'\n${USAGE.grep}`);
+    if (!operands.length) return usageError(USAGE.grep);
+    const [source, ...files] = operands;
+    checkPattern(source);
+    const inputs = await readInputs(userId, files, stdin);
+    if (!inputs) return usageError(USAGE.grep);
+
+    // every file in one engine call, so the time limit covers the whole command
+    const fileLines = inputs.map(({ text }) => splitLines(text));
+    const found = match('grep', { files: fileLines, source, flags: flags.has('i') ? 'i' : '', invert: flags.has('v') });
+    const out = [];
+    let total = 0;
+    for (let f = 0; f < inputs.length; f++) {
+      const { name } = inputs[f];
+      const lines = fileLines[f];
+      const hits = found[f];
+      total += hits.length;
+      const prefix = inputs.length > 1 ? `${name}:` : '';
+      if (flags.has('c')) out.push(`${prefix}${hits.length}`);
+      else for (const i of hits) out.push(`${prefix}${flags.has('n') ? `${i + 1}:` : ''}${lines[i]}`);
+    }
+    return total ? out : { stdout: out, status: 1 };
+  }
+
+  async function wc(userId, args, stdin) {
+    const { flags, operands } = parseArgs(args);
+    const bad = unknownFlag(flags, ['l', 'w', 'c']);
+    if (bad) return usageError(`wc: invalid option -- '${bad}'\n${USAGE.wc}`);
+    const inputs = await readInputs(userId, operands, stdin);
+    if (!inputs) return usageError(USAGE.wc);
+
+    const show = flags.size ? ['l', 'w', 'c'].filter(f => flags.has(f)) : ['l', 'w', 'c'];
+    const rows = inputs.map(({ name, text }) => ({
+      name,
+      // an unterminated last line counts too (piped text has no trailing newline)
+      l: text === '' ? 0 : splitLines(text).length,
+      w: (text.match(/\S+/g) || []).length,
+      c: Buffer.byteLength(text)
+    }));
+    if (rows.length > 1) rows.push(rows.reduce((t, r) => ({ name: 'total', l: t.l + r.l, w: t.w + r.w, c: t.c + r.c }), { l: 0, w: 0, c: 0 }));
+    const width = Math.max(...rows.flatMap(r => show.map(f => String(r[f]).length)));
+    return rows.map(r => show.map(f => String(r[f]).padStart(width)).join(' ') + (r.name ? ` ${r.name}` : ''));
+  }
+
+  async function sort(userId, args, stdin) {
+    const { flags, operands } = parseArgs(args);
+    const bad = unknownFlag(flags, ['n', 'r', 'u']);
+    if (bad) return usageError(`sort: invalid option -- '${bad}'\n${USAGE.sort}`);
+    const inputs = await readInputs(userId, operands, stdin);
+    if (!inputs) return usageError(USAGE.sort);
+
+    let lines = inputs.flatMap(({ text }) => splitLines(text));
+    // like sort -n, lines without a leading number sort as 0; ties fall back to plain order
+    const num = (s) => {
+      const m = s.match(/^\s*[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?/i);
+      return m ? parseFloat(m[0]) : 0;
+    };
+    const plain = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+    lines.sort(flags.has('n') ? (a, b) => (num(a) - num(b)) || plain(a, b) : plain);
+    if (flags.has('r')) lines.reverse();
+    if (flags.has('u')) lines = lines.filter((l, i) => i === 0 || l !== lines[i - 1]);
+    return lines;
+  }
+
+  async function uniq(userId, args, stdin) {
+    const { flags, operands } = parseArgs(args);
+    const bad = unknownFlag(flags, ['c']);
+    if (bad) return usageError(`uniq: invalid option -- '${bad}'\n${USAGE.uniq}`);
+    if (operands.length > 1) return usageError(USAGE.uniq);
+    const inputs = await readInputs(userId, operands, stdin);
+    if (!inputs) return usageError(USAGE.uniq);
+
+    const groups = [];
+    for (const line of splitLines(inputs[0].text)) {
+      const last = groups[groups.length - 1];
+      if (last && last.line === line) last.count++;
+      else groups.push({ line, count: 1 });
+    }
+    return groups.map(g => (flags.has('c') ? `${String(g.count).padStart(7)} ${g.line}` : g.line));
+  }
+
+  async function sed(userId, args, stdin) {
+    const { flags, values, operands } = parseArgs(args, ['e']);
+    const bad = unknownFlag(flags, ['E', 'r']);
+    if (bad) return usageError(`sed: invalid option -- '${bad}'\n${USAGE.sed}`);
+    const scripts = values.e || operands.splice(0, 1);
+    if (!scripts.length) return usageError(USAGE.sed);
+    const rules = scripts.map(s => parseSed(s.trim()));
+    rules.forEach(r => checkPattern(r.source));
+    const inputs = await readInputs(userId, operands, stdin);
+    if (!inputs) return usageError(USAGE.sed);
+
+    const lines = inputs.flatMap(({ text }) => splitLines(text));
+    return match('sed', { lines, rules });
+  }
+
+  const handlers = { grep, wc, sort, uniq, sed };
+
+  // run a command; errors come back as { stdout, status: 2 } like the real tools
+  async function run(name, { userId, args = [], stdin = null }) {
+    const fn = handlers[name];
+    if (!fn) return usageError(`${name}: unknown command`);
+    try {
+      return await fn(userId, args, stdin);
+    } catch (e) {
+      return { stdout: `${name}: ${e && e.message ? e.message : e}`, status: 2 };
+    }
+  }
+
+  return {
+    run,
+    limits: opts
+  };
+}
+
+module.exports = initTextUtils;
+module.exports.commands = commands;
+module.exports.parseSed = parseSed;
+module.exports.LIMITS = LIMITS;
@@ -1,5 +1,5 @@
 // deploy-commands.js
-// Robust deploy script: registers /help plus optional toggle and firewall builders
+// Robust deploy script: registers /help plus optional toggle, firewall, sandbox, ratelimit and sh builders
 // Usage: BOT_TOKEN in .env required. Optionally set GUILD_ID in .env to register to a single guild (faster testing).
 
 require('dotenv').config();
@@ -86,11 +86,26 @@ function tryLoadBuilder(paths = []) {
       './commands/firewall',
       './commands/firewall.js'
     ];
+    const sandboxPaths = [
+      './commands/sandbox',
+      './commands/sandbox.js'
+    ];
+    const ratelimitPaths = [
+      './commands/ratelimit',
+      './commands/ratelimit.js'
+    ];
+    const shPaths = [
+      './slash-commands/sh',
+      './slash-commands/sh.js'
+    ];
 
     // Attempt to load builders
     let helpBuilder = tryLoadBuilder(helpPaths);
     let toggleBuilder = tryLoadBuilder(togglePaths);
     let firewallBuilder = tryLoadBuilder(firewallPaths);
+    let sandboxBuilder = tryLoadBuilder(sandboxPaths);
+    let ratelimitBuilder = tryLoadBuilder(ratelimitPaths);
+    let shBuilder = tryLoadBuilder(shPaths);
 
     // If help builder not found, create a simple fallback
     if (!helpBuilder) {
@@ -108,6 +123,15 @@ function tryLoadBuilder(paths = []) {
     if (firewallBuilder) console.log('ℹ️  Loaded firewall command builder from project.');
     else console.warn('⚠️  firewall builder not found; /firewall will not be registered.');
 
+    if (sandboxBuilder) console.log('ℹ️  Loaded sandbox command builder from project.');
+    else console.warn('⚠️  sandbox builder not found; /sandbox will not be registered.');
+
+    if (ratelimitBuilder) console.log('ℹ️  Loaded ratelimit command builder from project.');
+    else console.warn('⚠️  ratelimit builder not found; /ratelimit will not be registered.');
+
+    if (shBuilder) console.log('ℹ️  Loaded sh command builder from project.');
+    else console.warn('⚠️  sh builder not found; /sh will not be registered.');
+
     // Build unique command set (prevent duplicate names)
     const toRegisterMap = new Map();
 
@@ -121,6 +145,9 @@ function tryLoadBuilder(paths = []) {
     pushBuilder(helpBuilder);
     if (toggleBuilder) pushBuilder(toggleBuilder);
     if (firewallBuilder) pushBuilder(firewallBuilder);
+    if (sandboxBuilder) pushBuilder(sandboxBuilder);
+    if (ratelimitBuilder) pushBuilder(ratelimitBuilder);
+    if (shBuilder) pushBuilder(shBuilder);
 
     const toRegister = Array.from(toRegisterMap.values());
     if (toRegister.length === 0) {
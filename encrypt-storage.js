@@ -0,0 +1,162 @@
+// encrypt-storage.js
+// Migration: encrypt existing plaintext workspaces in place with each user's key (see storage/encryption.js).
+// Usage: STORAGE_MASTER_KEY in .env required. Stop the bot first, then:
+//   node encrypt-storage.js [--dry-run] [--base-dir ./data/users]
+// Covers each user's workspace and their trash (<base-dir>/.trash/<userId>/), so $restore brings back encrypted files.
+// Every encrypted file is marked `encrypted` in its manifest entry (or trash item sidecar), which is what reads go by.
+// Already-encrypted files are left alone, so the script can be re-run after an interruption: an entry is trusted
+// while its mtime matches the file, and a file changed since (encrypted just before the interruption) is told apart
+// by its header.
+// Hardlinked duplicates (storage dedup) stay linked: each inode is encrypted once and relinked.
+
+require('dotenv').config();
+const path = require('node:path');
+const fs = require('node:fs');
+const fsp = require('node:fs/promises');
+const crypto = require('node:crypto');
+const { pipeline } = require('node:stream/promises');
+
+const createEncryption = require('./storage/encryption');
+const createManifest = require('./storage/manifest');
+const { atomicWrite } = require('./persistence/json-backend');
+
+const { TMP_FILE_RE } = createManifest;
+
+const argv = process.argv.slice(2);
+const DRY_RUN = argv.includes('--dry-run');
+const baseArg = argv.indexOf('--base-dir');
+const BASE_DIR = path.resolve(process.cwd(), baseArg !== -1 && argv[baseArg + 1] ? argv[baseArg + 1] : './data/users');
+
+if (!process.env.STORAGE_MASTER_KEY) {
+  console.error('✖️  Missing STORAGE_MASTER_KEY in .env');
+  process.exit(1);
+}
+
+async function listFiles(dir) {
+  const out = [];
+  for (const e of await fsp.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, e.name);
+    if (e.isDirectory()) out.push(...await listFiles(full));
+    else if (e.isFile() && !TMP_FILE_RE.test(e.name)) out.push(full);
+  }
+  return out;
+}
+
+// whether a file is already encrypted: its entry says so while it describes the file, otherwise the header does
+async function alreadyEncrypted(encryption, entry, file, st) {
+  if (entry && Math.abs((entry.mtimeMs || 0) - st.mtimeMs) < 1) return !!entry.encrypted;
+  return encryption.isEncrypted(file);
+}
+
+async function encryptFile(encryption, userId, file) {
+  const key = await encryption.keyFor(userId);
+  const tmp = file + '.tmp-' + crypto.randomBytes(6).toString('hex');
+  try {
+    await pipeline(fs.createReadStream(file), encryption.encryptStream(key), fs.createWriteStream(tmp, { mode: 0o600 }));
+    await fsp.rename(tmp, file);
+  } catch (e) {
+    await fsp.unlink(tmp).catch(()=>{});
+    throw e;
+  }
+}
+
+(async () => {
+  const encryption = createEncryption(BASE_DIR);
+  const manifest = createManifest(BASE_DIR, { encryption });
+  const trashRoot = path.join(BASE_DIR, '.trash');
+  const dirsIn = async (dir) => (await fsp.readdir(dir, { withFileTypes: true }).catch(() => []))
+    .filter(e => e.isDirectory() && !e.name.startsWith('.'))
+    .map(e => e.name);
+  const users = Array.from(new Set([...await dirsIn(BASE_DIR), ...await dirsIn(trashRoot)]));
+
+  let encrypted = 0;
+  let skipped = 0;
+  let failed = 0;
+  for (const userId of users) {
+    // inode -> path of its encrypted replacement, to keep hardlinked duplicates linked (trash included)
+    const done = new Map();
+
+    // Encrypt one file unless it already is; returns its new mtime, or null if nothing was written.
+    async function migrate(file, entry) {
+      const rel = path.relative(BASE_DIR, file);
+      try {
+        const st = await fsp.stat(file);
+        if (await alreadyEncrypted(encryption, entry, file, st)) {
+          skipped++;
+          return null;
+        }
+        const inode = `${st.dev}:${st.ino}`;
+        if (DRY_RUN) {
+          console.log(`would encrypt ${rel}`);
+          encrypted++;
+          return null;
+        }
+        if (done.has(inode)) {
+          const tmp = file + '.tmp-' + crypto.randomBytes(6).toString('hex');
+          await fsp.link(done.get(inode), tmp);
+          await fsp.rename(tmp, file);
+          console.log(`linked    ${rel}`);
+        } else {
+          await encryptFile(encryption, userId, file);
+          done.set(inode, file);
+          console.log(`encrypted ${rel}`);
+        }
+        encrypted++;
+        return (await fsp.stat(file)).mtimeMs;
+      } catch (e) {
+        failed++;
+        console.error(`✖️  ${rel}: ${e.message}`);
+        return null;
+      }
+    }
+
+    const userDir = path.join(BASE_DIR, userId);
+    if (await fsp.stat(userDir).catch(() => null)) {
+      const m = await manifest.load(userId);
+      for (const file of await listFiles(userDir)) {
+        const rel = path.relative(userDir, file).split(path.sep).join('/');
+        const mtimeMs = await migrate(file, m.files[rel]);
+        if (mtimeMs !== null) await manifest.update(userId, rel, { encrypted: true, mtimeMs });
+      }
+    }
+
+    // trash items: <id> (the deleted file or folder) next to <id>.json, whose `files` are the manifest entries
+    // $restore puts back
+    const userTrash = path.join(trashRoot, userId);
+    for (const name of await fsp.readdir(userTrash).catch(() => [])) {
+      if (!name.endsWith('.json')) continue;
+      const sidecar = path.join(userTrash, name);
+      const contents = sidecar.slice(0, -5);
+      let item;
+      try {
+        item = JSON.parse(await fsp.readFile(sidecar, 'utf8'));
+      } catch (e) {
+        failed++;
+        console.error(`✖️  ${path.relative(BASE_DIR, sidecar)}: ${e.message}`);
+        continue;
+      }
+      const st = await fsp.stat(contents).catch(() => null);
+      if (!st) continue;
+      const files = st.isDirectory() ? await listFiles(contents) : [contents];
+      let changed = false;
+      for (const file of files) {
+        const sub = path.relative(contents, file).split(path.sep).join('/');
+        const rel = sub ? `${item.path}/${sub}` : item.path;
+        const entry = (item.files || []).find(f => f.rel === rel);
+        const mtimeMs = await migrate(file, entry);
+        if (mtimeMs !== null && entry) {
+          Object.assign(entry, { encrypted: true, mtimeMs });
+          changed = true;
+        }
+      }
+      if (changed) await atomicWrite(sidecar, JSON.stringify(item));
+    }
+  }
+
+  await manifest.flush();
+  console.log(`${DRY_RUN ? 'Would encrypt' : 'Encrypted'} ${encrypted} file(s); ${skipped} already encrypted; ${failed} failed.`);
+  process.exit(failed ? 1 : 0);
+})().catch((e) => {
+  console.error('✖️  Migration failed:', e);
+  process.exit(1);
+});
@@ -37,6 +37,16 @@ const client = new Client({
 // Modules
 const status = safeRequire('./status');
 
+// PERSISTENCE: firewall, channel toggles, history, cwd and sudo state survive restarts
+let store;
+try {
+  store = require('./persistence')();
+  console.log(`[persistence] using ${store.backend} backend.`);
+} catch (e) {
+  console.error('[persistence] failed to open state store — state will not survive restarts.', e);
+  store = require('./persistence').createMemoryStore();
+}
+
 // STORAGE: robustly load initStorage from multiple export shapes
 let initStorage = null;
 try {
@@ -58,7 +68,7 @@ try {
   }
 
   try {
-    const storage = await initStorage(client, { prefix: PREFIX, baseDir: path.resolve(process.cwd(), './data/users'), quotaBytes: 800 * 1024 * 1024 });
+    const storage = await initStorage(client, { prefix: PREFIX, baseDir: path.resolve(process.cwd(), './data/users'), quotaBytes: 800 * 1024 * 1024, store });
     client.storage = storage;
     try { console.log('[storage] initialized. baseDir=', storage.api && storage.api.baseDir ? storage.api.baseDir : '(unknown)'); } catch { console.log('[storage] initialized.'); }
   } catch (err) {
@@ -71,11 +81,11 @@ try {
 let toggleModule;
 try {
   const t = require('./slash-commands/files/toggle');
-  toggleModule = typeof t === 'function' ? t(client, { token: TOKEN }) : (t && typeof t.default === 'function' ? t.default(client, { token: TOKEN }) : (t && t.command ? t(client, { token: TOKEN }) : t));
+  toggleModule = typeof t === 'function' ? t(client, { token: TOKEN, store }) : (t && typeof t.default === 'function' ? t.default(client, { token: TOKEN, store }) : (t && t.command ? t(client, { token: TOKEN, store }) : t));
 } catch (e) {
   try {
     const t2 = require('./slash-commands/toggle');
-    toggleModule = typeof t2 === 'function' ? t2(client, { token: TOKEN }) : (t2 && typeof t2.default === 'function' ? t2.default(client, { token: TOKEN }) : t2);
+    toggleModule = typeof t2 === 'function' ? t2(client, { token: TOKEN, store }) : (t2 && typeof t2.default === 'function' ? t2.default(client, { token: TOKEN, store }) : t2);
   } catch (e2) {
     console.warn('[toggle] Could not load toggle module from expected locations. Disabling channel checks.');
     toggleModule = {
@@ -92,7 +102,7 @@ try {
 let firewall;
 try {
   const fw = require('./commands/firewall');
-  firewall = (typeof fw === 'function') ? fw() : (fw && fw.default ? fw.default() : fw);
+  firewall = (typeof fw === 'function') ? fw({ store }) : (fw && fw.default ? fw.default({ store }) : fw);
   // ensure minimal API
   if (!firewall || typeof firewall.isProtected !== 'function') {
     firewall = {
@@ -122,27 +132,49 @@ const DEFAULT_DELAY_MS = 140;
 const TYPING_CHAR_MS = 8;
 const TYPING_BETWEEN_FIELDS_MS = 180;
 const TYPING_CURSOR = '▌';
-
-// State stores
-const sudoState = {};
-const COOLDOWN = 600;
-const lastUsed = new Map();
-
-const cwdPerUser = {};
-const historyPerUser = {};
-const filesPerUser = {};
+const TERMINATED = '[terminated]'; // last line of an animation stopped with $kill
+const STREAM_EDIT_MS = 1000; // streamed output ($run): at most one frame per interval
+const OUTPUT_MAX_CHARS = 3800; // embed descriptions cap at 4096; longer output is paged, streams keep the newest lines
+const OUTPUT_ATTACH_BYTES = parseInt(process.env.OUTPUT_ATTACHMENT_BYTES, 10) || 64 * 1024; // above this, output is sent as output.txt
+
+// State stores (sudo + history are restored from the persistence store)
+const savedSudo = store.namespace('sudo');
+const history = require('./shell/history')(store, { prefix: PREFIX });
+// every animation edit goes through the render scheduler (per-channel edit budgets, frames coalesced)
+const scheduler = require('./shell/scheduler')();
+const sudoState = Object.fromEntries(savedSudo.entries());
+// foreground lines run one at a time per channel; `cmd &` runs beside the queue ($jobs, $kill)
+const jobs = require('./shell/jobs')();
+const JOB_CONTROL = new Set(['jobs', 'kill']);
+// commands that show a user's files; lines using them are answered in DMs (storage and text commands are added
+// where they are registered)
+const PRIVATE_COMMANDS = new Set(['edit', 'less']);
 
 // Helpers
 const now = () => Date.now();
-const isOnCooldown = (id) => lastUsed.has(id) && (now() - lastUsed.get(id) < COOLDOWN);
-const setCooldown = (id) => lastUsed.set(id, now());
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 const random = (arr) => arr[Math.floor(Math.random() * arr.length)];
+const startedAt = now();
 
-function ensureUser(id) {
-  if (!cwdPerUser[id]) cwdPerUser[id] = '~/workspace';
-  if (!historyPerUser[id]) historyPerUser[id] = [];
-  if (!filesPerUser[id]) filesPerUser[id] = new Set(['README.md', 'notes.txt']);
+// prompt path comes from the storage VFS so it always matches $pwd
+function promptPath(id) {
+  try {
+    if (client.storage && client.storage.vfs) return client.storage.vfs.cwdDisplay(id);
+  } catch (_) {}
+  return '~';
+}
+
+function formatDuration(ms) {
+  const s = Math.floor(ms / 1000);
+  const parts = [];
+  const d = Math.floor(s / 86400);
+  const h = Math.floor((s % 86400) / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  if (d) parts.push(`${d}d`);
+  if (h) parts.push(`${h}h`);
+  if (m) parts.push(`${m}m`);
+  parts.push(`${s % 60}s`);
+  return parts.join(' ');
 }
 
 const jokes = [
@@ -164,7 +196,9 @@ function register(name, fn, helpText = '') {
 }
 
 // ---------------- Terminal renderer (complete) ----------------
-async function sendTerminalResponse(channel, promptLine, output, { animate = true, delay = DEFAULT_DELAY_MS } = {}) {
+// `signal` ($kill) stops an animation where it is; a killed hack flow never gets to its result (or the rename)
+async function sendTerminalResponse(channel, promptLine, output, { animate = true, delay = DEFAULT_DELAY_MS, userId = null, signal = null } = {}) {
+  const killed = () => !!(signal && signal.aborted);
   try {
     if (output instanceof EmbedBuilder) {
       const header = new EmbedBuilder()
@@ -188,11 +222,17 @@ async function sendTerminalResponse(channel, promptLine, output, { animate = tru
 
       const msg = await channel.send({ embeds: [embed] });
 
-      for (const line of progressLines) {
+      for (const line of animate ? progressLines : progressLines.slice(-1)) {
+        if (killed()) {
+          embed.setDescription(embed.data.description.replace(/\n```$/, '\n' + TERMINATED + '\n```'));
+          break;
+        }
         embed.setDescription('```text\n' + promptLine + '\n\n' + line + '\n```');
-        try { await msg.edit({ embeds: [embed] }); } catch (_) {}
-        await sleep(delay);
+        scheduler.frame(msg, { embeds: [embed] });
+        if (animate) await sleep(delay);
       }
+      if (progressLines.length) await scheduler.final(msg, { embeds: [embed] });
+      if (killed()) return msg;
 
       if (error) {
         const failEmbed = new EmbedBuilder()
@@ -261,14 +301,14 @@ async function sendTerminalResponse(channel, promptLine, output, { animate = tru
 
         const outMsg = await channel.send({ embeds: [resultEmbed] });
 
-        for (let fi = 0; fi < typedFields.length; fi++) {
+        for (let fi = 0; fi < typedFields.length && !killed(); fi++) {
           const f = typedFields[fi];
           const label = f.name;
           const value = (typeof f.value === 'string') ? f.value : String(f.value);
           const maxLen = 1024;
           const chars = value.slice(0, maxLen).split('');
           let current = '';
-          for (let c = 0; c < chars.length; c++) {
+          for (let c = 0; animate && c < chars.length && !killed(); c++) {
             current += chars[c];
             const newFields = [];
             for (let j = 0; j < fi; j++) {
@@ -284,10 +324,8 @@ async function sendTerminalResponse(channel, promptLine, output, { animate = tru
             }
             newFields.push({ name: 'Rename', value: final.renamed ? "Applying..." : 'Rename not applied', inline: false });
 
-            try {
-              resultEmbed.spliceFields(0, resultEmbed.data.fields ? resultEmbed.data.fields.length : 0, ...newFields);
-              await outMsg.edit({ embeds: [resultEmbed] });
-            } catch (_) {}
+            resultEmbed.spliceFields(0, resultEmbed.data.fields ? resultEmbed.data.fields.length : 0, ...newFields);
+            scheduler.frame(outMsg, { embeds: [resultEmbed] });
             await sleep(TYPING_CHAR_MS);
           }
 
@@ -304,12 +342,10 @@ async function sendTerminalResponse(channel, promptLine, output, { animate = tru
           }
           finishedFields.push({ name: 'Rename', value: final.renamed ? "Applying..." : 'Rename not applied', inline: false });
 
-          try {
-            resultEmbed.spliceFields(0, resultEmbed.data.fields ? resultEmbed.data.fields.length : 0, ...finishedFields);
-            await outMsg.edit({ embeds: [resultEmbed] });
-          } catch (_) {}
+          resultEmbed.spliceFields(0, resultEmbed.data.fields ? resultEmbed.data.fields.length : 0, ...finishedFields);
+          scheduler.frame(outMsg, { embeds: [resultEmbed] });
 
-          await sleep(TYPING_BETWEEN_FIELDS_MS);
+          if (animate) await sleep(TYPING_BETWEEN_FIELDS_MS);
         }
 
         // finalize rename + extras
@@ -328,15 +364,52 @@ async function sendTerminalResponse(channel, promptLine, output, { animate = tru
           finalFields.push({ name: 'Activity (raw)', value: final.activity || 'None', inline: true });
         }
 
-        try {
-          resultEmbed.spliceFields(0, resultEmbed.data.fields ? resultEmbed.data.fields.length : 0, ...finalFields);
-          await outMsg.edit({ embeds: [resultEmbed] });
-        } catch (_) {}
+        resultEmbed.spliceFields(0, resultEmbed.data.fields ? resultEmbed.data.fields.length : 0, ...finalFields);
+        await scheduler.final(outMsg, { embeds: [resultEmbed] });
 
         return outMsg;
       }
     }
 
+    // Interactive output ({ interactive: true, send(channel, promptLine, opts) }, e.g. $edit, | less) posts and manages its own message
+    if (output && output.interactive === true && typeof output.send === 'function') {
+      return output.send(channel, promptLine, { userId, maxChars: OUTPUT_MAX_CHARS - promptLine.length });
+    }
+
+    // Streamed output (async iterable of lines, e.g. $run): the embed is updated as lines arrive
+    if (output && typeof output[Symbol.asyncIterator] === 'function') {
+      const embed = new EmbedBuilder()
+        .setColor(0x000000)
+        .setDescription('```text\n' + promptLine + '\n\n' + TYPING_CURSOR + '\n```')
+        .setFooter({ text: `Terminal v${VERSION}` });
+      const msg = await channel.send({ embeds: [embed] });
+
+      const lines = [];
+      let dropped = 0;
+      let lastEdit = 0;
+      const render = (done) => {
+        let body = lines.join('\n').replace(/```/g, '`\u200b``');
+        while (body.length > OUTPUT_MAX_CHARS - promptLine.length && lines.length > 1) {
+          lines.shift();
+          dropped++;
+          body = lines.join('\n').replace(/```/g, '`\u200b``');
+        }
+        const head = dropped ? `... (${dropped} earlier line${dropped === 1 ? '' : 's'} not shown)\n` : '';
+        embed.setDescription('```text\n' + promptLine + '\n\n' + head + body + (done ? '' : '\n' + TYPING_CURSOR) + '\n```');
+      };
+      for await (const line of output) {
+        lines.push(line);
+        if (now() - lastEdit >= STREAM_EDIT_MS) {
+          lastEdit = now();
+          render(false);
+          scheduler.frame(msg, { embeds: [embed] });
+        }
+      }
+      render(true);
+      await scheduler.final(msg, { embeds: [embed] });
+      return msg;
+    }
+
     // Normal (non-hack) output
     let lines = [];
     if (Array.isArray(output)) lines = output.flatMap((l) => (typeof l === 'string' ? l.split('\n') : ['']));
@@ -344,6 +417,12 @@ async function sendTerminalResponse(channel, promptLine, output, { animate = tru
     else if (output == null) lines = [''];
     else lines = [String(output)];
 
+    // more than one embed's worth: pages with buttons (or output.txt when very long), shown without the animation
+    const maxChars = OUTPUT_MAX_CHARS - promptLine.length;
+    const pages = initPager.paginate(lines, { maxChars });
+    if (pages.length > 1) return pager.show(channel, promptLine, lines, { userId, maxChars });
+    lines = pages[0];
+
     const embed = new EmbedBuilder()
       .setColor(0x000000)
       .setDescription('```text\n' + promptLine + '\n\n' + '```')
@@ -353,17 +432,23 @@ async function sendTerminalResponse(channel, promptLine, output, { animate = tru
     if (!animate) {
       const full = '```text\n' + promptLine + '\n\n' + lines.join('\n') + '\n```';
       embed.setDescription(full);
-      await msg.edit({ embeds: [embed] });
+      await scheduler.final(msg, { embeds: [embed] });
       return msg;
     }
 
     const chunk = [];
     for (const line of lines) {
+      if (killed()) {
+        chunk.push(TERMINATED);
+        embed.setDescription('```text\n' + promptLine + '\n\n' + chunk.join('\n') + '\n```');
+        break;
+      }
       chunk.push(line);
       embed.setDescription('```text\n' + promptLine + '\n\n' + chunk.join('\n') + '\n```');
       await sleep(delay);
-      try { await msg.edit({ embeds: [embed] }); } catch (e) {}
+      scheduler.frame(msg, { embeds: [embed] });
     }
+    await scheduler.final(msg, { embeds: [embed] });
     return msg;
   } catch (err) {
     console.error('sendTerminalResponse error:', err);
@@ -422,6 +507,46 @@ const hackHandler = safeRequire('./commands/sudo/hack') ? require('./commands/su
   isProtected: firewall.isProtected
 }) : (() => async () => 'Hack module unavailable.');
 
+// ---------------- Load calc engine ----------------
+const calc = safeRequire('./commands/calc') ? require('./commands/calc')() : null;
+
+// ---------------- Load dice roller ----------------
+const dice = safeRequire('./commands/roll') ? require('./commands/roll')() : null;
+
+// ---------------- Load text tools (grep, wc, sort, uniq, sed) ----------------
+const textUtils = safeRequire('./commands/textutils') ? require('./commands/textutils')({ getStorage: () => client.storage }) : null;
+
+// ---------------- Load file editor ($edit; registers its button/modal handler) ----------------
+const editor = safeRequire('./commands/editor') ? require('./commands/editor')(client, { getStorage: () => client.storage, footer: `Terminal v${VERSION}` }) : null;
+
+// ---------------- Pager (long output gets pages and buttons; registers its button/modal handler) ----------------
+const initPager = require('./commands/pager');
+const pager = initPager(client, { footer: `Terminal v${VERSION}`, attachBytes: OUTPUT_ATTACH_BYTES });
+
+// ---------------- Load script sandbox ($run, /sandbox) ----------------
+const sandbox = safeRequire('./commands/sandbox') ? require('./commands/sandbox')(client, { store }) : null;
+
+// ---------------- Rate limiting (token buckets per user and server, /ratelimit) ----------------
+const limiter = safeRequire('./commands/ratelimit') ? require('./commands/ratelimit')(client, { store }) : null;
+
+// ---------------- Shell (pipes, redirects, && / || / ;) ----------------
+// Commands below follow the contract documented in shell/index.js: they get piped-in text as `stdin`
+// and return their stdout, so `$ls | grep txt > list.txt` composes them.
+// Variables, aliases and the prompt come from shell/env.js; ~/.terminalrc sets them per user.
+const createShell = require('./shell');
+const shellEnv = require('./shell/env')();
+const shell = createShell({ commands, getStorage: () => client.storage, env: shellEnv });
+
+// slash commands, listed by both $help and /help
+const SLASH_HELP = [
+  '/help — show slash help (embed)',
+  '/firewall on — protect yourself (ephemeral)',
+  '/firewall off — unprotect yourself (ephemeral)',
+  '/sandbox enable|disable|status — allow $run in this server (admins)',
+  '/ratelimit status|set|cost|exempt|unblock|reset — how fast $ commands may be used here (admins change it)',
+  '/sh <command> — run a $ command with autocomplete for commands and files'
+];
+
 // ---------------- Register commands ----------------
 // (keeps your existing registrations)
 register('help', async ({ message }) => {
@@ -429,41 +554,279 @@ register('help', async ({ message }) => {
     `${BOT_NAME} v${VERSION}`,
     'Available commands:',
     '',
-    '/help — show slash help (embed)',
-    '/firewall on — protect yourself (ephemeral)',
-    '/firewall off — unprotect yourself (ephemeral)',
+    ...SLASH_HELP,
     '$help — show console-style help',
-    '$ls — list files (fake)',
-    '$pwd — print working directory (fake)',
-    '$cd <path> — change directory (simulated)',
-    '$cat <file> — show file (simulated)',
+    '$ls [-l] [path] — list files in your workspace (-l: size, date, type)',
+    '$stat <file> — size, SHA-256, type, upload time and scan result',
+    '$pwd — print working directory',
+    '$cd <path> — change directory',
+    '$cat <file> [-p n] — show a text file (paged)',
+    '$head/$tail [-n N] [file] — first/last lines of a file or piped text',
+    '$grep [-i] [-v] [-n] [-c] <regex> [file...] — print matching lines',
+    '$wc [-l] [-w] [-c] [file...] — count lines, words, bytes',
+    '$sort [-n] [-r] [-u] [file...] / $uniq [-c] [file] — sort lines, collapse repeats',
+    "$sed 's/regex/repl/[gi]' [file...] — replace text",
+    '$less [file] — page through a file or piped text (buttons)',
+    '$download <file|folder> — get a stored file (folders zipped) by DM',
+    '$zip <out.zip> <path>... — pack files or folders',
+    '$unzip [-l] [-o] <archive> [-d dir] — list or extract zip/tar.gz',
+    '$tar -czf <out> <path>... | -xf <archive> [-C dir] | -tf <archive>',
+    '$edit <file> — edit a text file with buttons (go to, edit/insert/delete lines, search, save)',
+    '$touch <file> — create an empty file',
+    '$mkdir [-p] <folder> — create a folder',
+    '$rmdir [-r] <folder> — remove a folder (-r asks to confirm, goes to the trash)',
+    '$mv <src> <dest> — move or rename',
+    '$cp [-r] <src> <dest> — copy a file or folder',
+    '$tree [path] — show directory tree',
+    '$rm <file> — move a file to the trash',
+    '$trash [list|empty] — show or empty the trash',
+    '$restore <file|id> [dest] — bring back a deleted file or folder',
+    '$upload — save attached files to your workspace',
+    '$run <file.js> [args] — run a stored script in the sandbox (if enabled by an admin)',
+    '$storage — show storage usage and quota',
+    '$history [n] | search <text> | clear | off | on — your recent commands (!! last, !n, !prefix to rerun)',
+    '$jobs / $kill <job> — list queued and running commands, stop one of yours',
+    '$export NAME=value / $unset NAME / $env — shell variables ($NAME in commands, PS1 prompt, ANIMATION_DELAY ms, PUBLIC_FILES=1 to post file output here)',
+    "$alias ll='ls -l' / $unalias ll — command aliases",
+    '$source [file] — re-apply ~/.terminalrc (loaded on your first command)',
     '$echo <text> — echo text',
-    '$ping — check latency',
+    '$upper/$lower [text] — change case of text or piped input',
+    '$ping — check latency (and how many animation frames were dropped)',
     '$uptime — bot uptime',
     '$whoami — who you are',
-    '$roll <NdM or M> — roll dice (e.g. 2d6, d20, 6)',
+    '$roll <dice> — roll dice (e.g. 2d6, d20, 4d6kh3, d6!, 1d20+5)',
     '$flip — coin flip',
-    '$choose a | b | c — pick one option',
-    '$calc <expression> — basic math',
+    '$choose a b c — pick one option',
+    '$calc <expression> — math (x = 3, sqrt, sin, 0xff, ^, %)',
     '$sudo <...> — sudo subcommands (fortune, joke, coffee, random, install, update, passwd, hack <target>)',
     '$banner <text> — small ASCII banner',
     '$userinfo [@user] — info about a user',
-    '$serverinfo — guild info (server only)'
+    '$serverinfo — guild info (server only)',
+    '',
+    'Shell: cmd | cmd, > file, >> file, < file, a && b, a || b, a; b, cmd & (background), quotes and \\escapes'
   ];
   return lines.join('\n');
 }, 'show help (console)');
 
 register('ping', async ({ message }) => {
   const latency = Date.now() - message.createdTimestamp;
-  return `Pong! Latency: ${latency}ms | API: ${Math.round(client.ws.ping)}ms`;
-}, 'check latency');
+  const r = scheduler.stats();
+  return [
+    `Pong! Latency: ${latency}ms | API: ${Math.round(client.ws.ping)}ms`,
+    `Render: ${r.sent} edits sent, ${r.dropped} of ${r.frames + r.finals} frames dropped, ${r.pending} waiting${r.failed ? `, ${r.failed} failed` : ''}`
+  ];
+}, 'check latency and render load');
+
+register('echo', async ({ rest }) => rest || '', 'echo text');
+
+register('upper', async ({ rest, stdin }) => (stdin !== null ? stdin : rest).toUpperCase(), 'uppercase text or stdin');
+
+register('lower', async ({ rest, stdin }) => (stdin !== null ? stdin : rest).toLowerCase(), 'lowercase text or stdin');
+
+register('uptime', async () => {
+  return `up ${formatDuration(now() - startedAt)} | gateway: ${client.uptime ? formatDuration(client.uptime) : 'n/a'}`;
+}, 'bot uptime');
+
+register('whoami', async ({ message }) => {
+  const lines = [message.author.username];
+  if (message.member && message.member.displayName !== message.author.username) lines.push(`nick: ${message.member.displayName}`);
+  lines.push(`uid: ${message.author.id}`);
+  return lines;
+}, 'who you are');
+
+register('roll', async ({ rest }) => {
+  if (!dice) return 'roll: module unavailable';
+  return dice.run(rest);
+}, 'roll dice (NdM, kh/kl, exploding, modifiers)');
+
+register('flip', async () => `Coin: ${Math.random() < 0.5 ? 'Heads' : 'Tails'}`, 'coin flip');
+
+register('choose', async ({ args, rest }) => {
+  // `|` is a pipe now; a quoted "a | b | c" still works
+  const options = (rest.includes('|') ? rest.split('|') : args).map(s => s.trim()).filter(Boolean);
+  if (options.length < 2) return 'Usage: choose a b c';
+  return `I choose: ${random(options)}`;
+}, 'pick one option');
+
+register('calc', async ({ message, rest }) => {
+  if (!calc) return 'calc: module unavailable';
+  return calc.run(message.author.id, rest);
+}, 'evaluate math (variables, functions, hex/binary)');
+
+register('banner', async ({ rest }) => {
+  const text = (rest || '').trim().toUpperCase().slice(0, 40);
+  if (!text) return 'Usage: banner <text>';
+  const spaced = text.split('').join(' ');
+  const edge = '+' + '-'.repeat(spaced.length + 4) + '+';
+  const pad = '|' + ' '.repeat(spaced.length + 4) + '|';
+  return [edge, pad, `|  ${spaced}  |`, pad, edge];
+}, 'small ASCII banner');
+
+register('userinfo', async ({ message, rest }) => {
+  if (!message.guild) {
+    const u = message.author;
+    return [`User: ${u.username}`, `ID: ${u.id}`, `Created: ${u.createdAt ? u.createdAt.toISOString() : 'unknown'}`];
+  }
+  const member = rest ? await findMemberByString(message, rest.trim()) : message.member;
+  if (!member) return `userinfo: no such user: ${rest}`;
+  const u = member.user;
+  const roles = member.roles ? member.roles.cache.filter(r => r.id !== message.guild.id).map(r => r.name) : [];
+  return [
+    `User: ${u.username}`,
+    `Display name: ${member.displayName}`,
+    `ID: ${u.id}`,
+    `Bot: ${u.bot ? 'yes' : 'no'}`,
+    `Created: ${u.createdAt ? u.createdAt.toISOString() : 'unknown'}`,
+    `Joined: ${member.joinedAt ? member.joinedAt.toISOString() : 'unknown'}`,
+    `Roles (${roles.length}): ${roles.length ? roles.slice(0, 15).join(', ') : 'none'}`
+  ];
+}, 'info about a user');
+
+register('serverinfo', async ({ message }) => {
+  const guild = message.guild;
+  if (!guild) return 'serverinfo: this command only works in a server';
+  return [
+    `Server: ${guild.name}`,
+    `ID: ${guild.id}`,
+    `Owner ID: ${guild.ownerId}`,
+    `Members: ${guild.memberCount}`,
+    `Channels: ${guild.channels.cache.size}`,
+    `Roles: ${guild.roles.cache.size}`,
+    `Boost tier: ${guild.premiumTier} (${guild.premiumSubscriptionCount || 0} boosts)`,
+    `Created: ${guild.createdAt ? guild.createdAt.toISOString() : 'unknown'}`
+  ];
+}, 'guild info (server only)');
+
+// ---------------- Workspace (storage subsystem: ls, cd, pwd, cat, touch, mkdir, tree, rm, upload, ...) ----------------
+// One pipeline: storage commands go through this registry and the shared VFS (storage/vfs.js),
+// so the prompt path and the listed files always agree.
+const storageCmds = safeRequire('./storage/cmds');
+if (storageCmds && storageCmds.commands) {
+  for (const [name, helpText] of Object.entries(storageCmds.commands)) {
+    PRIVATE_COMMANDS.add(name);
+    register(name, async ({ message, args, stdin, tty }) => {
+      if (!client.storage) return `${name}: storage subsystem unavailable`;
+      return client.storage.handle(name, { message, args, stdin, tty });
+    }, helpText);
+  }
+}
 
-// ... (rest of your command registrations remain unchanged; omitted here for brevity in this snippet)
-// For completeness you will paste your previous command registration block here (ls, pwd, cd, etc.)
-// In your actual file, keep every register(...) block you had.
+// Text tools: read stored files or stdin (`$cat notes.txt | grep -i todo | sort | uniq -c`)
+const textCmds = safeRequire('./commands/textutils');
+if (textCmds && textCmds.commands) {
+  for (const [name, helpText] of Object.entries(textCmds.commands)) {
+    PRIVATE_COMMANDS.add(name);
+    register(name, async ({ message, args, stdin }) => {
+      if (!textUtils) return `${name}: module unavailable`;
+      return textUtils.run(name, { userId: message.author.id, args, stdin });
+    }, helpText);
+  }
+}
+
+register('edit', async ({ message, args }) => {
+  if (!editor) return 'edit: module unavailable';
+  return editor.open(message, args.join(' '));
+}, 'edit a stored text file (buttons and forms)');
+
+register('less', async ({ message, args, stdin, tty }) => {
+  let text = stdin;
+  if (args.length) {
+    if (!client.storage) return 'less: storage subsystem unavailable';
+    try {
+      const file = await client.storage.api.readFile(message.author.id, args[0], { maxBytes: initPager.MAX_LESS_BYTES });
+      if (client.storage.api.looksBinary(file.buffer)) return { stdout: `less: ${args[0]}: binary file`, status: 1 };
+      text = file.buffer.toString('utf8');
+    } catch (e) {
+      return { stdout: `less: ${e && e.message ? e.message : e}`, status: 1 };
+    }
+  }
+  if (text === null) return { stdout: 'Usage: $less <file> or <command> | less', status: 2 };
+  // piped on or redirected there is no screen to page: pass the text through like cat
+  if (!tty) return text;
+  const lines = text.split('\n');
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+  return pager.less(message.author.id, lines);
+}, 'page through a file or piped text (buttons)');
+
+register('jobs', async ({ message }) => {
+  const lines = jobs.list(message.author.id, message.channel.id);
+  return lines.length ? lines : 'no jobs running or queued here';
+}, 'list running and queued commands');
+
+register('kill', async ({ message, args }) => {
+  if (!args.length) return { stdout: 'Usage: $kill <job> (job numbers are in $jobs)', status: 2 };
+  const out = [];
+  let status = 0;
+  for (const spec of args) {
+    const r = jobs.kill(message.author.id, spec);
+    if (r.error) {
+      out.push(`kill: ${r.error}`);
+      status = 1;
+    } else {
+      out.push(`[${r.job.id}] Terminated  ${r.job.line}`);
+    }
+  }
+  return status ? { stdout: out, status } : out;
+}, 'stop one of your running or queued commands');
+
+register('run', async ({ message, args, signal }) => {
+  if (!sandbox) return 'run: sandbox unavailable';
+  if (!message.guild || !sandbox.isEnabled(message.guild.id)) return 'run: disabled in this server (a server admin can turn it on with /sandbox enable)';
+  if (!client.storage) return 'run: storage subsystem unavailable';
+  if (!args.length) return 'Usage: $run <file.js> [args...]';
+  try {
+    const file = await client.storage.api.readFile(message.author.id, args[0], { maxBytes: sandbox.limits.maxSourceBytes });
+    return sandbox.run(file.buffer.toString('utf8'), { userId: message.author.id, filename: file.name, args: args.slice(1), signal });
+  } catch (e) {
+    return `run: ${e && e.message ? e.message : e}`;
+  }
+}, 'run a stored JavaScript file in the sandbox');
+
+// Shell environment: export, unset, env, alias, unalias (per user, for the session; ~/.terminalrc makes them stick)
+for (const [name, helpText] of Object.entries(require('./shell/env').commands)) {
+  register(name, async ({ message, args }) => shellEnv.run(name, {
+    userId: message.author.id,
+    args,
+    dynamic: { USER: message.author.username || 'discord', PWD: promptPath(message.author.id) }
+  }), helpText);
+}
+
+register('source', async ({ message, args }) => {
+  const problems = await shell.source(message, args[0] || '~/.terminalrc');
+  return problems.length ? { stdout: problems, status: 1 } : `source: loaded ${args[0] || '~/.terminalrc'}`;
+}, 'apply the settings in ~/.terminalrc (or another file) again');
+
+register('history', async ({ message, args }) => {
+  const userId = message.author.id;
+  const sub = (args[0] || '').toLowerCase();
+  if (sub === 'search') {
+    const text = args.slice(1).join(' ');
+    if (!text) return 'Usage: $history search <text>';
+    const hits = history.search(userId, text);
+    return hits.length ? hits : { stdout: `history: no commands matching "${text}"`, status: 1 };
+  }
+  if (sub === 'clear') {
+    history.clear(userId);
+    return 'history: cleared';
+  }
+  if (sub === 'off') {
+    history.setEnabled(userId, false);
+    return 'history: off — your commands are no longer recorded and your stored history was deleted ($history on to resume)';
+  }
+  if (sub === 'on') {
+    history.setEnabled(userId, true);
+    return 'history: on';
+  }
+  if (sub && !/^\d+$/.test(sub)) return 'Usage: $history [n] | search <text> | clear | on | off';
+  if (!history.isEnabled(userId)) return 'history: off ($history on to turn it back on)';
+  return history.list(userId, parseInt(sub, 10) || 20);
+}, 'show, search or clear your recent commands');
 
 
 // ---------------- SUDO (includes hack) ----------------
+// subcommands offered by /sh autocomplete
+const SUDO_COMMANDS = ['hack', 'fortune', 'joke', 'coffee', 'dance', 'party', 'random', 'reboot', 'shutdown', 'install', 'update', 'passwd'];
+
 register('sudo', async ({ message, rest }) => {
   const userId = message.author.id;
   if (!rest) return '[sudo] what do you want to run?';
@@ -493,7 +856,10 @@ register('sudo', async ({ message, rest }) => {
     case 'shutdown': return 'Powering off... (just kidding)';
     case 'install': if (!arg) return 'Specify a package to install'; return `Installing ${arg}... Done.`;
     case 'update': return 'Updating packages... (simulated)';
-    case 'passwd': sudoState[userId] = !sudoState[userId]; return sudoState[userId] ? 'Password set (simulated)' : 'Password removed (simulated)';
+    case 'passwd':
+      sudoState[userId] = !sudoState[userId];
+      if (sudoState[userId]) savedSudo.set(userId, true); else savedSudo.delete(userId);
+      return sudoState[userId] ? 'Password set (simulated)' : 'Password removed (simulated)';
     default: return `sudo: ${rest}: command not found`;
   }
 }, 'sudo subcommands (includes hack)');
@@ -527,14 +893,12 @@ client.on('interactionCreate', async (interaction) => {
     if (!interaction.isChatInputCommand()) return;
 
     if (interaction.commandName === 'help') {
-      const commandsList = [
-        '/help — show this message (embed)',
-        '/firewall on — protect yourself (ephemeral)',
-        '/firewall off — unprotect yourself (ephemeral)',
-        '$help — show console-style help',
-        '$sudo hack <user> [type] — playful hack simulator (types: ip, bank, email, account, full)',
-        '$sudo <fortune|joke|coffee|random|install|update|passwd>'
-      ].join('\n');
+      // every registered $ command with its help text, so new ones show up here without editing this list;
+      // cut to one embed, with $help for the full usage
+      const registered = [...commands].sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, { helpText }]) => `$${name}${helpText ? ` — ${helpText}` : ''}`);
+      const pages = initPager.paginate([...SLASH_HELP, '', ...registered], { maxChars: OUTPUT_MAX_CHARS - 200 });
+      const commandsList = pages[0].join('\n') + (pages.length > 1 ? '\n… and more: run $help for the full list' : '');
 
       const files = [];
       try {
@@ -586,12 +950,57 @@ client.on('interactionCreate', async (interaction) => {
   }
 });
 
-// ---------------- Message handling ($ commands) ----------------
-client.on('messageCreate', async (message) => {
-  try {
-    if (message.author.bot) return;
-    if (!message.content.startsWith(PREFIX)) return;
+// ---------------- Private output (file names and contents stay out of the channel) ----------------
+// A line that lists, reads or edits stored files, or redirects to or from one, is answered privately unless the
+// user opted in with `$export PUBLIC_FILES=1`.
+function isPrivateLine(userId, info) {
+  if (!info || shellEnv.publicFiles(userId)) return false;
+  return info.files || info.names.some(name => PRIVATE_COMMANDS.has(name));
+}
+
+// for /sh, which has to decide on an ephemeral reply before the line is run
+function isPrivateCommand(userId, line) {
+  const hx = history.expand(userId, line);
+  return !hx.error && isPrivateLine(userId, shell.inspect(hx.line, userId));
+}
+
+// Channel-like object that delivers to the user's DMs: the first message reacts ✅ on the command, and if DMs are
+// closed the channel gets a notice (without the output) instead and the rest of the output is dropped.
+function dmChannel(message) {
+  let delivered = false;
+  let closed = false;
+  // stands in for messages that could not be sent, so renderers that edit them carry on quietly
+  const dropped = { id: null, channelId: null, edit: async () => null };
+  const channel = {
+    id: null,
+    guild: null,
+    async send(payload) {
+      if (closed) return dropped;
+      try {
+        const dm = await message.author.createDM();
+        channel.id = dm.id;
+        const sent = await dm.send(payload);
+        if (!delivered) {
+          delivered = true;
+          if (typeof message.react === 'function') message.react('✅').catch(() => {});
+        }
+        return sent;
+      } catch (err) {
+        closed = true;
+        if (err && err.code !== 50007) console.error('[dm] could not send output:', err);
+        await message.channel.send(`<@${message.author.id}> I could not DM you the output, and it shows your files, so it is not posted here. Allow DMs from server members, use /sh, or \`$export PUBLIC_FILES=1\` to show it in the channel.`).catch(() => {});
+        return dropped;
+      }
+    }
+  };
+  return channel;
+}
 
+// ---------------- Terminal dispatch ($ messages and /sh) ----------------
+// One path for both entry points: `message` is a real message or the message-like object /sh builds
+// (slash-commands/sh.js), and message.content starts with PREFIX.
+async function runTerminal(message) {
+  try {
     // If disabled in this channel (toggle module), ignore
     if (message.guild) {
       if (!isChannelEnabled(message.guild.id, message.channel.id)) {
@@ -599,51 +1008,134 @@ client.on('messageCreate', async (message) => {
       }
     }
 
-    if (isOnCooldown(message.author.id)) {
-      return message.channel.send('You are doing commands too fast — slow down.');
-    }
-    setCooldown(message.author.id);
-
-    const cmdString = message.content.slice(PREFIX.length).trim();
+    let cmdString = message.content.slice(PREFIX.length).trim();
     if (!cmdString) return;
-    const args = cmdString.split(/\s+/);
-    const cmd = args[0].toLowerCase();
-    const rest = args.slice(1).join(' ');
-
-    ensureUser(message.author.id);
-    historyPerUser[message.author.id].push(message.content);
-
-    const user = message.author.username || 'discord';
-    const host = 'terminal';
-    const pathStr = cwdPerUser[message.author.id] || '~/workspace';
-    const promptLine = `${user}@${host}:${pathStr}$ ${message.content.replace(/`/g, '\\`')}`;
-
-    const entry = commands.get(cmd);
-    if (entry && typeof entry.fn === 'function') {
-      let animate = (cmd === 'help') ? false : true;
-      let delay = (cmd === 'help') ? 0 : DEFAULT_DELAY_MS;
-
-      if (cmd === 'sudo' && rest.trim().toLowerCase().startsWith('hack')) {
-        delay = HACK_DELAY_MS;
-        animate = true;
+
+    // !!, !n and !prefix; the expanded line is what gets shown, recorded and run
+    const hx = history.expand(message.author.id, cmdString);
+    if (hx.error) return message.channel.send(`\`\`\`text\n${hx.error}\n\`\`\``);
+    cmdString = hx.line;
+    const typed = hx.expanded ? PREFIX + cmdString : message.content;
+
+    // a line over the limit is dropped without an answer in the channel: a reaction (at most one per block or
+    // every few seconds) on a message, a short reply on /sh, which has to answer something
+    const info = shell.inspect(cmdString, message.author.id);
+    if (limiter) {
+      const verdict = limiter.check({
+        userId: message.author.id,
+        guildId: message.guild ? message.guild.id : null,
+        commands: info ? info.commands : [{ name: '' }] // a syntax error still answers, so it costs like a command
+      });
+      if (verdict.reason === 'cost') {
+        if (verdict.notify || typeof message.react !== 'function') {
+          await message.channel.send(`❌ This line costs ${verdict.cost} tokens, more than the ${verdict.max} you can spend at once — split it into smaller lines.`);
+        }
+        return;
       }
+      if (!verdict.ok) {
+        const blocked = verdict.reason === 'blocked';
+        if (typeof message.react === 'function') {
+          if (verdict.notify) await message.react(blocked ? '🚫' : '⏳').catch(() => {});
+        } else {
+          await message.channel.send(blocked
+            ? `🚫 Too many commands — blocked for ${limiter.formatMs(verdict.retryMs)}.`
+            : `⏳ Rate limited — try again in ${limiter.formatMs(verdict.retryMs)}.`);
+        }
+        return;
+      }
+    }
 
-      const out = await entry.fn({ message, args: args.slice(1), rest });
+    history.add(message.author.id, typed);
+
+    // first command of the session: apply ~/.terminalrc before the prompt is drawn
+    const rcProblems = await shell.init(message);
+
+    // file output goes to DMs; /sh replies to such lines are already ephemeral, and DMs are private anyway
+    const output = message.guild && !message.channel.ephemeral && isPrivateLine(message.author.id, info)
+      ? dmChannel(message)
+      : message.channel;
+
+    const execute = async (job = null) => {
+      const background = !!(job && job.background);
+      const signal = job ? job.signal : undefined;
+      const user = message.author.username || 'discord';
+      const pathStr = promptPath(message.author.id);
+      const promptLine = shellEnv.promptLine(message.author.id, { USER: user, PWD: pathStr }, typed);
+      const userDelay = shellEnv.animationDelay(message.author.id);
+      if (rcProblems.length) await sendTerminalResponse(output, promptLine, rcProblems, { animate: false, userId: message.author.id });
+      if (background) await sendTerminalResponse(output, promptLine, `[${job.id}] running in the background ($jobs to list, $kill ${job.id} to stop)`, { animate: false });
+
+      // every output of the line (one per pipeline, text outputs merged) is shown under the same prompt
+      await shell.run(cmdString, {
+        message,
+        signal,
+        render: async (out, { cmd, rest }) => {
+          let animate = (cmd === 'help' || userDelay === 0) ? false : true;
+          let delay = (cmd === 'help') ? 0 : (userDelay ?? DEFAULT_DELAY_MS);
+
+          if (cmd === 'sudo' && rest.trim().toLowerCase().startsWith('hack')) {
+            delay = HACK_DELAY_MS;
+            animate = true;
+          }
+          // background output is shown when it is ready, without the typing effect
+          if (background) animate = false;
 
-      await sendTerminalResponse(message.channel, promptLine, out, { animate, delay });
-      return;
-    }
+          await sendTerminalResponse(output, promptLine, out, { animate, delay, userId: message.author.id, signal });
+        }
+      });
+    };
 
-    // unknown command
-    await message.channel.send(`\`\`\`text\n${cmd}: command not found\n\`\`\``);
+    // $jobs and $kill answer at once; everything else waits for the channel's queue (or runs beside it with &)
+    if (info && info.names.every(name => JOB_CONTROL.has(name))) return await execute();
+    const job = jobs.submit({
+      userId: message.author.id,
+      channelId: message.channel.id,
+      line: cmdString,
+      background: !!(info && info.background)
+    }, execute);
+    if (job.error) return message.channel.send(`Not run: ${job.error}.`);
+    await job.done;
 
   } catch (err) {
     console.error('Command handler error', err);
   }
+}
+
+// ---------------- Message handling ($ commands) ----------------
+client.on('messageCreate', async (message) => {
+  if (message.author.bot) return;
+  if (!message.content.startsWith(PREFIX)) return;
+  await runTerminal(message);
 });
 
+// ---------------- /sh (autocomplete + the same dispatcher) ----------------
+if (safeRequire('./slash-commands/sh')) {
+  require('./slash-commands/sh')(client, {
+    commands,
+    getStorage: () => client.storage,
+    sudoCommands: SUDO_COMMANDS,
+    isChannelEnabled,
+    isPrivate: isPrivateCommand,
+    dispatch: runTerminal
+  });
+}
+
 client.login(TOKEN);
 
+// flush pending state writes before exiting
+let _shuttingDown = false;
+async function shutdown(signal) {
+  if (_shuttingDown) return;
+  _shuttingDown = true;
+  console.log(`Received ${signal}, saving state...`);
+  try { if (client.storage && typeof client.storage.shutdown === 'function') await client.storage.shutdown(); } catch (_) {}
+  try { await store.close(); } catch (e) { console.error('[persistence] flush on shutdown failed:', e); }
+  try { client.destroy(); } catch (_) {}
+  process.exit(0);
+}
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+
 // ----------------- Utility: safeRequire -----------------
 function safeRequire(p) {
   try {
@@ -0,0 +1,100 @@
+// persistence/index.js
+// Pluggable key-value state store so bot state survives restarts (firewall, channel toggles, history, cwd, sudo).
+// Reads are served from memory; every change is written through to the backend.
+// Backends:
+//   - 'json'   (default) whole-file JSON, rewritten atomically (tmp file + fsync + rename), writes coalesced
+//   - 'sqlite' (optional) one row per key; needs the optional `better-sqlite3` package
+//
+// Usage:
+//
+// const createStore = require('./persistence');
+// const store = createStore({ backend: 'json', file: './data/state.json' });
+// const fw = store.namespace('firewall');
+// fw.set(guildId, [...userIds]);
+// fw.get(guildId);
+// fw.delete(guildId);
+// fw.entries();
+// await store.flush(); // before exit
+//
+// Values must be JSON-serializable.
+
+const path = require('node:path');
+
+const createJsonBackend = require('./json-backend');
+const createSqliteBackend = require('./sqlite-backend');
+
+function defaultOpts() {
+  return {
+    backend: process.env.STATE_BACKEND || 'json',
+    file: process.env.STATE_FILE || path.resolve(process.cwd(), './data/state.json')
+  };
+}
+
+function createBackend(opts) {
+  const kind = String(opts.backend || 'json').toLowerCase();
+  if (kind === 'sqlite') {
+    const file = opts.file.endsWith('.json') ? opts.file.replace(/\.json$/, '.sqlite') : opts.file;
+    try {
+      return createSqliteBackend(file);
+    } catch (e) {
+      console.warn(`[persistence] sqlite backend unavailable (${e.message}). Falling back to JSON.`);
+      return createJsonBackend(opts.file.replace(/\.sqlite$/, '.json'));
+    }
+  }
+  if (kind !== 'json') console.warn(`[persistence] unknown backend "${kind}". Using JSON.`);
+  return createJsonBackend(opts.file);
+}
+
+function createStore(userOpts = {}) {
+  const opts = Object.assign({}, defaultOpts(), userOpts);
+  const backend = opts.backendInstance || createBackend(opts);
+
+  // { [namespace]: { [key]: value } }
+  const data = backend.load() || {};
+
+  function namespace(name) {
+    if (!data[name]) data[name] = {};
+    const bucket = () => data[name];
+
+    return {
+      get: (key) => bucket()[key],
+      has: (key) => Object.prototype.hasOwnProperty.call(bucket(), key),
+      set(key, value) {
+        bucket()[key] = value;
+        backend.changed(name, String(key), value, data);
+      },
+      delete(key) {
+        if (!Object.prototype.hasOwnProperty.call(bucket(), key)) return false;
+        delete bucket()[key];
+        backend.changed(name, String(key), undefined, data);
+        return true;
+      },
+      keys: () => Object.keys(bucket()),
+      entries: () => Object.entries(bucket())
+    };
+  }
+
+  return {
+    namespace,
+    backend: backend.name,
+    flush: () => backend.flush(data),
+    close: () => backend.close(data)
+  };
+}
+
+// in-memory store with the same shape (used when persistence is unavailable)
+function createMemoryStore() {
+  return createStore({
+    backendInstance: {
+      name: 'memory',
+      load: () => ({}),
+      changed: () => {},
+      flush: async () => {},
+      close: async () => {}
+    }
+  });
+}
+
+module.exports = createStore;
+module.exports.createStore = createStore;
+module.exports.createMemoryStore = createMemoryStore;
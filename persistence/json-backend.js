@@ -0,0 +1,94 @@
+// persistence/json-backend.js
+// JSON-file backend for the state store.
+// - load() reads the file synchronously at startup; a corrupt file is moved aside (never overwritten).
+// - changed() schedules a rewrite; bursts of changes are coalesced into one write.
+// - writes are atomic: data goes to a temp file which is fsync'd and renamed over the original,
+//   so a crash leaves either the old or the new file, never a half-written one.
+
+const fs = require('node:fs');
+const fsp = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+
+const WRITE_DELAY_MS = 100;
+
+async function atomicWrite(file, text) {
+  const tmp = `${file}.tmp-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  const fh = await fsp.open(tmp, 'w');
+  try {
+    await fh.writeFile(text);
+    await fh.sync();
+  } catch (e) {
+    await fh.close().catch(() => {});
+    await fsp.unlink(tmp).catch(() => {});
+    throw e;
+  }
+  await fh.close();
+  try {
+    await fsp.rename(tmp, file);
+  } catch (e) {
+    await fsp.unlink(tmp).catch(() => {});
+    throw e;
+  }
+}
+
+module.exports = function createJsonBackend(file) {
+  let timer = null;
+  let writing = Promise.resolve();
+  let pending = null; // latest data object waiting to be written
+
+  function load() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return {};
+      throw e;
+    }
+    try {
+      const parsed = JSON.parse(text);
+      return (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) ? parsed : {};
+    } catch (e) {
+      const aside = `${file}.corrupt-${Date.now()}`;
+      try { fs.renameSync(file, aside); } catch (_) {}
+      console.error(`[persistence] ${file} is not valid JSON; moved to ${aside} and starting empty.`);
+      return {};
+    }
+  }
+
+  function writeNow() {
+    timer = null;
+    const data = pending;
+    pending = null;
+    if (!data) return writing;
+    const text = JSON.stringify(data);
+    // serialize writes so an older snapshot can never land after a newer one
+    writing = writing.then(() => atomicWrite(file, text)).catch((e) => {
+      console.error('[persistence] failed to write state file:', e);
+    });
+    return writing;
+  }
+
+  function changed(ns, key, value, data) {
+    pending = data;
+    if (!timer) timer = setTimeout(writeNow, WRITE_DELAY_MS);
+  }
+
+  async function flush(data) {
+    if (timer) clearTimeout(timer);
+    if (data && !pending) pending = data;
+    await writeNow();
+  }
+
+  return {
+    name: 'json',
+    file,
+    load,
+    changed,
+    flush,
+    close: flush
+  };
+};
+
+module.exports.atomicWrite = atomicWrite;
@@ -0,0 +1,55 @@
+// persistence/sqlite-backend.js
+// Optional SQLite backend for the state store (one row per namespace/key, JSON-encoded values).
+// Requires `better-sqlite3` (not a hard dependency): npm install better-sqlite3
+// Each change is its own statement, so SQLite's journal gives atomicity; no coalescing is needed.
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+module.exports = function createSqliteBackend(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (e) {
+    throw new Error('better-sqlite3 is not installed');
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec('CREATE TABLE IF NOT EXISTS kv (ns TEXT NOT NULL, key TEXT NOT NULL, value TEXT NOT NULL, PRIMARY KEY (ns, key))');
+
+  const upsert = db.prepare('INSERT INTO kv (ns, key, value) VALUES (?, ?, ?) ON CONFLICT(ns, key) DO UPDATE SET value = excluded.value');
+  const remove = db.prepare('DELETE FROM kv WHERE ns = ? AND key = ?');
+
+  function load() {
+    const data = {};
+    for (const row of db.prepare('SELECT ns, key, value FROM kv').all()) {
+      try {
+        if (!data[row.ns]) data[row.ns] = {};
+        data[row.ns][row.key] = JSON.parse(row.value);
+      } catch (_) {
+        console.warn(`[persistence] skipping unreadable sqlite row ${row.ns}/${row.key}`);
+      }
+    }
+    return data;
+  }
+
+  function changed(ns, key, value) {
+    try {
+      if (value === undefined) remove.run(ns, key);
+      else upsert.run(ns, key, JSON.stringify(value));
+    } catch (e) {
+      console.error('[persistence] sqlite write failed:', e);
+    }
+  }
+
+  return {
+    name: 'sqlite',
+    file,
+    load,
+    changed,
+    flush: async () => {},
+    close: async () => { try { db.close(); } catch (_) {} }
+  };
+};
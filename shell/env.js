@@ -0,0 +1,261 @@
+// shell/env.js
+// Per-user shell environment: variables ($export, $env, $unset), aliases ($alias, $unalias), $VAR expansion
+// and the PS1 prompt.
+// Usage:
+//
+// const createEnvironment = require('./shell/env');
+// const env = createEnvironment();
+// env.run('export', { userId, args: ['NAME=world'] });
+// env.expandWord(userId, parts, { USER: 'alice', PWD: '~' }); // "$NAME" -> ['world']
+// env.prompt(userId, { USER: 'alice', PWD: '~/notes' });      // -> 'alice@terminal:~/notes$ '
+// env.promptLine(userId, { USER: 'alice', PWD: '~' }, 'ls')   // -> 'alice@terminal:~$ ls' (at most maxPromptLine chars)
+//
+// Variables and aliases live in memory for the session; a user's ~/.terminalrc (loaded by the shell on their
+// first command) is what makes them stick. USER, HOME, PWD and HOSTNAME are read-only and filled in per command,
+// and $? is the exit status of the last command.
+// Special variables:
+//   PS1             - prompt: \u user, \h host, \w directory, \W its last part, \$ a literal $
+//   ANIMATION_DELAY - ms between output lines (0 turns the typing animation off)
+//   PUBLIC_FILES    - 1 posts the output of commands that show your files in the channel instead of your DMs
+// The module also exports .commands (name -> help text), .expandText and .LIMITS.
+
+const LIMITS = {
+  maxVars: 50,
+  maxAliases: 50,
+  maxValueLength: 500,
+  maxPromptLength: 100,
+  maxPromptLine: 500, // prompt + command as echoed above the output, so the embed keeps room for the output
+  maxAliasDepth: 8
+};
+
+const HOST = 'terminal';
+const DEFAULT_PS1 = '\\u@\\h:\\w\\$ ';
+const READ_ONLY = new Set(['USER', 'HOME', 'PWD', 'HOSTNAME']);
+const NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const VAR_RE = /\$(\?|[A-Za-z_][A-Za-z0-9_]*|\{([A-Za-z_][A-Za-z0-9_]*|\?)\})/g;
+// alias values are plain commands; operators would need the alias expanded before parsing
+const ALIAS_OPERATORS_RE = /[|;&<>\n]/;
+
+const commands = {
+  export: 'set a variable: export NAME=value (no args: list)',
+  unset: 'remove variables',
+  env: 'list variables',
+  alias: "define an alias: alias ll='ls -l' (no args: list)",
+  unalias: 'remove aliases (-a: all)'
+};
+
+// Split text into literal and expanded segments: [{ text, expanded }]
+function expandText(text, lookup) {
+  const segs = [];
+  let last = 0;
+  for (const m of text.matchAll(VAR_RE)) {
+    if (m.index > last) segs.push({ text: text.slice(last, m.index), expanded: false });
+    const name = m[2] || m[1];
+    segs.push({ text: lookup(name), expanded: true });
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) segs.push({ text: text.slice(last), expanded: false });
+  return segs;
+}
+
+// sh-style single quoting for listings: 'it'\''s'
+function quote(value) {
+  return /^[\w@%+=:,./~-]+$/.test(value) ? value : `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+function createEnvironment({ limits = {} } = {}) {
+  const opts = Object.assign({}, LIMITS, limits);
+  // userId -> { vars: Map, aliases: Map, status }
+  const users = new Map();
+
+  function state(userId) {
+    let s = users.get(userId);
+    if (!s) {
+      s = { vars: new Map(), aliases: new Map(), status: 0 };
+      users.set(userId, s);
+    }
+    return s;
+  }
+
+  function get(userId, name, dynamic = {}) {
+    if (name === '?') return String(state(userId).status);
+    if (READ_ONLY.has(name)) return name === 'HOSTNAME' ? HOST : (name === 'HOME' ? '~' : String(dynamic[name] ?? ''));
+    const v = state(userId).vars.get(name);
+    return v === undefined ? '' : v;
+  }
+
+  function set(userId, name, value) {
+    if (!NAME_RE.test(name)) throw new Error(`\`${name}': not a valid identifier`);
+    if (READ_ONLY.has(name)) throw new Error(`${name}: readonly variable`);
+    if (value.length > opts.maxValueLength) throw new Error(`${name}: value too long (max ${opts.maxValueLength} characters)`);
+    const vars = state(userId).vars;
+    if (!vars.has(name) && vars.size >= opts.maxVars) throw new Error(`too many variables (max ${opts.maxVars})`);
+    vars.set(name, value);
+  }
+
+  function setStatus(userId, status) {
+    state(userId).status = status;
+  }
+
+  // One parsed word (parser parts) -> zero or more fields. Expansion happens in unquoted and "double-quoted"
+  // parts; unquoted expansions are split on whitespace like sh, so `$EMPTY` disappears and `$FLAGS` can be
+  // several arguments.
+  function expandWord(userId, parts, dynamic = {}) {
+    const lookup = (name) => get(userId, name, dynamic);
+    const fields = [];
+    let cur = null;
+    const add = (t) => { cur = (cur || '') + t; };
+    for (const p of parts) {
+      if (p.quote === "'" || p.quote === '\\') {
+        add(p.text);
+        continue;
+      }
+      if (p.quote === '"') add('');
+      for (const seg of expandText(p.text, lookup)) {
+        if (!seg.expanded || p.quote === '"') {
+          add(seg.text);
+          continue;
+        }
+        seg.text.split(/\s+/).forEach((piece, i) => {
+          if (i > 0 && cur !== null) {
+            fields.push(cur);
+            cur = null;
+          }
+          if (piece) add(piece);
+        });
+      }
+    }
+    if (cur !== null) fields.push(cur);
+    return fields;
+  }
+
+  function alias(userId, name) {
+    return state(userId).aliases.get(name);
+  }
+
+  function prompt(userId, dynamic = {}) {
+    const ps1 = state(userId).vars.get('PS1') ?? DEFAULT_PS1;
+    const cwd = String(dynamic.PWD || '~');
+    const out = ps1.replace(/\\([uhwW$\\])/g, (_, c) => ({
+      u: dynamic.USER || 'discord',
+      h: HOST,
+      w: cwd,
+      W: cwd === '~' ? '~' : cwd.split('/').pop(),
+      $: '$',
+      '\\': '\\'
+    })[c]);
+    // one line, and nothing that could close the code block
+    return out.replace(/[\r\n]+/g, ' ').replace(/`/g, "'").slice(0, opts.maxPromptLength);
+  }
+
+  // The line echoed above a command's output: the prompt and the command as typed, backticks escaped so the code
+  // block stays closed, cut to maxPromptLine characters.
+  function promptLine(userId, dynamic, typed) {
+    const line = prompt(userId, dynamic) + String(typed).replace(/`/g, '\\`');
+    return line.length > opts.maxPromptLine ? line.slice(0, opts.maxPromptLine - 1) + '…' : line;
+  }
+
+  // ms between output lines from ANIMATION_DELAY, or null when unset or invalid
+  function animationDelay(userId) {
+    const v = state(userId).vars.get('ANIMATION_DELAY');
+    if (v === undefined || !/^\d+$/.test(v.trim())) return null;
+    return Math.min(parseInt(v, 10), 2000);
+  }
+
+  // PUBLIC_FILES=1 (or yes/true/on): the user chose to show their files in the channel
+  function publicFiles(userId) {
+    const v = state(userId).vars.get('PUBLIC_FILES');
+    return v !== undefined && /^(1|yes|true|on)$/i.test(v.trim());
+  }
+
+  function listVars(userId, dynamic) {
+    const names = [...READ_ONLY, ...state(userId).vars.keys()].sort();
+    return names.map(n => `${n}=${get(userId, n, dynamic)}`);
+  }
+
+  // export/unset/env/alias/unalias; returns output or { stdout, status: 1 }
+  function run(name, { userId, args = [], dynamic = {} }) {
+    const s = state(userId);
+    const errors = [];
+    const out = [];
+    const each = (fn) => {
+      for (const a of args) {
+        try {
+          fn(a);
+        } catch (e) {
+          errors.push(`${name}: ${e.message}`);
+        }
+      }
+    };
+
+    if (name === 'env') {
+      return listVars(userId, dynamic);
+    }
+
+    if (name === 'export') {
+      if (!args.length || (args.length === 1 && args[0] === '-p')) {
+        return [...s.vars.entries()].sort(([a], [b]) => (a < b ? -1 : 1)).map(([k, v]) => `export ${k}=${quote(v)}`);
+      }
+      each((a) => {
+        const eq = a.indexOf('=');
+        if (eq === -1) {
+          // nothing is unexported here, so `export NAME` only checks the name
+          if (!NAME_RE.test(a)) throw new Error(`\`${a}': not a valid identifier`);
+          return;
+        }
+        set(userId, a.slice(0, eq), a.slice(eq + 1));
+      });
+    } else if (name === 'unset') {
+      each((a) => {
+        if (READ_ONLY.has(a)) throw new Error(`${a}: cannot unset: readonly variable`);
+        s.vars.delete(a);
+      });
+    } else if (name === 'alias') {
+      if (!args.length) return [...s.aliases.entries()].map(([k, v]) => `alias ${k}=${quote(v)}`);
+      each((a) => {
+        const eq = a.indexOf('=');
+        if (eq === -1) {
+          if (!s.aliases.has(a)) throw new Error(`${a}: not found`);
+          out.push(`alias ${a}=${quote(s.aliases.get(a))}`);
+          return;
+        }
+        const key = a.slice(0, eq);
+        const value = a.slice(eq + 1);
+        if (!/^[A-Za-z0-9_.-]+$/.test(key)) throw new Error(`\`${key}': invalid alias name`);
+        if (!value.trim()) throw new Error(`${key}: empty alias`);
+        if (ALIAS_OPERATORS_RE.test(value)) throw new Error(`${key}: an alias can only be one command (no | ; & < >)`);
+        if (value.length > opts.maxValueLength) throw new Error(`${key}: alias too long (max ${opts.maxValueLength} characters)`);
+        if (!s.aliases.has(key) && s.aliases.size >= opts.maxAliases) throw new Error(`too many aliases (max ${opts.maxAliases})`);
+        s.aliases.set(key, value);
+      });
+    } else if (name === 'unalias') {
+      if (!args.length) return { stdout: 'Usage: $unalias [-a] <name>...', status: 2 };
+      if (args.includes('-a')) s.aliases.clear();
+      else each((a) => { if (!s.aliases.delete(a)) throw new Error(`${a}: not found`); });
+    } else {
+      return { stdout: `${name}: unknown command`, status: 2 };
+    }
+
+    out.push(...errors);
+    return errors.length ? { stdout: out, status: 1 } : out;
+  }
+
+  return {
+    run,
+    get,
+    set,
+    setStatus,
+    expandWord,
+    alias,
+    prompt,
+    promptLine,
+    animationDelay,
+    publicFiles,
+    limits: opts
+  };
+}
+
+module.exports = createEnvironment;
+module.exports.commands = commands;
+module.exports.expandText = expandText;
+module.exports.LIMITS = LIMITS;
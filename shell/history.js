@@ -0,0 +1,143 @@
+// shell/history.js
+// Per-user command history: bounded, persisted in the state store, searchable, with bash-style !-expansion.
+// Usage:
+//
+// const createHistory = require('./shell/history');
+// const history = createHistory(store);          // namespaces 'history' and 'history-off'
+// const line = history.expand(userId, '!!');     // -> { line: 'ls -l' } or { error: '!!: event not found' }
+// history.add(userId, '$ls -l');
+// history.list(userId, 20);                      // -> ['   1  $ls -l', ...]
+//
+// Expansion (at the start of a word, outside single quotes, `\!` for a literal !). A ! inside a word is left alone,
+// so dice like `4d6!kh3` or `1d6!+2` pass through:
+//   !!       the last command
+//   !n / !-n command number n / the n-th last one
+//   !prefix  the last command starting with prefix
+// An expansion that would make the line longer than the parser accepts (MAX_LINE_LENGTH) is an error, so `!! !!`
+// repeated cannot double a line into megabytes.
+// Users who turn history off ($history off) have nothing recorded and their stored history is deleted.
+
+const { MAX_LINE_LENGTH } = require('./parser');
+
+const DEFAULT_LIMIT = 500;
+const MAX_SHOWN = 100;
+
+function createHistory(store, { limit = DEFAULT_LIMIT, prefix = '$' } = {}) {
+  const saved = store.namespace('history');
+  const disabled = store.namespace('history-off');
+  // userId -> [line, ...] (oldest first, lines as typed, prefix included)
+  const perUser = new Map(saved.entries().filter(([, h]) => Array.isArray(h)));
+
+  function lines(userId) {
+    return perUser.get(userId) || [];
+  }
+
+  function isEnabled(userId) {
+    return !disabled.has(userId);
+  }
+
+  function add(userId, line) {
+    if (!isEnabled(userId)) return;
+    const hist = lines(userId).concat(line);
+    if (hist.length > limit) hist.splice(0, hist.length - limit);
+    perUser.set(userId, hist);
+    saved.set(userId, hist);
+  }
+
+  function clear(userId) {
+    perUser.delete(userId);
+    saved.delete(userId);
+  }
+
+  function setEnabled(userId, on) {
+    if (on) {
+      disabled.delete(userId);
+    } else {
+      disabled.set(userId, true);
+      clear(userId);
+    }
+  }
+
+  const number = (i, line) => `${String(i + 1).padStart(4)}  ${line}`;
+
+  // the last n entries, numbered for !n
+  function list(userId, n = 20) {
+    const hist = lines(userId);
+    const count = Math.min(Math.max(n, 1), MAX_SHOWN);
+    const start = Math.max(0, hist.length - count);
+    return hist.slice(start).map((h, i) => number(start + i, h));
+  }
+
+  // entries containing text (case-insensitive), newest last, at most MAX_SHOWN
+  function search(userId, text) {
+    const needle = text.toLowerCase();
+    const hits = [];
+    lines(userId).forEach((h, i) => {
+      if (h.toLowerCase().includes(needle)) hits.push(number(i, h));
+    });
+    return hits.slice(-MAX_SHOWN);
+  }
+
+  // a history entry without the command prefix, as it is dispatched
+  const strip = (h) => (h.startsWith(prefix) ? h.slice(prefix.length) : h);
+
+  function event(hist, spec) {
+    if (spec === '!') return hist[hist.length - 1];
+    if (/^-?\d+$/.test(spec)) {
+      const n = parseInt(spec, 10);
+      return n < 0 ? hist[hist.length + n] : hist[n - 1];
+    }
+    for (let i = hist.length - 1; i >= 0; i--) {
+      if (strip(hist[i]).startsWith(spec)) return hist[i];
+    }
+    return undefined;
+  }
+
+  // Expand !-references in a command line (without the prefix). Returns { line, expanded } or { error }.
+  function expand(userId, line) {
+    const hist = lines(userId);
+    let out = '';
+    let expanded = false;
+    let single = false;
+    let double = false;
+    for (let i = 0; i < line.length; i++) {
+      const c = line[i];
+      if (c === "'" && !double) single = !single;
+      if (c === '"' && !single) double = !double;
+      if (c === '\\' && !single && i + 1 < line.length) {
+        out += c + line[++i];
+        continue;
+      }
+      if (c !== '!' || single || (i > 0 && !/[\s|;&<>()"]/.test(line[i - 1]))) {
+        out += c;
+        continue;
+      }
+      const m = line.slice(i + 1).match(/^(!|-?\d+|[^\s!'"|;&<>=()]+)/);
+      if (!m) {
+        out += c;
+        continue;
+      }
+      const entry = event(hist, m[1]);
+      if (entry === undefined) return { error: `!${m[1]}: event not found` };
+      out += strip(entry);
+      if (out.length > MAX_LINE_LENGTH) return { error: `!${m[1]}: expanded line too long (max ${MAX_LINE_LENGTH} characters)` };
+      expanded = true;
+      i += m[1].length;
+    }
+    if (expanded && out.length > MAX_LINE_LENGTH) return { error: `expanded line too long (max ${MAX_LINE_LENGTH} characters)` };
+    return { line: out, expanded };
+  }
+
+  return {
+    add,
+    list,
+    search,
+    clear,
+    expand,
+    isEnabled,
+    setEnabled,
+    limit
+  };
+}
+
+module.exports = createHistory;
@@ -0,0 +1,354 @@
+// shell/index.js
+// Runs parsed $ command lines (shell/parser.js) against the command registry in index.js:
+// pipes feed one command's stdout into the next one's stdin, redirections read from and write to the user's
+// storage, and ; && || chain pipelines by exit status. With an environment (shell/env.js), aliases and $VARs
+// are expanded first and each user's ~/.terminalrc is loaded on their first command.
+// Usage:
+//
+// const createShell = require('./shell');
+// const shell = createShell({ commands, getStorage: () => client.storage, env: createEnvironment() });
+// const notes = await shell.init(message); // loads ~/.terminalrc once; returns its error lines
+// const status = await shell.run('ls -l | grep txt > list.txt', {
+//   message,
+//   render: async (output, { cmd, rest }) => sendTerminalResponse(...),
+//   signal                                 // optional AbortSignal ($kill): nothing further runs once aborted
+// });
+// shell.inspect('sudo hack bob &', userId); // -> { background: true, files: false, names: ['sudo'],
+//                                           //      commands: [{ name: 'sudo', sub: 'hack' }] }
+//                                           //    (null on a syntax error; aliases are expanded when userId is given)
+//
+// Command contract (register() in index.js):
+//   fn({ message, args, rest, stdin, tty, signal }) -> output
+//   - stdin is the text piped or redirected in, or null when there is none
+//   - tty is false when the output goes into a pipe or a file rather than the terminal
+//   - signal (may be undefined) is aborted when the user kills the job; long-running commands should stop
+//   - output is stdout: a string, an array of lines, an async iterable of lines (streamed), or rich output
+//     (an EmbedBuilder, the hack flow object, an interactive view like $edit) that can only be shown, not piped
+//     or redirected
+//   - { stdout, status } reports an exit status; anything else counts as success (0). A thrown error prints
+//     "cmd: message" with status 1, an unknown command status 127.
+//   - a streamed output may set a numeric `status` on itself once it is exhausted
+// Text outputs of consecutive commands are collected and rendered together; rich and streamed outputs are
+// rendered as they come, so `$run a.js && echo ok` shows the script's output before deciding on `echo`.
+
+const { parse, tokenize, wordText } = require('./parser');
+
+const DEFAULT_MAX_COMMANDS = 10;
+const DEFAULT_MAX_PIPE_BYTES = 1024 * 1024;
+const RC_FILE = '~/.terminalrc';
+// what an rc file may run: settings only, never commands with side effects
+const RC_COMMANDS = new Set(['export', 'unset', 'alias', 'unalias']);
+
+function isStream(out) {
+  return !!out && typeof out[Symbol.asyncIterator] === 'function';
+}
+
+function isText(out) {
+  return out == null || typeof out === 'string' || Array.isArray(out);
+}
+
+function textLines(out) {
+  if (out == null || out === '') return [];
+  if (Array.isArray(out)) return out.flatMap(l => (typeof l === 'string' ? l.split('\n') : [String(l)]));
+  return String(out).split('\n');
+}
+
+module.exports = function createShell({
+  commands,
+  getStorage = () => null,
+  env = null,
+  maxCommands = DEFAULT_MAX_COMMANDS,
+  maxPipeBytes = DEFAULT_MAX_PIPE_BYTES
+} = {}) {
+  // stdout as text for a pipe or a file; streams are drained, rich output is refused
+  async function collect(name, out) {
+    let text;
+    if (isStream(out)) {
+      const lines = [];
+      let bytes = 0;
+      for await (const line of out) {
+        bytes += Buffer.byteLength(line) + 1;
+        if (bytes <= maxPipeBytes) lines.push(line);
+      }
+      text = lines.join('\n');
+    } else if (isText(out)) {
+      text = textLines(out).join('\n');
+    } else {
+      return { error: `${name}: output cannot be piped or redirected` };
+    }
+    if (Buffer.byteLength(text) > maxPipeBytes) text = Buffer.from(text).subarray(0, maxPipeBytes).toString('utf8');
+    return { text };
+  }
+
+  async function readInput(message, target) {
+    const storage = getStorage();
+    if (!storage) throw new Error('storage subsystem unavailable');
+    const file = await storage.api.readFile(message.author.id, target, { maxBytes: maxPipeBytes });
+    if (storage.api.looksBinary(file.buffer)) throw new Error(`${target}: binary file`);
+    return file.buffer.toString('utf8');
+  }
+
+  // stored files are never written in place: saveFileFromBuffer/appendFile go through a temp file + rename
+  async function writeOutput(message, target, text, append) {
+    const storage = getStorage();
+    if (!storage) throw new Error('storage subsystem unavailable');
+    const data = Buffer.from(text && !text.endsWith('\n') ? text + '\n' : text);
+    const api = storage.api;
+    if (append) await api.appendFile(message.author.id, target, data);
+    else await api.saveFileFromBuffer(message.author.id, target, data);
+  }
+
+  // USER and PWD as $VARs see them
+  function dynamicVars(message) {
+    const storage = getStorage();
+    let pwd = '~';
+    try {
+      if (storage && storage.vfs) pwd = storage.vfs.cwdDisplay(message.author.id);
+    } catch (_) {}
+    return { USER: message.author.username || 'discord', PWD: pwd };
+  }
+
+  // Replace a leading alias with its words; an alias is not expanded again inside itself (alias ls='ls -a')
+  function expandAliases(userId, words) {
+    const seen = new Set();
+    while (env && words.length && words[0].every(p => p.quote === null)) {
+      const name = wordText(words[0]);
+      const value = env.alias(userId, name);
+      if (value === undefined || seen.has(name) || seen.size >= env.limits.maxAliasDepth) break;
+      seen.add(name);
+      words = tokenize(value).filter(t => t.type === 'word').map(t => t.parts).concat(words.slice(1));
+    }
+    return words;
+  }
+
+  // parsed words -> argument strings
+  function expandWords(userId, words, dynamic) {
+    if (!env) return words.map(wordText);
+    return words.flatMap(w => env.expandWord(userId, w, dynamic));
+  }
+
+  // run one simple command; returns { out, status, name, rest }
+  async function runCommand(cmd, stdin, message, last, signal) {
+    const userId = message.author.id;
+    const dynamic = dynamicVars(message);
+    let parsed = cmd.words.slice();
+    // `$ls; $pwd`: every command may carry the prefix, not just the first one
+    const first = parsed[0];
+    if (first[0].quote === null && first[0].text.startsWith('$') && wordText(first).length > 1) {
+      parsed[0] = [{ text: first[0].text.slice(1), quote: null }, ...first.slice(1)].filter(p => p.text || p.quote);
+    }
+    parsed = expandAliases(userId, parsed);
+    const words = expandWords(userId, parsed, dynamic);
+    // `$EMPTY` expanded to nothing: no command to run
+    if (!words.length) return { out: null, status: 0, name: '', rest: '' };
+    const name = words[0].toLowerCase();
+    const args = words.slice(1);
+    const rest = args.join(' ');
+
+    const redirects = [];
+    for (const r of cmd.redirects) {
+      const target = expandWords(userId, [r.target], dynamic);
+      if (target.length !== 1 || !target[0]) return { out: `sh: ${wordText(r.target)}: ambiguous redirect`, status: 1, name, rest };
+      redirects.push({ op: r.op, target: target[0] });
+    }
+
+    for (const r of redirects) {
+      if (r.op !== '<') continue;
+      try {
+        stdin = await readInput(message, r.target);
+      } catch (e) {
+        return { out: `sh: ${e.message}`, status: 1, name, rest };
+      }
+    }
+
+    const writes = redirects.filter(r => r.op !== '<');
+    const entry = commands.get(name);
+    if (!entry || typeof entry.fn !== 'function') return { out: `${name}: command not found`, status: 127, name, rest };
+
+    let out;
+    let status = 0;
+    try {
+      out = await entry.fn({ message, args, rest, stdin, tty: last && !writes.length, signal });
+      if (out && typeof out === 'object' && !Array.isArray(out) && 'stdout' in out && typeof out.status === 'number') {
+        status = out.status;
+        out = out.stdout;
+      }
+    } catch (e) {
+      console.error(`[shell ${name}] error`, e);
+      return { out: `${name}: ${e && e.message ? e.message : e}`, status: 1, name, rest };
+    }
+
+    // a failed command's output is its error message: shown, never written to the file
+    if (writes.length && status === 0) {
+      // like sh, only the last output redirection receives the output
+      const r = writes[writes.length - 1];
+      const collected = await collect(name, out);
+      if (collected.error) return { out: collected.error, status: 1, name, rest };
+      try {
+        await writeOutput(message, r.target, collected.text, r.op === '>>');
+      } catch (e) {
+        return { out: `sh: ${r.target}: ${e.message}`, status: 1, name, rest };
+      }
+      if (isStream(out) && typeof out.status === 'number') status = out.status;
+      return { out: null, status, name, rest };
+    }
+    return { out, status, name, rest };
+  }
+
+  // Parse and run a whole line; render(output, { cmd, rest }) shows output in order. Returns the exit status.
+  async function run(line, { message, render, signal }) {
+    let list;
+    try {
+      list = parse(line);
+    } catch (e) {
+      if (e.code !== 'ESYNTAX') throw e;
+      await render(`sh: ${e.message}`, { cmd: 'sh', rest: '' });
+      return 2;
+    }
+    const total = list.reduce((n, item) => n + item.pipeline.length, 0);
+    if (total > maxCommands) {
+      await render(`sh: too many commands in one line (max ${maxCommands})`, { cmd: 'sh', rest: '' });
+      return 2;
+    }
+
+    let pending = null; // text waiting to be rendered: { lines, cmd, rest }
+    let rendered = false;
+    const flush = async () => {
+      if (pending && pending.lines.length) {
+        await render(pending.lines, { cmd: pending.cmd, rest: pending.rest });
+        rendered = true;
+      }
+      pending = null;
+    };
+    const show = async (r) => {
+      if (isText(r.out)) {
+        const lines = textLines(r.out);
+        if (!pending) pending = { lines: [], cmd: r.name, rest: r.rest };
+        pending.lines.push(...lines);
+        return r.status;
+      }
+      await flush();
+      await render(r.out, { cmd: r.name, rest: r.rest });
+      rendered = true;
+      return isStream(r.out) && typeof r.out.status === 'number' ? r.out.status : r.status;
+    };
+
+    let status = 0;
+    for (const { op, pipeline } of list) {
+      // killed: like sh after SIGTERM, nothing more runs and the status is 128 + 15
+      if (signal && signal.aborted) {
+        status = 143;
+        if (env) env.setStatus(message.author.id, status);
+        break;
+      }
+      if (op === '&&' && status !== 0) continue;
+      if (op === '||' && status === 0) continue;
+
+      let stdin = null;
+      let last = null;
+      for (let i = 0; i < pipeline.length; i++) {
+        const r = await runCommand(pipeline[i], stdin, message, i === pipeline.length - 1, signal);
+        if (i === pipeline.length - 1) {
+          last = r;
+          break;
+        }
+        // there is no stderr: a failing command's message is shown instead of being piped on
+        if (r.status !== 0 && isText(r.out)) {
+          await show(r);
+          stdin = '';
+          continue;
+        }
+        const collected = await collect(r.name, r.out);
+        if (collected.error) {
+          last = { out: collected.error, status: 1, name: r.name, rest: r.rest };
+          break;
+        }
+        stdin = collected.text;
+      }
+      status = await show(last);
+      if (env) env.setStatus(message.author.id, status);
+    }
+    await flush();
+    // `$echo hi > f.txt` prints nothing, but the prompt line still acknowledges the command
+    if (!rendered) await render('', { cmd: 'sh', rest: '' });
+    return status;
+  }
+
+  // Run an rc file's settings (export, unset, alias, unalias; # starts a comment line).
+  // Returns the problems found, one line each; a missing file is not one.
+  async function source(message, file = RC_FILE) {
+    let text;
+    try {
+      text = await readInput(message, file);
+    } catch (e) {
+      if (e.code === 'ENOENT' && file === RC_FILE) return [];
+      return [`source: ${e.message}`];
+    }
+    const name = file.split('/').pop();
+    const problems = [];
+    const lines = text.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!line || line.startsWith('#')) continue;
+      try {
+        for (const { pipeline } of parse(line)) {
+          const [cmd] = pipeline;
+          const word = cmd.words[0].every(p => p.quote === null) ? wordText(cmd.words[0]) : '';
+          if (pipeline.length > 1 || cmd.redirects.length || !RC_COMMANDS.has(word)) {
+            throw new Error(`only ${[...RC_COMMANDS].join(', ')} are allowed here`);
+          }
+          const r = await runCommand(cmd, null, message, true);
+          if (r.status !== 0) problems.push(...textLines(r.out).map(l => `${name}:${i + 1}: ${l}`));
+        }
+      } catch (e) {
+        problems.push(`${name}:${i + 1}: ${e.message}`);
+      }
+    }
+    return problems;
+  }
+
+  // What a line will run, without running it: the command words (with their first argument, so `sudo hack` can
+  // be told from `sudo ls`), whether it ends in '&' and whether it redirects to or from a file. With a userId,
+  // the user's aliases are expanded first.
+  function inspect(line, userId = null) {
+    try {
+      const list = parse(line);
+      const commands = list.flatMap(({ pipeline }) => pipeline.map((cmd) => {
+        let words = cmd.words.slice();
+        const first = words[0];
+        if (first[0].quote === null && first[0].text.startsWith('$') && wordText(first).length > 1) {
+          words[0] = [{ text: first[0].text.slice(1), quote: null }, ...first.slice(1)].filter(p => p.text || p.quote);
+        }
+        if (userId) words = expandAliases(userId, words);
+        return {
+          name: words[0] ? wordText(words[0]).toLowerCase() : '',
+          sub: words[1] ? wordText(words[1]).toLowerCase() : null
+        };
+      }));
+      const files = list.some(({ pipeline }) => pipeline.some(cmd => cmd.redirects.length > 0));
+      return { background: list.background === true, files, names: commands.map(c => c.name), commands };
+    } catch (e) {
+      if (e.code !== 'ESYNTAX') throw e;
+      return null;
+    }
+  }
+
+  // Load ~/.terminalrc on a user's first command; returns its problems (empty when none or already loaded)
+  const initialized = new Set();
+  async function init(message) {
+    if (!env || initialized.has(message.author.id)) return [];
+    initialized.add(message.author.id);
+    return source(message, RC_FILE);
+  }
+
+  return {
+    run,
+    init,
+    source,
+    inspect,
+    parse
+  };
+};
+
+module.exports.isStream = isStream;
+module.exports.textLines = textLines;
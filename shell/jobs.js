@@ -0,0 +1,162 @@
+// shell/jobs.js
+// Job control for terminal lines: foreground lines in a channel run one after another (so two animations never
+// interleave), each user has a limit on lines in flight, and a job can be cancelled by its owner.
+// Usage:
+//
+// const createJobs = require('./shell/jobs');
+// const jobs = createJobs({ perUser: 3 });
+// const job = jobs.submit({ userId, channelId, line: 'sudo hack bob', background: false }, async (job) => {
+//   await shell.run(job.line, { message, render, signal: job.signal });
+// });
+// if (job.error) ...                    // the user is at their limit
+// await job.done;                       // resolves when the job finished, failed or was killed
+// jobs.list(userId, channelId);         // -> ['[1]  Running   sudo hack bob  (4s)', ...]
+// jobs.kill(userId, '%1');              // -> { job } or { error }
+//
+// Background jobs (`cmd &`) start at once and do not hold up the channel's queue. A killed job's signal is
+// aborted; what it is doing (the renderer, the shell, $run) stops at its next check.
+
+const DEFAULT_PER_USER = 3;
+const MAX_QUEUE = 20; // foreground jobs waiting in one channel
+
+function createJobs({ perUser = DEFAULT_PER_USER, maxQueue = MAX_QUEUE } = {}) {
+  let nextId = 1;
+  // id -> job (queued and running)
+  const all = new Map();
+  // channelId -> { running: job | null, queue: [job, ...] }
+  const channels = new Map();
+
+  function channel(id) {
+    let ch = channels.get(id);
+    if (!ch) {
+      ch = { running: null, queue: [] };
+      channels.set(id, ch);
+    }
+    return ch;
+  }
+
+  function inFlight(userId) {
+    let n = 0;
+    for (const job of all.values()) if (job.userId === userId) n++;
+    return n;
+  }
+
+  function start(job) {
+    job.state = 'running';
+    job.startedAt = Date.now();
+    Promise.resolve()
+      .then(() => job.work(job))
+      .catch((err) => console.error(`[jobs] job ${job.id} failed:`, err))
+      .finally(() => finish(job));
+  }
+
+  function finish(job) {
+    if (job.state === 'finished') return;
+    const wasRunning = job.state === 'running';
+    job.state = 'finished';
+    all.delete(job.id);
+    job.resolve();
+    if (job.background) return;
+    const ch = channels.get(job.channelId);
+    if (!ch) return;
+    if (wasRunning && ch.running === job) {
+      ch.running = null;
+      const next = ch.queue.shift();
+      if (next) {
+        ch.running = next;
+        start(next);
+      }
+    }
+    if (!ch.running && !ch.queue.length) channels.delete(job.channelId);
+  }
+
+  // Queue a line. `work(job)` does the actual run; it gets job.signal to stop early.
+  // Returns the job ({ id, state: 'running' | 'queued', signal, done, ... }) or { error }.
+  function submit({ userId, channelId, line, background = false }, work) {
+    if (inFlight(userId) >= perUser) {
+      return { error: `you already have ${perUser} commands running or queued — wait for them or stop one with $kill` };
+    }
+    const ch = background ? null : channel(channelId);
+    if (ch && ch.running && ch.queue.length >= maxQueue) {
+      return { error: 'this channel is busy, try again in a moment' };
+    }
+
+    const controller = new AbortController();
+    const job = {
+      id: nextId++,
+      userId,
+      channelId,
+      line,
+      background,
+      state: 'queued',
+      queuedAt: Date.now(),
+      startedAt: null,
+      controller,
+      signal: controller.signal,
+      work,
+      resolve: null,
+      done: null
+    };
+    job.done = new Promise((resolve) => { job.resolve = resolve; });
+    all.set(job.id, job);
+
+    if (ch && ch.running) {
+      ch.queue.push(job);
+      return job;
+    }
+    if (ch) ch.running = job;
+    start(job);
+    return job;
+  }
+
+  const age = (ms) => {
+    const s = Math.floor(ms / 1000);
+    return s < 60 ? `${s}s` : `${Math.floor(s / 60)}m${String(s % 60).padStart(2, '0')}s`;
+  };
+
+  // $jobs: the channel's queue (everyone's, so a wait can be explained) and the user's jobs elsewhere
+  function list(userId, channelId) {
+    const now = Date.now();
+    const ch = channels.get(channelId);
+    const shown = [];
+    if (ch && ch.running) shown.push(ch.running);
+    if (ch) shown.push(...ch.queue);
+    for (const job of all.values()) {
+      if (job.userId === userId && !shown.includes(job)) shown.push(job);
+    }
+    return shown.map((job) => {
+      const state = job.state === 'running' ? 'Running' : `Queued #${channels.get(job.channelId).queue.indexOf(job) + 1}`;
+      const since = age(now - (job.startedAt || job.queuedAt));
+      const owner = job.userId === userId ? '' : '  (someone else)';
+      const where = job.channelId === channelId ? '' : '  (another channel)';
+      return `[${job.id}]  ${state.padEnd(10)} ${job.line}  (${since})${owner}${where}`;
+    });
+  }
+
+  // Stop one of the user's jobs: a queued job is dropped, a running one has its signal aborted.
+  function kill(userId, spec) {
+    const id = parseInt(String(spec || '').replace(/^%/, ''), 10);
+    if (!Number.isInteger(id)) return { error: 'usage: $kill <job> (see $jobs)' };
+    const job = all.get(id);
+    if (!job) return { error: `${spec}: no such job` };
+    if (job.userId !== userId) return { error: `${spec}: not your job` };
+
+    job.controller.abort();
+    if (job.state === 'queued') {
+      const ch = channels.get(job.channelId);
+      if (ch) ch.queue.splice(ch.queue.indexOf(job), 1);
+      finish(job);
+    }
+    return { job };
+  }
+
+  return {
+    submit,
+    list,
+    kill,
+    perUser
+  };
+}
+
+module.exports = createJobs;
+module.exports.DEFAULT_PER_USER = DEFAULT_PER_USER;
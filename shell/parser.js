@@ -0,0 +1,199 @@
+// shell/parser.js
+// Shell grammar for $ command lines: quoting, escapes, pipes, redirections and command chaining.
+// Usage:
+//
+// const { parse, wordText } = require('./shell/parser');
+// const list = parse(`cat notes.txt | grep "to do" > todo.txt && echo done`);
+// // -> [{ op: null, pipeline: [{ words, redirects: [] }, { words, redirects: [{ op: '>', target }] }] },
+// //     { op: '&&', pipeline: [{ words, redirects: [] }] }]
+// wordText(list[0].pipeline[0].words[0]); // -> 'cat'
+//
+// Grammar:
+//   line     := list ['&']
+//   list     := pipeline ((';' | '&&' | '||') pipeline)* [';']
+//   pipeline := command ('|' command)*
+//   command  := (word | redirect)+
+//   redirect := ('>' | '>>' | '<') word
+// A newline separates commands like ';'. A trailing '&' runs the whole line in the background: the returned
+// list has `background: true` (how that is done is up to the caller).
+//
+// Words keep how each part was quoted ({ text, quote: null | "'" | '"' | '\\' }, the last for escaped
+// characters) so later expansion steps can tell literal text from text they may expand. Quoting follows sh: '...' is literal, "..." honours \" \\ \$ \`,
+// and outside quotes a backslash escapes the next character.
+// Errors are plain Errors with code 'ESYNTAX'.
+
+const OPERATORS = ['&&', '||', '>>', '|', '&', ';', '>', '<', '\n'];
+const MAX_LINE_LENGTH = 4000;
+// Discord mentions, channels, emoji and timestamps (<@123>, <#123>, <:name:123>, <t:1700000000:R>) are words,
+// not input redirections
+const MENTION_RE = /<(?:@[!&]?\d+|#\d+|a?:\w+:\d+|t:-?\d+(?::[tTdDfFR])?)>/y;
+
+function syntaxError(message) {
+  const err = new Error(`syntax error: ${message}`);
+  err.code = 'ESYNTAX';
+  return err;
+}
+
+// Token: { type: 'word', parts: [{ text, quote }] } | { type: 'op', value }
+function tokenize(input) {
+  const src = String(input);
+  if (src.length > MAX_LINE_LENGTH) throw syntaxError(`line too long (max ${MAX_LINE_LENGTH} characters)`);
+  const tokens = [];
+  let parts = null; // parts of the word being read, null between words
+  let i = 0;
+
+  const append = (text, quote) => {
+    if (!parts) parts = [];
+    const last = parts[parts.length - 1];
+    if (last && last.quote === quote) last.text += text;
+    else parts.push({ text, quote });
+  };
+  const endWord = () => {
+    if (parts) tokens.push({ type: 'word', parts });
+    parts = null;
+  };
+
+  while (i < src.length) {
+    const c = src[i];
+
+    if (c === ' ' || c === '\t' || c === '\r') {
+      endWord();
+      i++;
+      continue;
+    }
+
+    if (c === '<') {
+      MENTION_RE.lastIndex = i;
+      const m = MENTION_RE.exec(src);
+      if (m) {
+        append(m[0], null);
+        i += m[0].length;
+        continue;
+      }
+    }
+
+    const op = OPERATORS.find(o => src.startsWith(o, i));
+    if (op) {
+      endWord();
+      tokens.push({ type: 'op', value: op === '\n' ? ';' : op });
+      i += op.length;
+      continue;
+    }
+
+    if (c === '\\') {
+      // backslash-newline continues the line; any other escaped character is literal
+      if (src[i + 1] === '\n') i += 2;
+      else if (i + 1 < src.length) {
+        append(src[i + 1], '\\');
+        i += 2;
+      } else {
+        append('\\', null);
+        i++;
+      }
+      continue;
+    }
+
+    if (c === "'") {
+      const end = src.indexOf("'", i + 1);
+      if (end === -1) throw syntaxError("unterminated ' quote");
+      append(src.slice(i + 1, end), "'");
+      i = end + 1;
+      continue;
+    }
+
+    if (c === '"') {
+      // escaped characters become their own '\\' parts so expansion leaves them alone ("\$HOME")
+      let text = '';
+      let j = i + 1;
+      for (; j < src.length && src[j] !== '"'; j++) {
+        if (src[j] === '\\' && '"\\$`\n'.includes(src[j + 1])) {
+          append(text, '"');
+          text = '';
+          if (src[j + 1] !== '\n') append(src[j + 1], '\\');
+          j++;
+        } else {
+          text += src[j];
+        }
+      }
+      if (j >= src.length) throw syntaxError('unterminated " quote');
+      append(text, '"');
+      i = j + 1;
+      continue;
+    }
+
+    append(c, null);
+    i++;
+  }
+  endWord();
+  return tokens;
+}
+
+// Join a word's parts into its final text. Escaped characters (quote '\\') count as quoted.
+function wordText(word) {
+  return word.map(p => p.text).join('');
+}
+
+function parse(input) {
+  const tokens = tokenize(input);
+  const list = [];
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const describe = (t) => (t ? (t.type === 'op' ? `\`${t.value}'` : `\`${wordText(t.parts)}'`) : 'end of input');
+
+  function command() {
+    const cmd = { words: [], redirects: [] };
+    while (pos < tokens.length) {
+      const t = peek();
+      if (t.type === 'word') {
+        cmd.words.push(t.parts);
+        pos++;
+      } else if (t.value === '>' || t.value === '>>' || t.value === '<') {
+        pos++;
+        const target = peek();
+        if (!target || target.type !== 'word') throw syntaxError(`expected a file name after \`${t.value}', got ${describe(target)}`);
+        cmd.redirects.push({ op: t.value, target: target.parts });
+        pos++;
+      } else {
+        break;
+      }
+    }
+    if (!cmd.words.length && !cmd.redirects.length) throw syntaxError(`unexpected ${describe(peek())}`);
+    if (!cmd.words.length) throw syntaxError('missing command before redirection');
+    return cmd;
+  }
+
+  function pipeline() {
+    const cmds = [command()];
+    while (peek() && peek().type === 'op' && peek().value === '|') {
+      pos++;
+      cmds.push(command());
+    }
+    return cmds;
+  }
+
+  let op = null;
+  while (pos < tokens.length) {
+    list.push({ op, pipeline: pipeline() });
+    const t = peek();
+    if (!t) break;
+    if (t.value === '&') {
+      if (pos + 1 < tokens.length) throw syntaxError('`&\' is only supported at the end of a line');
+      list.background = true;
+      break;
+    }
+    if (t.value !== ';' && t.value !== '&&' && t.value !== '||') throw syntaxError(`unexpected ${describe(t)}`);
+    pos++;
+    op = t.value;
+    // a trailing ';' ends the list; '&&' / '||' need a right-hand side
+    if (pos >= tokens.length && op !== ';') throw syntaxError(`unexpected end of input after \`${op}'`);
+  }
+  return list;
+}
+
+module.exports = {
+  parse,
+  tokenize,
+  wordText,
+  OPERATORS,
+  MAX_LINE_LENGTH
+};
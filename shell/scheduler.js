@@ -0,0 +1,172 @@
+// shell/scheduler.js
+// Render scheduler for terminal output: the edits that animate a terminal message go through one shared queue,
+// so several users running commands at once stay inside Discord's message-edit rate limits.
+// Usage:
+//
+// const createScheduler = require('./shell/scheduler');
+// const scheduler = createScheduler();
+// scheduler.frame(msg, { embeds: [embed] });        // intermediate frame: merged with newer ones or dropped
+// await scheduler.final(msg, { embeds: [embed] });  // last frame: always sent; resolves once the edit is done
+// scheduler.stats();                                // -> { frames, sent, dropped, finals, failed, pending, ... }
+//
+// Every channel has an edit budget (a token bucket: `burst` edits at once, then `perSecond`, at least `minGapMs`
+// apart) and the bot has a global one. A message has at most one frame waiting: a newer frame replaces it and the
+// replaced one counts as dropped, and frames are dropped outright once `maxPending` are waiting. Final frames are
+// never dropped. Payloads are read when the edit goes out, so an embed changed after frame() is sent as it is then.
+// Edits to one message never overlap, so frames cannot land out of order.
+
+const LIMITS = {
+  burst: 4,
+  perSecond: 1,
+  minGapMs: 250,
+  globalPerSecond: 40,
+  maxPending: 500
+};
+
+// tokens refill continuously up to `size`
+function bucket(size, perSecond) {
+  return { size, perSecond, tokens: size, updated: Date.now() };
+}
+
+function refill(b, now) {
+  b.tokens = Math.min(b.size, b.tokens + ((now - b.updated) / 1000) * b.perSecond);
+  b.updated = now;
+}
+
+// ms until the bucket has a whole token
+function waitFor(b) {
+  return b.tokens >= 1 ? 0 : Math.ceil(((1 - b.tokens) / b.perSecond) * 1000);
+}
+
+function channelKey(msg) {
+  return String(msg.channelId || (msg.channel && msg.channel.id) || 'default');
+}
+
+function createScheduler({ limits = {} } = {}) {
+  const opts = Object.assign({}, LIMITS, limits);
+  const overall = bucket(opts.globalPerSecond, opts.globalPerSecond);
+  // channel key -> { budget, queue: Map(msg -> entry), last, timer, idle }
+  const channels = new Map();
+  const inflight = new Set();
+  const counters = { frames: 0, sent: 0, dropped: 0, finals: 0, failed: 0, rateLimited: 0 };
+  let pending = 0;
+
+  function channel(key) {
+    let ch = channels.get(key);
+    if (!ch) {
+      ch = { budget: bucket(opts.burst, opts.perSecond), queue: new Map(), last: 0, timer: null, idle: null };
+      channels.set(key, ch);
+    }
+    return ch;
+  }
+
+  // queue `payload` for `msg`, replacing the frame already waiting for it
+  function enqueue(msg, payload, isFinal) {
+    const key = channelKey(msg);
+    const ch = channel(key);
+    const waiting = ch.queue.get(msg);
+    if (waiting) {
+      if (!waiting.final) counters.dropped++;
+      waiting.payload = payload;
+      waiting.final = waiting.final || isFinal;
+      return { key, entry: waiting };
+    }
+    const entry = { payload, final: isFinal, waiters: [] };
+    ch.queue.set(msg, entry);
+    pending++;
+    return { key, entry };
+  }
+
+  // An intermediate frame. Returns nothing: the caller keeps its own pace and never waits for Discord.
+  function frame(msg, payload) {
+    counters.frames++;
+    const ch = channels.get(channelKey(msg));
+    if (pending >= opts.maxPending && !(ch && ch.queue.has(msg))) {
+      counters.dropped++;
+      return;
+    }
+    pump(enqueue(msg, payload, false).key);
+  }
+
+  // The frame that must arrive. Resolves with the edited message (or null if the edit failed).
+  function final(msg, payload) {
+    counters.finals++;
+    const { key, entry } = enqueue(msg, payload, true);
+    const done = new Promise((resolve) => entry.waiters.push(resolve));
+    pump(key);
+    return done;
+  }
+
+  async function send(key, msg, entry) {
+    inflight.add(msg);
+    let result = null;
+    try {
+      result = await msg.edit(entry.payload);
+      counters.sent++;
+    } catch (e) {
+      counters.failed++;
+      if (e && (e.status === 429 || e.httpStatus === 429)) counters.rateLimited++;
+    } finally {
+      inflight.delete(msg);
+    }
+    for (const resolve of entry.waiters) resolve(result);
+    pump(key);
+  }
+
+  // send what the channel's budget allows now, and come back when the next token is due
+  function pump(key) {
+    const ch = channels.get(key);
+    if (!ch || ch.timer) return;
+    const now = Date.now();
+    refill(ch.budget, now);
+    refill(overall, now);
+
+    const ready = [...ch.queue.keys()].find(msg => !inflight.has(msg));
+    if (!ready) {
+      // an idle channel is forgotten once its budget is whole again (a fresh one would start the same way)
+      if (!ch.queue.size && !ch.idle) {
+        ch.idle = setTimeout(() => {
+          ch.idle = null;
+          refill(ch.budget, Date.now());
+          if (ch.queue.size || channels.get(key) !== ch) return;
+          if (ch.budget.tokens >= ch.budget.size) channels.delete(key);
+          else pump(key);
+        }, Math.ceil(((ch.budget.size - ch.budget.tokens) / ch.budget.perSecond) * 1000));
+        ch.idle.unref?.();
+      }
+      return;
+    }
+
+    const wait = Math.max(waitFor(ch.budget), waitFor(overall), ch.last + opts.minGapMs - now);
+    if (wait > 0) {
+      ch.timer = setTimeout(() => {
+        ch.timer = null;
+        pump(key);
+      }, wait);
+      return;
+    }
+
+    const entry = ch.queue.get(ready);
+    ch.queue.delete(ready);
+    pending--;
+    ch.budget.tokens--;
+    overall.tokens--;
+    ch.last = now;
+    send(key, ready, entry);
+    pump(key);
+  }
+
+  function stats() {
+    return Object.assign({}, counters, { pending, channels: channels.size });
+  }
+
+  return {
+    frame,
+    final,
+    stats,
+    limits: opts
+  };
+}
+
+module.exports = createScheduler;
+module.exports.LIMITS = LIMITS;
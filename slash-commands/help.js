@@ -40,22 +40,53 @@ const helpCommand = new SlashCommandBuilder()
 // Friendly list of commands to show in embed and $help
 const commandsListLines = [
   '$help — show console help (same as /help)',
-  '$ls — list files (fake)',
-  '$pwd — print working directory (fake)',
-  '$cd <path> — change directory (simulated)',
-  '$cat <file> — show file (simulated)',
+  '$ls [-l] [path] — list files in your workspace (-l: size, date, type)',
+  '$stat <file> — size, SHA-256, type, upload time and scan result',
+  '$pwd — print working directory',
+  '$cd <path> — change directory',
+  '$cat <file> [-p n] — show a text file (paged)',
+  '$head/$tail [-n N] [file] — first/last lines of a file or piped text',
+  '$grep [-i] [-v] [-n] [-c] <regex> [file...] — print matching lines',
+  '$wc [-l] [-w] [-c] [file...] — count lines, words, bytes',
+  '$sort [-n] [-r] [-u] [file...] / $uniq [-c] [file] — sort lines, collapse repeats',
+  "$sed 's/regex/repl/[gi]' [file...] — replace text",
+  '$less [file] — page through a file or piped text (buttons)',
+  '$download <file|folder> — get a stored file (folders zipped) by DM',
+  '$zip <out.zip> <path>... — pack files or folders',
+  '$unzip [-l] [-o] <archive> [-d dir] — list or extract zip/tar.gz',
+  '$tar -czf <out> <path>... | -xf <archive> [-C dir] | -tf <archive>',
+  '$edit <file> — edit a text file with buttons (go to, edit/insert/delete lines, search, save)',
+  '$touch <file> — create an empty file',
+  '$mkdir [-p] <folder> — create a folder',
+  '$rmdir [-r] <folder> — remove a folder (-r asks to confirm, goes to the trash)',
+  '$mv <src> <dest> — move or rename',
+  '$cp [-r] <src> <dest> — copy a file or folder',
+  '$tree [path] — show directory tree',
+  '$rm <file> — move a file to the trash',
+  '$trash [list|empty] — show or empty the trash',
+  '$restore <file|id> [dest] — bring back a deleted file or folder',
+  '$upload — save attached files to your workspace',
+  '$run <file.js> [args] — run a stored script in the sandbox (if enabled by an admin)',
+  '$storage — show storage usage and quota',
+  '$history [n] | search <text> | clear | off | on — your recent commands (!! last, !n, !prefix to rerun)',
+  '$jobs / $kill <job> — list queued and running commands, stop one of yours',
+  '$export NAME=value / $unset NAME / $env — shell variables ($NAME in commands, PS1 prompt, ANIMATION_DELAY ms, PUBLIC_FILES=1 to post file output here)',
+  "$alias ll='ls -l' / $unalias ll — command aliases",
+  '$source [file] — re-apply ~/.terminalrc (loaded on your first command)',
   '$echo <text> — echo text',
-  '$ping — check latency',
+  '$upper/$lower [text] — change case of text or piped input',
+  '$ping — check latency (and how many animation frames were dropped)',
   '$uptime — bot uptime',
   '$whoami — who you are',
-  '$roll <NdM> — roll dice',
+  '$roll <dice> — roll dice (e.g. 2d6, 4d6kh3, d6!, 1d20+5)',
   '$flip — coin flip',
-  '$choose a | b | c — pick one option',
-  '$calc <expr> — basic math',
+  '$choose a b c — pick one option',
+  '$calc <expr> — math (x = 3, sqrt, sin, 0xff, ^, %)',
   '$sudo <fortune|joke|coffee|random|install|update|passwd>',
   '$banner <text> — small ASCII banner',
   '$userinfo [@user] — info about a user',
-  '$serverinfo — guild info (server only)'
+  '$serverinfo — guild info (server only)',
+  'Shell: cmd | cmd, > file, >> file, < file, a && b, a || b, a; b, cmd & (background), quotes and \\escapes'
 ];
 
 const commandsList = commandsListLines.join('\n');
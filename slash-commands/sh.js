@@ -0,0 +1,197 @@
+// sh.js
+// /sh slash command: type a terminal line without the $ prefix, with autocomplete for the `command` option.
+// Exports initializer function and also `module.exports.command` (SlashCommandBuilder).
+//
+// Behavior:
+//  - Autocomplete suggests command names from the registry, sudo subcommands after `sudo`, and file and folder
+//    names from the user's storage for later words (folders end with /). Completion starts again after | ; && ||.
+//  - Running /sh hands the line to the same dispatcher as $ messages (toggle, rate limits, history, shell), with a
+//    message-like object built from the interaction; the output becomes the interaction's reply and follow-ups.
+//    Lines that show the user's files (isPrivate) get an ephemeral reply.
+//
+// Usage:
+//   require('./slash-commands/sh')(client, {
+//     commands,                    // the register() registry: name -> { fn, helpText }
+//     getStorage: () => client.storage,
+//     sudoCommands: ['fortune', ...],
+//     isChannelEnabled,            // (guildId, channelId) -> boolean
+//     isPrivate,                   // (userId, line) -> boolean: answer only the user
+//     dispatch: runTerminal        // async (message) => void, message.content starts with the prefix
+//   });
+
+const { SlashCommandBuilder, Collection } = require('discord.js');
+const { TMP_FILE_RE } = require('../storage/manifest');
+
+const PREFIX = '$';
+const MAX_CHOICES = 25; // Discord's limit for autocomplete
+const MAX_CHOICE_LENGTH = 100;
+const MAX_LINE_LENGTH = 1900;
+
+// where the word being completed starts: after whitespace, or a new command after | ; && ||
+function splitLine(value) {
+  const wordStart = Math.max(value.search(/\S*$/), 0);
+  const before = value.slice(0, wordStart);
+  const segStart = Math.max(before.lastIndexOf('|'), before.lastIndexOf(';'), before.lastIndexOf('&')) + 1;
+  return {
+    head: before,
+    word: value.slice(wordStart),
+    segment: before.slice(segStart).trim().split(/\s+/).filter(Boolean)
+  };
+}
+
+// single-quote names the shell would otherwise split or expand
+function shellWord(name) {
+  return /^[\w@%+=:,./~-]+$/.test(name) ? name : `'${name.replace(/'/g, "'\\''")}'`;
+}
+
+function choice(label, value) {
+  return { name: label.slice(0, MAX_CHOICE_LENGTH), value: value.slice(0, MAX_CHOICE_LENGTH) };
+}
+
+module.exports = function initSh(client, opts = {}) {
+  const {
+    commands,
+    getStorage = () => null,
+    sudoCommands = [],
+    isChannelEnabled = () => true,
+    isPrivate = () => false,
+    dispatch
+  } = opts;
+
+  async function complete(userId, value) {
+    const { head, word, segment } = splitLine(value);
+
+    if (!segment.length) {
+      const typed = word.replace(/^\$/, '').toLowerCase();
+      return [...commands.keys()]
+        .filter(name => name.startsWith(typed))
+        .sort()
+        .slice(0, MAX_CHOICES)
+        .map(name => {
+          const help = commands.get(name).helpText;
+          return choice(`${head}${name}${help ? ` — ${help}` : ''}`, `${head}${name} `);
+        });
+    }
+
+    if (segment.length === 1 && segment[0].replace(/^\$/, '').toLowerCase() === 'sudo') {
+      return sudoCommands
+        .filter(sub => sub.startsWith(word.toLowerCase()))
+        .slice(0, MAX_CHOICES)
+        .map(sub => choice(`${head}${sub}`, `${head}${sub} `));
+    }
+
+    const storage = getStorage();
+    if (!storage || word.startsWith('-') || /['"]/.test(word)) return [];
+    const slash = word.lastIndexOf('/');
+    const dir = slash === -1 ? '' : word.slice(0, slash + 1);
+    const base = word.slice(slash + 1);
+    const items = await storage.api.listFiles(userId, dir || '.');
+    return items
+      .filter(it => it.name.startsWith(base) && !TMP_FILE_RE.test(it.name) && (base.startsWith('.') || !it.name.startsWith('.')))
+      .sort((a, b) => (a.isDirectory === b.isDirectory ? (a.name < b.name ? -1 : 1) : (a.isDirectory ? -1 : 1)))
+      .slice(0, MAX_CHOICES)
+      .map(it => {
+        const completed = shellWord(dir + it.name) + (it.isDirectory ? '/' : '');
+        return choice(`${head}${completed}`, `${head}${completed}`);
+      });
+  }
+
+  // channel-like object whose first send fills the deferred reply and later sends become follow-ups
+  // (ephemeral ones when the reply is)
+  function replyChannel(interaction, ephemeral) {
+    let first = true;
+    const wrap = (sent, ref) => ({
+      id: sent && sent.id,
+      channelId: interaction.channelId,
+      edit: (payload) => interaction.editReply(Object.assign({}, typeof payload === 'string' ? { content: payload } : payload, { message: ref }))
+    });
+    return {
+      id: interaction.channelId,
+      guild: interaction.guild,
+      ephemeral,
+      get used() {
+        return !first;
+      },
+      async send(payload) {
+        const options = typeof payload === 'string' ? { content: payload } : payload;
+        if (first) {
+          first = false;
+          return wrap(await interaction.editReply(options), '@original');
+        }
+        const sent = await interaction.followUp(ephemeral ? Object.assign({}, options, { ephemeral: true }) : options);
+        return wrap(sent, sent.id);
+      }
+    };
+  }
+
+  // what the $ commands read from a message, taken from the interaction
+  function interactionMessage(interaction, line, ephemeral) {
+    return {
+      id: interaction.id,
+      content: PREFIX + line,
+      author: interaction.user,
+      member: interaction.member,
+      guild: interaction.guild,
+      channel: replyChannel(interaction, ephemeral),
+      createdTimestamp: interaction.createdTimestamp,
+      attachments: new Collection(),
+      mentions: { members: new Collection(), users: new Collection() }
+    };
+  }
+
+  client.on('interactionCreate', async (interaction) => {
+    if (interaction.commandName !== 'sh') return;
+
+    if (interaction.isAutocomplete?.()) {
+      try {
+        await interaction.respond(await complete(interaction.user.id, interaction.options.getFocused() || ''));
+      } catch (err) {
+        // the autocomplete window is short; an empty list beats an error
+        try { await interaction.respond([]); } catch (_) {}
+      }
+      return;
+    }
+
+    if (!interaction.isChatInputCommand?.()) return;
+    try {
+      const line = (interaction.options.getString('command') || '').trim().replace(/^\$/, '');
+      if (!line) {
+        await interaction.reply({ content: 'Type a command, e.g. `/sh ls -l`.', ephemeral: true });
+        return;
+      }
+      if (interaction.guildId && !isChannelEnabled(interaction.guildId, interaction.channelId)) {
+        await interaction.reply({ content: '$ commands are disabled in this channel.', ephemeral: true });
+        return;
+      }
+
+      const ephemeral = isPrivate(interaction.user.id, line);
+      await interaction.deferReply({ ephemeral });
+      const message = interactionMessage(interaction, line, ephemeral);
+      await dispatch(message);
+      if (!message.channel.used) await interaction.editReply({ content: '(no output)' });
+    } catch (err) {
+      console.error('[sh] interaction handler error:', err);
+      try {
+        if (interaction.deferred) await interaction.editReply({ content: 'Error running command' });
+        else if (!interaction.replied) await interaction.reply({ content: 'Error running command', ephemeral: true });
+      } catch (_) {}
+    }
+  });
+
+  return {
+    complete
+  };
+};
+
+// === Slash command builder (/sh <command>) ===
+module.exports.command = new SlashCommandBuilder()
+  .setName('sh')
+  .setDescription('Run a terminal command (same as typing it after $)')
+  .addStringOption(opt =>
+    opt
+      .setName('command')
+      .setDescription('Command line, e.g. ls -l | grep txt')
+      .setRequired(true)
+      .setMaxLength(MAX_LINE_LENGTH)
+      .setAutocomplete(true)
+  );
@@ -10,8 +10,10 @@
 //  - Replies are ephemeral so only the invoker sees them.
 //
 // Usage:
-//   const toggleModule = require('./toggle')(client, { /*opts*/ });
+//   const toggleModule = require('./toggle')(client, { store /* optional persistence store */ });
 //   toggleModule.isChannelEnabled(guildId, channelId);
+//
+// With a store, disabled channels are loaded on startup and written through on every change.
 
 const { SlashCommandBuilder, PermissionsBitField } = require('discord.js');
 
@@ -20,6 +22,21 @@ module.exports = function initToggleModule(client, opts = {}) {
   const enabledChannels = opts.enabledChannels || new Map();
   // primary blacklist store (guildId => Set(channelId))
   const disabledChannels = new Map();
+  // persisted as guildId => [channelId, ...]
+  const saved = opts.store ? opts.store.namespace('toggle.disabled') : null;
+
+  if (saved) {
+    for (const [guildId, channelIds] of saved.entries()) {
+      if (Array.isArray(channelIds) && channelIds.length) disabledChannels.set(guildId, new Set(channelIds));
+    }
+  }
+
+  function persistDisabled(guildId) {
+    if (!saved) return;
+    const ds = disabledChannels.get(guildId);
+    if (ds && ds.size) saved.set(guildId, Array.from(ds));
+    else saved.delete(guildId);
+  }
 
   function ensureDisabledSet(guildId) {
     if (!disabledChannels.has(guildId)) disabledChannels.set(guildId, new Set());
@@ -91,6 +108,7 @@ module.exports = function initToggleModule(client, opts = {}) {
             return;
           }
           ds.add(channel.id);
+          persistDisabled(guildId);
           await interaction.reply({ content: `⛔ Commands have been disabled in ${channel}.`, ephemeral: true });
           return;
         } else { // enable
@@ -99,6 +117,7 @@ module.exports = function initToggleModule(client, opts = {}) {
             return;
           }
           ds.delete(channel.id);
+          persistDisabled(guildId);
           await interaction.reply({ content: `✅ Commands have been enabled in ${channel}.`, ephemeral: true });
           return;
         }
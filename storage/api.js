@@ -1,12 +1,56 @@
 // storage/api.js
-// Internal storage API: per-user directories, quota enforcement, file saving, simple VirusTotal scan stub (optional).
-// Exports a factory: module.exports = (baseDir, { quotaBytes, enableVirusCheck }) => apiObject
+// Internal storage API: per-user directories, quota enforcement, file saving, malware scanning and quarantine.
+// Exports a factory:
+//   module.exports = (baseDir, { quotaBytes, maxFileBytes, minFreeBytes, archiveLimits, enableVirusCheck, scanner, encryption, vfs, manifest, trash }) => apiObject
+// Quota usage is read from the per-user manifest (storage/manifest.js), which every write/delete/rename/copy updates.
+// Every stored file has a manifest entry with its size, SHA-256, MIME type, upload time and (for uploads) the source
+// URL and scan result. Storage is content-addressed per user: identical files are hardlinked and charged once, so
+// stored files must never be modified in place -- write a temp file and rename it over the old one instead.
+// scanFile() runs the pluggable scanner (storage/scanners/) and moves flagged files to <baseDir>/.quarantine/<userId>/,
+// outside the user's workspace. A file whose scan is anything but clean (pending, error) is held: it stays listed
+// but cannot be read until rescanHeld() (run on a timer by head.js) gets a clean verdict for it. 'skipped' (no
+// scanner configured, or checks turned off) has nothing to wait for and does not hold a file.
+// With a master key configured, file contents are encrypted per user (storage/encryption.js) on every write and
+// decrypted on every read; sizes, hashes and quota always refer to the plaintext ("logical") bytes.
+// removeFile() and recursive rmdir() move things to the user's trash (storage/trash.js) unless asked to delete them
+// permanently; restoreFromTrash() moves them back together with their manifest entries.
+// Archives ($zip/$unzip/$tar) are parsed in memory by storage/archive.js; extraction is checked against the archive
+// limits, the quota and existing files before anything is written, and rolled back if it fails part-way.
+// Incoming data is limited three ways: the user's remaining quota, a per-file maximum and a free-disk reserve
+// for the whole baseDir. Streams are cut off as soon as they cross the limit instead of being checked afterwards.
+// All path arguments are virtual paths relative to the user's cwd, resolved through the shared VFS (storage/vfs.js),
+// which rejects anything outside the user's root.
 
 const fs = require('node:fs/promises');
 const path = require('node:path');
 const crypto = require('node:crypto');
 
+const { Readable, Transform } = require('node:stream');
+const { pipeline } = require('node:stream/promises');
+
+const createVfs = require('./vfs');
+const createManifest = require('./manifest');
+const createScanner = require('./scanners');
+const createEncryption = require('./encryption');
+const archive = require('./archive');
+const createTrash = require('./trash');
+const { looksBinary, detectMime, SNIFF_BYTES } = require('./fileinfo');
+const { vfsError } = createVfs;
+const { TMP_FILE_RE } = createManifest;
+
 const DEFAULT_QUOTA = 800 * 1024 * 1024; // 800 MB
+const DEFAULT_MAX_FILE = 100 * 1024 * 1024; // 100 MB
+const DEFAULT_MIN_FREE = 512 * 1024 * 1024; // keep this much disk free for everything else on the host
+
+// Limit errors carry the kind both as err.code and as a message prefix ("QuotaExceeded: ...").
+//   QuotaExceeded        - the user's quota
+//   FileTooLarge         - the per-file maximum
+//   InsufficientStorage  - the server-wide free-disk reserve
+function limitError(code, message) {
+  const err = new Error(`${code}: ${message}`);
+  err.code = code;
+  return err;
+}
 
 function human(n) {
   if (n < 1024) return `${n} B`;
@@ -15,10 +59,33 @@ function human(n) {
   return `${(n/1024/1024/1024).toFixed(2)} GB`;
 }
 
-module.exports = function createApi(baseDir, { quotaBytes = DEFAULT_QUOTA, enableVirusCheck = true } = {}) {
+// scan verdicts that leave a file readable; anything else holds it
+const RELEASED_SCANS = new Set(['clean', 'skipped']);
+
+function isHeld(entry) {
+  return !!(entry && entry.scan && !RELEASED_SCANS.has(entry.scan.status));
+}
+
+module.exports = function createApi(baseDir, {
+  quotaBytes = DEFAULT_QUOTA,
+  maxFileBytes = DEFAULT_MAX_FILE,
+  minFreeBytes = DEFAULT_MIN_FREE,
+  archiveLimits = archive.LIMITS,
+  enableVirusCheck = true,
+  scanner = createScanner({ enabled: enableVirusCheck }),
+  encryption = createEncryption(baseDir),
+  vfs = createVfs(baseDir),
+  manifest = createManifest(baseDir, { encryption }),
+  trash = createTrash(baseDir)
+} = {}) {
+  const quarantineRoot = path.join(vfs.baseDir, '.quarantine');
+
+  // Map<userId, bytes> written by streams that have not finished yet, so parallel uploads share one quota
+  const inflight = new Map();
+
   // compute per-user base
   function userDir(userId) {
-    return path.join(baseDir, String(userId));
+    return vfs.userRoot(userId);
   }
 
   async function ensureUserDir(userId) {
@@ -27,168 +94,795 @@ module.exports = function createApi(baseDir, { quotaBytes = DEFAULT_QUOTA, enabl
     return dir;
   }
 
-  // get size used by a user's dir (recursive)
-  async function _dirSize(dir) {
-    let total = 0;
+  // usage comes from the per-user manifest (storage/manifest.js), never from walking the tree
+  async function usedBytes(userId) {
+    return manifest.usedBytes(userId);
+  }
+
+  // rebuild a user's usage index from disk (on demand; also run for everyone at startup)
+  async function reconcileUsage(userId) {
+    const m = await manifest.reconcile(userId);
+    return { used: m.used, files: Object.keys(m.files).length };
+  }
+
+  async function quotaRemaining(userId) {
+    const used = await usedBytes(userId);
+    const remain = Math.max(0, quotaBytes - used);
+    return { used, remain, quota: quotaBytes };
+  }
+
+  // free bytes on the filesystem holding baseDir (Infinity if statfs is unavailable)
+  async function diskFree() {
     try {
-      const entries = await fs.readdir(dir, { withFileTypes: true });
-      for (const e of entries) {
-        const full = path.join(dir, e.name);
-        if (e.isFile()) {
-          const st = await fs.stat(full);
-          total += st.size;
-        } else if (e.isDirectory()) {
-          total += await _dirSize(full);
+      const st = await fs.statfs(vfs.baseDir);
+      return st.bavail * st.bsize;
+    } catch (_) {
+      return Infinity;
+    }
+  }
+
+  function quotaError(left) {
+    return limitError('QuotaExceeded', `would exceed your quota (${human(Math.max(0, left))} of ${human(quotaBytes)} remaining)`);
+  }
+
+  // quota left for a user, minus what their unfinished streams have written so far
+  async function quotaLeft(userId, replacing = 0) {
+    const used = await usedBytes(userId);
+    return quotaBytes - used - (inflight.get(String(userId)) || 0) + replacing;
+  }
+
+  // The tightest of the three limits for one more incoming file: { bytes, error() }.
+  // `replacing` is the size of a file being overwritten, which is given back to the quota.
+  // `quota: false` is for writes that add no new content (hardlinked copies).
+  async function incomingLimit(userId, { replacing = 0, perFile = true, quota = true } = {}) {
+    const diskLeft = Math.max(0, (await diskFree()) - minFreeBytes);
+    const limits = [
+      { bytes: diskLeft, error: () => limitError('InsufficientStorage', 'the server is low on disk space, try again later') }
+    ];
+    if (quota) {
+      const left = Math.max(0, await quotaLeft(userId, replacing));
+      limits.push({ bytes: left, error: () => quotaError(left) });
+    }
+    if (perFile) limits.push({ bytes: maxFileBytes, error: () => limitError('FileTooLarge', `larger than the ${human(maxFileBytes)} per-file limit`) });
+    return limits.reduce((a, b) => (b.bytes < a.bytes ? b : a));
+  }
+
+  // throw the matching limit error if `size` more bytes would not fit
+  async function checkIncoming(userId, size, opts) {
+    const limit = await incomingLimit(userId, opts);
+    if (size > limit.bytes) throw limit.error();
+    return limit.bytes;
+  }
+
+  function tempPath(real) {
+    return real + '.tmp-' + crypto.randomBytes(6).toString('hex');
+  }
+
+  // Move a finished temp file to its destination and record it. When the user already stores identical
+  // content (same hash, file untouched since), the destination becomes a hardlink to it instead.
+  async function placeFile(userId, target, tmp, { size, sha256, head, encrypted }, meta = {}) {
+    let duplicateOf = null;
+    const dup = await manifest.findByHash(userId, sha256, target.rel);
+    if (dup) {
+      const link = tempPath(target.real);
+      try {
+        const entry = await manifest.get(userId, dup);
+        const st = await fs.stat(vfs.toReal(userId, dup));
+        if (entry.size === size && Math.abs(st.mtimeMs - entry.mtimeMs) < 1) {
+          await fs.link(vfs.toReal(userId, dup), link);
+          await fs.rename(link, target.real);
+          await fs.unlink(tmp).catch(()=>{});
+          duplicateOf = dup;
+          // the bytes on disk are now the duplicate's, which may predate encryption
+          encrypted = !!entry.encrypted;
         }
+      } catch (_) {
+        // no hardlinks here (or the duplicate just went away): keep the uploaded copy
+        await fs.unlink(link).catch(()=>{});
       }
+    }
+    if (!duplicateOf) await fs.rename(tmp, target.real);
+
+    const st = await fs.stat(target.real);
+    const entry = await manifest.record(userId, target.rel, Object.assign({
+      size,
+      sha256,
+      mime: detectMime(target.name, head),
+      uploadedAt: new Date().toISOString(),
+      mtimeMs: st.mtimeMs,
+      encrypted
+    }, meta));
+    return { path: target.real, rel: target.rel, name: target.name, size, sha256, mime: entry.mime, duplicateOf };
+  }
+
+  // sanitize filename (prevent path traversal). A name that looks like one of our temp files (TMP_FILE_RE) gets
+  // `.tmp_` instead: temp files are left out of listings, copies and the usage rebuild, so a stored file must never
+  // look like one.
+  function safeFilename(name) {
+    return name.replace(/[\x00<>:"\/\\|?*\x00-\x1F]/g, '_').slice(0, 200).replace(TMP_FILE_RE, (m) => '.tmp_' + m.slice(5));
+  }
+
+  // Resolve a virtual destination path (relative to the user's cwd) for writing.
+  // The directory part goes through the VFS (traversal protection); the last segment is sanitized.
+  function resolveWritable(userId, input) {
+    const raw = String(input || '').replace(/\\/g, '/').replace(/\/+$/, '');
+    const slash = raw.lastIndexOf('/');
+    const dirPart = slash === -1 ? '.' : (raw.slice(0, slash) || '/');
+    const base = slash === -1 ? raw : raw.slice(slash + 1);
+    if (TMP_FILE_RE.test(base)) throw vfsError('EINVAL', `${input}: names ending in .tmp-<12 hex digits> are reserved for temporary files`);
+    const name = safeFilename(base);
+    if (!name || name === '.' || name === '..') throw vfsError('EINVAL', `Invalid filename: ${input}`);
+    const dirRel = vfs.resolve(userId, dirPart);
+    const rel = dirRel ? `${dirRel}/${name}` : name;
+    return { rel, dirRel, name, real: vfs.toReal(userId, rel) };
+  }
+
+  async function assertParentDir(userId, target) {
+    const dir = vfs.toReal(userId, target.dirRel);
+    try {
+      const st = await fs.stat(dir);
+      if (!st.isDirectory()) throw vfsError('ENOTDIR', `${vfs.display(target.dirRel)}: Not a directory`);
     } catch (e) {
-      if (e.code === 'ENOENT') return 0;
+      if (e.code === 'ENOENT') throw vfsError('ENOENT', `${vfs.display(target.dirRel)}: No such file or directory`);
       throw e;
     }
-    return total;
   }
 
-  async function usedBytes(userId) {
-    const dir = userDir(userId);
-    return await _dirSize(dir);
+  // write buffer/stream to a file at a virtual path (relative to the user's cwd)
+  // meta: extra manifest fields, e.g. { url } for Discord attachments
+  async function saveFileFromBuffer(userId, filename, bufferOrUint8Array, meta = {}) {
+    await ensureUserDir(userId);
+    const target = resolveWritable(userId, filename || `file-${Date.now()}`);
+    await assertParentDir(userId, target);
+    const buf = Buffer.from(bufferOrUint8Array.buffer, bufferOrUint8Array.byteOffset, bufferOrUint8Array.length);
+    await checkIncoming(userId, buf.length, { replacing: await manifest.freedBy(userId, target.rel) });
+
+    // never write over the old file in place: it may be hardlinked to identical content elsewhere
+    const tmp = tempPath(target.real);
+    try {
+      const key = await encryption.writeKey(userId);
+      await fs.writeFile(tmp, key ? encryption.encryptBuffer(key, buf) : buf);
+      const sha256 = crypto.createHash('sha256').update(buf).digest('hex');
+      return await placeFile(userId, target, tmp, { size: buf.length, sha256, head: buf.subarray(0, SNIFF_BYTES), encrypted: !!key }, meta);
+    } catch (e) {
+      await fs.unlink(tmp).catch(()=>{});
+      throw e;
+    }
   }
 
-  async function quotaRemaining(userId) {
-    const used = await usedBytes(userId);
-    const remain = Math.max(0, quotaBytes - used);
-    return { used, remain, quota: quotaBytes };
+  // append to a file (virtual path), creating it if needed; the whole file is rewritten through a temp file
+  async function appendFile(userId, filename, bufferOrUint8Array) {
+    const st = await vfs.stat(userId, filename);
+    if (st && st.isDirectory) throw vfsError('EISDIR', `${filename}: Is a directory`);
+    const head = st ? (await readFile(userId, filename, { maxBytes: maxFileBytes })).buffer : Buffer.alloc(0);
+    const tail = Buffer.from(bufferOrUint8Array.buffer, bufferOrUint8Array.byteOffset, bufferOrUint8Array.length);
+    return saveFileFromBuffer(userId, filename, Buffer.concat([head, tail]));
   }
 
-  // sanitize filename (prevent path traversal)
-  function safeFilename(name) {
-    return name.replace(/[\x00<>:"\/\\|?*\x00-\x1F]/g, '_').slice(0, 200);
-  }
-
-  // write buffer/stream to a file in user's dir at optional relativePath
-  async function saveFileFromBuffer(userId, filename, bufferOrUint8Array) {
-    const safe = safeFilename(filename || `file-${Date.now()}`);
-    const dir = await ensureUserDir(userId);
-    const dest = path.join(dir, safe);
-    // check quota
-    const currentUsed = await usedBytes(userId);
-    const newSize = bufferOrUint8Array.length;
-    if (currentUsed + newSize > quotaBytes) {
-      const allowed = Math.max(0, quotaBytes - currentUsed);
-      throw new Error(`QuotaExceeded: file would exceed quota. allowed: ${human(allowed)}`);
-    }
-
-    await fs.writeFile(dest, bufferOrUint8Array);
-    return { path: dest, name: safe, size: newSize };
-  }
-
-  // save a readable stream (if you use fetch.body)
-  async function saveFileFromStream(userId, filename, stream) {
-    const safe = safeFilename(filename || `file-${Date.now()}`);
-    const dir = await ensureUserDir(userId);
-    const dest = path.join(dir, safe);
-
-    // create temporary file and stream into it, counting bytes
-    const tmp = dest + '.tmp-' + crypto.randomBytes(6).toString('hex');
-    const w = require('node:fs').createWriteStream(tmp);
-    return new Promise((resolve, reject) => {
-      let written = 0;
-      stream.on('data', (chunk) => {
+  // save a readable stream (Node stream or web ReadableStream, e.g. fetch().body)
+  // The stream is aborted as soon as it passes a limit; nothing over the limit is kept on disk.
+  // The per-file and disk limits are fixed when the upload starts. The quota is re-checked on every chunk
+  // against the user's other in-flight uploads, so parallel uploads cannot overshoot it together.
+  async function saveFileFromStream(userId, filename, stream, meta = {}) {
+    await ensureUserDir(userId);
+    const target = resolveWritable(userId, filename || `file-${Date.now()}`);
+    await assertParentDir(userId, target);
+    const dest = target.real;
+    if (stream && typeof stream.getReader === 'function') stream = Readable.fromWeb(stream);
+
+    const id = String(userId);
+    const replacing = await manifest.freedBy(id, target.rel);
+    const limit = await incomingLimit(id, { replacing });
+    if (limit.bytes <= 0) {
+      stream.destroy();
+      throw limit.error();
+    }
+
+    // create temporary file and stream into it, counting and hashing the plaintext bytes
+    const key = await encryption.writeKey(id);
+    const tmp = tempPath(dest);
+    const hash = crypto.createHash('sha256');
+    const headChunks = [];
+    let written = 0;
+    // every chunk is counted and checked against the limits before it is passed on; the next chunk is not taken
+    // until the quota check for this one has finished, so nothing slips past a pending check
+    const meter = new Transform({
+      transform(chunk, _encoding, done) {
+        if (written < SNIFF_BYTES) headChunks.push(chunk);
         written += chunk.length;
-        // optimistic check: if written > quota, we can abort
-        // but precise check uses actual disk usage
-      });
-      stream.pipe(w);
-      w.on('finish', async () => {
+        hash.update(chunk);
+        inflight.set(id, (inflight.get(id) || 0) + chunk.length);
+        if (written > limit.bytes) return done(limit.error());
+        quotaLeft(id, replacing).then((left) => {
+          if (left < 0) done(quotaError(left + written));
+          else done(null, chunk);
+        }, done);
+      }
+    });
+
+    try {
+      // stream -> meter -> (encryptStream) -> file
+      const stages = [stream, meter];
+      if (key) stages.push(encryption.encryptStream(key));
+      stages.push(require('node:fs').createWriteStream(tmp));
+      await pipeline(stages);
+      const info = { size: written, sha256: hash.digest('hex'), head: Buffer.concat(headChunks).subarray(0, SNIFF_BYTES), encrypted: !!key };
+      return await placeFile(userId, target, tmp, info, meta);
+    } catch (e) {
+      await fs.unlink(tmp).catch(()=>{});
+      throw e;
+    } finally {
+      const left = (inflight.get(id) || 0) - written;
+      if (left > 0) inflight.set(id, left);
+      else inflight.delete(id);
+    }
+  }
+
+  // create a directory (virtual path); parents: behave like mkdir -p
+  async function mkdir(userId, dirPath, { parents = false } = {}) {
+    await ensureUserDir(userId);
+    const rel = vfs.resolve(userId, dirPath);
+    if (!rel) throw vfsError('EEXIST', `cannot create directory '${dirPath}': File exists`);
+    const existing = await vfs.stat(userId, '~/' + rel);
+    if (existing) {
+      if (parents && existing.isDirectory) return { rel, created: false };
+      throw vfsError('EEXIST', `cannot create directory '${dirPath}': File exists`);
+    }
+    // each segment is sanitized the same way as filenames
+    if (rel.split('/').some(seg => safeFilename(seg) !== seg)) throw vfsError('EINVAL', `Invalid directory name: ${dirPath}`);
+    try {
+      await fs.mkdir(vfs.toReal(userId, rel), { recursive: parents });
+    } catch (e) {
+      if (e.code === 'ENOENT') throw vfsError('ENOENT', `cannot create directory '${dirPath}': No such file or directory`);
+      if (e.code === 'ENOTDIR') throw vfsError('ENOTDIR', `cannot create directory '${dirPath}': Not a directory`);
+      throw e;
+    }
+    return { rel, created: true };
+  }
+
+  // count files/bytes under a virtual path (used for confirmations and copy quota checks)
+  async function pathSummary(userId, p) {
+    const st = await vfs.stat(userId, p);
+    if (!st) throw vfsError('ENOENT', `${p}: No such file or directory`);
+    if (st.isFile) return { rel: st.rel, isDirectory: false, files: 1, dirs: 0, bytes: st.size };
+    const summary = { rel: st.rel, isDirectory: true, files: 0, dirs: 0, bytes: 0 };
+    async function walk(dir) {
+      for (const e of await fs.readdir(dir, { withFileTypes: true })) {
+        const full = path.join(dir, e.name);
+        if (e.isDirectory()) {
+          summary.dirs++;
+          await walk(full);
+        } else if (e.isFile()) {
+          summary.files++;
+          summary.bytes += (await fs.stat(full)).size;
+        }
+      }
+    }
+    await walk(vfs.toReal(userId, st.rel));
+    return summary;
+  }
+
+  // remove a directory (virtual path); only removes non-empty directories when recursive is set
+  // recursive: remove a non-empty folder -- into the trash unless permanent; returns the trash item or null
+  async function rmdir(userId, dirPath, { recursive = false, permanent = false } = {}) {
+    const st = await vfs.stat(userId, dirPath);
+    if (!st) throw vfsError('ENOENT', `${dirPath}: No such file or directory`);
+    if (!st.isDirectory) throw vfsError('ENOTDIR', `${dirPath}: Not a directory`);
+    if (!st.rel) throw vfsError('EACCES', 'Permission denied: cannot remove your storage root');
+    const real = vfs.toReal(userId, st.rel);
+    let trashed = null;
+    if (recursive) {
+      trashed = await discard(userId, st.rel, 'dir', permanent);
+    } else {
+      try {
+        await fs.rmdir(real);
+      } catch (e) {
+        if (e.code === 'ENOTEMPTY' || e.code === 'EEXIST') throw vfsError('ENOTEMPTY', `${dirPath}: Directory not empty`);
+        throw e;
+      }
+      await manifest.remove(userId, st.rel);
+    }
+    // a removed cwd would leave the prompt pointing nowhere
+    const cwd = vfs.getCwd(userId);
+    if (cwd === st.rel || cwd.startsWith(st.rel + '/')) vfs.setCwd(userId, path.posix.dirname(st.rel));
+    return trashed;
+  }
+
+  // work out where `from` lands for mv/cp: into `to` if it is a directory, else at `to`
+  async function resolveTransfer(userId, from, to) {
+    const src = await vfs.stat(userId, from);
+    if (!src) throw vfsError('ENOENT', `${from}: No such file or directory`);
+    if (!src.rel) throw vfsError('EACCES', 'Permission denied: cannot move or copy your storage root');
+
+    const destStat = await vfs.stat(userId, to);
+    let target;
+    if (destStat && destStat.isDirectory) {
+      target = resolveWritable(userId, vfs.display(destStat.rel) + '/' + path.posix.basename(src.rel));
+    } else {
+      target = resolveWritable(userId, to);
+    }
+    await assertParentDir(userId, target);
+
+    if (target.rel === src.rel) throw vfsError('EINVAL', `'${from}' and '${to}' are the same file`);
+    if (src.isDirectory && (target.rel + '/').startsWith(src.rel + '/')) {
+      throw vfsError('EINVAL', `cannot move or copy '${from}' into itself`);
+    }
+    if (await vfs.stat(userId, '~/' + target.rel)) throw vfsError('EEXIST', `${vfs.display(target.rel)}: File exists`);
+    return { src, target };
+  }
+
+  // move/rename a file or directory (virtual paths); never overwrites
+  async function move(userId, from, to) {
+    const { src, target } = await resolveTransfer(userId, from, to);
+    await fs.rename(vfs.toReal(userId, src.rel), target.real);
+    await manifest.rename(userId, src.rel, target.rel);
+    const cwd = vfs.getCwd(userId);
+    if (src.isDirectory && (cwd === src.rel || cwd.startsWith(src.rel + '/'))) {
+      vfs.setCwd(userId, target.rel + cwd.slice(src.rel.length));
+    }
+    return { from: src.rel, to: target.rel };
+  }
+
+  // copy a file or (with recursive) a directory. Files are hardlinked (falling back to a real copy), so a copy
+  // adds no new content: it costs no quota, only a disk-space check for the fallback case.
+  async function copy(userId, from, to, { recursive = false } = {}) {
+    const { src, target } = await resolveTransfer(userId, from, to);
+    if (src.isDirectory && !recursive) throw vfsError('EISDIR', `${from}: Is a directory (use -r)`);
+    const summary = await pathSummary(userId, '~/' + src.rel);
+    await checkIncoming(userId, summary.bytes, { perFile: false, quota: false });
+
+    async function copyTree(fromReal, toReal) {
+      const st = await fs.stat(fromReal);
+      if (st.isDirectory()) {
+        await fs.mkdir(toReal);
+        for (const e of await fs.readdir(fromReal)) {
+          if (!TMP_FILE_RE.test(e)) await copyTree(path.join(fromReal, e), path.join(toReal, e));
+        }
+      } else if (st.isFile()) {
         try {
-          // ensure quota after full write
-          const currentUsed = await usedBytes(userId);
-          if (currentUsed + written > quotaBytes) {
-            await fs.unlink(tmp).catch(()=>{});
-            const allowed = Math.max(0, quotaBytes - currentUsed);
-            return reject(new Error(`QuotaExceeded: file would exceed quota. allowed: ${human(allowed)}`));
-          }
-          await fs.rename(tmp, dest);
-          resolve({ path: dest, name: safe, size: written });
+          await fs.link(fromReal, toReal);
         } catch (e) {
-          await fs.unlink(tmp).catch(()=>{});
-          reject(e);
+          if (e.code === 'EEXIST') throw e;
+          await fs.copyFile(fromReal, toReal, require('node:fs').constants.COPYFILE_EXCL);
         }
-      });
-      w.on('error', (err) => {
-        fs.unlink(tmp).catch(()=>{});
-        reject(err);
-      });
-      stream.on('error', (err) => {
-        w.destroy();
-        fs.unlink(tmp).catch(()=>{});
-        reject(err);
-      });
-    });
+      }
+    }
+    await copyTree(vfs.toReal(userId, src.rel), target.real);
+    await manifest.copy(userId, src.rel, target.rel);
+    return { from: src.rel, to: target.rel, bytes: summary.bytes };
   }
 
-  // remove a file relative to user's dir
-  async function removeFile(userId, filename) {
-    const dir = userDir(userId);
-    const full = path.join(dir, filename);
-    // prevent path traversal
-    if (!full.startsWith(path.resolve(dir))) throw new Error('Invalid filename');
+  // ---------------- archives ----------------
+
+  async function openArchive(userId, archivePath) {
+    const file = await readFile(userId, archivePath, { maxBytes: maxFileBytes });
+    const format = archive.detectFormat(file.name, file.buffer);
+    if (!format) throw vfsError('EINVAL', `${archivePath}: not a zip, tar or tar.gz archive`);
+    return { format, entries: await archive.read(format, file.buffer, archiveLimits) };
+  }
+
+  // list an archive's entries without extracting: { format, entries: [{ path, type, size }] }
+  async function listArchive(userId, archivePath) {
+    const { format, entries } = await openArchive(userId, archivePath);
+    return { format, entries: entries.map(({ path: p, type, size }) => ({ path: p, type, size })) };
+  }
+
+  // Extract an archive into destDir (created if missing). Nothing is written until every entry has passed the
+  // archive limits, the quota and the existing-file check. If an entry fails, files created so far are removed
+  // again and files it overwrote (--overwrite) are put back.
+  async function extractArchive(userId, archivePath, destDir = '.', { overwrite = false } = {}) {
+    const { format, entries } = await openArchive(userId, archivePath);
+    await ensureUserDir(userId);
+    const destRel = vfs.resolve(userId, destDir);
+    const under = (p) => (destRel ? `${destRel}/${p}` : p);
+
+    const files = entries.filter(e => e.type === 'file');
+    const bytes = files.reduce((a, e) => a + e.size, 0);
+    for (const e of files) {
+      if (e.size > maxFileBytes) throw limitError('FileTooLarge', `${e.path} is larger than the ${human(maxFileBytes)} per-file limit`);
+    }
+    for (const e of entries) {
+      const rel = under(e.path);
+      if (rel.split('/').some(seg => safeFilename(seg) !== seg)) throw vfsError('EINVAL', `unsupported file name in archive: ${e.path}`);
+      const st = await vfs.stat(userId, '~/' + rel);
+      if (!st) continue;
+      if (e.type === 'dir' && !st.isDirectory) throw vfsError('EEXIST', `${vfs.display(rel)}: File exists`);
+      if (e.type === 'file' && st.isDirectory) throw vfsError('EISDIR', `${vfs.display(rel)}: Is a directory`);
+      if (e.type === 'file' && !overwrite) throw vfsError('EEXIST', `${vfs.display(rel)}: File exists`);
+    }
+    await checkIncoming(userId, bytes, { perFile: false });
+
+    // files and directories this extraction created, removed again (newest first) if a later entry fails
+    const created = [];
+    // files it overwrote: a hardlink to the old contents (writes never go in place) and the old manifest entry,
+    // renamed back if a later entry fails and dropped once everything is written
+    const replaced = [];
+    const backUp = async (rel) => {
+      const real = vfs.toReal(userId, rel);
+      const backup = tempPath(real);
+      await fs.link(real, backup).catch(() => fs.copyFile(real, backup));
+      const entry = await manifest.get(userId, rel);
+      replaced.push({ rel, backup, entry: entry && Object.assign({}, entry) });
+    };
+    const makeDir = async (rel) => {
+      for (let i = 0, parts = rel.split('/'); i < parts.length; i++) {
+        const r = await mkdir(userId, '~/' + parts.slice(0, i + 1).join('/'), { parents: true });
+        if (r.created) created.push({ rel: r.rel, dir: true });
+      }
+    };
+    try {
+      if (destRel) await makeDir(destRel);
+      for (const e of entries) {
+        const rel = under(e.path);
+        if (e.type === 'dir') {
+          await makeDir(rel);
+          continue;
+        }
+        const parent = path.posix.dirname(rel);
+        if (parent !== '.') await makeDir(parent);
+        const existed = !!(await vfs.stat(userId, '~/' + rel));
+        if (existed) await backUp(rel);
+        await saveFileFromBuffer(userId, '~/' + rel, await e.data());
+        if (!existed) created.push({ rel });
+      }
+    } catch (err) {
+      for (const r of replaced.reverse()) {
+        try {
+          await fs.rename(r.backup, vfs.toReal(userId, r.rel));
+          if (r.entry) await manifest.record(userId, r.rel, r.entry);
+        } catch (_) {}
+      }
+      for (const c of created.reverse()) {
+        await (c.dir ? fs.rmdir(vfs.toReal(userId, c.rel)) : removeFile(userId, '~/' + c.rel, { permanent: true })).catch(()=>{});
+      }
+      throw err;
+    }
+    for (const r of replaced) await fs.unlink(r.backup).catch(()=>{});
+    return { format, dest: destRel, files: files.length, dirs: entries.length - files.length, bytes };
+  }
+
+  // Pack files/folders into an in-memory archive (format 'zip' | 'tar' | 'tar.gz'), decrypting as it reads.
+  // Entries are named relative to each source's parent, like zip -r / tar -c run from the cwd.
+  async function buildArchive(userId, sources, { format = 'zip' } = {}) {
+    const entries = [];
+    let bytes = 0;
+    const add = (entry) => {
+      if (entries.length >= archiveLimits.maxEntries) throw vfsError('EINVAL', `too many files to archive (max ${archiveLimits.maxEntries})`);
+      entries.push(entry);
+    };
+
+    async function walk(rel, name) {
+      const st = await vfs.stat(userId, '~/' + rel);
+      if (st.isDirectory) {
+        add({ path: name, type: 'dir', mtime: st.mtime });
+        for (const it of (await listFiles(userId, '~/' + rel)).sort((a, b) => a.name.localeCompare(b.name))) {
+          if (TMP_FILE_RE.test(it.name)) continue;
+          await walk(`${rel}/${it.name}`, `${name}/${it.name}`);
+        }
+      } else if (st.isFile) {
+        const file = await readFile(userId, '~/' + rel, { maxBytes: maxFileBytes });
+        bytes += file.size;
+        if (bytes > archiveLimits.maxTotalBytes) throw vfsError('EINVAL', `too much data to archive (max ${human(archiveLimits.maxTotalBytes)})`);
+        add({ path: name, type: 'file', data: file.buffer, mtime: st.mtime });
+      }
+    }
+
+    for (const src of sources) {
+      const st = await vfs.stat(userId, src);
+      if (!st) throw vfsError('ENOENT', `${src}: No such file or directory`);
+      if (!st.rel) throw vfsError('EINVAL', 'cannot archive your whole workspace; name a folder');
+      await walk(st.rel, path.posix.basename(st.rel));
+    }
+    return { format, buffer: archive.write(format, entries), files: entries.filter(e => e.type === 'file').length, bytes };
+  }
+
+  // build an archive and store it at outPath (must not exist yet)
+  async function createArchive(userId, sources, outPath, { format = 'zip' } = {}) {
+    await ensureUserDir(userId);
+    const target = resolveWritable(userId, outPath);
+    if (await vfs.stat(userId, '~/' + target.rel)) throw vfsError('EEXIST', `${vfs.display(target.rel)}: File exists`);
+    const built = await buildArchive(userId, sources, { format });
+    const result = await saveFileFromBuffer(userId, '~/' + target.rel, built.buffer);
+    return { rel: result.rel, size: result.size, files: built.files, bytes: built.bytes, format };
+  }
+
+  // remove a file (virtual path, relative to the user's cwd)
+  // Take a file or folder out of the workspace and the manifest: into the trash, or deleted if `permanent` or if it
+  // does not fit in the trash at all. Returns the trash item or null.
+  async function discard(userId, rel, type, permanent) {
+    const real = vfs.toReal(userId, rel);
+    const files = await manifest.remove(userId, rel);
     try {
-      await fs.unlink(full);
-      return true;
+      if (!permanent) {
+        const size = files.reduce((a, e) => a + e.size, 0);
+        const item = await trash.put(userId, real, { path: rel, type, size, files });
+        if (item) return item;
+      }
+      await fs.rm(real, { recursive: true, force: true });
+      return null;
     } catch (e) {
-      if (e.code === 'ENOENT') return false;
+      // still in the workspace: keep its metadata
+      for (const { rel: r, ...entry } of files) await manifest.record(userId, r, entry);
       throw e;
     }
   }
 
-  async function listFiles(userId, relPath = '.') {
-    const dir = path.join(userDir(userId), relPath);
+  // remove a file (virtual path): false if it does not exist, otherwise { rel, trashed: item | null }
+  async function removeFile(userId, filename, { permanent = false } = {}) {
+    // vfs.resolve/toReal reject anything outside the user root (path traversal)
+    const rel = vfs.resolve(userId, filename);
+    if (!rel) throw new Error('Invalid filename');
+    const full = vfs.toReal(userId, rel);
     try {
-      const entries = await fs.readdir(dir, { withFileTypes: true });
-      return entries.map(e => ({
-        name: e.name,
-        isDirectory: e.isDirectory(),
-        isFile: e.isFile()
-      }));
+      const st = await fs.stat(full);
+      if (st.isDirectory()) {
+        const err = new Error(`${filename}: Is a directory`);
+        err.code = 'EISDIR';
+        throw err;
+      }
     } catch (e) {
-      if (e.code === 'ENOENT') return [];
+      if (e.code === 'ENOENT' || e.code === 'ENOTDIR') return false;
       throw e;
     }
+    return { rel, trashed: await discard(userId, rel, 'file', permanent) };
+  }
+
+  // ---------------- trash ----------------
+
+  // trash items of a user (newest first) and the trash's usage
+  async function listTrash(userId) {
+    const items = await trash.list(userId);
+    return { items, used: items.reduce((a, it) => a + it.size, 0), quota: trash.quotaBytes, retentionMs: trash.retentionMs };
+  }
+
+  // Find a trash item by id, by original path (relative to the cwd) or by name; the newest wins when the same
+  // path was deleted more than once.
+  async function findInTrash(userId, query) {
+    const items = await trash.list(userId);
+    const byId = items.find(it => it.id === query);
+    if (byId) return byId;
+    const rel = vfs.resolve(userId, query);
+    const byPath = items.find(it => it.path === rel);
+    if (byPath) return byPath;
+    const byName = items.filter(it => path.posix.basename(it.path) === query);
+    const paths = Array.from(new Set(byName.map(it => it.path)));
+    if (paths.length > 1) {
+      throw vfsError('EINVAL', `${query}: ambiguous, in the trash as ${paths.map(p => vfs.display(p)).join(', ')}; restore by path or id`);
+    }
+    if (!byName.length) throw vfsError('ENOENT', `${query}: not in the trash`);
+    return byName[0];
+  }
+
+  // Move a trash item back to its original path (or `dest`), recreating missing parent folders.
+  async function restoreFromTrash(userId, query, dest = null) {
+    await ensureUserDir(userId);
+    const item = await findInTrash(userId, query);
+    const target = resolveWritable(userId, dest || '~/' + item.path);
+    if (await vfs.stat(userId, '~/' + target.rel)) throw vfsError('EEXIST', `${vfs.display(target.rel)}: File exists`);
+    await checkIncoming(userId, item.size, { perFile: false });
+    if (target.dirRel) await mkdir(userId, '~/' + target.dirRel, { parents: true });
+    await trash.take(userId, item.id, target.real);
+    // contents were moved, not rewritten, so the saved entries (mtime included) still describe them
+    for (const { rel, ...entry } of item.files || []) {
+      await manifest.record(userId, target.rel + rel.slice(item.path.length), entry);
+    }
+    return { item, rel: target.rel };
   }
 
-  // VirusTotal scan stub. If VIRUSTOTAL_KEY is present, attempt to upload file for scanning.
-  // NOTE: This uses global fetch (Node 18+). If you plan to use VT, set VIRUSTOTAL_KEY in env.
-  async function virusScan(filePath) {
-    if (!enableVirusCheck) return { status: 'skipped', reason: 'virus checks disabled in config' };
-    const key = process.env.VIRUSTOTAL_KEY || process.env.VT_API_KEY;
-    if (!key) return { status: 'skipped', reason: 'no VIRUSTOTAL_KEY provided' };
+  async function emptyTrash(userId) {
+    return trash.empty(userId);
+  }
 
-    // Best-effort: upload file and request analysis. This is a best-effort implementation;
-    // for production you'd want better error handling, rate-limit handling, etc.
+  // Open a stored file for reading. Its manifest entry says whether it is encrypted; the header is only sniffed
+  // for a file the manifest does not know.
+  async function openStored(userId, rel) {
+    const entry = await manifest.get(userId, rel);
+    return encryption.open(userId, vfs.toReal(userId, rel), { encrypted: entry ? !!entry.encrypted : undefined });
+  }
+
+  // refuse to hand out the contents of a file whose scan has not come back clean
+  async function assertNotHeld(userId, rel, filePath) {
+    const entry = await manifest.get(userId, rel);
+    if (isHeld(entry)) {
+      throw vfsError('EACCES', `${filePath}: held until a virus scan clears it (scan ${entry.scan.status}; it is checked again automatically)`);
+    }
+  }
+
+  // plaintext size of a stored file: the manifest's if it is current, otherwise read from the file itself
+  async function logicalSize(userId, rel, diskStat) {
+    const entry = await manifest.get(userId, rel);
+    if (entry && Math.abs((entry.mtimeMs || 0) - diskStat.mtime.getTime()) < 1) return entry.size;
+    const reader = await openStored(userId, rel);
+    await reader.close();
+    return reader.size;
+  }
+
+  // stat a file (virtual path); `size` is the plaintext size
+  async function statFile(userId, filePath) {
+    const st = await vfs.stat(userId, filePath);
+    if (!st) throw vfsError('ENOENT', `${filePath}: No such file or directory`);
+    if (st.isDirectory) throw vfsError('EISDIR', `${filePath}: Is a directory`);
+    return Object.assign({}, st, { size: await logicalSize(userId, st.rel, st) });
+  }
+
+  // read a whole file (virtual path), decrypting if needed; refuses files larger than maxBytes
+  async function readFile(userId, filePath, { maxBytes = 8 * 1024 * 1024 } = {}) {
+    const st = await vfs.stat(userId, filePath);
+    if (!st) throw vfsError('ENOENT', `${filePath}: No such file or directory`);
+    if (st.isDirectory) throw vfsError('EISDIR', `${filePath}: Is a directory`);
+    await assertNotHeld(userId, st.rel, filePath);
+    const reader = await openStored(userId, st.rel);
+    try {
+      if (reader.size > maxBytes) throw vfsError('EFBIG', `${filePath}: File too large (${human(reader.size)}, max ${human(maxBytes)})`);
+      const buffer = await reader.read(0, reader.size);
+      return { rel: st.rel, name: path.posix.basename(st.rel), size: reader.size, buffer };
+    } finally {
+      await reader.close();
+    }
+  }
+
+  // read `length` bytes starting at `start` (clamped to the file size); only the chunks in range are decrypted
+  async function readRange(userId, filePath, start = 0, length = 4096) {
+    const st = await vfs.stat(userId, filePath);
+    if (!st) throw vfsError('ENOENT', `${filePath}: No such file or directory`);
+    if (st.isDirectory) throw vfsError('EISDIR', `${filePath}: Is a directory`);
+    await assertNotHeld(userId, st.rel, filePath);
+    const reader = await openStored(userId, st.rel);
     try {
-      const form = new (require('form-data'))();
-      const st = await fs.stat(filePath);
-      const rs = require('node:fs').createReadStream(filePath);
-      form.append('file', rs, { knownLength: st.size, filename: path.basename(filePath) });
-
-      const res = await fetch('https://www.virustotal.com/api/v3/files', {
-        method: 'POST',
-        headers: {
-          'x-apikey': key
-        },
-        body: form
-      });
-
-      if (!res.ok) {
-        const txt = await res.text().catch(()=>null);
-        return { status: 'error', http: res.status, text: txt || 'upload failed' };
+      const from = Math.max(0, Math.min(start, reader.size));
+      const buffer = await reader.read(from, length);
+      return { rel: st.rel, size: reader.size, start: from, buffer };
+    } finally {
+      await reader.close();
+    }
+  }
+
+  // list a directory (virtual path, relative to the user's cwd)
+  // long: also return size/mtime from disk and the manifest entry (`meta`) for each file
+  async function listFiles(userId, relPath = '.', { long = false } = {}) {
+    const rel = vfs.resolve(userId, relPath);
+    const dir = vfs.toReal(userId, rel);
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+    const items = entries.map(e => ({
+      name: e.name,
+      isDirectory: e.isDirectory(),
+      isFile: e.isFile()
+    }));
+    if (!long) return items;
+    for (const it of items) {
+      const itemRel = rel ? `${rel}/${it.name}` : it.name;
+      try {
+        const st = await fs.stat(path.join(dir, it.name));
+        it.size = it.isFile ? await logicalSize(userId, itemRel, st) : st.size;
+        it.mtime = st.mtime;
+      } catch (_) {}
+      it.meta = it.isFile ? await manifest.get(userId, itemRel) : null;
+    }
+    return items;
+  }
+
+  // everything known about one path: disk stat, manifest entry and how many files share its content
+  async function fileInfo(userId, filePath) {
+    const st = await vfs.stat(userId, filePath);
+    if (!st) throw vfsError('ENOENT', `${filePath}: No such file or directory`);
+    const meta = st.isFile ? await manifest.get(userId, st.rel) : null;
+    const shared = meta ? await manifest.refCount(userId, meta.sha256) : 0;
+    const size = st.isFile ? await logicalSize(userId, st.rel, st) : st.size;
+    return Object.assign({}, st, { size, meta, shared });
+  }
+
+  // merge metadata (e.g. { scan }) into a stored file's manifest entry
+  async function updateMeta(userId, rel, patch) {
+    return manifest.update(userId, rel, patch);
+  }
+
+  // $touch on an existing file: set its mtime to now and keep the manifest's mtimeMs in step, so dedup and the
+  // size fast path still trust the entry. Hardlinked copies share the inode and get the new mtime too.
+  async function touch(userId, p) {
+    const rel = vfs.resolve(userId, p);
+    const real = vfs.toReal(userId, rel);
+    const t = new Date();
+    await fs.utimes(real, t, t);
+    const st = await fs.stat(real);
+    const entry = await manifest.get(userId, rel);
+    if (!entry) return;
+    const m = await manifest.load(userId);
+    for (const k of Object.keys(m.files).filter(k => m.files[k].sha256 === entry.sha256)) {
+      const other = k === rel ? st : await fs.stat(vfs.toReal(userId, k)).catch(() => null);
+      if (other && other.ino === st.ino && other.dev === st.dev) await manifest.update(userId, k, { mtimeMs: st.mtimeMs });
+    }
+  }
+
+  // Move a flagged file out of the workspace, together with every file sharing its content (they are the same bytes);
+  // trash items holding that content are deleted.
+  // Each quarantined file gets a .json sidecar describing where it came from and why it was flagged.
+  async function quarantine(userId, rel, verdict) {
+    const entry = await manifest.get(userId, rel);
+    const m = await manifest.load(userId);
+    const rels = entry ? Object.keys(m.files).filter(k => m.files[k].sha256 === entry.sha256) : [rel];
+    const dir = path.join(quarantineRoot, String(userId));
+    await fs.mkdir(dir, { recursive: true });
+    const moved = [];
+    for (const r of rels) {
+      const dest = path.join(dir, `${Date.now()}-${crypto.randomBytes(3).toString('hex')}-${path.posix.basename(r)}`);
+      try {
+        await fs.rename(vfs.toReal(userId, r), dest);
+      } catch (e) {
+        if (e.code === 'ENOENT') continue;
+        throw e;
       }
-      const json = await res.json();
-      // return the analysis id / meta. Consumer can poll
-      return { status: 'uploaded', id: json.data?.id || null, meta: json.data || null };
+      const info = Object.assign({ userId: String(userId), rel: r, quarantinedAt: new Date().toISOString() }, m.files[r] || {}, { scan: verdict });
+      await fs.writeFile(dest + '.json', JSON.stringify(info, null, 2)).catch(()=>{});
+      await manifest.remove(userId, r);
+      moved.push(r);
+    }
+    // deleted copies of the same content must not come back through $restore
+    if (entry) {
+      for (const it of await trash.list(userId)) {
+        if ((it.files || []).some(f => f.sha256 === entry.sha256)) await trash.drop(userId, it.id);
+      }
+    }
+    return moved;
+  }
+
+  // Scan a stored file with the configured backends and record the verdict in its manifest entry ($stat).
+  // Infected files are quarantined; the result lists what was moved. Any verdict but clean/skipped leaves the
+  // file held (`held: true`), and a scan that fails outright counts as an error verdict.
+  async function scanFile(userId, filePath) {
+    const st = await statFile(userId, filePath);
+    const entry = await manifest.get(userId, st.rel);
+    let verdict;
+    try {
+      // scanners read from disk, so encrypted files are handed over as a temporary plaintext copy
+      verdict = await encryption.withPlainFile(userId, vfs.toReal(userId, st.rel),
+        (file) => scanner.scan(file, { sha256: entry && entry.sha256, name: path.posix.basename(st.rel) }),
+        { encrypted: entry ? !!entry.encrypted : undefined });
     } catch (e) {
-      return { status: 'error', error: String(e) };
+      verdict = { status: 'error', reason: e && e.message ? e.message : String(e) };
+    }
+    const summary = { status: verdict.status, checkedAt: new Date().toISOString() };
+    for (const k of ['engine', 'signature', 'reason', 'id']) {
+      if (verdict[k]) summary[k] = verdict[k];
+    }
+    await manifest.update(userId, st.rel, { scan: summary });
+    const quarantined = verdict.status === 'infected' ? await quarantine(userId, st.rel, summary) : [];
+    return Object.assign({}, verdict, { scan: summary, quarantined, held: !quarantined.length && isHeld({ scan: summary }) });
+  }
+
+  // Scan every held file again: a pending VirusTotal analysis has finished by now, a scanner that was down is back.
+  // Returns { released, quarantined, held } counts.
+  async function rescanHeld() {
+    const counts = { released: 0, quarantined: 0, held: 0 };
+    let names = [];
+    try {
+      names = await fs.readdir(manifest.metaDir);
+    } catch (e) {
+      if (e.code === 'ENOENT') return counts;
+      throw e;
+    }
+    for (const name of names.filter(n => n.endsWith('.json'))) {
+      const userId = name.slice(0, -5);
+      const m = await manifest.load(userId);
+      for (const [rel, entry] of Object.entries(m.files)) {
+        if (!isHeld(entry) || !m.files[rel]) continue;
+        try {
+          const r = await scanFile(userId, '~/' + rel);
+          if (r.quarantined.length) counts.quarantined++;
+          else if (r.held) counts.held++;
+          else counts.released++;
+        } catch (e) {
+          // e.g. deleted meanwhile
+          if (e.code !== 'ENOENT') console.warn(`[storage] rescan of ${userId}/${rel} failed: ${e.message}`);
+        }
+      }
     }
+    return counts;
   }
 
   return {
@@ -196,14 +890,51 @@ module.exports = function createApi(baseDir, { quotaBytes = DEFAULT_QUOTA, enabl
     ensureUserDir,
     usedBytes,
     quotaRemaining,
+    checkIncoming,
+    reconcileUsage,
     saveFileFromBuffer,
     saveFileFromStream,
+    appendFile,
     removeFile,
+    listTrash,
+    restoreFromTrash,
+    emptyTrash,
     listFiles,
-    virusScan,
+    fileInfo,
+    updateMeta,
+    touch,
+    mkdir,
+    rmdir,
+    move,
+    rename: move,
+    copy,
+    pathSummary,
+    safeFilename,
+    statFile,
+    readFile,
+    readRange,
+    listArchive,
+    extractArchive,
+    buildArchive,
+    createArchive,
+    looksBinary,
+    scanFile,
+    rescanHeld,
+    isHeld,
+    quarantine,
+    // shared virtual filesystem (cwd + path resolution)
+    vfs,
+    // per-user usage index
+    manifest,
     // metadata
     baseDir,
     quotaBytes,
+    maxFileBytes,
+    minFreeBytes,
+    archiveLimits,
+    quarantineRoot,
+    trash,
+    encryption,
     human
   };
 };
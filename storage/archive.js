@@ -0,0 +1,409 @@
+// storage/archive.js
+// ZIP, tar and tar.gz reading/writing on in-memory buffers for $zip/$unzip/$tar (zlib only, no dependencies).
+// Readers never touch the disk: they return checked entries and storage/api.js does the writing.
+// Usage:
+//
+// const archive = require('./archive');
+// const format = archive.detectFormat('proj.zip', buf);          // 'zip' | 'tar.gz' | 'tar' | null
+// const entries = await archive.read(format, buf, archive.LIMITS); // [{ path, type: 'file'|'dir', size, data() }]
+// const content = await entries[0].data();                          // Buffer
+// const zip = archive.write('zip', [{ path: 'a/b.txt', data, mtime }, { path: 'a', type: 'dir' }]);
+//
+// Safety:
+// - entry paths are normalized; absolute paths, drive letters and '..' segments are rejected (zip slip)
+// - symlinks, hardlinks, devices and encrypted ZIP entries are rejected
+// - limits (maxEntries, maxTotalBytes uncompressed, maxRatio per entry) are checked against the declared sizes
+//   before anything is inflated, and inflation itself is capped at the declared size, so a lying header
+//   cannot expand past what was checked (decompression bombs)
+// - a tar.gz is gunzipped as a stream (off the event loop) and abandoned as soon as it outgrows maxTotalBytes;
+//   zip entries are inflated the same way, one entry per data() call
+// - ZIP64 is not supported
+
+const zlib = require('node:zlib');
+
+const LIMITS = {
+  maxEntries: 10000,
+  maxTotalBytes: 256 * 1024 * 1024, // uncompressed, whole archive
+  maxRatio: 200 // uncompressed/compressed, per entry (only checked above RATIO_MIN_BYTES)
+};
+const RATIO_MIN_BYTES = 1024 * 1024;
+
+function archiveError(message) {
+  const err = new Error(message);
+  err.code = 'EARCHIVE';
+  return err;
+}
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  if (typeof zlib.crc32 === 'function') return zlib.crc32(buf) >>> 0;
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// normalize an entry path; throws on anything that could land outside the extraction directory
+function cleanPath(raw) {
+  const p = String(raw).replace(/\\/g, '/');
+  if (p.includes('\0') || p.startsWith('/') || /^[a-zA-Z]:/.test(p)) throw archiveError(`unsafe path in archive: ${raw}`);
+  const segs = [];
+  for (const seg of p.split('/')) {
+    if (seg === '' || seg === '.') continue;
+    if (seg === '..') throw archiveError(`unsafe path in archive: ${raw}`);
+    segs.push(seg);
+  }
+  return segs.join('/');
+}
+
+// shared bookkeeping for readers: entry count, total size, ratio and duplicate checks
+function createChecker(limits) {
+  const opts = Object.assign({}, LIMITS, limits);
+  const seen = new Set();
+  let count = 0;
+  let total = 0;
+  return function check(entry, compressedSize) {
+    if (++count > opts.maxEntries) throw archiveError(`archive has more than ${opts.maxEntries} entries`);
+    if (entry.type !== 'file') return;
+    if (seen.has(entry.path)) throw archiveError(`duplicate entry in archive: ${entry.path}`);
+    seen.add(entry.path);
+    total += entry.size;
+    if (total > opts.maxTotalBytes) throw archiveError(`archive expands to more than ${opts.maxTotalBytes} bytes`);
+    if (compressedSize !== undefined && entry.size > RATIO_MIN_BYTES && entry.size / Math.max(1, compressedSize) > opts.maxRatio) {
+      throw archiveError(`suspicious compression ratio for ${entry.path} (possible decompression bomb)`);
+    }
+  };
+}
+
+function detectFormat(name, buf) {
+  if (buf.length >= 4 && buf.readUInt32LE(0) === 0x04034b50) return 'zip';
+  if (buf.length >= 22 && buf.readUInt32LE(0) === 0x06054b50) return 'zip'; // empty zip
+  if (buf.length >= 2 && buf[0] === 0x1f && buf[1] === 0x8b) return 'tar.gz';
+  if (buf.length >= 263 && buf.toString('latin1', 257, 262) === 'ustar') return 'tar';
+  if (/\.tar$/i.test(String(name || '')) && buf.length % 512 === 0) return 'tar';
+  return null;
+}
+
+// ---------------- ZIP ----------------
+
+function dosDateTime(d) {
+  const date = d instanceof Date && !isNaN(d) ? d : new Date();
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+function findEndOfCentralDirectory(buf) {
+  const min = Math.max(0, buf.length - 22 - 0xffff);
+  for (let i = buf.length - 22; i >= min; i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) return i;
+  }
+  throw archiveError('not a zip archive (no end of central directory)');
+}
+
+function readZip(buf, limits) {
+  const eocd = findEndOfCentralDirectory(buf);
+  const count = buf.readUInt16LE(eocd + 10);
+  const cdOffset = buf.readUInt32LE(eocd + 16);
+  if (count === 0xffff || cdOffset === 0xffffffff) throw archiveError('ZIP64 archives are not supported');
+  const check = createChecker(limits);
+
+  const entries = [];
+  let p = cdOffset;
+  for (let i = 0; i < count; i++) {
+    if (p + 46 > buf.length || buf.readUInt32LE(p) !== 0x02014b50) throw archiveError('corrupt zip central directory');
+    const madeBy = buf.readUInt16LE(p + 4);
+    const flags = buf.readUInt16LE(p + 8);
+    const method = buf.readUInt16LE(p + 10);
+    const crc = buf.readUInt32LE(p + 16);
+    const csize = buf.readUInt32LE(p + 20);
+    const usize = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const extAttr = buf.readUInt32LE(p + 38);
+    const localOffset = buf.readUInt32LE(p + 42);
+    const rawName = buf.toString(flags & 0x800 ? 'utf8' : 'latin1', p + 46, p + 46 + nameLen);
+    p += 46 + nameLen + extraLen + commentLen;
+
+    if (flags & 0x1) throw archiveError(`encrypted zip entries are not supported: ${rawName}`);
+    const mode = (madeBy >> 8) === 3 ? (extAttr >>> 16) & 0o170000 : 0;
+    if (mode === 0o120000) throw archiveError(`symlinks are not allowed in archives: ${rawName}`);
+    const isDir = rawName.endsWith('/') || mode === 0o040000;
+    const path = cleanPath(rawName);
+    if (!path) continue;
+    if (!isDir && method !== 0 && method !== 8) throw archiveError(`unsupported compression method ${method}: ${rawName}`);
+
+    const entry = { path, type: isDir ? 'dir' : 'file', size: isDir ? 0 : usize };
+    check(entry, csize);
+    if (!isDir) {
+      entry.data = async () => {
+        if (localOffset + 30 > buf.length || buf.readUInt32LE(localOffset) !== 0x04034b50) throw archiveError(`corrupt zip entry: ${path}`);
+        const start = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+        if (start + csize > buf.length) throw archiveError(`corrupt zip entry: ${path}`);
+        const raw = buf.subarray(start, start + csize);
+        let out;
+        if (method === 0) {
+          out = raw;
+        } else {
+          try {
+            // never inflate past the declared size
+            out = await inflate(zlib.createInflateRaw(), raw, usize);
+          } catch (e) {
+            throw archiveError(e.code === 'ERR_BUFFER_TOO_LARGE' ? `${path} expands past its declared size` : `corrupt zip entry: ${path}`);
+          }
+        }
+        if (out.length !== usize || crc32(out) !== crc) throw archiveError(`checksum mismatch in ${path}`);
+        return out;
+      };
+    }
+    entries.push(entry);
+  }
+  return entries;
+}
+
+function writeZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const e of entries) {
+    const isDir = e.type === 'dir';
+    const name = Buffer.from(isDir ? `${e.path}/` : e.path, 'utf8');
+    const data = isDir ? Buffer.alloc(0) : e.data;
+    const deflated = isDir ? data : zlib.deflateRawSync(data);
+    const method = !isDir && deflated.length < data.length ? 8 : 0;
+    const body = method === 8 ? deflated : data;
+    const crc = crc32(data);
+    const { time, date } = dosDateTime(e.mtime);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x800, 6); // UTF-8 names
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, body);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE((3 << 8) | 20, 4); // made by unix, zip 2.0
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(((isDir ? 0o040755 : 0o100644) << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + body.length;
+  }
+  const cd = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(cd.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, cd, eocd]);
+}
+
+// ---------------- tar (ustar + pax/GNU long names) ----------------
+
+function readString(buf, start, len) {
+  const raw = buf.subarray(start, start + len);
+  const nul = raw.indexOf(0);
+  return raw.toString('utf8', 0, nul === -1 ? raw.length : nul);
+}
+
+function readOctal(buf, start, len) {
+  if (buf[start] & 0x80) throw archiveError('tar entries larger than 8 GB are not supported');
+  const s = readString(buf, start, len).trim();
+  return s ? parseInt(s, 8) : 0;
+}
+
+function headerChecksum(header) {
+  let sum = 0;
+  for (let i = 0; i < 512; i++) sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  return sum;
+}
+
+function parsePax(text) {
+  const out = {};
+  for (const line of text.split('\n')) {
+    const m = /^\d+ ([^=]+)=(.*)$/.exec(line);
+    if (m) out[m[1]] = m[2];
+  }
+  return out;
+}
+
+function readTar(buf, limits, compressedSize) {
+  const check = createChecker(limits);
+  const entries = [];
+  let p = 0;
+  let longName = null;
+  while (p + 512 <= buf.length) {
+    const header = buf.subarray(p, p + 512);
+    if (header.every(b => b === 0)) break;
+    if (readOctal(header, 148, 8) !== headerChecksum(header)) throw archiveError('corrupt tar header (bad checksum)');
+    const size = readOctal(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const dataStart = p + 512;
+    if (dataStart + size > buf.length) throw archiveError('tar archive is truncated');
+    p = dataStart + Math.ceil(size / 512) * 512;
+
+    if (type === 'x' || type === 'L') {
+      const body = buf.subarray(dataStart, dataStart + size).toString('utf8');
+      longName = type === 'L' ? body.replace(/\0+$/, '') : (parsePax(body).path || longName);
+      continue;
+    }
+    if (type === 'g') continue;
+
+    let name = readString(header, 0, 100);
+    if (header.toString('latin1', 257, 262) === 'ustar') {
+      const prefix = readString(header, 345, 155);
+      if (prefix) name = `${prefix}/${name}`;
+    }
+    if (longName) name = longName;
+    longName = null;
+
+    if (type === '1' || type === '2') throw archiveError(`links are not allowed in archives: ${name}`);
+    if (type === '3' || type === '4' || type === '6') throw archiveError(`device files are not allowed in archives: ${name}`);
+    const isDir = type === '5';
+    if (!isDir && type !== '0' && type !== '7') continue; // other metadata records
+    const path = cleanPath(name);
+    if (!path) continue;
+
+    const entry = { path, type: isDir ? 'dir' : 'file', size: isDir ? 0 : size };
+    // a tar.gz is compressed as a whole: judge each entry against the whole compressed size
+    check(entry, compressedSize);
+    if (!isDir) entry.data = async () => Buffer.from(buf.subarray(dataStart, dataStart + size));
+    entries.push(entry);
+  }
+  return entries;
+}
+
+function writeOctal(header, value, start, len) {
+  header.write(value.toString(8).padStart(len - 1, '0') + '\0', start, len, 'latin1');
+}
+
+function tarHeader(name, { size = 0, type = '0', mtime = new Date(), mode = 0o644 } = {}) {
+  const header = Buffer.alloc(512);
+  // longer names are carried by a preceding pax header; this copy is only a fallback for old readers
+  Buffer.from(name, 'utf8').copy(header, 0, 0, 100);
+  writeOctal(header, mode, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor((mtime instanceof Date && !isNaN(mtime) ? mtime : new Date()).getTime() / 1000), 136, 12);
+  header.write(type, 156, 1, 'latin1');
+  header.write('ustar\0' + '00', 257, 8, 'latin1');
+  header.write(`${headerChecksum(header).toString(8).padStart(6, '0')}\0 `, 148, 8, 'latin1');
+  return header;
+}
+
+function pad512(buf) {
+  const rest = buf.length % 512;
+  return rest ? Buffer.concat([buf, Buffer.alloc(512 - rest)]) : buf;
+}
+
+function writeTar(entries) {
+  const parts = [];
+  for (const e of entries) {
+    const isDir = e.type === 'dir';
+    const name = isDir ? `${e.path}/` : e.path;
+    if (Buffer.byteLength(name) > 100) {
+      // pax extended header: "<len> path=<name>\n", where <len> counts the whole record
+      const body = ` path=${name}\n`;
+      const bodyLen = Buffer.byteLength(body);
+      let len = bodyLen + 1;
+      while (String(len).length + bodyLen !== len) len = String(len).length + bodyLen;
+      const record = Buffer.from(`${len}${body}`, 'utf8');
+      parts.push(tarHeader('PaxHeader', { size: record.length, type: 'x' }), pad512(record));
+    }
+    const data = isDir ? Buffer.alloc(0) : e.data;
+    parts.push(tarHeader(name, { size: data.length, type: isDir ? '5' : '0', mtime: e.mtime, mode: isDir ? 0o755 : 0o644 }));
+    if (data.length) parts.push(pad512(data));
+  }
+  parts.push(Buffer.alloc(1024));
+  return Buffer.concat(parts);
+}
+
+// run a buffer through a zlib stream without blocking, failing with ERR_BUFFER_TOO_LARGE (like zlib's
+// maxOutputLength) as soon as the output passes maxBytes
+function inflate(stream, buf, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let total = 0;
+    stream.on('data', (chunk) => {
+      total += chunk.length;
+      if (total > maxBytes) {
+        const err = new Error(`inflated output passed ${maxBytes} bytes`);
+        err.code = 'ERR_BUFFER_TOO_LARGE';
+        stream.destroy(err);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks, total)));
+    stream.end(buf);
+  });
+}
+
+// ---------------- entry points ----------------
+
+async function read(format, buf, limits = {}) {
+  const opts = Object.assign({}, LIMITS, limits);
+  if (format === 'zip') return readZip(buf, opts);
+  if (format === 'tar') return readTar(buf, opts);
+  if (format === 'tar.gz') {
+    let tar;
+    try {
+      // headers and padding add at most ~1 KB per entry on top of the content limit
+      tar = await inflate(zlib.createGunzip(), buf, opts.maxTotalBytes + (opts.maxEntries + 2) * 1024);
+    } catch (e) {
+      throw archiveError(e.code === 'ERR_BUFFER_TOO_LARGE' ? `archive expands to more than ${opts.maxTotalBytes} bytes` : 'corrupt gzip data');
+    }
+    return readTar(tar, opts, buf.length);
+  }
+  throw archiveError(`unsupported archive format: ${format}`);
+}
+
+function write(format, entries) {
+  if (format === 'zip') {
+    if (entries.length > 0xfffe) throw archiveError('too many files for a zip archive');
+    return writeZip(entries);
+  }
+  if (format === 'tar') return writeTar(entries);
+  if (format === 'tar.gz') return zlib.gzipSync(writeTar(entries));
+  throw archiveError(`unsupported archive format: ${format}`);
+}
+
+module.exports = {
+  LIMITS,
+  detectFormat,
+  read,
+  write,
+  cleanPath,
+  crc32
+};
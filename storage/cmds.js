@@ -1,114 +1,613 @@
 // storage/cmds.js
-// Example message-command handlers for the storage subsystem.
+// Console command handlers for the storage subsystem.
 // Commands implemented:
-//   $storageinfo       - show usage and quota
-//   $ls                - list files in user root (or path if provided)
-//   $cd <path>         - update virtual cwd (stored in memory; persisted optional)
+//   $storageinfo       - show usage and quota ($storage rescan rebuilds the usage index from disk)
+//   $ls [-l] [path]    - list files in cwd (or path if provided); -l adds size, date and MIME type
+//   $stat <path>       - show a file's manifest entry (size, SHA-256, MIME, upload time, source, scan result)
+//   $cd [path]         - change virtual cwd (shared with the prompt line via storage/vfs.js)
 //   $pwd               - show current cwd
-//   $upload             - save attachments in message to user's storage
-//   $rm <filename>     - remove file
+//   $upload            - save attachments in message to the user's cwd
+//   $rm <filename>     - move a file to the trash
+//   $trash [list|empty] - show the trash, or delete everything in it (asks for confirmation)
+//   $restore <file|id> [dest] - move a file or folder back from the trash
+//   $touch <file>      - create an empty file
+//   $mkdir [-p] <dir>  - create a folder
+//   $rmdir [-r] <dir>  - remove a folder (recursive removal asks for confirmation and goes to the trash)
+//   $mv <src> <dest>   - move/rename a file or folder
+//   $cp [-r] <src> <dest> - copy a file or folder (quota-checked)
+//   $tree [path]       - show a directory tree
+//   $cat [file] [-p n] - show a text file, one page at a time (binary files are refused); piped: whole file or stdin
+//   $head/$tail [-n N] [file] - first/last lines of a text file or of stdin
+//   $zip <out.zip> <path>... - pack files/folders into a zip archive
+//   $unzip [-l] [-o] <archive> [-d dir] - list or extract a zip/tar/tar.gz archive (-o overwrites existing files)
+//   $tar -czf|-cf <out> <path>... / -xf <archive> [-C dir] / -tf <archive> - create, extract or list tar(.gz)
+//   $download <file>   - DM the file back as an attachment (within Discord's size limit); folders are sent zipped
 //
-// This module exports handleMessageCommand({client, message, api, args, opts})
+// This module exports handleMessageCommand({client, message, api, cmd, args, stdin, tty, opts}) which returns the
+// output (string or array of lines) for the shell (shell/index.js) to render, pipe or redirect; failures come back
+// as { stdout, status: 1 } so `&&` / `||` can tell. stdin is piped-in text (or null); tty is false when the
+// output goes to a pipe or a file instead of the terminal.
+// `commands` maps each command name to its help text so index.js can register them.
 
-const path = require('node:path');
-const fs = require('node:fs/promises');
+const { AttachmentBuilder } = require('discord.js');
 
-const USER_STATE = new Map(); // ephemeral: userId => { cwd: '.' }
+const TREE_MAX_DEPTH = 8;
+const TREE_MAX_ENTRIES = 200;
+const CAT_PAGE_BYTES = 3000;
+const HEAD_TAIL_WINDOW = 64 * 1024;
+const MAX_OUTPUT_LINES = 200;
+const MAX_PIPE_BYTES = 1024 * 1024;
+const DEFAULT_MAX_DOWNLOAD = 10 * 1024 * 1024;
+const ARCHIVE_LIST_LINES = 50;
+const EXTRACT_SHOW_ENTRIES = 10;
+const CONFIRM_TTL_MS = 60 * 1000;
 
-function ensureState(userId) {
-  if (!USER_STATE.has(userId)) USER_STATE.set(userId, { cwd: '.' });
-  return USER_STATE.get(userId);
+const commands = {
+  storage: 'show storage usage and quota',
+  storageinfo: 'show storage usage and quota',
+  ls: 'list files in your workspace (-l for details)',
+  stat: 'show file details (size, hash, type, upload info)',
+  cd: 'change directory',
+  pwd: 'print working directory',
+  upload: 'save attached files to your workspace',
+  rm: 'move a file to the trash',
+  trash: 'list the trash (list) or delete it for good (empty)',
+  restore: 'bring a file or folder back from the trash',
+  touch: 'create an empty file',
+  mkdir: 'create a folder (-p for parents)',
+  rmdir: 'remove a folder (-r for non-empty, asks to confirm)',
+  mv: 'move or rename a file or folder',
+  cp: 'copy a file (or folder with -r)',
+  tree: 'show directory tree',
+  cat: 'show a text file (paged: -p <n>)',
+  head: 'show the first lines of a file (-n <lines>)',
+  tail: 'show the last lines of a file (-n <lines>)',
+  zip: 'pack files or folders into a .zip',
+  unzip: 'extract an archive (-l to list, -o to overwrite, -d <dir>)',
+  tar: 'create (-czf), extract (-xf) or list (-tf) a tar/tar.gz archive',
+  download: 'receive a stored file (or a zipped folder) by DM'
+};
+
+// userId => { rel, expires } for `$rmdir -r` and `$trash empty` confirmations
+const PENDING_CONFIRM = new Map();
+// PENDING_CONFIRM key for `$trash empty` (never a real path)
+const TRASH_CONFIRM = '\0trash';
+
+const EXPECTED_ERRORS = new Set(['EACCES', 'ENOENT', 'ENOTDIR', 'EISDIR', 'EEXIST', 'EINVAL', 'ENOTEMPTY', 'EFBIG', 'EARCHIVE']);
+// storage limits (see limitError in storage/api.js)
+const LIMIT_ERRORS = new Set(['QuotaExceeded', 'FileTooLarge', 'InsufficientStorage']);
+
+// output with a failing exit status
+function fail(text) {
+  return { stdout: text, status: 1 };
+}
+
+function errText(cmd, e) {
+  if (e && (EXPECTED_ERRORS.has(e.code) || LIMIT_ERRORS.has(e.code))) {
+    return fail(`${cmd}: ${e.message}`);
+  }
+  console.error(`[storage ${cmd}] error`, e);
+  return fail(`${cmd}: ${String(e && e.message ? e.message : e)}`);
+}
+
+// split -x / -xy / --word flags from positional args
+function splitFlags(args) {
+  const flags = new Set();
+  const rest = [];
+  for (const a of args) {
+    if (/^--[a-z]+$/.test(a)) flags.add(a.slice(2));
+    else if (/^-[a-z]+$/i.test(a)) for (const f of a.slice(1)) flags.add(f.toLowerCase());
+    else rest.push(a);
+  }
+  return { flags, rest };
+}
+
+// take a `-x <value>` option out of args; returns { page: value|null, rest }
+function takeOption(args, names) {
+  const rest = [];
+  let page = null;
+  for (let i = 0; i < args.length; i++) {
+    if (names.includes(args[i]) && i + 1 < args.length) page = args[++i];
+    else rest.push(args[i]);
+  }
+  return { page, rest };
+}
+
+// break up ``` so file contents cannot close the terminal code block
+function fence(text) {
+  return text.replace(/```/g, '`\u200b``');
+}
+
+// ISO timestamp trimmed to minutes, e.g. 2026-10-19 14:03
+function shortDate(d) {
+  return d ? new Date(d).toISOString().slice(0, 16).replace('T', ' ') : '-';
 }
 
-function slashEscape(s) {
-  return String(s).replace(/`/g, '\\`');
+function scanText(scan) {
+  if (!scan || !scan.status) return 'not scanned';
+  const engine = scan.engine ? ` by ${scan.engine}` : '';
+  const extra = scan.signature ? ` (${scan.signature})` : scan.reason ? ` (${scan.reason})` : scan.id ? ` (id ${scan.id})` : '';
+  return `${scan.status}${engine}${extra}`;
+}
+
+// `$unzip -l` / `$tar -t` output: one line per entry, capped
+function archiveListing(api, r) {
+  const files = r.entries.filter(e => e.type === 'file');
+  const lines = r.entries.slice(0, ARCHIVE_LIST_LINES).map(e => e.type === 'dir'
+    ? `d ${'-'.padStart(9)}  ${e.path}/`
+    : `- ${api.human(e.size).padStart(9)}  ${e.path}`);
+  if (r.entries.length > ARCHIVE_LIST_LINES) lines.push(`... and ${r.entries.length - ARCHIVE_LIST_LINES} more`);
+  lines.push(`${r.format}: ${files.length} file${files.length === 1 ? '' : 's'}, ${api.human(files.reduce((a, e) => a + e.size, 0))}`);
+  return lines;
+}
+
+function extractSummary(api, vfs, archiveName, r) {
+  return `Extracted ${archiveName} into ${vfs.display(r.dest)}: ${r.files} file${r.files === 1 ? '' : 's'}, ` +
+    `${r.dirs} folder${r.dirs === 1 ? '' : 's'}, ${api.human(r.bytes)}`;
+}
+
+function capText(text, max) {
+  return text.length > max ? text.slice(0, max) + '\n... (output truncated)' : text;
+}
+
+// Page k covers bytes [k*P, (k+1)*P) of the file, snapped forward to the next line start,
+// so every line is shown on exactly one page and any page can be read with two range reads.
+async function readPage(api, userId, file, k) {
+  const P = CAT_PAGE_BYTES;
+  const head = await api.readRange(userId, file, 0, 8192);
+  if (api.looksBinary(head.buffer)) return { binary: true, size: head.size };
+  const pages = Math.ceil(head.size / P);
+  if (k >= pages) return { pages, size: head.size, text: '' };
+
+  async function lineStart(offset) {
+    if (offset <= 0) return 0;
+    if (offset >= head.size) return head.size;
+    const r = await api.readRange(userId, file, offset - 1, P);
+    const nl = r.buffer.indexOf(0x0a);
+    // no newline in reach: cut mid-line rather than skipping a whole page
+    return nl === -1 ? offset : offset + nl;
+  }
+
+  const start = await lineStart(k * P);
+  const end = await lineStart((k + 1) * P);
+  const r = await api.readRange(userId, file, start, end - start);
+  return { pages, size: head.size, text: r.buffer.toString('utf8').replace(/\n$/, '') };
+}
+
+async function buildTree(api, userId, rel, prefix, lines, counts, depth) {
+  const items = (await api.listFiles(userId, api.vfs.display(rel)))
+    .sort((a, b) => (b.isDirectory - a.isDirectory) || a.name.localeCompare(b.name));
+  for (let i = 0; i < items.length; i++) {
+    if (lines.length >= TREE_MAX_ENTRIES) {
+      lines.push(`${prefix}└── ...`);
+      return;
+    }
+    const it = items[i];
+    const last = i === items.length - 1;
+    lines.push(`${prefix}${last ? '└── ' : '├── '}${it.name}${it.isDirectory ? '/' : ''}`);
+    if (it.isDirectory) {
+      counts.dirs++;
+      if (depth < TREE_MAX_DEPTH) {
+        await buildTree(api, userId, rel ? `${rel}/${it.name}` : it.name, prefix + (last ? '    ' : '│   '), lines, counts, depth + 1);
+      }
+    } else {
+      counts.files++;
+    }
+  }
 }
 
-async function handleMessageCommand({ client, message, api, args, opts }) {
-  const sub = (args[0] || '').toLowerCase();
-  const cmd = sub ? sub : (message.content.slice((opts.prefix||'$').length).trim().split(/\s+/)[0] || '').toLowerCase();
+async function handleMessageCommand({ client, message, api, cmd, args = [], stdin = null, tty = true, opts = {} }) {
   const userId = message.author.id;
+  const vfs = api.vfs;
+  const argStr = args.join(' ').trim();
 
-  // helper to reply privately (ephemeral-like): reply with ephemeral-like DM fallback
-  async function replyPrivate(text) {
+  if (cmd === 'storage' || cmd === 'storageinfo') {
+    if ((args[0] || '').toLowerCase() === 'rescan') {
+      const r = await api.reconcileUsage(userId);
+      return `Usage index rebuilt from disk: ${r.files} file${r.files === 1 ? '' : 's'}, ${api.human(r.used)}`;
+    }
+    // show storage summary (read from the usage manifest, no directory walk)
+    const q = await api.quotaRemaining(userId);
+    const t = await api.listTrash(userId);
+    return [
+      `Storage info for ${message.author.username}:`,
+      `• Quota: ${api.human(q.quota)}`,
+      `• Used: ${api.human(q.used)}`,
+      `• Remaining: ${api.human(q.remain)}`,
+      `• Trash: ${api.human(t.used)} of ${api.human(t.quota)} (${t.items.length} item${t.items.length === 1 ? '' : 's'}, not counted above)`,
+      `• Current directory: ${vfs.cwdDisplay(userId)}`
+    ];
+  }
+
+  if (cmd === 'pwd') {
+    return vfs.cwdDisplay(userId);
+  }
+
+  if (cmd === 'cd') {
     try {
-      // attempt ephemeral: in message context we can't do ephemeral, so DM the user
-      await message.author.send(text).catch(()=>{});
-      // also react to original message to show we handled it
-      try { await message.react('✅'); } catch(_) {}
+      await api.ensureUserDir(userId);
+      await vfs.chdir(userId, argStr || '~');
+      return '';
     } catch (e) {
-      try { await message.channel.send(text); } catch (_) {}
+      return errText('cd', e);
     }
   }
 
-  // switch by command
-  const rootCmd = message.content.slice((opts.prefix||'$').length).trim().split(/\s+/)[0].toLowerCase();
+  if (cmd === 'ls') {
+    const { flags, rest } = splitFlags(args);
+    const target = rest.join(' ').trim() || '.';
+    const long = flags.has('l');
+    try {
+      const st = await vfs.stat(userId, target);
+      if (!st) {
+        if (vfs.resolve(userId, target) === '') return 'No files found.';
+        return fail(`ls: ${target}: No such file or directory`);
+      }
+      if (st.isFile && !long) return target;
+      let items;
+      if (st.isFile) {
+        const info = await api.fileInfo(userId, target);
+        items = [{ name: target, isDirectory: false, isFile: true, size: info.size, mtime: info.mtime, meta: info.meta }];
+      } else {
+        items = await api.listFiles(userId, target, { long });
+      }
+      if (!items || items.length === 0) return 'No files found.';
+      items.sort((a, b) => (b.isDirectory - a.isDirectory) || a.name.localeCompare(b.name));
+      if (!long) return items.map(it => `${it.isDirectory ? '[DIR] ' : '[FILE]'} ${it.name}`);
 
-  if (rootCmd === 'storage' || rootCmd === 'storageinfo') {
-    // show storage summary
-    const q = await api.quotaRemaining(userId);
-    const used = q.used;
-    const remain = q.remain;
-    const quota = q.quota;
-    const lines = [
-      `Storage info for <@${userId}>:`,
-      `• Quota: ${api.human(quota)}`,
-      `• Used: ${api.human(used)}`,
-      `• Remaining: ${api.human(remain)}`,
-      `Files are stored under: ${api.baseDir}/${userId}`
-    ];
-    return replyPrivate('```text\n' + lines.join('\n') + '\n```');
+      const files = items.filter(it => !it.isDirectory);
+      const lines = [`total ${files.length} file${files.length === 1 ? '' : 's'}, ${api.human(files.reduce((a, it) => a + (it.size || 0), 0))}`];
+      for (const it of items) {
+        const size = it.isDirectory ? '-' : api.human(it.size || 0);
+        const when = shortDate(it.meta && it.meta.uploadedAt ? it.meta.uploadedAt : it.mtime);
+        const mime = it.isDirectory ? 'directory' : (it.meta && it.meta.mime) || '?';
+        lines.push(`${it.isDirectory ? 'd' : '-'} ${size.padStart(10)}  ${when}  ${mime.padEnd(24)} ${it.name}${it.isDirectory ? '/' : ''}`);
+      }
+      return lines;
+    } catch (e) {
+      return errText('ls', e);
+    }
+  }
+
+  if (cmd === 'stat') {
+    if (!argStr) return 'Usage: $stat <file>';
+    try {
+      const info = await api.fileInfo(userId, argStr);
+      const lines = [`File:     ${vfs.display(info.rel)}`];
+      if (info.isDirectory) {
+        lines.push('Type:     directory', `Modified: ${shortDate(info.mtime)}`);
+        return lines;
+      }
+      const meta = info.meta || {};
+      lines.push(
+        `Size:     ${api.human(info.size)} (${info.size} bytes)`,
+        `Type:     ${meta.mime || 'unknown'}`,
+        `SHA-256:  ${meta.sha256 || 'unknown (run $storage rescan)'}`,
+        `Uploaded: ${shortDate(meta.uploadedAt)}`,
+        `Modified: ${shortDate(info.mtime)}`
+      );
+      if (meta.url) lines.push(`Source:   ${meta.url}`);
+      lines.push(`Scan:     ${scanText(meta.scan)}${api.isHeld(meta) ? ' — held until a scan clears it' : ''}`);
+      if (info.shared > 1) lines.push(`Shared:   ${info.shared} files have this content (counted once against your quota)`);
+      return lines;
+    } catch (e) {
+      return errText('stat', e);
+    }
+  }
+
+  if (cmd === 'rm') {
+    if (!argStr) return 'Usage: $rm <filename>';
+    try {
+      const r = await api.removeFile(userId, argStr);
+      if (!r) return fail(`rm: ${argStr}: No such file or directory`);
+      if (!r.trashed) return `Removed ${argStr} permanently (too large for the trash)`;
+      return `Moved ${argStr} to the trash ($restore ${argStr} to undo)`;
+    } catch (e) {
+      return errText('rm', e);
+    }
+  }
+
+  if (cmd === 'trash') {
+    const { flags, rest } = splitFlags(args);
+    const sub = (rest[0] || 'list').toLowerCase();
+    try {
+      if (sub === 'list') {
+        const t = await api.listTrash(userId);
+        if (!t.items.length) return 'Trash is empty.';
+        const lines = t.items.slice(0, MAX_OUTPUT_LINES).map(it =>
+          `${it.id}  ${shortDate(it.deletedAt)}  ${api.human(it.size).padStart(9)}  ${vfs.display(it.path)}${it.type === 'dir' ? '/' : ''}`);
+        if (t.items.length > MAX_OUTPUT_LINES) lines.push(`... and ${t.items.length - MAX_OUTPUT_LINES} more`);
+        const days = Math.round(t.retentionMs / (24 * 60 * 60 * 1000));
+        lines.push(`${t.items.length} item${t.items.length === 1 ? '' : 's'}, ${api.human(t.used)} of ${api.human(t.quota)}; items are purged after ${days} day${days === 1 ? '' : 's'}`);
+        return lines;
+      }
+      if (sub === 'empty') {
+        const t = await api.listTrash(userId);
+        if (!t.items.length) return 'Trash is empty.';
+        const pending = PENDING_CONFIRM.get(userId);
+        if (flags.has('confirm') && pending && pending.rel === TRASH_CONFIRM && pending.expires > Date.now()) {
+          PENDING_CONFIRM.delete(userId);
+          const r = await api.emptyTrash(userId);
+          return `Emptied the trash: ${r.items} item${r.items === 1 ? '' : 's'}, ${api.human(r.bytes)} deleted permanently`;
+        }
+        PENDING_CONFIRM.set(userId, { rel: TRASH_CONFIRM, expires: Date.now() + CONFIRM_TTL_MS });
+        return [
+          `trash: this will permanently delete ${t.items.length} item${t.items.length === 1 ? '' : 's'} (${api.human(t.used)}).`,
+          `Run \`$trash empty --confirm\` within ${CONFIRM_TTL_MS / 1000}s to proceed.`
+        ];
+      }
+      return 'Usage: $trash [list|empty]';
+    } catch (e) {
+      return errText('trash', e);
+    }
+  }
+
+  if (cmd === 'restore') {
+    if (!args.length) return 'Usage: $restore <file|id> [destination]';
+    try {
+      const r = await api.restoreFromTrash(userId, args[0], args.length > 1 ? args.slice(1).join(' ') : null);
+      return `Restored ${vfs.display(r.rel)}${r.item.type === 'dir' ? '/' : ''} (${api.human(r.item.size)})`;
+    } catch (e) {
+      if (e && e.code === 'EEXIST') return fail(`restore: ${e.message} (give another destination: $restore ${args[0]} <dest>)`);
+      return errText('restore', e);
+    }
+  }
+
+  if (cmd === 'touch') {
+    if (!argStr) return 'Usage: $touch <file>';
+    try {
+      const rel = vfs.resolve(userId, argStr);
+      if (!rel) return fail(`touch: ${argStr}: Is a directory`);
+      const st = await vfs.stat(userId, argStr);
+      if (st && st.isDirectory) return fail(`touch: ${argStr}: Is a directory`);
+      if (st) {
+        await api.touch(userId, argStr);
+      } else {
+        await api.saveFileFromBuffer(userId, argStr, Buffer.alloc(0));
+      }
+      return '';
+    } catch (e) {
+      if (e.code === 'ENOENT') return fail(`touch: ${argStr}: No such file or directory`);
+      return errText('touch', e);
+    }
+  }
+
+  if (cmd === 'mkdir') {
+    const { flags, rest } = splitFlags(args);
+    const target = rest.join(' ').trim();
+    if (!target) return 'Usage: $mkdir [-p] <folder>';
+    try {
+      await api.mkdir(userId, target, { parents: flags.has('p') });
+      return '';
+    } catch (e) {
+      return errText('mkdir', e);
+    }
+  }
+
+  if (cmd === 'rmdir') {
+    const { flags, rest } = splitFlags(args);
+    const target = rest.join(' ').trim();
+    if (!target) return 'Usage: $rmdir [-r] <folder>';
+    try {
+      if (!flags.has('r')) {
+        await api.rmdir(userId, target);
+        return '';
+      }
+
+      // recursive delete needs a second, confirming invocation within CONFIRM_TTL_MS
+      const summary = await api.pathSummary(userId, target);
+      if (!summary.isDirectory) return fail(`rmdir: ${target}: Not a directory`);
+      const pending = PENDING_CONFIRM.get(userId);
+      if (flags.has('confirm') && pending && pending.rel === summary.rel && pending.expires > Date.now()) {
+        PENDING_CONFIRM.delete(userId);
+        const trashed = await api.rmdir(userId, target, { recursive: true });
+        const what = `${vfs.display(summary.rel)} (${summary.files} file${summary.files === 1 ? '' : 's'}, ${api.human(summary.bytes)})`;
+        return trashed
+          ? `Moved ${what} to the trash ($restore ${target} to undo)`
+          : `Removed ${what} permanently (too large for the trash)`;
+      }
+      PENDING_CONFIRM.set(userId, { rel: summary.rel, expires: Date.now() + CONFIRM_TTL_MS });
+      return [
+        summary.bytes > api.trash.quotaBytes
+          ? `rmdir: this will permanently delete ${vfs.display(summary.rel)} (too large for the trash):`
+          : `rmdir: this will move ${vfs.display(summary.rel)} to the trash:`,
+        `  ${summary.files} file${summary.files === 1 ? '' : 's'}, ${summary.dirs} folder${summary.dirs === 1 ? '' : 's'}, ${api.human(summary.bytes)}`,
+        `Run \`$rmdir -r ${target} --confirm\` within ${CONFIRM_TTL_MS / 1000}s to proceed.`
+      ];
+    } catch (e) {
+      return errText('rmdir', e);
+    }
+  }
+
+  if (cmd === 'mv') {
+    if (args.length < 2) return 'Usage: $mv <source> <destination>';
+    try {
+      const r = await api.move(userId, args[0], args.slice(1).join(' '));
+      return `${vfs.display(r.from)} -> ${vfs.display(r.to)}`;
+    } catch (e) {
+      return errText('mv', e);
+    }
+  }
+
+  if (cmd === 'cp') {
+    const { flags, rest } = splitFlags(args);
+    if (rest.length < 2) return 'Usage: $cp [-r] <source> <destination>';
+    try {
+      const r = await api.copy(userId, rest[0], rest.slice(1).join(' '), { recursive: flags.has('r') });
+      return `${vfs.display(r.from)} -> ${vfs.display(r.to)} (${api.human(r.bytes)})`;
+    } catch (e) {
+      return errText('cp', e);
+    }
   }
 
-  if (rootCmd === 'pwd') {
-    const st = ensureState(userId);
-    return replyPrivate('`' + slashEscape(st.cwd) + '`');
+  if (cmd === 'tree') {
+    const target = argStr || '.';
+    try {
+      const st = await vfs.stat(userId, target);
+      const rel = vfs.resolve(userId, target);
+      if (!st && rel) return fail(`tree: ${target}: No such file or directory`);
+      if (st && st.isFile) return target;
+      const lines = [argStr || '.'];
+      const counts = { dirs: 0, files: 0 };
+      if (st) await buildTree(api, userId, rel, '', lines, counts, 1);
+      lines.push('', `${counts.dirs} director${counts.dirs === 1 ? 'y' : 'ies'}, ${counts.files} file${counts.files === 1 ? '' : 's'}`);
+      return lines;
+    } catch (e) {
+      return errText('tree', e);
+    }
   }
 
-  if (rootCmd === 'cd') {
-    const p = args.slice(1).join(' ').trim() || '.';
-    const st = ensureState(userId);
-    // basic normalization; do not permit absolute paths outside user dir
-    const normalized = path.normalize(p);
-    if (normalized.startsWith('..')) {
-      return replyPrivate('Permission denied: cannot cd above your storage root.');
+  if (cmd === 'cat') {
+    const { page, rest } = takeOption(args, ['-p', '--page']);
+    const target = rest.join(' ').trim();
+    if (!target && stdin !== null) return stdin;
+    if (!target) return 'Usage: $cat <file> [-p <page>]';
+    try {
+      // into a pipe or a file: the whole text, unpaged and unfenced
+      if (!tty) {
+        const file = await api.readFile(userId, target, { maxBytes: MAX_PIPE_BYTES });
+        if (api.looksBinary(file.buffer.subarray(0, 8192))) return fail(`cat: ${target}: binary file`);
+        return file.buffer.toString('utf8').replace(/\n$/, '');
+      }
+      const pageNo = page === null ? 1 : parseInt(page, 10);
+      if (!Number.isInteger(pageNo) || pageNo < 1) return fail(`cat: invalid page: ${page}`);
+      const r = await readPage(api, userId, target, pageNo - 1);
+      if (r.binary) return fail(`cat: ${target}: binary file (${api.human(r.size)}); use $download ${target}`);
+      if (r.pages === 0) return '';
+      if (pageNo > r.pages) return fail(`cat: ${target}: only ${r.pages} page${r.pages === 1 ? '' : 's'}`);
+      const out = [fence(r.text)];
+      if (r.pages > 1) out.push(`-- page ${pageNo}/${r.pages} -- ${pageNo < r.pages ? `($cat ${target} -p ${pageNo + 1} for more)` : '(end)'}`);
+      return out;
+    } catch (e) {
+      return errText('cat', e);
     }
-    st.cwd = normalized;
-    return replyPrivate(`cwd set to \`${slashEscape(st.cwd)}\``);
   }
 
-  if (rootCmd === 'ls') {
-    const st = ensureState(userId);
-    const maybePath = args.slice(1).join(' ').trim() || st.cwd || '.';
+  if (cmd === 'head' || cmd === 'tail') {
+    // -n N, -nN and -N all mean N lines
+    const { page: n, rest } = takeOption(args.flatMap(a => (/^-n?\d+$/.test(a) ? ['-n', a.replace(/^-n?/, '')] : [a])), ['-n']);
+    const target = rest.join(' ').trim();
+    if (!target && stdin === null) return `Usage: $${cmd} [-n <lines>] <file>`;
+    const count = n === null ? 10 : parseInt(n, 10);
+    if (!Number.isInteger(count) || count < 1) return fail(`${cmd}: invalid line count: ${n}`);
+    // the terminal gets a screenful; a pipe or a file gets what was asked for
+    const max = tty ? Math.min(count, MAX_OUTPUT_LINES) : count;
+    if (!target) {
+      const lines = stdin.split('\n');
+      return cmd === 'head' ? lines.slice(0, max) : lines.slice(-max);
+    }
     try {
-      const items = await api.listFiles(userId, maybePath);
-      if (!items || items.length === 0) {
-        return replyPrivate('No files found.');
+      const st = await api.statFile(userId, target);
+      const start = cmd === 'head' ? 0 : Math.max(0, st.size - HEAD_TAIL_WINDOW);
+      const r = await api.readRange(userId, target, start, HEAD_TAIL_WINDOW);
+      if (api.looksBinary(r.buffer)) return fail(`${cmd}: ${target}: binary file (${api.human(st.size)}); use $download ${target}`);
+      let lines = r.buffer.toString('utf8').split('\n');
+      if (cmd === 'head') {
+        lines = lines.slice(0, max);
+      } else {
+        if (lines[lines.length - 1] === '') lines.pop();
+        // the first line of a mid-file window is probably partial
+        if (start > 0) lines.shift();
+        lines = lines.slice(-max);
       }
-      const lines = items.map(it => `${it.isDirectory ? '[DIR] ' : '[FILE]'} ${it.name}`);
-      return replyPrivate('```text\n' + lines.join('\n') + '\n```');
+      if (!tty) return lines.join('\n');
+      return fence(capText(lines.join('\n'), CAT_PAGE_BYTES));
+    } catch (e) {
+      return errText(cmd, e);
+    }
+  }
+
+  if (cmd === 'zip') {
+    if (args.length < 2) return 'Usage: $zip <out.zip> <file or folder>...';
+    const out = /\.zip$/i.test(args[0]) ? args[0] : args[0] + '.zip';
+    try {
+      const r = await api.createArchive(userId, args.slice(1), out, { format: 'zip' });
+      return `Created ${vfs.display(r.rel)}: ${r.files} file${r.files === 1 ? '' : 's'}, ${api.human(r.bytes)} -> ${api.human(r.size)}`;
     } catch (e) {
-      console.error('[storage ls] error', e);
-      return replyPrivate('Error listing files: ' + String(e));
+      return errText('zip', e);
     }
   }
 
-  if (rootCmd === 'rm') {
-    const filename = args.slice(1).join(' ').trim();
-    if (!filename) return replyPrivate('Usage: $rm <filename>');
+  if (cmd === 'unzip') {
+    const { page: dest, rest: other } = takeOption(args, ['-d']);
+    const { flags, rest } = splitFlags(other);
+    const target = rest.join(' ').trim();
+    if (!target) return 'Usage: $unzip [-l] [-o] <archive> [-d <dir>]';
     try {
-      const ok = await api.removeFile(userId, filename);
-      return replyPrivate(ok ? `Removed ${filename}` : `${filename}: not found`);
+      if (flags.has('l')) return archiveListing(api, await api.listArchive(userId, target));
+      const r = await api.extractArchive(userId, target, dest || '.', { overwrite: flags.has('o') });
+      return extractSummary(api, vfs, target, r);
     } catch (e) {
-      console.error('[storage rm] error', e);
-      return replyPrivate('Error deleting file: ' + String(e));
+      if (e && e.code === 'EEXIST') return fail(`unzip: ${e.message} (use -o to overwrite)`);
+      return errText('unzip', e);
     }
   }
 
-  if (rootCmd === 'upload') {
+  if (cmd === 'tar') {
+    const usage = 'Usage: $tar -czf <out.tar.gz> <path>... | -xf <archive> [-C <dir>] [--overwrite] | -tf <archive>';
+    const { page: dest, rest: other } = takeOption(args, ['-C']);
+    const { flags, rest } = splitFlags(other);
+    const mode = ['c', 'x', 't'].filter(m => flags.has(m));
+    if (mode.length !== 1 || !flags.has('f') || !rest.length) return usage;
+    try {
+      if (mode[0] === 'c') {
+        if (rest.length < 2) return usage;
+        const format = flags.has('z') || /\.(tar\.gz|tgz)$/i.test(rest[0]) ? 'tar.gz' : 'tar';
+        const r = await api.createArchive(userId, rest.slice(1), rest[0], { format });
+        return `Created ${vfs.display(r.rel)}: ${r.files} file${r.files === 1 ? '' : 's'}, ${api.human(r.bytes)} -> ${api.human(r.size)}`;
+      }
+      // the format (tar or tar.gz) is detected from the content, so -z is optional when reading
+      const target = rest.join(' ');
+      if (mode[0] === 't') return archiveListing(api, await api.listArchive(userId, target));
+      const r = await api.extractArchive(userId, target, dest || '.', { overwrite: flags.has('overwrite') });
+      return extractSummary(api, vfs, target, r);
+    } catch (e) {
+      if (e && e.code === 'EEXIST' && mode[0] === 'x') return fail(`tar: ${e.message} (use --overwrite)`);
+      return errText('tar', e);
+    }
+  }
+
+  if (cmd === 'download') {
+    if (!argStr) return 'Usage: $download <file>';
+    const limit = (opts && opts.maxDownloadBytes) || DEFAULT_MAX_DOWNLOAD;
+    try {
+      const dir = await vfs.stat(userId, argStr);
+      let file;
+      if (dir && dir.isDirectory) {
+        // folders are zipped on the fly (not stored); use $zip to keep the archive. Refuse from the folder's size
+        // first: zipping happens in memory and would otherwise read everything before finding out.
+        const summary = await api.pathSummary(userId, argStr);
+        if (summary.files + summary.dirs + 1 > api.archiveLimits.maxEntries) {
+          return fail(`download: ${argStr}: too many files to zip (${summary.files}, max ${api.archiveLimits.maxEntries})`);
+        }
+        if (summary.bytes > limit) {
+          return fail(`download: ${argStr}: folder is too large to send (${api.human(summary.bytes)}, Discord limit ${api.human(limit)}); $zip it and download the archive if it compresses enough`);
+        }
+        const z = await api.buildArchive(userId, [argStr], { format: 'zip' });
+        if (z.buffer.length > limit) return fail(`download: ${argStr}: zipped folder is too large to send (${api.human(z.buffer.length)}, Discord limit ${api.human(limit)})`);
+        file = { rel: dir.rel, name: dir.rel.split('/').pop() + '.zip', size: z.buffer.length, buffer: z.buffer };
+      } else {
+        const st = await api.statFile(userId, argStr);
+        if (st.size > limit) return fail(`download: ${argStr}: too large to send (${api.human(st.size)}, Discord limit ${api.human(limit)})`);
+        file = await api.readFile(userId, argStr, { maxBytes: limit });
+      }
+      const attachment = new AttachmentBuilder(file.buffer, { name: file.name });
+      // files are private: always delivered by DM, never to the channel
+      try {
+        await message.author.send({ content: `Here is ${vfs.display(file.rel)} (${api.human(file.size)}):`, files: [attachment] });
+      } catch (_) {
+        return 'download: could not DM you. Enable direct messages from server members and try again.';
+      }
+      return `Sent ${vfs.display(file.rel)} (${api.human(file.size)}) to your DMs.`;
+    } catch (e) {
+      return errText('download', e);
+    }
+  }
+
+  if (cmd === 'upload') {
     // save all attachments on the message
     if (!message.attachments || message.attachments.size === 0) {
-      return replyPrivate('No attachments found on your message. Attach files and use $upload to save them.');
+      return 'No attachments found on your message. Attach files and use $upload to save them.';
     }
 
     const saved = [];
@@ -119,20 +618,27 @@ async function handleMessageCommand({ client, message, api, args, opts }) {
         if (!url) {
           continue;
         }
+        // Discord reports the size up front: refuse before downloading anything
+        if (typeof att.size === 'number') await api.checkIncoming(userId, att.size);
         // prefer streaming save
         const res = await fetch(url);
         if (!res.ok) {
           throw new Error(`Failed to download attachment: ${res.status}`);
         }
-        const contentType = res.headers.get('content-type') || '';
         // try to stream into file (api.saveFileFromStream)
         const stream = res.body;
-        const result = await api.saveFileFromStream(userId, att.name || `attachment-${id}`, stream);
-        // optionally run virus scan
-        const scan = await api.virusScan(result.path).catch(e=>({ status: 'error', error: String(e) }));
-        saved.push({ name: result.name, size: result.size, scan });
+        // attachment names are plain names: saved into the user's cwd
+        // stored held (scan pending) so nothing can read it before its scan comes back clean
+        const result = await api.saveFileFromStream(userId, api.safeFilename(att.name || `attachment-${id}`), stream,
+          { url, scan: { status: 'pending', reason: 'not scanned yet' } });
+        // scan it; the verdict is kept in the file's manifest entry ($stat) and flagged files are quarantined.
+        // If scanning itself fails the file stays held and the periodic rescan picks it up.
+        const scan = await api.scanFile(userId, '~/' + result.rel)
+          .catch(e => ({ status: 'pending', reason: String(e && e.message || e), quarantined: [], held: true }));
+        saved.push({ name: result.name, rel: result.rel, size: result.size, scan, duplicateOf: result.duplicateOf });
       } catch (e) {
-        saved.push({ name: att.name || 'unknown', error: String(e) });
+        if (!LIMIT_ERRORS.has(e.code)) console.error('[storage upload] error', e);
+        saved.push({ name: att.name || 'unknown', error: e && e.message ? e.message : String(e) });
       }
     }
 
@@ -142,7 +648,15 @@ async function handleMessageCommand({ client, message, api, args, opts }) {
     const lines = [];
     if (ok.length) {
       for (const s of ok) {
-        lines.push(`Saved ${s.name} (${api.human(s.size)}) — scan: ${s.scan && s.scan.status ? s.scan.status : 'skipped'}`);
+        if (s.scan.quarantined && s.scan.quarantined.length) {
+          lines.push(`Quarantined ${s.name}: flagged by ${s.scan.engine} (${s.scan.signature}) — removed from your workspace`);
+          const others = s.scan.quarantined.filter(r => r !== s.rel);
+          if (others.length) lines.push(`  also quarantined (same content): ${others.map(r => vfs.display(r)).join(', ')}`);
+          continue;
+        }
+        const dup = s.duplicateOf ? ` — same content as ${vfs.display(s.duplicateOf)}, not counted again` : '';
+        const held = s.scan.held ? ' — held: it cannot be opened until a scan clears it (checked again automatically)' : '';
+        lines.push(`Saved ${s.name} (${api.human(s.size)}) — scan: ${scanText(s.scan)}${held}${dup}`);
       }
     }
     if (bad.length) {
@@ -150,14 +664,14 @@ async function handleMessageCommand({ client, message, api, args, opts }) {
         lines.push(`Failed ${s.name}: ${s.error}`);
       }
     }
-    await replyPrivate('```text\n' + lines.join('\n') + '\n```');
-    return;
+    return lines;
   }
 
-  // not a storage-rooted command; ignore
-  return;
+  // not a storage command
+  return null;
 }
 
 module.exports = {
-  handleMessageCommand
+  handleMessageCommand,
+  commands
 };
@@ -0,0 +1,368 @@
+// storage/encryption.js
+// Per-user encryption at rest for stored files (AES-256-GCM).
+// Exports a factory: module.exports = (baseDir, { masterKey }) => encryptionObject
+//
+// - Every user gets a random 256-bit data key, wrapped (AES-256-GCM) by the master key from STORAGE_MASTER_KEY
+//   (64 hex characters or base64 of 32 bytes) and kept in <baseDir>/.keys/<userId>.json. Key files are created
+//   once and never overwritten.
+// - Without a master key encryption is disabled: new files are written as plaintext, encrypted files cannot be read.
+// - Files are split into CHUNK_BYTES chunks, each sealed separately, so uploads can be encrypted while they stream
+//   and byte ranges ($cat pages, $head/$tail) only decrypt the chunks they touch.
+// - Plaintext and encrypted files can live side by side (e.g. during migration). The manifest entry's `encrypted`
+//   flag says which is which and callers pass it on ({ encrypted }); the header is only sniffed for files the
+//   manifest does not know yet, so a plaintext upload that happens to start with MAGIC still reads as plaintext.
+//
+// File layout:
+//   header: MAGIC (8) | chunk size uint32 BE (4) | nonce prefix (8)
+//   chunks: ciphertext (<= chunk size) | GCM tag (16), repeated; the last chunk may be empty
+// Chunk i uses nonce = prefix | uint32 BE i and AAD = header | uint32 BE i | final flag, so chunks cannot be
+// reordered, dropped or cut off at a chunk boundary without failing authentication.
+
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { Transform } = require('node:stream');
+
+const { SNIFF_BYTES } = require('./fileinfo');
+
+const MAGIC = Buffer.from('\0TRMENC\x01', 'latin1');
+const CHUNK_BYTES = 64 * 1024;
+const TAG_BYTES = 16;
+const HEADER_BYTES = MAGIC.length + 4 + 8;
+
+function encryptionError(message) {
+  const err = new Error(message);
+  err.code = 'EDECRYPT';
+  return err;
+}
+
+function parseMasterKey(value) {
+  const raw = String(value).trim();
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== 32) throw new Error('STORAGE_MASTER_KEY must be 32 bytes (64 hex characters or base64)');
+  return key;
+}
+
+function makeHeader(chunkBytes = CHUNK_BYTES) {
+  const header = Buffer.alloc(HEADER_BYTES);
+  MAGIC.copy(header, 0);
+  header.writeUInt32BE(chunkBytes, MAGIC.length);
+  crypto.randomBytes(8).copy(header, MAGIC.length + 4);
+  return header;
+}
+
+function isHeader(buf) {
+  return buf.length >= HEADER_BYTES && buf.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+function chunkParams(header, index, final) {
+  const iv = Buffer.alloc(12);
+  header.copy(iv, 0, MAGIC.length + 4, HEADER_BYTES);
+  iv.writeUInt32BE(index, 8);
+  const aad = Buffer.alloc(HEADER_BYTES + 5);
+  header.copy(aad, 0);
+  aad.writeUInt32BE(index, HEADER_BYTES);
+  aad[HEADER_BYTES + 4] = final ? 1 : 0;
+  return { iv, aad };
+}
+
+function sealChunk(key, header, index, plain, final) {
+  const { iv, aad } = chunkParams(header, index, final);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(aad);
+  return Buffer.concat([cipher.update(plain), cipher.final(), cipher.getAuthTag()]);
+}
+
+function openChunk(key, header, index, sealed, final) {
+  if (sealed.length < TAG_BYTES) throw encryptionError('encrypted file is truncated');
+  const { iv, aad } = chunkParams(header, index, final);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAAD(aad);
+  decipher.setAuthTag(sealed.subarray(sealed.length - TAG_BYTES));
+  try {
+    return Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - TAG_BYTES)), decipher.final()]);
+  } catch (_) {
+    throw encryptionError('encrypted file failed authentication (corrupt, truncated or wrong key)');
+  }
+}
+
+// plaintext size of an encrypted file from its size on disk
+function logicalSize(physical, chunkBytes = CHUNK_BYTES) {
+  const body = physical - HEADER_BYTES;
+  const sealed = chunkBytes + TAG_BYTES;
+  const full = Math.floor(body / sealed);
+  const rest = body % sealed;
+  if (body < TAG_BYTES || (rest > 0 && rest < TAG_BYTES)) throw encryptionError('encrypted file is truncated');
+  return full * chunkBytes + (rest > 0 ? rest - TAG_BYTES : 0);
+}
+
+function chunkCount(size, chunkBytes) {
+  return size === 0 ? 1 : Math.ceil(size / chunkBytes);
+}
+
+module.exports = function createEncryption(baseDir, { masterKey = process.env.STORAGE_MASTER_KEY } = {}) {
+  const master = masterKey ? parseMasterKey(masterKey) : null;
+  const keysDir = path.join(path.resolve(baseDir), '.keys');
+  // short fingerprint stored with each wrapped key, to tell "wrong master key" apart from corruption
+  const fingerprint = master ? crypto.createHash('sha256').update(master).digest('hex').slice(0, 16) : null;
+  // Map<userId, Promise<Buffer>>
+  const keys = new Map();
+
+  function keyFile(userId) {
+    return path.join(keysDir, `${userId}.json`);
+  }
+
+  function unwrap(userId, saved) {
+    if (saved.master !== fingerprint) throw encryptionError(`key for ${userId} was wrapped by a different STORAGE_MASTER_KEY`);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', master, Buffer.from(saved.iv, 'base64'));
+    decipher.setAAD(Buffer.from(`terminal-user-key:${userId}`));
+    decipher.setAuthTag(Buffer.from(saved.tag, 'base64'));
+    try {
+      return Buffer.concat([decipher.update(Buffer.from(saved.key, 'base64')), decipher.final()]);
+    } catch (_) {
+      throw encryptionError(`key file for ${userId} failed authentication`);
+    }
+  }
+
+  // create the key file without ever replacing one: write a temp file, then hardlink it into place
+  async function createKey(userId) {
+    const key = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', master, iv);
+    cipher.setAAD(Buffer.from(`terminal-user-key:${userId}`));
+    const wrapped = Buffer.concat([cipher.update(key), cipher.final()]);
+    const saved = {
+      version: 1,
+      master: fingerprint,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      key: wrapped.toString('base64'),
+      createdAt: new Date().toISOString()
+    };
+    await fs.mkdir(keysDir, { recursive: true, mode: 0o700 });
+    const tmp = keyFile(userId) + '.tmp-' + crypto.randomBytes(6).toString('hex');
+    const fh = await fs.open(tmp, 'w', 0o600);
+    try {
+      await fh.writeFile(JSON.stringify(saved, null, 2));
+      await fh.sync();
+    } finally {
+      await fh.close();
+    }
+    try {
+      await fs.link(tmp, keyFile(userId));
+      return key;
+    } catch (e) {
+      if (e.code === 'EEXIST') return null;
+      throw e;
+    } finally {
+      await fs.unlink(tmp).catch(()=>{});
+    }
+  }
+
+  async function loadKey(userId) {
+    for (;;) {
+      try {
+        return unwrap(userId, JSON.parse(await fs.readFile(keyFile(userId), 'utf8')));
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+      // lost a creation race with another process: read the winner's key
+      const created = await createKey(userId);
+      if (created) return created;
+    }
+  }
+
+  // the user's data key (created on first use), or throws when encryption is disabled
+  function keyFor(userId) {
+    if (!master) return Promise.reject(encryptionError('file is encrypted but STORAGE_MASTER_KEY is not set'));
+    const id = String(userId);
+    if (!keys.has(id)) {
+      const p = loadKey(id);
+      keys.set(id, p);
+      p.catch(() => keys.delete(id));
+    }
+    return keys.get(id);
+  }
+
+  // key to write new files with, or null when files are stored as plaintext
+  async function writeKey(userId) {
+    return master ? keyFor(userId) : null;
+  }
+
+  function encryptBuffer(key, buf) {
+    const header = makeHeader();
+    const parts = [header];
+    const count = chunkCount(buf.length, CHUNK_BYTES);
+    for (let i = 0; i < count; i++) {
+      parts.push(sealChunk(key, header, i, buf.subarray(i * CHUNK_BYTES, (i + 1) * CHUNK_BYTES), i === count - 1));
+    }
+    return Buffer.concat(parts);
+  }
+
+  // Transform: plaintext in, encrypted file bytes out. One chunk is always held back so the last one
+  // can be marked final when the input ends.
+  function encryptStream(key) {
+    const header = makeHeader();
+    let pending = Buffer.alloc(0);
+    let index = 0;
+    let started = false;
+    const start = (t) => {
+      if (!started) {
+        started = true;
+        t.push(header);
+      }
+    };
+    return new Transform({
+      transform(chunk, _enc, cb) {
+        start(this);
+        pending = pending.length ? Buffer.concat([pending, chunk]) : Buffer.from(chunk);
+        while (pending.length > CHUNK_BYTES) {
+          this.push(sealChunk(key, header, index++, pending.subarray(0, CHUNK_BYTES), false));
+          pending = pending.subarray(CHUNK_BYTES);
+        }
+        cb();
+      },
+      flush(cb) {
+        start(this);
+        this.push(sealChunk(key, header, index, pending, true));
+        cb();
+      }
+    });
+  }
+
+  // Open a stored file for reading, plaintext or encrypted as its manifest entry says (`encrypted` left undefined
+  // sniffs the header instead):
+  //   { encrypted, size (plaintext bytes), read(start, length) -> Buffer, close() }
+  async function open(userId, file, { encrypted } = {}) {
+    const fh = await fs.open(file, 'r');
+    try {
+      const st = await fh.stat();
+      const probe = Buffer.alloc(HEADER_BYTES);
+      const { bytesRead } = await fh.read(probe, 0, HEADER_BYTES, 0);
+      const sealed = isHeader(probe.subarray(0, bytesRead));
+      if (encrypted === undefined ? !sealed : !encrypted) {
+        return {
+          encrypted: false,
+          size: st.size,
+          async read(start, length) {
+            const from = Math.max(0, Math.min(start, st.size));
+            const buf = Buffer.alloc(Math.max(0, Math.min(length, st.size - from)));
+            const r = await fh.read(buf, 0, buf.length, from);
+            return buf.subarray(0, r.bytesRead);
+          },
+          close: () => fh.close()
+        };
+      }
+
+      if (!sealed) throw encryptionError('file is marked encrypted but has no encryption header');
+      const header = probe;
+      const chunkBytes = header.readUInt32BE(MAGIC.length);
+      const key = await keyFor(userId);
+      const size = logicalSize(st.size, chunkBytes);
+      const last = chunkCount(size, chunkBytes) - 1;
+      return {
+        encrypted: true,
+        size,
+        async read(start, length) {
+          const from = Math.max(0, Math.min(start, size));
+          const to = Math.max(from, Math.min(from + length, size));
+          if (to === from) return Buffer.alloc(0);
+          const parts = [];
+          for (let i = Math.floor(from / chunkBytes); i <= Math.floor((to - 1) / chunkBytes); i++) {
+            const plainLen = i < last ? chunkBytes : size - i * chunkBytes;
+            const sealed = Buffer.alloc(plainLen + TAG_BYTES);
+            await fh.read(sealed, 0, sealed.length, HEADER_BYTES + i * (chunkBytes + TAG_BYTES));
+            const plain = openChunk(key, header, i, sealed, i === last);
+            const base = i * chunkBytes;
+            parts.push(plain.subarray(Math.max(0, from - base), Math.min(plain.length, to - base)));
+          }
+          return Buffer.concat(parts);
+        },
+        close: () => fh.close()
+      };
+    } catch (e) {
+      await fh.close().catch(()=>{});
+      throw e;
+    }
+  }
+
+  // read a stored file chunk by chunk, calling fn(buffer) with plaintext
+  async function forEachChunk(userId, file, fn, opts) {
+    const reader = await open(userId, file, opts);
+    try {
+      for (let pos = 0; pos < reader.size; pos += CHUNK_BYTES) fn(await reader.read(pos, CHUNK_BYTES));
+      return reader;
+    } finally {
+      await reader.close();
+    }
+  }
+
+  // same result as fileinfo.hashFile, computed over the plaintext
+  async function hashFile(userId, file, opts) {
+    const hash = crypto.createHash('sha256');
+    const head = [];
+    let seen = 0;
+    const reader = await forEachChunk(userId, file, (buf) => {
+      hash.update(buf);
+      if (seen < SNIFF_BYTES) head.push(buf);
+      seen += buf.length;
+    }, opts);
+    return { sha256: hash.digest('hex'), size: reader.size, head: Buffer.concat(head).subarray(0, SNIFF_BYTES), encrypted: reader.encrypted };
+  }
+
+  async function isEncrypted(file) {
+    const fh = await fs.open(file, 'r');
+    try {
+      const probe = Buffer.alloc(HEADER_BYTES);
+      const { bytesRead } = await fh.read(probe, 0, HEADER_BYTES, 0);
+      return isHeader(probe.subarray(0, bytesRead));
+    } finally {
+      await fh.close();
+    }
+  }
+
+  // Run fn(path) with a plaintext view of a stored file (for tools like scanners that read from disk).
+  // Encrypted files are decrypted into a private temp file that is removed afterwards.
+  async function withPlainFile(userId, file, fn, opts) {
+    const reader = await open(userId, file, opts);
+    if (!reader.encrypted) {
+      await reader.close();
+      return fn(file);
+    }
+    const tmpDir = path.join(path.resolve(baseDir), '.tmp');
+    const tmp = path.join(tmpDir, crypto.randomBytes(8).toString('hex') + path.extname(file));
+    try {
+      try {
+        await fs.mkdir(tmpDir, { recursive: true, mode: 0o700 });
+        const out = await fs.open(tmp, 'w', 0o600);
+        try {
+          for (let pos = 0; pos < reader.size; pos += CHUNK_BYTES) await out.write(await reader.read(pos, CHUNK_BYTES));
+        } finally {
+          await out.close();
+        }
+      } finally {
+        await reader.close();
+      }
+      return await fn(tmp);
+    } finally {
+      await fs.unlink(tmp).catch(()=>{});
+    }
+  }
+
+  return {
+    enabled: !!master,
+    keysDir,
+    keyFor,
+    writeKey,
+    encryptBuffer,
+    encryptStream,
+    open,
+    hashFile,
+    isEncrypted,
+    withPlainFile
+  };
+};
+
+module.exports.logicalSize = logicalSize;
+module.exports.parseMasterKey = parseMasterKey;
+module.exports.CHUNK_BYTES = CHUNK_BYTES;
@@ -0,0 +1,122 @@
+// storage/fileinfo.js
+// Content helpers shared by the storage API and the manifest: SHA-256 hashing, MIME sniffing and the
+// text/binary heuristic used by $cat/$head/$tail.
+// Usage:
+//
+// const { hashFile, detectMime, looksBinary } = require('./fileinfo');
+// const { sha256, size, head } = await hashFile('/path/to/file'); // head = first SNIFF_BYTES bytes
+// detectMime('photo.png', head);                                   // -> 'image/png'
+
+const fs = require('node:fs');
+const crypto = require('node:crypto');
+const path = require('node:path');
+
+const SNIFF_BYTES = 8192;
+
+// magic numbers checked before falling back to the extension
+const SIGNATURES = [
+  { mime: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mime: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mime: 'image/gif', ascii: 'GIF8' },
+  { mime: 'application/pdf', ascii: '%PDF-' },
+  { mime: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { mime: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { mime: 'application/x-7z-compressed', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { mime: 'audio/mpeg', ascii: 'ID3' },
+  { mime: 'audio/ogg', ascii: 'OggS' },
+  { mime: 'application/wasm', bytes: [0x00, 0x61, 0x73, 0x6d] },
+  { mime: 'application/x-elf', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { mime: 'application/x-msdownload', ascii: 'MZ' }
+];
+
+const BY_EXTENSION = {
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.ts': 'text/typescript',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.yml': 'application/yaml',
+  '.yaml': 'application/yaml',
+  '.py': 'text/x-python',
+  '.sh': 'application/x-sh',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.tar': 'application/x-tar'
+};
+
+// heuristic: NUL bytes or lots of control characters in the sample => binary
+function looksBinary(buf) {
+  const sample = buf.subarray(0, SNIFF_BYTES);
+  if (sample.length === 0) return false;
+  let control = 0;
+  for (const b of sample) {
+    if (b === 0) return true;
+    if (b < 7 || (b > 13 && b < 32)) control++;
+  }
+  return control / sample.length > 0.1;
+}
+
+function matches(head, sig) {
+  const bytes = sig.bytes || Array.from(Buffer.from(sig.ascii, 'latin1'));
+  if (head.length < bytes.length) return false;
+  return bytes.every((b, i) => head[i] === b);
+}
+
+// best guess at a MIME type from the first bytes of a file, then its name
+function detectMime(name, head = Buffer.alloc(0)) {
+  for (const sig of SIGNATURES) {
+    if (matches(head, sig)) return sig.mime;
+  }
+  // containers identified by a tag past the first bytes
+  if (head.length >= 12 && head.toString('latin1', 0, 4) === 'RIFF') {
+    const kind = head.toString('latin1', 8, 12);
+    if (kind === 'WEBP') return 'image/webp';
+    if (kind === 'WAVE') return 'audio/wav';
+  }
+  if (head.length >= 12 && head.toString('latin1', 4, 8) === 'ftyp') return 'video/mp4';
+
+  const ext = path.extname(String(name || '')).toLowerCase();
+  if (BY_EXTENSION[ext]) return BY_EXTENSION[ext];
+  return looksBinary(head) ? 'application/octet-stream' : 'text/plain';
+}
+
+// hash a file on disk without loading it into memory
+function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    const chunks = [];
+    let headLength = 0;
+    let size = 0;
+    fs.createReadStream(file)
+      .on('data', (chunk) => {
+        hash.update(chunk);
+        size += chunk.length;
+        if (headLength < SNIFF_BYTES) {
+          chunks.push(chunk);
+          headLength += chunk.length;
+        }
+      })
+      .on('error', reject)
+      .on('end', () => {
+        resolve({ sha256: hash.digest('hex'), size, head: Buffer.concat(chunks).subarray(0, SNIFF_BYTES) });
+      });
+  });
+}
+
+module.exports = {
+  SNIFF_BYTES,
+  looksBinary,
+  detectMime,
+  hashFile
+};
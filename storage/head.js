@@ -1,5 +1,5 @@
 // storage/head.js
-// Public initializer for per-user storage subsystem.
+// Public initializer for per-user storage subsystem (VFS + disk API + console commands).
 // Exports: module.exports = initStorage; and also .initStorage and .default for compat.
 
 const path = require('node:path');
@@ -7,6 +7,13 @@ const fs = require('node:fs/promises');
 
 const api = require('./api');
 const cmds = require('./cmds');
+const createVfs = require('./vfs');
+const createScanner = require('./scanners');
+const createEncryption = require('./encryption');
+const createTrash = require('./trash');
+
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const HELD_RESCAN_INTERVAL_MS = 10 * 60 * 1000; // files whose scan was pending or failed are scanned again
 
 async function ensureBaseDir(baseDir) {
   try {
@@ -21,14 +28,24 @@ function defaultOpts() {
     prefix: '$',
     baseDir: path.resolve(process.cwd(), './data/users'),
     quotaBytes: 800 * 1024 * 1024, // 800 MB
-    enableVirusCheck: true
+    maxFileBytes: 100 * 1024 * 1024, // largest single upload/write
+    minFreeBytes: 512 * 1024 * 1024, // refuse writes that would leave less free disk than this
+    trashQuotaBytes: 200 * 1024 * 1024, // per-user trash size, separate from quotaBytes; oldest items go first
+    trashRetentionDays: 30, // deleted files are purged from the trash after this long
+    maxDownloadBytes: 10 * 1024 * 1024, // Discord's default attachment limit (DMs)
+    reconcileOnStartup: true, // rebuild every user's usage manifest from disk in the background
+    enableVirusCheck: true,
+    scanBackends: null, // e.g. ['blocklist', 'clamd']; null = SCAN_BACKENDS or all (see storage/scanners)
+    masterKey: process.env.STORAGE_MASTER_KEY || null // enables per-user encryption at rest (storage/encryption.js)
   };
 }
 
 /**
  * initStorage(client, opts)
- * - wires a message listener for storage-related $ commands and returns an object:
- *   { api, cmds, shutdown }
+ * - creates the shared virtual filesystem + disk API and returns an object:
+ *   { api, vfs, cmds, commands, handle, shutdown }
+ * - does NOT listen for messages itself: index.js dispatches storage commands through its
+ *   command registry (see cmds.commands) so there is exactly one $ command pipeline.
  */
 async function initStorage(client, userOpts = {}) {
   if (!client) throw new Error('initStorage requires a discord client as the first arg');
@@ -36,39 +53,67 @@ async function initStorage(client, userOpts = {}) {
   const opts = Object.assign({}, defaultOpts(), userOpts);
   await ensureBaseDir(opts.baseDir);
 
+  // one VFS instance backs cwd/prompt, console commands and disk operations
+  const vfs = createVfs(opts.baseDir, { store: opts.store || null });
+
+  // throws on a malformed master key: better no storage than silently writing plaintext
+  const encryption = createEncryption(opts.baseDir, { masterKey: opts.masterKey });
+  if (!encryption.enabled) console.warn('[storage] STORAGE_MASTER_KEY not set: files are stored unencrypted.');
+
   // initialize API with baseDir + quota
-  const storageApi = api(opts.baseDir, { quotaBytes: opts.quotaBytes, enableVirusCheck: opts.enableVirusCheck });
-
-  // bind simple message-based handlers (safe, DM replies for privacy)
-  const messageHandler = async (message) => {
-    try {
-      if (!message || !message.content) return;
-      if (message.author?.bot) return;
-      const p = opts.prefix || '$';
-      if (!message.content.startsWith(p)) return;
-
-      const raw = message.content.slice(p.length).trim();
-      const parts = raw.split(/\s+/);
-      const cmd = parts.shift().toLowerCase();
-      const handled = ['storage', 'ls', 'cd', 'pwd', 'upload', 'rm', 'storageinfo'];
-      if (!handled.includes(cmd)) return;
-
-      await cmds.handleMessageCommand({ client, message, api: storageApi, args: parts, opts });
-    } catch (err) {
-      console.error('[storage] message handler error:', err);
-      try { await message.channel.send('Storage subsystem error (see bot logs).'); } catch (_) {}
-    }
-  };
+  const storageApi = api(opts.baseDir, {
+    quotaBytes: opts.quotaBytes,
+    maxFileBytes: opts.maxFileBytes,
+    minFreeBytes: opts.minFreeBytes,
+    encryption,
+    trash: createTrash(opts.baseDir, {
+      quotaBytes: opts.trashQuotaBytes,
+      retentionMs: opts.trashRetentionDays * 24 * 60 * 60 * 1000
+    }),
+    scanner: createScanner(Object.assign({ enabled: opts.enableVirusCheck }, opts.scanBackends ? { backends: opts.scanBackends } : {})),
+    vfs
+  });
 
-  client.on('messageCreate', messageHandler);
+  if (opts.reconcileOnStartup) {
+    storageApi.manifest.reconcileAll()
+      .then((n) => console.log(`[storage] reconciled usage manifests for ${n} user(s).`))
+      .catch((e) => console.error('[storage] manifest reconcile failed:', e));
+  }
+
+  // purge expired trash now and then; unref'd so it never keeps the process alive
+  const purgeTrash = () => storageApi.trash.purgeAll()
+    .then((n) => { if (n) console.log(`[storage] purged ${n} expired trash item(s).`); })
+    .catch((e) => console.error('[storage] trash purge failed:', e));
+  purgeTrash();
+  const purgeTimer = setInterval(purgeTrash, TRASH_PURGE_INTERVAL_MS);
+  purgeTimer.unref();
+
+  // held uploads (scan pending or failed) get scanned again until a verdict releases or quarantines them
+  const rescanTimer = setInterval(() => {
+    storageApi.rescanHeld()
+      .then((c) => { if (c.released || c.quarantined) console.log(`[storage] rescanned held files: ${c.released} released, ${c.quarantined} quarantined, ${c.held} still held.`); })
+      .catch((e) => console.error('[storage] held file rescan failed:', e));
+  }, HELD_RESCAN_INTERVAL_MS);
+  rescanTimer.unref();
+
+  // run a storage command for a message; returns terminal output (or null if not a storage command)
+  async function handle(cmd, { message, args = [], stdin = null, tty = true }) {
+    return cmds.handleMessageCommand({ client, message, api: storageApi, cmd, args, stdin, tty, opts });
+  }
 
-  function shutdown() {
-    try { client.removeListener('messageCreate', messageHandler); } catch (_) {}
+  // stop the timers and flush pending manifest writes
+  async function shutdown() {
+    clearInterval(purgeTimer);
+    clearInterval(rescanTimer);
+    try { await storageApi.manifest.flush(); } catch (_) {}
   }
 
   return {
     api: storageApi,
+    vfs,
     cmds,
+    commands: cmds.commands,
+    handle,
     shutdown
   };
 }
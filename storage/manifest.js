@@ -0,0 +1,358 @@
+// storage/manifest.js
+// Per-user file manifest for the storage subsystem: usage index plus per-file metadata.
+// Tracks every stored file so quota checks never have to walk the user's tree, and backs $ls -l / $stat.
+// Exports a factory: module.exports = (baseDir, { encryption }) => manifestObject
+//
+// - Manifests live in <baseDir>/.meta/<userId>.json (outside the user's own workspace).
+// - api.js keeps them up to date on write/delete/rename/copy (record/update/remove/rename/copy).
+// - reconcile(userId) rebuilds a manifest from disk, keeping the metadata of files whose size and mtime
+//   are unchanged and re-hashing the rest; a missing, old or unreadable manifest is reconciled on first use.
+//   Changes that arrive while a user is being reconciled wait for it and are applied on top of its result, so a
+//   write that lands during the scan is not lost from `used`.
+// - Sizes and hashes are of the plaintext: with encryption (storage/encryption.js) files are decrypted to hash them.
+//   `encrypted` records how each file was written and is what reads go by; only files the manifest cannot vouch
+//   for (new or changed on disk) have their header sniffed while reconciling.
+// - Writes are coalesced per user and atomic (temp file + rename), like the persistence store.
+//
+// Manifest shape (version 2):
+//   { version: 2, used: <bytes>, files: { "<rel path>": { size, sha256, mime, uploadedAt, mtimeMs, encrypted, url?, scan? } } }
+// Usage is content-addressed: `used` charges each distinct sha256 once, so identical files share one charge
+// (api.js also hardlinks them so they share disk space).
+
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+const { atomicWrite } = require('../persistence/json-backend');
+const { hashFile, detectMime } = require('./fileinfo');
+
+const VERSION = 2;
+const WRITE_DELAY_MS = 200;
+// partial uploads (see api.saveFileFromStream) are not stored files yet
+const TMP_FILE_RE = /\.tmp-[0-9a-f]{12}$/;
+
+module.exports = function createManifest(baseDir, { encryption = null } = {}) {
+  const root = path.resolve(baseDir);
+  const metaDir = path.join(root, '.meta');
+  // Map<userId, manifest>
+  const cache = new Map();
+  // Map<userId, Map<sha256, { count, size }>>, derived from the files on load
+  const refsPerUser = new Map();
+  // Map<userId, Promise<manifest>> for loads in flight
+  const loading = new Map();
+  // Map<userId, Promise<manifest>> for reconciles in flight; load() (and so every change) waits for them
+  const reconciling = new Map();
+  // Map<userId, timer>
+  const timers = new Map();
+  const writing = new Map();
+
+  function manifestFile(userId) {
+    return path.join(metaDir, `${userId}.json`);
+  }
+
+  function empty() {
+    return { version: VERSION, used: 0, files: {} };
+  }
+
+  // An entry can be reused without re-hashing when the file on disk looks untouched. Entries hold the
+  // plaintext size, so for encrypted files only the mtime can be compared.
+  function unchanged(prev, st) {
+    if (!prev || !prev.sha256 || Math.abs((prev.mtimeMs || 0) - st.mtimeMs) >= 1) return false;
+    return prev.encrypted ? true : prev.size === st.size;
+  }
+
+  async function scan(userId, previous) {
+    const m = empty();
+    const prevFiles = (previous && previous.files) || {};
+    async function walk(dir, prefix) {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (e) {
+        if (e.code === 'ENOENT') return;
+        throw e;
+      }
+      for (const e of entries) {
+        const rel = prefix ? `${prefix}/${e.name}` : e.name;
+        const full = path.join(dir, e.name);
+        if (e.isDirectory()) {
+          await walk(full, rel);
+        } else if (e.isFile() && !TMP_FILE_RE.test(e.name)) {
+          const st = await fs.stat(full);
+          const prev = prevFiles[rel];
+          if (unchanged(prev, st)) {
+            m.files[rel] = prev;
+            continue;
+          }
+          let info;
+          try {
+            info = encryption ? await encryption.hashFile(userId, full) : await hashFile(full);
+          } catch (err) {
+            // e.g. encrypted with a key we cannot unwrap: keep it counted at its size on disk
+            console.warn(`[storage] could not read ${userId}/${rel} while reconciling: ${err.message}`);
+            m.files[rel] = Object.assign({}, prev, { size: st.size, sha256: `unreadable:${rel}`, mtimeMs: st.mtimeMs });
+            continue;
+          }
+          m.files[rel] = Object.assign({}, prev, {
+            size: info.size,
+            sha256: info.sha256,
+            mime: detectMime(e.name, info.head),
+            uploadedAt: (prev && prev.uploadedAt) || st.mtime.toISOString(),
+            mtimeMs: st.mtimeMs,
+            encrypted: !!info.encrypted
+          });
+        }
+      }
+    }
+    await walk(path.join(root, String(userId)), '');
+    return m;
+  }
+
+  // rebuild the hash reference counts and `used` from the file entries
+  function index(userId, m) {
+    const refs = new Map();
+    m.used = 0;
+    for (const entry of Object.values(m.files)) addRef(refs, m, entry);
+    refsPerUser.set(userId, refs);
+    return m;
+  }
+
+  function addRef(refs, m, entry) {
+    const r = refs.get(entry.sha256);
+    if (r) {
+      r.count++;
+    } else {
+      refs.set(entry.sha256, { count: 1, size: entry.size });
+      m.used += entry.size;
+    }
+  }
+
+  function dropRef(refs, m, entry) {
+    const r = refs.get(entry.sha256);
+    if (!r) return;
+    if (--r.count <= 0) {
+      refs.delete(entry.sha256);
+      m.used -= r.size;
+    }
+  }
+
+  function schedule(userId) {
+    if (timers.has(userId)) return;
+    timers.set(userId, setTimeout(() => write(userId), WRITE_DELAY_MS));
+  }
+
+  function write(userId) {
+    clearTimeout(timers.get(userId));
+    timers.delete(userId);
+    const m = cache.get(userId);
+    if (!m) return Promise.resolve();
+    const text = JSON.stringify(m);
+    const prev = writing.get(userId) || Promise.resolve();
+    const next = prev
+      .then(() => fs.mkdir(metaDir, { recursive: true }))
+      .then(() => atomicWrite(manifestFile(userId), text))
+      .catch((e) => console.error(`[storage] failed to write manifest for ${userId}:`, e));
+    writing.set(userId, next);
+    return next;
+  }
+
+  // rebuild a user's manifest from what is actually on disk
+  async function readSaved(userId) {
+    try {
+      return JSON.parse(await fs.readFile(manifestFile(userId), 'utf8'));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  async function reconcile(userId, previous) {
+    const id = String(userId);
+    if (reconciling.has(id)) return reconciling.get(id);
+    const p = (async () => {
+      const prev = previous || cache.get(id) || await readSaved(id);
+      const m = index(id, await scan(id, prev && prev.files ? prev : null));
+      cache.set(id, m);
+      await write(id);
+      return m;
+    })();
+    reconciling.set(id, p);
+    try {
+      return await p;
+    } finally {
+      reconciling.delete(id);
+    }
+  }
+
+  async function load(userId) {
+    const id = String(userId);
+    if (reconciling.has(id)) return reconciling.get(id);
+    if (cache.has(id)) return cache.get(id);
+    if (loading.has(id)) return loading.get(id);
+
+    const p = (async () => {
+      let parsed = null;
+      try {
+        parsed = JSON.parse(await fs.readFile(manifestFile(id), 'utf8'));
+        if (parsed && parsed.version === VERSION && parsed.files) {
+          const m = index(id, parsed);
+          cache.set(id, m);
+          return m;
+        }
+      } catch (e) {
+        if (e.code !== 'ENOENT') console.warn(`[storage] manifest for ${id} unreadable, rebuilding from disk.`);
+      }
+      // an older manifest still carries upload times etc. worth keeping
+      return reconcile(id, parsed && parsed.files ? parsed : {});
+    })();
+    loading.set(id, p);
+    try {
+      return await p;
+    } finally {
+      loading.delete(id);
+    }
+  }
+
+  async function usedBytes(userId) {
+    return (await load(userId)).used;
+  }
+
+  // entries at `rel` itself or below it (for directories)
+  function matching(m, rel) {
+    return Object.keys(m.files).filter(k => k === rel || k.startsWith(rel + '/'));
+  }
+
+  // add or replace the entry for one file; info must carry at least { size, sha256 }
+  async function record(userId, rel, info) {
+    const id = String(userId);
+    const m = await load(id);
+    const refs = refsPerUser.get(id);
+    if (m.files[rel]) dropRef(refs, m, m.files[rel]);
+    m.files[rel] = Object.assign({}, info);
+    addRef(refs, m, m.files[rel]);
+    schedule(id);
+    return m.files[rel];
+  }
+
+  // merge metadata (e.g. a scan result) into an existing entry; size and hash are not touched
+  async function update(userId, rel, patch) {
+    const id = String(userId);
+    const m = await load(id);
+    const entry = m.files[rel];
+    if (!entry) return null;
+    const { size, sha256, ...rest } = patch;
+    Object.assign(entry, rest);
+    schedule(id);
+    return entry;
+  }
+
+  async function remove(userId, rel) {
+    const id = String(userId);
+    const m = await load(id);
+    const refs = refsPerUser.get(id);
+    const removed = [];
+    for (const k of matching(m, rel)) {
+      dropRef(refs, m, m.files[k]);
+      removed.push(Object.assign({ rel: k }, m.files[k]));
+      delete m.files[k];
+    }
+    if (removed.length) schedule(id);
+    return removed;
+  }
+
+  async function rename(userId, fromRel, toRel) {
+    const id = String(userId);
+    const m = await load(id);
+    for (const k of matching(m, fromRel)) {
+      m.files[toRel + k.slice(fromRel.length)] = m.files[k];
+      delete m.files[k];
+    }
+    schedule(id);
+  }
+
+  // copies share their source's content, so they add references but no usage
+  async function copy(userId, fromRel, toRel) {
+    const id = String(userId);
+    const m = await load(id);
+    const refs = refsPerUser.get(id);
+    const now = new Date().toISOString();
+    for (const k of matching(m, fromRel)) {
+      const entry = Object.assign({}, m.files[k], { uploadedAt: now });
+      const dest = toRel + k.slice(fromRel.length);
+      if (m.files[dest]) dropRef(refs, m, m.files[dest]);
+      m.files[dest] = entry;
+      addRef(refs, m, entry);
+    }
+    schedule(id);
+  }
+
+  async function get(userId, rel) {
+    const m = await load(userId);
+    return m.files[rel] || null;
+  }
+
+  // another stored file with this content, or null
+  async function findByHash(userId, sha256, exceptRel) {
+    const m = await load(userId);
+    for (const [rel, entry] of Object.entries(m.files)) {
+      if (entry.sha256 === sha256 && rel !== exceptRel) return rel;
+    }
+    return null;
+  }
+
+  // how many stored files share this content
+  async function refCount(userId, sha256) {
+    await load(userId);
+    const r = refsPerUser.get(String(userId)).get(sha256);
+    return r ? r.count : 0;
+  }
+
+  // bytes of usage that removing/overwriting the file at `rel` would give back
+  async function freedBy(userId, rel) {
+    const entry = await get(userId, rel);
+    if (!entry) return 0;
+    return (await refCount(userId, entry.sha256)) === 1 ? entry.size : 0;
+  }
+
+  // reconcile every user directory under baseDir (startup / admin use)
+  async function reconcileAll() {
+    let entries = [];
+    try {
+      entries = await fs.readdir(root, { withFileTypes: true });
+    } catch (e) {
+      if (e.code === 'ENOENT') return 0;
+      throw e;
+    }
+    let count = 0;
+    for (const e of entries) {
+      if (!e.isDirectory() || e.name.startsWith('.')) continue;
+      await reconcile(e.name);
+      count++;
+    }
+    return count;
+  }
+
+  // write out anything still waiting on a timer
+  async function flush() {
+    await Promise.all(Array.from(timers.keys()).map(id => write(id)));
+    await Promise.all(Array.from(writing.values()));
+  }
+
+  return {
+    load,
+    get,
+    findByHash,
+    refCount,
+    freedBy,
+    usedBytes,
+    record,
+    update,
+    remove,
+    rename,
+    copy,
+    reconcile,
+    reconcileAll,
+    flush,
+    metaDir
+  };
+};
+
+module.exports.TMP_FILE_RE = TMP_FILE_RE;
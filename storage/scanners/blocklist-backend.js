@@ -0,0 +1,42 @@
+// storage/scanners/blocklist-backend.js
+// Flags files whose SHA-256 is listed in a blocklist file (SCAN_BLOCKLIST_FILE).
+// File format: one hex SHA-256 per line, optionally followed by a name; blank lines and `#` comments are ignored.
+//   275a021bbfb6489e54d471899f7db9d1663fc695ec2fe2a2c4538aabf651fd0f EICAR-Test-File
+// The list is re-read whenever the file's mtime changes, so it can be updated without a restart.
+
+const fs = require('node:fs/promises');
+
+const { hashFile } = require('../fileinfo');
+
+module.exports = function createBlocklistBackend({ file = process.env.SCAN_BLOCKLIST_FILE } = {}) {
+  // Map<sha256, name>
+  let hashes = new Map();
+  let loadedMtime = 0;
+
+  async function refresh() {
+    const st = await fs.stat(file);
+    if (st.mtimeMs === loadedMtime) return;
+    const next = new Map();
+    for (const raw of (await fs.readFile(file, 'utf8')).split('\n')) {
+      const line = raw.replace(/#.*/, '').trim();
+      const m = /^([0-9a-f]{64})(?:\s+(.+))?$/i.exec(line);
+      if (m) next.set(m[1].toLowerCase(), m[2] || 'blocklisted hash');
+    }
+    hashes = next;
+    loadedMtime = st.mtimeMs;
+  }
+
+  async function scan(filePath, { sha256 } = {}) {
+    if (!file) return { status: 'skipped', reason: 'no SCAN_BLOCKLIST_FILE provided' };
+    try {
+      await refresh();
+    } catch (e) {
+      return { status: 'error', reason: `blocklist unreadable: ${e.message}` };
+    }
+    const digest = sha256 || (await hashFile(filePath)).sha256;
+    const hit = hashes.get(digest);
+    return hit ? { status: 'infected', signature: hit } : { status: 'clean' };
+  }
+
+  return { name: 'blocklist', scan };
+};
@@ -0,0 +1,77 @@
+// storage/scanners/clamd-backend.js
+// Scans files with a local ClamAV daemon using its INSTREAM command, so clamd needs no access to our files.
+// Connect with CLAMD_SOCKET (unix socket path) or CLAMD_HOST + CLAMD_PORT (TCP, default port 3310).
+// Files larger than clamd's StreamMaxLength come back as an error, not as clean.
+
+const net = require('node:net');
+const fs = require('node:fs');
+
+const CHUNK_BYTES = 64 * 1024;
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+module.exports = function createClamdBackend({
+  socket = process.env.CLAMD_SOCKET,
+  host = process.env.CLAMD_HOST,
+  port = Number(process.env.CLAMD_PORT) || 3310,
+  timeoutMs = DEFAULT_TIMEOUT_MS
+} = {}) {
+  function connect() {
+    return socket ? net.createConnection({ path: socket }) : net.createConnection({ host, port });
+  }
+
+  // INSTREAM framing: each chunk is prefixed with its length (uint32 BE); a zero length ends the stream
+  function instream(filePath) {
+    return new Promise((resolve, reject) => {
+      const conn = connect();
+      let reply = '';
+      let done = false;
+      let rs = null;
+      const finish = (err, value) => {
+        if (done) return;
+        done = true;
+        conn.destroy();
+        // the socket may go away mid-file: close the file too, or a paused stream keeps its descriptor forever
+        if (rs) rs.destroy();
+        if (err) reject(err);
+        else resolve(value);
+      };
+
+      conn.setTimeout(timeoutMs, () => finish(new Error(`clamd timed out after ${timeoutMs / 1000}s`)));
+      conn.on('error', (e) => finish(e));
+      conn.on('data', (d) => { reply += d.toString('utf8'); });
+      conn.on('end', () => finish(null, reply.replace(/\0/g, '').trim()));
+
+      conn.on('connect', () => {
+        conn.write('zINSTREAM\0');
+        rs = fs.createReadStream(filePath, { highWaterMark: CHUNK_BYTES });
+        rs.on('data', (chunk) => {
+          const size = Buffer.alloc(4);
+          size.writeUInt32BE(chunk.length, 0);
+          if (!conn.write(Buffer.concat([size, chunk]))) {
+            rs.pause();
+            conn.once('drain', () => rs.resume());
+          }
+        });
+        rs.on('error', (e) => finish(e));
+        rs.on('end', () => conn.write(Buffer.alloc(4)));
+      });
+    });
+  }
+
+  async function scan(filePath) {
+    if (!socket && !host) return { status: 'skipped', reason: 'no CLAMD_SOCKET or CLAMD_HOST provided' };
+    let reply;
+    try {
+      reply = await instream(filePath);
+    } catch (e) {
+      return { status: 'error', reason: `clamd: ${e.message}` };
+    }
+    // "stream: OK" | "stream: <signature> FOUND" | "<message> ERROR"
+    if (/:\s*OK$/.test(reply)) return { status: 'clean' };
+    const found = /:\s*(.+)\s+FOUND$/.exec(reply);
+    if (found) return { status: 'infected', signature: found[1] };
+    return { status: 'error', reason: `clamd: ${reply || 'empty reply'}` };
+  }
+
+  return { name: 'clamd', scan };
+};
@@ -0,0 +1,90 @@
+// storage/scanners/index.js
+// Pluggable malware scanning for stored files. Each backend looks at a file and returns a verdict; the scanner runs
+// the configured backends in order and stops at the first one that flags the file.
+// Backends:
+//   - 'blocklist'  SHA-256 hash blocklist file (SCAN_BLOCKLIST_FILE), one hash per line
+//   - 'clamd'      local ClamAV daemon over its socket (CLAMD_SOCKET, or CLAMD_HOST + CLAMD_PORT)
+//   - 'yara'       YARA rules via the `yara` command-line tool (YARA_RULES)
+//   - 'virustotal' VirusTotal v3 API (VIRUSTOTAL_KEY): hash lookup first, then upload and poll the analysis
+// A backend without its configuration reports 'skipped', so listing all of them is safe.
+//
+// Usage:
+//
+// const createScanner = require('./scanners');
+// const scanner = createScanner({ backends: ['blocklist', 'clamd'] });
+// const verdict = await scanner.scan('/path/to/file', { sha256, name });
+// // -> { status: 'clean' | 'infected' | 'skipped' | 'error' | 'pending', engine, signature?, reason?, id?, results }
+//
+// Backend interface: { name, scan(file, { sha256, name }) -> Promise<{ status, signature?, reason?, id? }> }
+
+const createBlocklistBackend = require('./blocklist-backend');
+const createClamdBackend = require('./clamd-backend');
+const createYaraBackend = require('./yara-backend');
+const createVirusTotalBackend = require('./virustotal-backend');
+
+const FACTORIES = {
+  blocklist: createBlocklistBackend,
+  clamd: createClamdBackend,
+  yara: createYaraBackend,
+  virustotal: createVirusTotalBackend
+};
+
+function defaultOpts() {
+  return {
+    enabled: true,
+    backends: (process.env.SCAN_BACKENDS || 'blocklist,clamd,yara,virustotal').split(',').map(s => s.trim()).filter(Boolean)
+  };
+}
+
+// fold per-backend results into one verdict: infected beats everything, then error, then pending. The file is only
+// clean when every backend that ran says so, so one engine's miss can't hide another's failure.
+function combine(results) {
+  const pick = (status) => results.find(r => r.status === status);
+  const chosen = pick('infected') || pick('error') || pick('pending') || pick('clean');
+  if (!chosen) return { status: 'skipped', reason: 'no scanner configured', results };
+  if (chosen.status === 'clean') {
+    return Object.assign({}, chosen, { engine: results.filter(r => r.status === 'clean').map(r => r.engine).join(', '), results });
+  }
+  return Object.assign({}, chosen, { results });
+}
+
+function createScanner(userOpts = {}) {
+  const opts = Object.assign({}, defaultOpts(), userOpts);
+  const backends = [];
+  for (const name of opts.backends) {
+    if (typeof name === 'object' && name && typeof name.scan === 'function') {
+      backends.push(name);
+      continue;
+    }
+    const factory = FACTORIES[String(name).toLowerCase()];
+    if (!factory) {
+      console.warn(`[scanner] unknown backend "${name}" ignored.`);
+      continue;
+    }
+    backends.push(factory(opts[name] || {}));
+  }
+
+  async function scan(file, ctx = {}) {
+    if (!opts.enabled) return { status: 'skipped', reason: 'virus checks disabled in config', results: [] };
+    const results = [];
+    for (const backend of backends) {
+      let r;
+      try {
+        r = await backend.scan(file, ctx);
+      } catch (e) {
+        r = { status: 'error', reason: e && e.message ? e.message : String(e) };
+      }
+      results.push(Object.assign({ engine: backend.name }, r));
+      if (r.status === 'infected') break;
+    }
+    return combine(results);
+  }
+
+  return {
+    scan,
+    backends: backends.map(b => b.name)
+  };
+}
+
+module.exports = createScanner;
+module.exports.createScanner = createScanner;
@@ -0,0 +1,80 @@
+// storage/scanners/virustotal-backend.js
+// VirusTotal v3 backend (VIRUSTOTAL_KEY or VT_API_KEY). Uses global fetch/FormData (Node 18+).
+// 1. Look the SHA-256 up first: files VirusTotal has already seen need no upload.
+// 2. Otherwise upload (files over 32 MB go through a one-off upload URL) and poll the analysis until it
+//    completes or maxWaitMs passes; an unfinished analysis is reported as 'pending' with its id.
+// A file counts as infected when at least `threshold` engines call it malicious.
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { hashFile } = require('../fileinfo');
+
+const API = 'https://www.virustotal.com/api/v3';
+const DIRECT_UPLOAD_LIMIT = 32 * 1024 * 1024;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+module.exports = function createVirusTotalBackend({
+  key = process.env.VIRUSTOTAL_KEY || process.env.VT_API_KEY,
+  threshold = Number(process.env.VT_MALICIOUS_THRESHOLD) || 1,
+  pollIntervalMs = Number(process.env.VT_POLL_INTERVAL_MS) || 15 * 1000, // public API: 4 requests/minute
+  maxWaitMs = Number(process.env.VT_MAX_WAIT_MS) || 60 * 1000
+} = {}) {
+  async function request(url, init = {}) {
+    const res = await fetch(url, Object.assign({}, init, { headers: Object.assign({ 'x-apikey': key }, init.headers) }));
+    if (res.status === 404) return null;
+    if (!res.ok) {
+      const txt = await res.text().catch(()=>'');
+      throw new Error(`VirusTotal HTTP ${res.status}${txt ? `: ${txt.slice(0, 200)}` : ''}`);
+    }
+    return res.json();
+  }
+
+  function verdict(stats, id) {
+    const malicious = (stats && stats.malicious) || 0;
+    const total = stats ? Object.values(stats).reduce((a, b) => a + (Number(b) || 0), 0) : 0;
+    if (malicious >= threshold) return { status: 'infected', signature: `${malicious}/${total} engines flagged it`, id };
+    return { status: 'clean', id };
+  }
+
+  async function upload(filePath) {
+    let url = `${API}/files`;
+    const size = (await fs.promises.stat(filePath)).size;
+    if (size > DIRECT_UPLOAD_LIMIT) {
+      const r = await request(`${API}/files/upload_url`);
+      url = r && r.data;
+      if (!url) throw new Error('VirusTotal did not return an upload URL');
+    }
+    const form = new FormData();
+    form.append('file', await fs.openAsBlob(filePath), path.basename(filePath));
+    const json = await request(url, { method: 'POST', body: form });
+    const id = json && json.data && json.data.id;
+    if (!id) throw new Error('VirusTotal upload returned no analysis id');
+    return id;
+  }
+
+  async function scan(filePath, { sha256 } = {}) {
+    if (!key) return { status: 'skipped', reason: 'no VIRUSTOTAL_KEY provided' };
+    try {
+      const digest = sha256 || (await hashFile(filePath)).sha256;
+      const known = await request(`${API}/files/${digest}`);
+      const knownStats = known && known.data && known.data.attributes && known.data.attributes.last_analysis_stats;
+      if (knownStats) return verdict(knownStats, digest);
+
+      const id = await upload(filePath);
+      const deadline = Date.now() + maxWaitMs;
+      while (Date.now() < deadline) {
+        await sleep(Math.min(pollIntervalMs, Math.max(0, deadline - Date.now())));
+        const analysis = await request(`${API}/analyses/${encodeURIComponent(id)}`);
+        const attrs = analysis && analysis.data && analysis.data.attributes;
+        if (attrs && attrs.status === 'completed') return verdict(attrs.stats, id);
+      }
+      return { status: 'pending', id, reason: 'analysis still running' };
+    } catch (e) {
+      return { status: 'error', reason: e.message };
+    }
+  }
+
+  return { name: 'virustotal', scan };
+};
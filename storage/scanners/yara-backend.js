@@ -0,0 +1,47 @@
+// storage/scanners/yara-backend.js
+// Matches files against YARA rules using the `yara` command-line tool (no native Node bindings needed).
+// YARA_RULES points at a rules file (compiled rules work too with YARA_COMPILED=1); YARA_BIN overrides the binary.
+// Any matching rule flags the file; the rule names become the signature.
+
+const { execFile } = require('node:child_process');
+
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+module.exports = function createYaraBackend({
+  rules = process.env.YARA_RULES,
+  bin = process.env.YARA_BIN || 'yara',
+  compiled = process.env.YARA_COMPILED === '1',
+  timeoutMs = DEFAULT_TIMEOUT_MS
+} = {}) {
+  function run(filePath) {
+    const args = ['--no-warnings'];
+    if (compiled) args.push('-C');
+    args.push(rules, filePath);
+    return new Promise((resolve, reject) => {
+      execFile(bin, args, { timeout: timeoutMs, maxBuffer: 1024 * 1024 }, (err, stdout, stderr) => {
+        if (err) {
+          err.stderr = stderr;
+          return reject(err);
+        }
+        resolve(stdout);
+      });
+    });
+  }
+
+  async function scan(filePath) {
+    if (!rules) return { status: 'skipped', reason: 'no YARA_RULES provided' };
+    let stdout;
+    try {
+      stdout = await run(filePath);
+    } catch (e) {
+      if (e.code === 'ENOENT') return { status: 'skipped', reason: `${bin} is not installed` };
+      if (e.killed) return { status: 'error', reason: `yara timed out after ${timeoutMs / 1000}s` };
+      return { status: 'error', reason: `yara: ${String(e.stderr || e.message).trim()}` };
+    }
+    // one "<rule> <file>" line per matching rule
+    const matched = stdout.split('\n').map(l => l.trim().split(/\s+/)[0]).filter(Boolean);
+    return matched.length ? { status: 'infected', signature: matched.join(', ') } : { status: 'clean' };
+  }
+
+  return { name: 'yara', scan };
+};
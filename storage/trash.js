@@ -0,0 +1,149 @@
+// storage/trash.js
+// Per-user trash bin: $rm and $rmdir -r move things here instead of deleting them, and $restore moves them back.
+// Exports a factory: module.exports = (baseDir, { quotaBytes, retentionMs }) => trashObject
+//
+// - Items live in <baseDir>/.trash/<userId>/, outside the user's workspace (like .quarantine). Each item is the
+//   deleted file or folder itself, renamed to its id, plus <id>.json: { id, path, type, size, deletedAt, files }.
+//   `files` holds the manifest entries the item had, so a restore puts its metadata back without re-hashing.
+// - Contents are moved, never rewritten: they stay encrypted and stay hardlinked to identical stored files.
+// - Trash has its own quota (logical bytes), separate from the storage quota. put() purges the oldest items to
+//   make room and refuses (returns null) an item larger than the whole trash quota.
+// - Items older than retentionMs are purged by put() and by purgeAll(), which head.js runs on a timer.
+//
+// Usage:
+//
+// const createTrash = require('./trash');
+// const trash = createTrash(baseDir, { quotaBytes: 200 * 1024 * 1024, retentionMs: 30 * 24 * 3600 * 1000 });
+// const item = await trash.put(userId, realPath, { path: 'docs/a.txt', type: 'file', size, files }); // or null
+// const items = await trash.list(userId);        // newest first
+// await trash.take(userId, item.id, realDest);   // move it back out
+// await trash.empty(userId);
+
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+
+const { atomicWrite } = require('../persistence/json-backend');
+
+const DEFAULT_QUOTA = 200 * 1024 * 1024; // 200 MB
+const DEFAULT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const ID_RE = /^[0-9a-z]+-[0-9a-f]{6}$/;
+
+module.exports = function createTrash(baseDir, { quotaBytes = DEFAULT_QUOTA, retentionMs = DEFAULT_RETENTION_MS } = {}) {
+  const root = path.join(path.resolve(baseDir), '.trash');
+
+  function userTrash(userId) {
+    return path.join(root, String(userId));
+  }
+
+  function itemPath(userId, id) {
+    if (!ID_RE.test(id)) throw new Error(`invalid trash id: ${id}`);
+    return path.join(userTrash(userId), id);
+  }
+
+  // all items of a user, newest first; unreadable sidecars are skipped
+  async function list(userId) {
+    let names;
+    try {
+      names = await fs.readdir(userTrash(userId));
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+    const items = [];
+    for (const name of names) {
+      if (!name.endsWith('.json') || !ID_RE.test(name.slice(0, -5))) continue;
+      try {
+        items.push(JSON.parse(await fs.readFile(path.join(userTrash(userId), name), 'utf8')));
+      } catch (_) {}
+    }
+    return items.sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)));
+  }
+
+  async function usedBytes(userId) {
+    return (await list(userId)).reduce((a, it) => a + (it.size || 0), 0);
+  }
+
+  // delete an item for good (contents first, so a crash leaves at worst a sidecar without contents)
+  async function drop(userId, id) {
+    await fs.rm(itemPath(userId, id), { recursive: true, force: true });
+    await fs.unlink(itemPath(userId, id) + '.json').catch(()=>{});
+  }
+
+  // drop a user's items older than the retention period; returns how many went
+  async function purge(userId, now = Date.now()) {
+    let n = 0;
+    for (const it of await list(userId)) {
+      if (now - Date.parse(it.deletedAt) < retentionMs) continue;
+      await drop(userId, it.id);
+      n++;
+    }
+    return n;
+  }
+
+  async function purgeAll(now = Date.now()) {
+    let users = [];
+    try {
+      users = await fs.readdir(root);
+    } catch (e) {
+      if (e.code === 'ENOENT') return 0;
+      throw e;
+    }
+    let n = 0;
+    for (const userId of users) n += await purge(userId, now);
+    return n;
+  }
+
+  // Move `real` (a file or folder) into the trash. info: { path, type, size, files }.
+  // Returns the stored item, or null if it is larger than the trash quota (the caller deletes it instead).
+  async function put(userId, real, info) {
+    const size = info.size || 0;
+    if (size > quotaBytes) return null;
+    await purge(userId);
+    const items = await list(userId);
+    let used = items.reduce((a, it) => a + (it.size || 0), 0);
+    while (used + size > quotaBytes && items.length) {
+      const oldest = items.pop();
+      await drop(userId, oldest.id);
+      used -= oldest.size || 0;
+    }
+
+    await fs.mkdir(userTrash(userId), { recursive: true, mode: 0o700 });
+    const id = `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+    const item = Object.assign({ id }, info, { size, deletedAt: new Date().toISOString() });
+    await fs.rename(real, itemPath(userId, id));
+    try {
+      await atomicWrite(itemPath(userId, id) + '.json', JSON.stringify(item));
+    } catch (e) {
+      await fs.rename(itemPath(userId, id), real).catch(()=>{});
+      throw e;
+    }
+    return item;
+  }
+
+  // move an item's contents to `dest` (which must not exist) and forget it
+  async function take(userId, id, dest) {
+    await fs.rename(itemPath(userId, id), dest);
+    await fs.unlink(itemPath(userId, id) + '.json').catch(()=>{});
+  }
+
+  async function empty(userId) {
+    const items = await list(userId);
+    for (const it of items) await drop(userId, it.id);
+    return { items: items.length, bytes: items.reduce((a, it) => a + (it.size || 0), 0) };
+  }
+
+  return {
+    list,
+    usedBytes,
+    put,
+    take,
+    drop,
+    empty,
+    purge,
+    purgeAll,
+    root,
+    quotaBytes,
+    retentionMs
+  };
+};
@@ -0,0 +1,136 @@
+// storage/vfs.js
+// Virtual filesystem layer for the storage subsystem.
+// Single source of truth for per-user cwd and for mapping virtual paths to real paths under <baseDir>/<userId>.
+// Used by the prompt line in index.js, the console commands in storage/cmds.js and the disk operations in storage/api.js.
+// Exports a factory: module.exports = (baseDir, { store }) => vfsObject
+// With a persistence store (persistence/index.js), each user's cwd survives restarts.
+//
+// Virtual path rules (per user):
+//   "~", "/"          -> user root
+//   "~/a/b", "/a/b"   -> absolute from user root
+//   "a/b", "../b"     -> relative to the user's cwd
+// Relative paths returned by resolve() are POSIX-style without a leading slash ('' is the root).
+
+const path = require('node:path');
+const fs = require('node:fs/promises');
+
+function vfsError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+module.exports = function createVfs(baseDir, { store = null } = {}) {
+  const root = path.resolve(baseDir);
+  // Map<userId, relPath> ('' = root)
+  const cwdPerUser = new Map();
+  const saved = store ? store.namespace('cwd') : null;
+
+  if (saved) {
+    for (const [userId, rel] of saved.entries()) {
+      if (typeof rel === 'string' && rel) cwdPerUser.set(userId, rel);
+    }
+  }
+
+  function userRoot(userId) {
+    return path.join(root, String(userId));
+  }
+
+  function getCwd(userId) {
+    return cwdPerUser.get(String(userId)) || '';
+  }
+
+  // set cwd without checking the disk (e.g. when restoring saved state)
+  function setCwd(userId, rel) {
+    const clean = path.posix.normalize(String(rel || '')).replace(/^(\.\/?|\/)+/, '').replace(/\/+$/, '');
+    const id = String(userId);
+    if (!clean || clean === '.' || clean.startsWith('..')) {
+      cwdPerUser.delete(id);
+      if (saved) saved.delete(id);
+    } else {
+      cwdPerUser.set(id, clean);
+      if (saved) saved.set(id, clean);
+    }
+  }
+
+  // Resolve a virtual path to a normalized path relative to the user root.
+  // Throws EACCES if the path would escape the root.
+  function resolve(userId, input = '.') {
+    let p = String(input == null ? '.' : input).trim().replace(/\\/g, '/');
+    if (p.includes('\0')) throw vfsError('EINVAL', 'Invalid path');
+
+    let joined;
+    if (p === '~' || p.startsWith('~/')) joined = p.slice(1);
+    else if (p.startsWith('/')) joined = p;
+    else joined = '/' + path.posix.join(getCwd(userId), p || '.');
+
+    // normalize against a fake root so '..' past the root is detectable
+    const normalized = path.posix.normalize('/' + joined);
+    const rawSegments = joined.split('/').filter(Boolean);
+    let depth = 0;
+    for (const seg of rawSegments) {
+      if (seg === '..') depth--;
+      else if (seg !== '.') depth++;
+      if (depth < 0) throw vfsError('EACCES', 'Permission denied: path is outside your storage root');
+    }
+
+    return normalized.replace(/^\/+/, '').replace(/\/+$/, '');
+  }
+
+  // Map a resolved relative path to an absolute disk path, re-checking containment.
+  function toReal(userId, rel = '') {
+    const base = userRoot(userId);
+    const full = path.resolve(base, rel);
+    if (full !== base && !full.startsWith(base + path.sep)) {
+      throw vfsError('EACCES', 'Permission denied: path is outside your storage root');
+    }
+    return full;
+  }
+
+  // Display form of a relative path: '' -> '~', 'a/b' -> '~/a/b'
+  function display(rel) {
+    return rel ? `~/${rel}` : '~';
+  }
+
+  function cwdDisplay(userId) {
+    return display(getCwd(userId));
+  }
+
+  async function stat(userId, input) {
+    const rel = resolve(userId, input);
+    try {
+      const st = await fs.stat(toReal(userId, rel));
+      return { rel, isDirectory: st.isDirectory(), isFile: st.isFile(), size: st.size, mtime: st.mtime };
+    } catch (e) {
+      if (e.code === 'ENOENT' || e.code === 'ENOTDIR') return null;
+      throw e;
+    }
+  }
+
+  async function chdir(userId, input = '~') {
+    const rel = resolve(userId, input);
+    if (rel) {
+      const st = await stat(userId, '~/' + rel);
+      if (!st) throw vfsError('ENOENT', `${input}: No such file or directory`);
+      if (!st.isDirectory) throw vfsError('ENOTDIR', `${input}: Not a directory`);
+    }
+    setCwd(userId, rel);
+    return rel;
+  }
+
+  return {
+    baseDir: root,
+    userRoot,
+    getCwd,
+    setCwd,
+    resolve,
+    toReal,
+    display,
+    cwdDisplay,
+    stat,
+    chdir,
+    _cwd: cwdPerUser
+  };
+};
+
+module.exports.vfsError = vfsError;
@@ -0,0 +1,48 @@
+// test/archive.test.js
+// storage/archive.js: tar.gz input and zip entries are inflated as streams under a byte cap.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+
+const archive = require('../storage/archive');
+
+const mtime = new Date(0);
+
+test('tar.gz round-trips', async () => {
+  const buf = archive.write('tar.gz', [{ path: 'a', type: 'dir', mtime }, { path: 'a/b.txt', data: Buffer.from('hello'), mtime }]);
+  const entries = await archive.read('tar.gz', buf);
+  assert.deepEqual(entries.map(e => [e.path, e.type]), [['a', 'dir'], ['a/b.txt', 'file']]);
+  assert.equal((await entries[1].data()).toString(), 'hello');
+});
+
+test('a tar.gz that expands past the limit is refused', async () => {
+  const buf = archive.write('tar.gz', [{ path: 'big.bin', data: Buffer.alloc(4 * 1024 * 1024), mtime }]);
+  await assert.rejects(archive.read('tar.gz', buf, { maxTotalBytes: 1024 * 1024, maxEntries: 10 }),
+    { code: 'EARCHIVE', message: /expands to more than/ });
+});
+
+test('corrupt gzip data is reported as such', async () => {
+  const buf = zlib.gzipSync(Buffer.alloc(4096));
+  buf[buf.length - 12] ^= 0xff;
+  await assert.rejects(archive.read('tar.gz', buf), { code: 'EARCHIVE', message: 'corrupt gzip data' });
+});
+
+test('zip round-trips', async () => {
+  const buf = archive.write('zip', [{ path: 'a', type: 'dir', mtime }, { path: 'a/b.txt', data: Buffer.from('hello '.repeat(100)), mtime }]);
+  const entries = await archive.read('zip', buf);
+  assert.deepEqual(entries.map(e => [e.path, e.type]), [['a', 'dir'], ['a/b.txt', 'file']]);
+  const pending = entries[1].data();
+  assert.ok(pending instanceof Promise);
+  assert.equal((await pending).toString(), 'hello '.repeat(100));
+});
+
+test('a zip entry that inflates past its declared size is refused', async () => {
+  const buf = archive.write('zip', [{ path: 'big.bin', data: Buffer.alloc(64 * 1024), mtime }]);
+  // shrink the uncompressed size in the central directory entry
+  const cd = buf.readUInt32LE(buf.length - 22 + 16);
+  buf.writeUInt32LE(1024, cd + 24);
+  const [entry] = await archive.read('zip', buf);
+  assert.equal(entry.size, 1024);
+  await assert.rejects(entry.data(), { code: 'EARCHIVE', message: 'big.bin expands past its declared size' });
+});
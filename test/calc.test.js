@@ -0,0 +1,35 @@
+// test/calc.test.js
+// commands/calc: operator precedence, error columns, and names that must not resolve through Object.prototype.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const initCalc = require('../commands/calc');
+
+const calc1 = (input) => initCalc().run('u1', input);
+
+test('precedence: ^ binds tighter than unary minus and is right-associative', () => {
+  assert.deepEqual(calc1('-2^2'), ['-2^2 = -4']);
+  assert.deepEqual(calc1('2^3^2'), ['2^3^2 = 512']);
+  assert.deepEqual(calc1('1+2*3'), ['1+2*3 = 7']);
+  assert.deepEqual(calc1('(1+2)*3'), ['(1+2)*3 = 9']);
+});
+
+test('errors point at the offending column', () => {
+  assert.deepEqual(calc1('1 +* 2'), ['1 +* 2', '   ^', "calc: unexpected '*' (column 4)"]);
+  assert.deepEqual(calc1('1/0'), ['1/0', ' ^', 'calc: division by zero (column 2)']);
+  assert.deepEqual(calc1('foo('), ['foo(', '    ^', 'calc: unexpected end of input (column 5)']);
+});
+
+test('Object.prototype members are not constants or functions', () => {
+  assert.equal(calc1('constructor(1)')[2], "calc: unknown function 'constructor' (column 1)");
+  assert.equal(calc1('hasOwnProperty(1)')[2], "calc: unknown function 'hasownproperty' (column 1)");
+  assert.equal(calc1('__proto__')[2], "calc: unknown variable '__proto__' (column 1)");
+});
+
+test('a variable may take a name that Object.prototype uses', () => {
+  const calc = initCalc();
+  assert.deepEqual(calc.run('u1', 'toString = 3'), ['tostring = 3']);
+  assert.deepEqual(calc.run('u1', 'tostring + 1'), ['tostring + 1 = 4']);
+  assert.deepEqual(calc.run('u1', 'ans * 2'), ['ans * 2 = 8']);
+});
@@ -0,0 +1,42 @@
+// test/editor.test.js
+// commands/editor: the editor embed stays within Discord's description limit whatever the prompt, path and lines.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+
+const initEditor = require('../commands/editor');
+
+// storage stand-in serving one file
+function storageWith(content) {
+  return {
+    api: {
+      readFile: async () => ({ buffer: Buffer.from(content) }),
+      looksBinary: () => false
+    },
+    vfs: {
+      resolve: (userId, file) => file,
+      display: (rel) => `~/${rel}`
+    }
+  };
+}
+
+test('the embed fits with a long prompt line, a long path and rows full of backticks', async () => {
+  // every row wraps and every ``` in it is escaped, which makes the rows as long as they get
+  const content = Array.from({ length: 10000 }, () => '`'.repeat(300)).join('\n');
+  const editor = initEditor(new EventEmitter(), { getStorage: () => storageWith(content) });
+  const message = { author: { id: 'u1' } };
+  const file = 'd/'.repeat(200) + 'notes.txt';
+  const out = await editor.open(message, file);
+  assert.equal(out.interactive, true);
+
+  let sent = null;
+  const channel = { send: async (payload) => { sent = payload; return { edit: async () => {} }; } };
+  await out.send(channel, 'user@terminal:~$ edit ' + 'x'.repeat(600));
+  const { description } = sent.embeds[0].data;
+  assert.ok(description.length <= 4096, `description is ${description.length} characters`);
+  const [, prompt, , title] = description.split('\n');
+  assert.ok(prompt.endsWith('…'));
+  assert.ok(title.endsWith('…'));
+  assert.equal(description.split('\n').filter(l => l.includes(' │ ')).length, 18);
+});
@@ -0,0 +1,71 @@
+// test/encryption.test.js
+// Encryption at rest: reads go by the manifest's `encrypted` flag, and encrypt-storage.js migrates workspaces and trash.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { execFile } = require('node:child_process');
+const { promisify } = require('node:util');
+
+const createEncryption = require('../storage/encryption');
+const { tempDir, testApi } = require('./helpers');
+
+const MASTER_KEY = 'ab'.repeat(32);
+const MAGIC = Buffer.from('\0TRMENC\x01', 'latin1');
+
+function apiFor(dir, masterKey) {
+  return testApi(dir, { encryption: createEncryption(dir, { masterKey }) });
+}
+
+test('a plaintext file that starts with the encryption header still reads as plaintext', async (t) => {
+  const dir = await tempDir(t);
+  const body = Buffer.concat([MAGIC, Buffer.alloc(64, 7)]);
+  const plain = apiFor(dir, null);
+  await plain.saveFileFromBuffer('u1', 'fake.bin', body);
+  await plain.manifest.flush();
+
+  // same workspace once a master key is configured
+  const api = apiFor(dir, MASTER_KEY);
+  assert.deepEqual((await api.readFile('u1', 'fake.bin')).buffer, body);
+  assert.equal((await api.statFile('u1', 'fake.bin')).size, body.length);
+  await api.manifest.flush();
+});
+
+test('new files are encrypted on disk and read back', async (t) => {
+  const dir = await tempDir(t);
+  const api = apiFor(dir, MASTER_KEY);
+  await api.saveFileFromBuffer('u1', 'a.txt', Buffer.from('secret'));
+  const raw = await fs.readFile(path.join(dir, 'u1', 'a.txt'));
+  assert.ok(raw.subarray(0, MAGIC.length).equals(MAGIC));
+  assert.equal((await api.readFile('u1', 'a.txt')).buffer.toString(), 'secret');
+  assert.equal((await api.manifest.get('u1', 'a.txt')).encrypted, true);
+  await api.manifest.flush();
+});
+
+test('encrypt-storage.js encrypts the workspace and the trash, and can be re-run', async (t) => {
+  const dir = await tempDir(t);
+  const plain = apiFor(dir, null);
+  const fake = Buffer.concat([MAGIC, Buffer.alloc(64, 7)]);
+  await plain.saveFileFromBuffer('u1', 'a.txt', Buffer.from('alpha'));
+  await plain.saveFileFromBuffer('u1', 'fake.bin', fake);
+  await plain.saveFileFromBuffer('u1', 'gone.txt', Buffer.from('deleted'));
+  const { trashed } = await plain.removeFile('u1', 'gone.txt');
+  assert.ok(trashed);
+  await plain.manifest.flush();
+
+  const run = () => promisify(execFile)(process.execPath, [path.join(__dirname, '..', 'encrypt-storage.js'), '--base-dir', dir],
+    { cwd: dir, env: Object.assign({}, process.env, { STORAGE_MASTER_KEY: MASTER_KEY }) });
+  assert.match((await run()).stdout, /Encrypted 3 file\(s\); 0 already encrypted; 0 failed/);
+  assert.match((await run()).stdout, /Encrypted 0 file\(s\); 3 already encrypted; 0 failed/);
+
+  const trashedRaw = await fs.readFile(path.join(dir, '.trash', 'u1', trashed.id));
+  assert.ok(trashedRaw.subarray(0, MAGIC.length).equals(MAGIC));
+
+  const api = apiFor(dir, MASTER_KEY);
+  assert.equal((await api.readFile('u1', 'a.txt')).buffer.toString(), 'alpha');
+  assert.deepEqual((await api.readFile('u1', 'fake.bin')).buffer, fake);
+  await api.restoreFromTrash('u1', 'gone.txt');
+  assert.equal((await api.readFile('u1', 'gone.txt')).buffer.toString(), 'deleted');
+  await api.manifest.flush();
+});
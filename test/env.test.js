@@ -0,0 +1,22 @@
+// test/env.test.js
+// shell/env.js: the prompt line echoed above a command's output.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const createEnvironment = require('../shell/env');
+
+test('the prompt line escapes backticks in the typed command', () => {
+  const env = createEnvironment();
+  assert.equal(env.promptLine('u1', { USER: 'alice', PWD: '~' }, 'echo `x`'), 'alice@terminal:~$ echo \\`x\\`');
+});
+
+test('the prompt line is cut to maxPromptLine characters, however long the command', () => {
+  const env = createEnvironment();
+  const { maxPromptLine } = createEnvironment.LIMITS;
+  // every backtick doubles when escaped: 1999 of them would make a ~4000 character line
+  const line = env.promptLine('u1', { USER: 'alice', PWD: '~' }, '`'.repeat(1999));
+  assert.equal(line.length, maxPromptLine);
+  assert.ok(line.endsWith('…'));
+  assert.equal(env.promptLine('u1', { USER: 'alice', PWD: '~' }, 'x'.repeat(4000)).length, maxPromptLine);
+});
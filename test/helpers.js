@@ -0,0 +1,52 @@
+// test/helpers.js
+// Fixtures shared by the storage tests: temporary directories that are removed when the test ends, and a storage
+// api on one with free-space and virus checks off.
+// Usage:
+//
+// const { tempDir, tempApi, testApi } = require('./helpers');
+// const dir = await tempDir(t, { 'u1/a.txt': 'hello' }); // files to create, relative to the dir
+// const { api, dir } = await tempApi(t, { quotaBytes });  // its manifest is flushed before the dir is removed
+// const api = testApi(dir, { encryption });               // another api on a dir the test already has
+
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+
+const createApi = require('../storage/api');
+
+async function makeDir(files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'terminal-test-'));
+  for (const [rel, content] of Object.entries(files)) {
+    const full = path.join(dir, rel);
+    await fs.mkdir(path.dirname(full), { recursive: true });
+    await fs.writeFile(full, content);
+  }
+  return dir;
+}
+
+async function tempDir(t, files = {}) {
+  const dir = await makeDir(files);
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function testApi(dir, opts = {}) {
+  return createApi(dir, Object.assign({ minFreeBytes: 0, enableVirusCheck: false }, opts));
+}
+
+// `opts` may be a function of the new dir, for options that are built on it (a manifest, encryption)
+async function tempApi(t, opts = {}) {
+  const dir = await makeDir({});
+  const api = testApi(dir, typeof opts === 'function' ? opts(dir) : opts);
+  t.after(async () => {
+    await api.manifest.flush();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+  return { api, dir };
+}
+
+module.exports = {
+  tempDir,
+  tempApi,
+  testApi
+};
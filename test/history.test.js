@@ -0,0 +1,53 @@
+// test/history.test.js
+// shell/history.js: bash-style !-expansion.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryStore } = require('../persistence');
+const createHistory = require('../shell/history');
+const { MAX_LINE_LENGTH } = require('../shell/parser');
+
+function historyWith(...lines) {
+  const history = createHistory(createMemoryStore());
+  for (const line of lines) history.add('u1', line);
+  return history;
+}
+
+test('!!, !n, !-n and !prefix expand at the start of a word', () => {
+  const history = historyWith('$ls -l', '$cat notes.txt', '$roll 2d6');
+  assert.deepEqual(history.expand('u1', '!!'), { line: 'roll 2d6', expanded: true });
+  assert.deepEqual(history.expand('u1', '!1'), { line: 'ls -l', expanded: true });
+  assert.deepEqual(history.expand('u1', '!-2'), { line: 'cat notes.txt', expanded: true });
+  assert.deepEqual(history.expand('u1', '!cat | grep todo'), { line: 'cat notes.txt | grep todo', expanded: true });
+  assert.deepEqual(history.expand('u1', 'echo "!!"'), { line: 'echo "roll 2d6"', expanded: true });
+  assert.deepEqual(history.expand('u1', 'echo ok;!ls'), { line: 'echo ok;ls -l', expanded: true });
+});
+
+test('a ! inside a word is left alone, so dice modifiers pass through', () => {
+  const history = historyWith('$ls');
+  assert.deepEqual(history.expand('u1', 'roll 4d6!kh3'), { line: 'roll 4d6!kh3', expanded: false });
+  assert.deepEqual(history.expand('u1', 'roll 4d6!+2'), { line: 'roll 4d6!+2', expanded: false });
+  assert.deepEqual(history.expand('u1', 'roll 1d6!!'), { line: 'roll 1d6!!', expanded: false });
+});
+
+test('quoting and escapes', () => {
+  const history = historyWith('$ls');
+  assert.deepEqual(history.expand('u1', "echo '!!'"), { line: "echo '!!'", expanded: false });
+  assert.deepEqual(history.expand('u1', 'echo \\!!'), { line: 'echo \\!!', expanded: false });
+  assert.deepEqual(history.expand('u1', 'echo hi !'), { line: 'echo hi !', expanded: false });
+});
+
+test('an unknown event is an error', () => {
+  const history = historyWith('$ls');
+  assert.deepEqual(history.expand('u1', '!nope'), { error: '!nope: event not found' });
+});
+
+test('an expansion longer than the parser accepts is an error', () => {
+  const history = historyWith('$echo ' + 'x'.repeat(MAX_LINE_LENGTH / 2));
+  assert.match(history.expand('u1', '!! !!').error, /expanded line too long/);
+  // the typed text after the last reference counts too
+  const almost = historyWith('$' + 'y'.repeat(MAX_LINE_LENGTH - 5));
+  assert.match(almost.expand('u1', '!! and more').error, /expanded line too long/);
+  assert.equal(almost.expand('u1', '!!').line.length, MAX_LINE_LENGTH - 5);
+});
@@ -0,0 +1,114 @@
+// test/jobs.test.js
+// shell/jobs: per-channel queue order, background jobs, the per-user limit, $kill and $jobs.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const createJobs = require('../shell/jobs');
+
+// work that runs until release() is called, recording when it started
+function gate(log, name) {
+  let release;
+  const released = new Promise((resolve) => { release = resolve; });
+  const work = async (job) => {
+    log.push(name);
+    await Promise.race([released, new Promise((resolve) => job.signal.addEventListener('abort', resolve))]);
+  };
+  return { work, release: () => release() };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test('foreground lines in a channel run one after another, in order', async () => {
+  const jobs = createJobs();
+  const log = [];
+  const a = gate(log, 'a');
+  const b = gate(log, 'b');
+  const c = gate(log, 'c');
+  const ja = jobs.submit({ userId: 'u1', channelId: 'c1', line: 'a' }, a.work);
+  const jb = jobs.submit({ userId: 'u2', channelId: 'c1', line: 'b' }, b.work);
+  const jc = jobs.submit({ userId: 'u1', channelId: 'c2', line: 'c' }, c.work);
+  await tick();
+  assert.deepEqual([ja.state, jb.state, jc.state], ['running', 'queued', 'running']);
+  assert.deepEqual(log, ['a', 'c']);
+
+  a.release();
+  await ja.done;
+  await tick();
+  assert.equal(jb.state, 'running');
+  assert.deepEqual(log, ['a', 'c', 'b']);
+  b.release();
+  c.release();
+  await Promise.all([jb.done, jc.done]);
+});
+
+test('a background job does not wait for, or hold up, the channel queue', async () => {
+  const jobs = createJobs();
+  const log = [];
+  const fg = gate(log, 'fg');
+  const bg = gate(log, 'bg');
+  const jfg = jobs.submit({ userId: 'u1', channelId: 'c1', line: 'fg' }, fg.work);
+  const jbg = jobs.submit({ userId: 'u1', channelId: 'c1', line: 'bg', background: true }, bg.work);
+  await tick();
+  assert.deepEqual([jfg.state, jbg.state], ['running', 'running']);
+  fg.release();
+  bg.release();
+  await Promise.all([jfg.done, jbg.done]);
+});
+
+test('each user has a limit on lines running or queued', async () => {
+  const jobs = createJobs({ perUser: 2 });
+  const g = gate([], 'x');
+  const first = jobs.submit({ userId: 'u1', channelId: 'c1', line: 'x' }, g.work);
+  const second = jobs.submit({ userId: 'u1', channelId: 'c1', line: 'x' }, g.work);
+  assert.match(jobs.submit({ userId: 'u1', channelId: 'c1', line: 'x' }, g.work).error, /already have 2 commands/);
+  assert.equal(jobs.submit({ userId: 'u2', channelId: 'c1', line: 'x' }, g.work).error, undefined);
+
+  // a finished job frees its slot
+  g.release();
+  await Promise.all([first.done, second.done]);
+  assert.equal(jobs.submit({ userId: 'u1', channelId: 'c2', line: 'x', background: true }, async () => {}).error, undefined);
+});
+
+test('killing a queued job drops it; killing a running one aborts its signal', async () => {
+  const jobs = createJobs();
+  const log = [];
+  const running = gate(log, 'running');
+  const queued = gate(log, 'queued');
+  const next = gate(log, 'next');
+  const jr = jobs.submit({ userId: 'u1', channelId: 'c1', line: 'running' }, running.work);
+  const jq = jobs.submit({ userId: 'u1', channelId: 'c1', line: 'queued' }, queued.work);
+  const jn = jobs.submit({ userId: 'u2', channelId: 'c1', line: 'next' }, next.work);
+
+  assert.equal(jobs.kill('u2', `%${jq.id}`).error, `%${jq.id}: not your job`);
+  assert.equal(jobs.kill('u1', '%99').error, '%99: no such job');
+  assert.equal(jobs.kill('u1', 'x').error, 'usage: $kill <job> (see $jobs)');
+
+  assert.equal(jobs.kill('u1', `%${jq.id}`).job, jq);
+  await jq.done;
+  assert.equal(jq.signal.aborted, true);
+
+  assert.equal(jobs.kill('u1', String(jr.id)).job, jr);
+  assert.equal(jr.signal.aborted, true);
+  await jr.done;
+  await tick();
+  assert.deepEqual(log, ['running', 'next']);
+  next.release();
+  await jn.done;
+});
+
+test('$jobs lists the channel queue and the user\'s jobs elsewhere', async () => {
+  const jobs = createJobs();
+  const g = gate([], 'x');
+  const j1 = jobs.submit({ userId: 'u2', channelId: 'c1', line: 'sudo hack bob' }, g.work);
+  const j2 = jobs.submit({ userId: 'u1', channelId: 'c1', line: 'ls' }, g.work);
+  const j3 = jobs.submit({ userId: 'u1', channelId: 'c2', line: 'pwd' }, g.work);
+  assert.deepEqual(jobs.list('u1', 'c1'), [
+    `[${j1.id}]  Running    sudo hack bob  (0s)  (someone else)`,
+    `[${j2.id}]  Queued #1  ls  (0s)`,
+    `[${j3.id}]  Running    pwd  (0s)  (another channel)`
+  ]);
+  g.release();
+  await Promise.all([j1.done, j2.done, j3.done]);
+  assert.deepEqual(jobs.list('u1', 'c1'), []);
+});
@@ -0,0 +1,48 @@
+// test/manifest.test.js
+// Storage manifest: usage index kept in step with writes, including writes that land during a reconcile.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+const createManifest = require('../storage/manifest');
+const { tempDir } = require('./helpers');
+
+test('reconcile rebuilds usage from disk, charging identical files once', async (t) => {
+  const dir = await tempDir(t, { 'u1/a.txt': 'hello', 'u1/sub/b.txt': 'hello', 'u1/c.txt': 'abc' });
+  const manifest = createManifest(dir);
+  const m = await manifest.reconcile('u1');
+  assert.deepEqual(Object.keys(m.files).sort(), ['a.txt', 'c.txt', 'sub/b.txt']);
+  assert.equal(m.used, 8);
+  await manifest.flush();
+});
+
+test('changes made while a reconcile is running are kept', async (t) => {
+  const dir = await tempDir(t, { 'u1/a.txt': 'hello' });
+  const manifest = createManifest(dir);
+  await manifest.load('u1');
+
+  // the scan has already passed the spot where this file is written
+  const running = manifest.reconcile('u1');
+  await manifest.record('u1', 'late.txt', { size: 100, sha256: 'f'.repeat(64) });
+  await running;
+
+  assert.equal(await manifest.usedBytes('u1'), 105);
+  assert.ok(await manifest.get('u1', 'late.txt'));
+  await manifest.flush();
+});
+
+test('a removal during a reconcile is not undone by it', async (t) => {
+  const dir = await tempDir(t, { 'u1/a.txt': 'hello', 'u1/b.txt': 'world!' });
+  const manifest = createManifest(dir);
+  await manifest.load('u1');
+
+  const running = manifest.reconcile('u1');
+  await fs.rm(path.join(dir, 'u1/b.txt'));
+  await manifest.remove('u1', 'b.txt');
+  await running;
+
+  assert.equal(await manifest.usedBytes('u1'), 5);
+  await manifest.flush();
+});
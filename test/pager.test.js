@@ -0,0 +1,30 @@
+// test/pager.test.js
+// commands/pager.js: splitting output into pages.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { paginate } = require('../commands/pager');
+
+test('lines are packed into pages of at most maxChars', () => {
+  const pages = paginate(['aaaa', 'bbbb', 'cccc'], { maxChars: 10 });
+  assert.deepEqual(pages, [['aaaa', 'bbbb'], ['cccc']]);
+});
+
+test('a line longer than a page is cut into page-sized pieces', () => {
+  assert.deepEqual(paginate(['abcdefgh'], { maxChars: 3 }), [['abc'], ['def'], ['gh']]);
+});
+
+test('maxLines caps the lines per page', () => {
+  assert.deepEqual(paginate(['a', 'b', 'c'], { maxChars: 100, maxLines: 2 }), [['a', 'b'], ['c']]);
+});
+
+test('empty output is one empty page', () => {
+  assert.deepEqual(paginate([], { maxChars: 10 }), [[]]);
+});
+
+test('maxChars below 1 is refused instead of looping forever', () => {
+  for (const maxChars of [0, -5, 0.5, undefined]) {
+    assert.throws(() => paginate(['hi'], { maxChars }), RangeError, String(maxChars));
+  }
+});
@@ -0,0 +1,82 @@
+// test/parser.test.js
+// shell/parser and shell/index: tokenizing and quoting, syntax errors, mention words, redirects, `&` and the
+// per-line command limit.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parse, tokenize, wordText, MAX_LINE_LENGTH } = require('../shell/parser');
+const createShell = require('../shell');
+
+const words = (cmd) => cmd.words.map(wordText);
+
+test('tokenize: operators split words and quotes keep how each part was quoted', () => {
+  const tokens = tokenize(`a"b c"'d'\\e|f>>g`);
+  assert.deepEqual(tokens[0], {
+    type: 'word',
+    parts: [{ text: 'a', quote: null }, { text: 'b c', quote: '"' }, { text: 'd', quote: "'" }, { text: 'e', quote: '\\' }]
+  });
+  assert.deepEqual(tokens.slice(1).map(t => t.type === 'op' ? t.value : wordText(t.parts)), ['|', 'f', '>>', 'g']);
+});
+
+test('tokenize: escapes inside double quotes and a newline as a separator', () => {
+  const [word] = tokenize('"say \\"hi\\" \\$HOME"');
+  assert.equal(wordText(word.parts), 'say "hi" $HOME');
+  assert.ok(word.parts.some(p => p.text === '$' && p.quote === '\\'));
+  assert.deepEqual(parse('echo a\necho b').map(item => item.op), [null, ';']);
+});
+
+test('unterminated quotes and over-long lines are syntax errors', () => {
+  assert.throws(() => parse("echo 'open"), { code: 'ESYNTAX', message: "syntax error: unterminated ' quote" });
+  assert.throws(() => parse('echo "open'), { code: 'ESYNTAX', message: 'syntax error: unterminated " quote' });
+  assert.throws(() => parse('x'.repeat(MAX_LINE_LENGTH + 1)), { code: 'ESYNTAX', message: /line too long/ });
+});
+
+test('Discord mentions, channels, emoji and timestamps are words, not redirects', () => {
+  const [{ pipeline: [cmd] }] = parse('echo <@123> <@!45> <@&6> <#7> <:wave:8> <a:spin:9> <t:1700000000:R>');
+  assert.deepEqual(words(cmd), ['echo', '<@123>', '<@!45>', '<@&6>', '<#7>', '<:wave:8>', '<a:spin:9>', '<t:1700000000:R>']);
+  assert.deepEqual(cmd.redirects, []);
+
+  const [{ pipeline: [plain] }] = parse('sort <in.txt');
+  assert.deepEqual(plain.redirects.map(r => [r.op, wordText(r.target)]), [['<', 'in.txt']]);
+});
+
+test('redirect targets', () => {
+  const [{ pipeline }] = parse('cat < in.txt | grep x > "out file.txt" >> log');
+  assert.deepEqual(words(pipeline[0]), ['cat']);
+  assert.deepEqual(pipeline[1].redirects.map(r => [r.op, wordText(r.target)]), [['>', 'out file.txt'], ['>>', 'log']]);
+  assert.throws(() => parse('echo hi >'), { code: 'ESYNTAX', message: "syntax error: expected a file name after `>', got end of input" });
+  assert.throws(() => parse('echo hi > | cat'), { code: 'ESYNTAX', message: /expected a file name after `>', got `\|'/ });
+  assert.throws(() => parse('> out.txt'), { code: 'ESYNTAX', message: 'syntax error: missing command before redirection' });
+});
+
+test('`&` is only allowed at the end of a line', () => {
+  const list = parse('sleep 5 && echo done &');
+  assert.equal(list.background, true);
+  assert.deepEqual(list.map(item => item.op), [null, '&&']);
+  assert.equal(parse('echo hi').background, undefined);
+  assert.throws(() => parse('sleep 5 & echo hi'), { code: 'ESYNTAX', message: "syntax error: `&' is only supported at the end of a line" });
+});
+
+test('chaining: a trailing ; is fine, a dangling && or || is not', () => {
+  assert.deepEqual(parse('a; b || c').map(item => item.op), [null, ';', '||']);
+  assert.equal(parse('a;').length, 1);
+  assert.throws(() => parse('a &&'), { code: 'ESYNTAX', message: "syntax error: unexpected end of input after `&&'" });
+  assert.throws(() => parse('| a'), { code: 'ESYNTAX', message: "syntax error: unexpected `|'" });
+});
+
+test('the shell refuses lines with more than maxCommands commands', async () => {
+  let ran = 0;
+  const commands = new Map([['true', { fn: () => { ran++; return ''; } }]]);
+  const shell = createShell({ commands, maxCommands: 3 });
+  const message = { author: { id: 'u1', username: 'u1' } };
+  const rendered = [];
+  const render = async (out) => { rendered.push(out); };
+
+  assert.equal(await shell.run('true | true; true; true', { message, render }), 2);
+  assert.deepEqual(rendered, ['sh: too many commands in one line (max 3)']);
+  assert.equal(ran, 0);
+
+  assert.equal(await shell.run('true | true; true', { message, render }), 0);
+  assert.equal(ran, 3);
+});
@@ -0,0 +1,63 @@
+// test/ratelimit.test.js
+// commands/ratelimit.js: what a line costs, including names that collide with Object.prototype.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryStore } = require('../persistence');
+const initRateLimit = require('../commands/ratelimit');
+
+const client = { on() {} };
+
+// lines a fresh user gets through before the first refusal
+function allowed(limiter, commands, guildId = 'g1') {
+  let n = 0;
+  while (n < 100 && limiter.check({ userId: 'u1', guildId, commands }).ok) n++;
+  return n;
+}
+
+test('commands cost their table entry, anything else 1', () => {
+  const limiter = initRateLimit(client);
+  assert.equal(allowed(limiter, [{ name: 'ls' }]), initRateLimit.LIMITS.userBurst);
+  assert.equal(allowed(initRateLimit(client), [{ name: 'sudo', sub: 'hack' }]), 1);
+  assert.equal(allowed(initRateLimit(client), [{ name: 'upload' }, { name: 'upload' }]), 1);
+  assert.equal(allowed(initRateLimit(client), [{ name: 'run' }, { name: 'run' }]), 1);
+});
+
+test('a line costs the sum of its commands, and one that costs more than a full bucket is refused', () => {
+  const limiter = initRateLimit(client);
+  const hacks = Array.from({ length: 10 }, () => ({ name: 'sudo', sub: 'hack' }));
+  const verdict = limiter.check({ userId: 'u1', guildId: 'g1', commands: hacks });
+  assert.equal(verdict.ok, false);
+  assert.equal(verdict.reason, 'cost');
+  assert.equal(verdict.cost, 50);
+  assert.equal(verdict.max, initRateLimit.LIMITS.userBurst);
+  // refusing it charged nothing
+  assert.equal(allowed(limiter, [{ name: 'ls' }]), initRateLimit.LIMITS.userBurst);
+});
+
+test('a line must also fit in the guild bucket', () => {
+  const limiter = initRateLimit(client, { limits: { userBurst: 100, guildBurst: 10 } });
+  const line = Array.from({ length: 4 }, () => ({ name: 'upload' }));
+  assert.deepEqual(limiter.check({ userId: 'u1', guildId: 'g1', commands: line }),
+    { ok: false, reason: 'cost', cost: 16, max: 10, notify: true });
+  // in DMs there is no guild bucket
+  assert.equal(limiter.check({ userId: 'u1', guildId: null, commands: line }).ok, true);
+});
+
+test('names inherited from Object.prototype cost 1 like any other unknown command', () => {
+  for (const name of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+    assert.equal(allowed(initRateLimit(client), [{ name }]), initRateLimit.LIMITS.userBurst, name);
+    assert.equal(allowed(initRateLimit(client), [{ name: 'sudo', sub: name }]), initRateLimit.LIMITS.userBurst, `sudo ${name}`);
+  }
+});
+
+test('stored costs that are not finite, non-negative numbers are ignored', () => {
+  const store = createMemoryStore();
+  store.namespace('ratelimit').set('g1', JSON.parse('{"costs": {"ls": "lots", "cat": null, "__proto__": 2, "run": -5, "ping": 4}, "exempt": []}'));
+  const limiter = initRateLimit(client, { store });
+  assert.equal(allowed(limiter, [{ name: 'ls' }]), initRateLimit.LIMITS.userBurst);
+  assert.equal(allowed(initRateLimit(client, { store }), [{ name: 'run' }]), Math.floor(initRateLimit.LIMITS.userBurst / initRateLimit.COSTS.run));
+  assert.equal(allowed(initRateLimit(client, { store }), [{ name: 'ping' }]), initRateLimit.LIMITS.userBurst / 4);
+  assert.equal(allowed(initRateLimit(client, { store }), [{ name: '__proto__' }]), initRateLimit.LIMITS.userBurst / 2);
+});
@@ -0,0 +1,126 @@
+// test/roll.test.js
+// $roll: dice-notation parser, keep/drop and exploding dice, with scripted and seeded randomness.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const initRoll = require('../commands/roll');
+const { parse, evaluate, createRng, limits } = initRoll;
+
+// rng that makes the dice come up as `faces` (for dice with `sides` sides), in order
+function scripted(sides, faces) {
+  let i = 0;
+  return () => {
+    if (i >= faces.length) throw new Error('scripted rng ran out of rolls');
+    return (faces[i++] - 1) / sides;
+  };
+}
+
+test('createRng is deterministic per seed and stays in [0, 1)', () => {
+  const a = createRng(42);
+  const b = createRng(42);
+  const c = createRng(43);
+  const seqA = Array.from({ length: 50 }, a);
+  assert.deepEqual(seqA, Array.from({ length: 50 }, b));
+  assert.notDeepEqual(seqA, Array.from({ length: 50 }, c));
+  for (const x of seqA) assert.ok(x >= 0 && x < 1);
+});
+
+test('seeded rolls repeat exactly', () => {
+  const one = initRoll({ rng: createRng(7) }).roll('4d6kh3 + 1d20 + 2');
+  const two = initRoll({ rng: createRng(7) }).roll('4d6kh3 + 1d20 + 2');
+  assert.deepEqual(one, two);
+  assert.equal(one.groups.length, 2);
+  assert.equal(one.total, one.groups[0].subtotal + one.groups[1].subtotal + 2);
+});
+
+test('parser: precedence, parentheses and unary minus', () => {
+  const dice = initRoll({ rng: scripted(6, []) });
+  assert.equal(dice.roll('2 + 3 * 4').total, 14);
+  assert.equal(dice.roll('(2 + 3) * 4').total, 20);
+  assert.equal(dice.roll('-(3 - 5) * 2').total, 4);
+  assert.equal(dice.roll('7 / 2').total, 3);
+});
+
+test('parser: dice nodes and modifiers', () => {
+  const ast = parse('4d6kh3');
+  assert.equal(ast.type, 'dice');
+  assert.equal(ast.count, 4);
+  assert.equal(ast.sides, 6);
+  assert.deepEqual(ast.keep, { mode: 'h', n: 3 });
+  assert.equal(parse('d%').sides, 100);
+  assert.equal(parse('3d8!').explode, true);
+  assert.deepEqual(parse('5d10dl2').drop, { mode: 'l', n: 2 });
+  assert.deepEqual(parse('2d20k1').keep, { mode: 'h', n: 1 });
+});
+
+test('a bare integer means one die with that many sides', () => {
+  const r = initRoll({ rng: scripted(20, [17]) }).roll('20');
+  assert.equal(r.expression, '1d20');
+  assert.equal(r.total, 17);
+});
+
+test('parser errors carry a column', () => {
+  const cases = [
+    ['2d', /expected number of sides/],
+    ['(1d6', /expected '\)'/],
+    ['0d6', /at least 1/],
+    ['1d1', /at least 2 sides/],
+    ['4d6kh5', /between 1 and 4/],
+    ['4d6kh1dl1', /only one keep\/drop/],
+    ['1d6 $', /unexpected/],
+    [`1d${limits.MAX_SIDES + 1}`, /at most/],
+    [`${limits.MAX_DICE + 1}d6`, /too many dice/]
+  ];
+  for (const [src, re] of cases) {
+    assert.throws(() => parse(src), (err) => err.isRollError && re.test(err.message) && err.column >= 1, src);
+  }
+});
+
+test('keep highest / keep lowest', () => {
+  const kh = initRoll({ rng: scripted(6, [2, 6, 1, 5]) }).roll('4d6kh3');
+  assert.equal(kh.total, 13);
+  assert.deepEqual(kh.groups[0].dice.map(d => d.dropped), [false, false, true, false]);
+
+  const kl = initRoll({ rng: scripted(6, [2, 6, 1, 5]) }).roll('4d6kl1');
+  assert.equal(kl.total, 1);
+});
+
+test('drop highest / drop lowest, ties broken by position', () => {
+  const dl = initRoll({ rng: scripted(6, [3, 3, 3, 3]) }).roll('4d6dl1');
+  assert.equal(dl.total, 9);
+  assert.deepEqual(dl.groups[0].dice.map(d => d.dropped), [false, false, false, true]);
+
+  const dh = initRoll({ rng: scripted(6, [4, 1, 6, 6]) }).roll('4d6dh2');
+  assert.equal(dh.total, 5);
+  assert.deepEqual(dh.groups[0].dice.map(d => d.dropped), [false, false, true, true]);
+});
+
+test('exploding dice add a roll on the maximum', () => {
+  const r = initRoll({ rng: scripted(6, [6, 6, 2, 4]) }).roll('2d6!');
+  assert.deepEqual(r.groups[0].dice.map(d => d.rolls), [[6, 6, 2], [4]]);
+  assert.equal(r.total, 18);
+});
+
+test('exploding dice combine with keep and with other modifiers', () => {
+  const r = initRoll({ rng: scripted(6, [6, 1, 3, 2, 5]) }).roll('4d6!kh3');
+  // 6+1 = 7, 3, 2, 5 -> keep 7, 5, 3
+  assert.equal(r.total, 15);
+  assert.equal(initRoll({ rng: scripted(6, [4]) }).roll('1d6!+2').total, 6);
+});
+
+test('explosions are capped across the whole expression', () => {
+  const alwaysMax = () => 0.999999;
+  assert.throws(() => initRoll({ rng: alwaysMax }).roll('1d6!'), /too many exploding rolls/);
+  assert.throws(() => initRoll({ rng: alwaysMax }).roll('1d2! + 1d2!'), /too many exploding rolls/);
+  // exactly MAX_EXPLOSIONS extra rolls is still fine
+  const r = evaluate(parse('1d6!'), scripted(6, Array(limits.MAX_EXPLOSIONS).fill(6).concat(1)));
+  assert.equal(r.groups[0].dice[0].rolls.length, limits.MAX_EXPLOSIONS + 1);
+});
+
+test('run() formats errors with a caret instead of throwing', () => {
+  const lines = initRoll().run('2d');
+  assert.equal(lines[0], '2d');
+  assert.equal(lines[1], '  ^');
+  assert.match(lines[2], /^roll: .*\(column 3\)$/);
+});
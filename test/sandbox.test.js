@@ -0,0 +1,62 @@
+// test/sandbox.test.js
+// commands/sandbox: $run's CPU and memory limits, blocked string code generation, error reporting and $kill.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+
+const initSandbox = require('../commands/sandbox');
+
+const sandbox = initSandbox(new EventEmitter(), { limits: { timeoutMs: 300, graceMs: 500, memoryMb: 16 } });
+
+async function runScript(code, opts = {}) {
+  const output = sandbox.run(code, Object.assign({ userId: 'u1' }, opts));
+  const lines = [];
+  for await (const line of output) lines.push(line);
+  return { lines, status: output.status };
+}
+
+test('console output, args and exit status 0', async () => {
+  const { lines, status } = await runScript('console.log(1 + 1, { a: 1 }); print(args)', { args: ['x'] });
+  assert.deepEqual(lines.slice(0, 2), ['2 {"a":1}', '["x"]']);
+  assert.match(lines[2], /^\[exit 0, \d+ ms\]$/);
+  assert.equal(status, 0);
+});
+
+test('an endless loop is stopped by the CPU limit', async () => {
+  const { lines, status } = await runScript('while (true) {}');
+  assert.equal(lines[0], 'CPU time limit exceeded (300 ms)');
+  assert.equal(status, 1);
+});
+
+test('a script that fills its heap is killed', async () => {
+  const { lines, status } = await runScript('const a = []; while (true) a.push(new Array(1e5).fill(1));');
+  assert.deepEqual(lines, ['[killed: memory limit exceeded (16 MB)]']);
+  assert.equal(status, 1);
+});
+
+test('code generation from strings is blocked', async () => {
+  for (const code of ['eval("1")', 'new Function("return process")()', '(function () {}).constructor("return process")()']) {
+    const { lines, status } = await runScript(code);
+    assert.match(lines[0], /^EvalError: Code generation from strings disallowed/, code);
+    assert.equal(status, 1);
+  }
+});
+
+test('thrown errors and unhandled rejections are reported with their location', async () => {
+  assert.equal((await runScript('throw new RangeError("bad")')).lines[0], 'RangeError: bad (script.js:1:7)');
+  const { lines, status } = await runScript('Promise.reject(new TypeError("nope"))');
+  assert.equal(lines[0], 'Uncaught (in promise) TypeError: nope (script.js:1:16)');
+  assert.equal(status, 1);
+});
+
+test('one run per user, and aborting the signal kills it', async () => {
+  const controller = new AbortController();
+  const output = sandbox.run('while (true) {}', { userId: 'u2', signal: controller.signal });
+  assert.throws(() => sandbox.run('1', { userId: 'u2' }), { code: 'EBUSY' });
+  controller.abort();
+  const lines = [];
+  for await (const line of output) lines.push(line);
+  assert.deepEqual(lines, ['[killed]']);
+  assert.equal(output.status, 1);
+});
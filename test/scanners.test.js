@@ -0,0 +1,88 @@
+// test/scanners.test.js
+// storage/scanners: how per-backend verdicts fold into the one recorded for a file, and the clamd backend's cleanup.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const fsp = require('node:fs/promises');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const createScanner = require('../storage/scanners');
+const createClamdBackend = require('../storage/scanners/clamd-backend');
+
+const backend = (name, status, extra = {}) => ({ name, scan: async () => Object.assign({ status }, extra) });
+
+function scanWith(...backends) {
+  return createScanner({ enabled: true, backends }).scan('/nonexistent', { sha256: 'x', name: 'f' });
+}
+
+test('clean only when every backend that ran says clean', async () => {
+  const v = await scanWith(backend('blocklist', 'clean'), backend('yara', 'skipped'), backend('clamd', 'clean'));
+  assert.equal(v.status, 'clean');
+  assert.equal(v.engine, 'blocklist, clamd');
+});
+
+test('a backend error is not hidden by another backend\'s clean', async () => {
+  const v = await scanWith(backend('blocklist', 'clean'), backend('clamd', 'error', { reason: 'ECONNREFUSED' }));
+  assert.equal(v.status, 'error');
+  assert.equal(v.engine, 'clamd');
+  assert.equal(v.reason, 'ECONNREFUSED');
+});
+
+test('a pending analysis is not reported as clean', async () => {
+  const v = await scanWith(backend('blocklist', 'clean'), backend('virustotal', 'pending', { id: 'abc' }));
+  assert.equal(v.status, 'pending');
+  assert.equal(v.engine, 'virustotal');
+});
+
+test('a throwing backend counts as an error', async () => {
+  const v = await scanWith(backend('blocklist', 'clean'), { name: 'broken', scan: async () => { throw new Error('boom'); } });
+  assert.equal(v.status, 'error');
+  assert.equal(v.reason, 'boom');
+});
+
+test('infected wins and stops the remaining backends', async () => {
+  let ran = false;
+  const v = await scanWith(
+    backend('clamd', 'error'),
+    backend('blocklist', 'infected', { signature: 'Eicar' }),
+    { name: 'late', scan: async () => { ran = true; return { status: 'clean' }; } });
+  assert.equal(v.status, 'infected');
+  assert.equal(v.signature, 'Eicar');
+  assert.equal(ran, false);
+});
+
+test('nothing configured reports skipped', async () => {
+  const v = await scanWith(backend('clamd', 'skipped'));
+  assert.equal(v.status, 'skipped');
+});
+
+// counts open descriptors through /proc, so Linux only
+test('clamd: a connection that ends mid-file does not leak the file descriptor', { skip: !fs.existsSync('/proc/self/fd') }, async (t) => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'clamd-test-'));
+  const file = path.join(dir, 'big.bin');
+  await fsp.writeFile(file, Buffer.alloc(8 * 1024 * 1024));
+  // answers at once and hangs up without reading the stream
+  const conns = new Set();
+  const server = net.createServer((c) => {
+    conns.add(c);
+    c.on('error', () => {});
+    c.end('stream: OK\0');
+  });
+  const socket = path.join(dir, 'clamd.sock');
+  await new Promise((resolve) => server.listen(socket, resolve));
+  t.after(async () => {
+    for (const c of conns) c.destroy();
+    await new Promise((resolve) => server.close(resolve));
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+
+  const openFiles = () => fs.readdirSync('/proc/self/fd')
+    .filter((fd) => { try { return fs.readlinkSync(`/proc/self/fd/${fd}`) === file; } catch (_) { return false; } }).length;
+  const backend = createClamdBackend({ socket });
+  for (let i = 0; i < 3; i++) await backend.scan(file);
+  await new Promise((r) => setTimeout(r, 50));
+  assert.equal(openFiles(), 0);
+});
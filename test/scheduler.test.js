@@ -0,0 +1,81 @@
+// test/scheduler.test.js
+// shell/scheduler: frames for one message merge while an edit is in flight, and final frames are always delivered.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const createScheduler = require('../shell/scheduler');
+
+// a message whose edits finish only when the test says so
+function fakeMessage(channelId = 'c1') {
+  const msg = {
+    channelId,
+    edits: [],
+    waiting: [],
+    edit(payload) {
+      msg.edits.push(payload);
+      return new Promise((resolve) => msg.waiting.push(() => resolve({ id: 'm', payload })));
+    },
+    release() {
+      for (const resolve of msg.waiting.splice(0)) resolve();
+    }
+  };
+  return msg;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('newer frames replace the one waiting, and the final frame is delivered last', async () => {
+  const scheduler = createScheduler({ limits: { burst: 4, perSecond: 50, minGapMs: 0 } });
+  const msg = fakeMessage();
+  scheduler.frame(msg, 'a'); // goes out at once
+  scheduler.frame(msg, 'b'); // waits for 'a', then replaced
+  scheduler.frame(msg, 'c'); // replaced by the final frame
+  const done = scheduler.final(msg, 'd');
+  assert.deepEqual(msg.edits, ['a']);
+
+  msg.release();
+  await sleep(20);
+  assert.deepEqual(msg.edits, ['a', 'd']);
+  msg.release();
+  assert.deepEqual(await done, { id: 'm', payload: 'd' });
+  assert.deepEqual(scheduler.stats(), { frames: 3, sent: 2, dropped: 2, finals: 1, failed: 0, rateLimited: 0, pending: 0, channels: 1 });
+});
+
+test('a channel\'s edits wait for its budget', async () => {
+  const scheduler = createScheduler({ limits: { burst: 1, perSecond: 20, minGapMs: 0 } });
+  const m1 = fakeMessage();
+  const m2 = fakeMessage();
+  const other = fakeMessage('c2');
+  scheduler.frame(m1, 'one');
+  scheduler.frame(m2, 'two');
+  scheduler.frame(other, 'elsewhere');
+  assert.deepEqual([m1.edits, m2.edits, other.edits], [['one'], [], ['elsewhere']]);
+  await sleep(150);
+  assert.deepEqual(m2.edits, ['two']);
+});
+
+test('frames are dropped past maxPending, final frames never are', async () => {
+  const scheduler = createScheduler({ limits: { burst: 1, perSecond: 20, minGapMs: 0, maxPending: 1 } });
+  const m1 = fakeMessage();
+  const m2 = fakeMessage();
+  const m3 = fakeMessage();
+  scheduler.frame(m1, 'sent');
+  scheduler.frame(m2, 'queued');
+  scheduler.frame(m3, 'dropped');
+  const done = scheduler.final(m3, 'final');
+  await sleep(150);
+  for (const m of [m1, m2, m3]) m.release();
+  assert.deepEqual((await done).payload, 'final');
+  assert.deepEqual([m1.edits, m2.edits, m3.edits], [['sent'], ['queued'], ['final']]);
+  assert.equal(scheduler.stats().dropped, 1);
+});
+
+test('a failed final edit resolves with null and is counted', async () => {
+  const scheduler = createScheduler();
+  const msg = { channelId: 'c1', edit: async () => { const e = new Error('Too Many Requests'); e.status = 429; throw e; } };
+  assert.equal(await scheduler.final(msg, 'x'), null);
+  const stats = scheduler.stats();
+  assert.equal(stats.failed, 1);
+  assert.equal(stats.rateLimited, 1);
+});
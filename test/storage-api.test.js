@@ -0,0 +1,144 @@
+// test/storage-api.test.js
+// storage/api.js: manifest metadata kept in step with what commands do to files on disk.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+const archive = require('../storage/archive');
+const { tempApi } = require('./helpers');
+
+test('touch keeps the manifest mtime in step, so duplicates are still hardlinked', async (t) => {
+  const { api, dir } = await tempApi(t);
+  await api.saveFileFromBuffer('u1', 'a.txt', Buffer.from('same bytes'));
+  await new Promise((r) => setTimeout(r, 20));
+  await api.touch('u1', 'a.txt');
+
+  const st = await fs.stat(path.join(dir, 'u1', 'a.txt'));
+  assert.equal((await api.manifest.get('u1', 'a.txt')).mtimeMs, st.mtimeMs);
+
+  const copy = await api.saveFileFromBuffer('u1', 'b.txt', Buffer.from('same bytes'));
+  assert.equal(copy.duplicateOf, 'a.txt');
+});
+
+test('touching one hardlinked copy updates the entries of all of them', async (t) => {
+  const { api, dir } = await tempApi(t);
+  await api.saveFileFromBuffer('u1', 'a.txt', Buffer.from('shared'));
+  await api.saveFileFromBuffer('u1', 'b.txt', Buffer.from('shared'));
+  await new Promise((r) => setTimeout(r, 20));
+  await api.touch('u1', 'b.txt');
+
+  const st = await fs.stat(path.join(dir, 'u1', 'a.txt'));
+  assert.equal((await api.manifest.get('u1', 'a.txt')).mtimeMs, st.mtimeMs);
+  assert.equal((await api.manifest.get('u1', 'b.txt')).mtimeMs, st.mtimeMs);
+});
+
+test('a failed extraction with --overwrite puts back the files it replaced', async (t) => {
+  const { api, dir } = await tempApi(t);
+  await api.saveFileFromBuffer('u1', 'b.txt', Buffer.from('old contents'));
+  await api.saveFileFromBuffer('u1', 'f', Buffer.from('a file where the archive wants a folder'));
+  const before = await api.manifest.get('u1', 'b.txt');
+  const mtime = new Date();
+  await api.saveFileFromBuffer('u1', 'x.zip', archive.write('zip', [
+    { path: 'b.txt', data: Buffer.from('new contents'), mtime },
+    { path: 'c.txt', data: Buffer.from('brand new'), mtime },
+    { path: 'f/x.txt', data: Buffer.from('fails'), mtime }
+  ]));
+
+  await assert.rejects(api.extractArchive('u1', 'x.zip', '.', { overwrite: true }), { code: 'EEXIST' });
+  assert.equal((await api.readFile('u1', 'b.txt')).buffer.toString(), 'old contents');
+  assert.equal((await api.manifest.get('u1', 'b.txt')).sha256, before.sha256);
+  assert.equal(await api.manifest.get('u1', 'c.txt'), null);
+  assert.deepEqual((await fs.readdir(path.join(dir, 'u1'))).sort(), ['b.txt', 'f', 'x.zip']);
+});
+
+test('a successful extraction with --overwrite leaves no backups behind', async (t) => {
+  const { api, dir } = await tempApi(t);
+  await api.saveFileFromBuffer('u1', 'b.txt', Buffer.from('old contents'));
+  await api.saveFileFromBuffer('u1', 'x.tar', archive.write('tar', [{ path: 'b.txt', data: Buffer.from('new contents'), mtime: new Date() }]));
+
+  await api.extractArchive('u1', 'x.tar', '.', { overwrite: true });
+  assert.equal((await api.readFile('u1', 'b.txt')).buffer.toString(), 'new contents');
+  assert.deepEqual((await fs.readdir(path.join(dir, 'u1'))).sort(), ['b.txt', 'x.tar']);
+});
+
+// a scanner whose verdict the test sets
+function fakeScanner(status) {
+  const s = { status, scan: async () => (s.status instanceof Error ? Promise.reject(s.status) : { status: s.status, engine: 'fake' }) };
+  return s;
+}
+
+async function upload(api, name, body) {
+  await api.saveFileFromBuffer('u1', name, Buffer.from(body), { scan: { status: 'pending' } });
+  return api.scanFile('u1', name);
+}
+
+for (const status of ['pending', 'error']) {
+  test(`a file whose scan is ${status} is held until a rescan clears it`, async (t) => {
+    const scanner = fakeScanner(status);
+    const { api } = await tempApi(t, { scanner });
+    const r = await upload(api, 'a.txt', 'contents');
+    assert.equal(r.held, true);
+    assert.deepEqual(r.quarantined, []);
+    await assert.rejects(api.readFile('u1', 'a.txt'), { code: 'EACCES' });
+    await assert.rejects(api.readRange('u1', 'a.txt', 0, 4), { code: 'EACCES' });
+    await assert.rejects(api.buildArchive('u1', ['a.txt']), { code: 'EACCES' });
+    assert.equal((await api.statFile('u1', 'a.txt')).size, 8);
+
+    // a copy is the same bytes: it is held too
+    await api.copy('u1', 'a.txt', 'b.txt');
+    await assert.rejects(api.readFile('u1', 'b.txt'), { code: 'EACCES' });
+
+    assert.deepEqual(await api.rescanHeld(), { released: 0, quarantined: 0, held: 2 });
+    scanner.status = 'clean';
+    assert.deepEqual(await api.rescanHeld(), { released: 2, quarantined: 0, held: 0 });
+    assert.equal((await api.readFile('u1', 'a.txt')).buffer.toString(), 'contents');
+  });
+}
+
+test('a scanner that throws leaves the file held', async (t) => {
+  const { api } = await tempApi(t, { scanner: fakeScanner(new Error('socket closed')) });
+  const r = await upload(api, 'a.txt', 'contents');
+  assert.equal(r.scan.status, 'error');
+  assert.equal(r.held, true);
+  await assert.rejects(api.readFile('u1', 'a.txt'), { code: 'EACCES' });
+});
+
+test('a held file that turns out infected is quarantined by the rescan', async (t) => {
+  const scanner = fakeScanner('pending');
+  const { api } = await tempApi(t, { scanner });
+  await upload(api, 'a.txt', 'contents');
+  scanner.status = 'infected';
+  assert.deepEqual(await api.rescanHeld(), { released: 0, quarantined: 1, held: 0 });
+  assert.equal(await api.manifest.get('u1', 'a.txt'), null);
+});
+
+test('with scanning disabled uploads are readable', async (t) => {
+  const { api } = await tempApi(t);
+  const r = await upload(api, 'a.txt', 'contents');
+  assert.equal(r.status, 'skipped');
+  assert.equal(r.held, false);
+  assert.equal((await api.readFile('u1', 'a.txt')).buffer.toString(), 'contents');
+});
+
+test('names that look like temp files are refused, or renamed for uploads', async (t) => {
+  const { api } = await tempApi(t);
+  const tmpName = 'x.tmp-0123456789ab';
+  await assert.rejects(api.saveFileFromBuffer('u1', tmpName, Buffer.from('hidden')), { code: 'EINVAL' });
+  await assert.rejects(api.mkdir('u1', tmpName), { code: 'EINVAL' });
+  await api.saveFileFromBuffer('u1', 'a.txt', Buffer.from('a'));
+  await assert.rejects(api.move('u1', 'a.txt', tmpName), { code: 'EINVAL' });
+  await assert.rejects(api.copy('u1', 'a.txt', tmpName), { code: 'EINVAL' });
+
+  await api.saveFileFromBuffer('u1', 'x.zip', archive.write('zip', [{ path: `d/${tmpName}`, data: Buffer.from('hidden'), mtime: new Date() }]));
+  await assert.rejects(api.extractArchive('u1', 'x.zip'), { code: 'EINVAL' });
+  await api.saveFileFromBuffer('u1', 'y.zip', archive.write('zip', [{ path: tmpName, type: 'dir', mtime: new Date() }]));
+  await assert.rejects(api.extractArchive('u1', 'y.zip'), { code: 'EINVAL' });
+
+  // upload names go through safeFilename, which renames instead
+  assert.equal(api.safeFilename(tmpName), 'x.tmp_0123456789ab');
+  const saved = await api.saveFileFromBuffer('u1', api.safeFilename(tmpName), Buffer.from('shown'));
+  assert.deepEqual((await api.listFiles('u1')).map(f => f.name).sort(), ['a.txt', 'x.tmp_0123456789ab', 'x.zip', 'y.zip']);
+  assert.equal(saved.name, 'x.tmp_0123456789ab');
+});
@@ -0,0 +1,65 @@
+// test/textutils.test.js
+// commands/textutils: sed script parsing, grep over several files, and the regex time limit.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const initTextUtils = require('../commands/textutils');
+const { parseSed } = initTextUtils;
+
+// storage stand-in serving files from an object
+function withFiles(files, limits = {}) {
+  const api = {
+    readFile: async (userId, name) => {
+      if (!(name in files)) throw Object.assign(new Error(`${name}: No such file`), { code: 'ENOENT' });
+      return { buffer: Buffer.from(files[name]) };
+    },
+    looksBinary: () => false
+  };
+  return initTextUtils({ getStorage: () => ({ api }), limits });
+}
+
+test('parseSed: delimiters, escaped delimiters and flags', () => {
+  assert.deepEqual(parseSed('s/a/b/'), { source: 'a', flags: '', replacement: 'b' });
+  assert.deepEqual(parseSed('s|/usr|/opt|g'), { source: '/usr', flags: 'g', replacement: '/opt' });
+  assert.deepEqual(parseSed('s/a\\/b/c/gi'), { source: 'a/b', flags: 'gi', replacement: 'c' });
+  assert.equal(parseSed('s/\\d+/n/').source, '\\d+');
+});
+
+test('parseSed: & and \\1 become the match and the group, $ stays literal', () => {
+  assert.equal(parseSed('s/x/[&]/').replacement, '[$&]');
+  assert.equal(parseSed('s/(a)(b)/\\2\\1/').replacement, '$2$1');
+  assert.equal(parseSed('s/x/$1 \\&/').replacement, '$$1 &');
+  assert.equal(parseSed('s/x/a\\tb\\n/').replacement, 'a\tb\n');
+});
+
+test('parseSed: malformed scripts', () => {
+  assert.throws(() => parseSed('y/a/b/'), /unsupported command/);
+  assert.throws(() => parseSed('sxaxbx'), /invalid delimiter: x/);
+  assert.throws(() => parseSed('s/a/b'), /unterminated `s' command/);
+  assert.throws(() => parseSed('s/a/b/q'), /unknown option to `s': q/);
+});
+
+test('sed applies the rules in order', async () => {
+  const text = initTextUtils();
+  const out = await text.run('sed', { userId: 'u1', args: ['-e', 's/(\\w+) (\\w+)/\\2 \\1/', '-e', 's/o/[&]/g'], stdin: 'hello world\nfoo bar' });
+  assert.deepEqual(out, ['w[o]rld hell[o]', 'bar f[o][o]']);
+});
+
+test('grep prefixes names when given several files', async () => {
+  const text = withFiles({ 'a.txt': 'todo one\nskip\n', 'b.txt': 'TODO two\n' });
+  assert.deepEqual(await text.run('grep', { userId: 'u1', args: ['-in', 'todo', 'a.txt', 'b.txt'] }), ['a.txt:1:todo one', 'b.txt:1:TODO two']);
+  assert.deepEqual(await text.run('grep', { userId: 'u1', args: ['nothing', 'a.txt'] }), { stdout: [], status: 1 });
+});
+
+test('a backtracking pattern is stopped by one time limit for the whole command', async () => {
+  const slow = 'a'.repeat(30) + 'b\n';
+  const files = { 'a.txt': slow, 'b.txt': slow, 'c.txt': slow, 'd.txt': slow };
+  const text = withFiles(files, { matchTimeoutMs: 100 });
+  const started = Date.now();
+  const out = await text.run('grep', { userId: 'u1', args: ['(a+)+$', ...Object.keys(files)] });
+  assert.deepEqual(out, { stdout: 'grep: pattern took too long (over 100 ms)', status: 2 });
+  assert.ok(Date.now() - started < 400);
+  assert.deepEqual(await text.run('sed', { userId: 'u1', args: ['s/(a+)+$/x/', 'a.txt'] }),
+    { stdout: 'sed: pattern took too long (over 100 ms)', status: 2 });
+});
@@ -0,0 +1,85 @@
+// test/upload-limits.test.js
+// storage/api.js saveFileFromStream: quota checks while an upload streams, with slow usage lookups.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { Readable } = require('node:stream');
+
+const createManifest = require('../storage/manifest');
+const { tempApi } = require('./helpers');
+
+const KB = 1024;
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function chunks(count, size) {
+  return Readable.from(Array.from({ length: count }, (_, i) => Buffer.alloc(size, 97 + (i % 26))));
+}
+
+async function slowApi(t, quotaBytes) {
+  let manifest;
+  const checks = { pending: 0, maxPending: 0 };
+  const { api, dir } = await tempApi(t, (dir) => {
+    manifest = createManifest(dir);
+    // a slow usage lookup leaves room for chunks to race past a check that is still pending
+    const slow = Object.assign({}, manifest, {
+      usedBytes: async (userId) => {
+        checks.maxPending = Math.max(checks.maxPending, ++checks.pending);
+        try {
+          await sleep(5);
+          return await manifest.usedBytes(userId);
+        } finally {
+          checks.pending--;
+        }
+      }
+    });
+    return { quotaBytes, manifest: slow };
+  });
+  return { api, dir, manifest, checks };
+}
+
+async function filesUnder(dir) {
+  const out = [];
+  for (const e of await fs.readdir(dir, { withFileTypes: true })) {
+    if (e.isDirectory()) out.push(...(await filesUnder(path.join(dir, e.name))).map(n => `${e.name}/${n}`));
+    else out.push(e.name);
+  }
+  return out;
+}
+
+test('an upload within the quota is stored whole', async (t) => {
+  const { api, manifest } = await slowApi(t, 64 * KB);
+  await api.saveFileFromStream('u1', 'ok.bin', chunks(8, KB));
+  assert.equal(await manifest.usedBytes('u1'), 8 * KB);
+  await manifest.flush();
+});
+
+test('the next chunk waits for the quota check of the previous one', async (t) => {
+  const { api, manifest, checks } = await slowApi(t, 64 * 1024 * KB);
+  // chunks larger than the file stream's buffer, so it drains between them
+  await api.saveFileFromStream('u1', 'big.bin', chunks(8, 64 * KB));
+  assert.equal(checks.maxPending, 1);
+  assert.equal(await manifest.usedBytes('u1'), 8 * 64 * KB);
+  await manifest.flush();
+});
+
+test('an upload that crosses the quota is cut off and leaves nothing behind', async (t) => {
+  const { api, dir, manifest } = await slowApi(t, 4 * KB);
+  await api.saveFileFromStream('u1', 'small.bin', chunks(2, KB));
+  await assert.rejects(api.saveFileFromStream('u1', 'big.bin', chunks(16, KB)), { code: 'QuotaExceeded' });
+  assert.deepEqual(await filesUnder(path.join(dir, 'u1')), ['small.bin']);
+  assert.equal(await manifest.usedBytes('u1'), 2 * KB);
+  await manifest.flush();
+});
+
+test('parallel uploads share one quota', async (t) => {
+  const { api, manifest } = await slowApi(t, 10 * KB);
+  const results = await Promise.allSettled([
+    api.saveFileFromStream('u1', 'a.bin', chunks(6, KB)),
+    api.saveFileFromStream('u1', 'b.bin', chunks(6, KB))
+  ]);
+  assert.ok(results.some(r => r.status === 'rejected' && r.reason.code === 'QuotaExceeded'));
+  assert.ok(await manifest.usedBytes('u1') <= 10 * KB);
+  await manifest.flush();
+});